@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Re-key existing entries by canonical email
+ * Entries created before email canonicalization were hashed from the email
+ * as entered (form entries lowercased, order entries not even that), so one
+ * person could hold several hashed_email values. This recomputes
+ * hashed_email from customer_email for every entry.
+ *
+ * Dry run by default; pass --apply to write the changes.
+ *   node backfill-canonical-emails.js
+ *   node backfill-canonical-emails.js --apply
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { hashCanonicalEmail } = require('./src/utils/emailUtils');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 1000;
+
+// Redacted entries keep the hash of the erased email (see privacyService), so they are left alone
+const REDACTED_DOMAIN = '@redacted.invalid';
+
+const runBackfill = async ({ apply = false, client = supabase } = {}) => {
+  console.log(`🚀 Re-keying entries by canonical email${apply ? '' : ' (dry run)'}...`);
+
+  const stats = { scanned: 0, changed: 0, updated: 0, failed: 0, skipped: 0 };
+  // promo -> canonical hash -> distinct emails, to report entrants that are now merged
+  const identities = new Map();
+  let from = 0;
+
+  while (true) {
+    const { data: entries, error } = await client
+      .from('entries')
+      .select('id, promo_id, customer_email, hashed_email')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load entries: ${error.message}`);
+    }
+
+    for (const entry of entries || []) {
+      stats.scanned++;
+
+      if (!entry.customer_email || entry.customer_email.endsWith(REDACTED_DOMAIN)) {
+        stats.skipped++;
+        continue;
+      }
+
+      const hashedEmail = hashCanonicalEmail(entry.customer_email);
+
+      const promoIdentities = identities.get(entry.promo_id) || new Map();
+      const emails = promoIdentities.get(hashedEmail) || new Set();
+      emails.add(entry.customer_email.toLowerCase().trim());
+      promoIdentities.set(hashedEmail, emails);
+      identities.set(entry.promo_id, promoIdentities);
+
+      if (hashedEmail === entry.hashed_email) {
+        continue;
+      }
+
+      stats.changed++;
+      if (!apply) {
+        continue;
+      }
+
+      const { error: updateError } = await client
+        .from('entries')
+        .update({ hashed_email: hashedEmail })
+        .eq('id', entry.id);
+
+      if (updateError) {
+        stats.failed++;
+        console.error(`❌ Error updating entry ${entry.id}:`, updateError.message);
+      } else {
+        stats.updated++;
+      }
+    }
+
+    if (!entries || entries.length < PAGE_SIZE) {
+      break;
+    }
+    from += PAGE_SIZE;
+  }
+
+  let merged = 0;
+  for (const promoIdentities of identities.values()) {
+    for (const emails of promoIdentities.values()) {
+      if (emails.size > 1) {
+        merged++;
+      }
+    }
+  }
+
+  console.log(`📊 Scanned ${stats.scanned} entries (${stats.skipped} redacted or without email skipped)`);
+  console.log(`  ${stats.changed} entries need a new hashed_email${apply ? `: ${stats.updated} updated, ${stats.failed} failed` : ''}`);
+  console.log(`  ${merged} entrant(s) across promos entered under more than one alias of the same mailbox`);
+
+  if (!apply && stats.changed > 0) {
+    console.log('ℹ️  Dry run only - run again with --apply to write the changes');
+  }
+
+  return stats;
+};
+
+// Run backfill if this script is executed directly
+if (require.main === module) {
+  runBackfill({ apply: process.argv.includes('--apply') })
+    .then(stats => process.exit(stats.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runBackfill
+};
@@ -1,8 +1,15 @@
 const { supabase } = require('../config/supabase');
 const { createClient } = require('@supabase/supabase-js');
-const { getAMOEEntries, calculateEntriesToAdd, getMaxEntriesPerCustomer } = require('../utils/entryUtils');
+const { getAMOEEntries, calculateEntriesToAdd, getMaxEntriesPerCustomer, isCountedEntry } = require('../utils/entryUtils');
 const emailService = require('../services/emailService');
-const crypto = require('crypto');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const { normalizePrizeTiers } = require('../utils/prizeUtils');
+const { normalizeBonusActions } = require('../utils/bonusActionUtils');
+const { normalizeEntryRules } = require('../utils/entryRulesUtils');
+const { REPORTING_CURRENCY, normalizeCurrency } = require('../utils/currencyUtils');
+const promoLifecycle = require('../services/promoLifecycleService');
+const { getRateLimitStatus } = require('../middleware/rateLimit');
+const { getChallengeStatus } = require('../middleware/challenge');
 
 // Create admin client with service role key that bypasses RLS
 const supabaseAdmin = createClient(
@@ -78,10 +85,11 @@ const getAdminDashboard = async (req, res) => {
     // Calculate admin stats
     const totalStores = stores?.length || 0;
     const totalPromos = promos?.length || 0;
-    const totalEntries = entries?.length || 0;
+    const confirmedEntries = entries?.filter(isCountedEntry) || [];
+    const totalEntries = confirmedEntries.length;
     const totalWinners = winners?.length || 0;
     const activePromos = promos?.filter(p => p.status === 'active').length || 0;
-    const uniqueEmails = new Set(entries?.map(e => e.customer_email) || []).size;
+    const uniqueEmails = new Set(confirmedEntries.map(e => e.customer_email)).size;
 
     res.status(200).json({
       success: true,
@@ -97,6 +105,10 @@ const getAdminDashboard = async (req, res) => {
           totalWinners,
           activePromos,
           uniqueEmails
+        },
+        rateLimits: {
+          ...getRateLimitStatus(),
+          challenge: getChallengeStatus()
         }
       }
     });
@@ -169,8 +181,8 @@ const createAdminManualEntry = async (req, res) => {
       });
     }
 
-    // Hash email for privacy
-    const hashedEmail = crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
+    // Hash the canonical email, so aliases of one mailbox count as the same entrant
+    const hashedEmail = hashCanonicalEmail(email);
 
     // Check for existing entries for this email in this promo using admin client
     const { data: existingEntries, error: existingError } = await supabaseAdmin
@@ -436,13 +448,24 @@ const createAdminPromo = async (req, res) => {
       title,
       prize_description,
       prize_amount,
-      status = 'active',
+      status,
       start_date,
       end_date,
+      draw_at,
       max_entries_per_email = 1,
       max_entries_per_ip = 5,
       enable_purchase_entries = true,
       entries_per_dollar = 1,
+      require_email_confirmation = false,
+      confirmation_window_hours,
+      prize_tiers,
+      bonus_actions,
+      referral_reward_entries,
+      max_referral_rewards,
+      referral_landing_url,
+      entry_rules,
+      currency,
+      claim_deadline_days,
       rules_text,
       amoe_instructions,
       eligibility_text
@@ -458,6 +481,60 @@ const createAdminPromo = async (req, res) => {
 
     const prizeAmountValue = parseFloat(prize_amount);
 
+    const { tiers, error: tiersError } = normalizePrizeTiers(prize_tiers);
+    if (tiersError) {
+      return res.status(400).json({
+        success: false,
+        message: tiersError
+      });
+    }
+
+    const { actions, error: actionsError } = normalizeBonusActions(bonus_actions);
+    if (actionsError) {
+      return res.status(400).json({
+        success: false,
+        message: actionsError
+      });
+    }
+
+    const { rules, error: rulesError } = normalizeEntryRules(entry_rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    if (currency && !normalizeCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter ISO code'
+      });
+    }
+
+    // Collections belong to one Shopify store, so they are resolved from the store's own dashboard
+    if (rules && rules.productRules.some(rule => rule.collectionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection rules can only be set from the store dashboard'
+      });
+    }
+
+    const { status: initialStatus, error: statusError } = promoLifecycle.getInitialStatus(status, start_date);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    if (draw_at && end_date && new Date(draw_at) < new Date(end_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'draw_at cannot be before end_date'
+      });
+    }
+
     // Determine target stores
     let targetStores = [];
     
@@ -539,13 +616,24 @@ const createAdminPromo = async (req, res) => {
       title,
       prize_description,
       prize_amount: prizeAmountValue,
-      status,
+      status: initialStatus,
       start_date: start_date || null,
       end_date: end_date || null,
+      draw_at: draw_at || null,
       max_entries_per_email: parseInt(max_entries_per_email),
       max_entries_per_ip: parseInt(max_entries_per_ip),
       enable_purchase_entries,
       entries_per_dollar: parseInt(entries_per_dollar),
+      require_email_confirmation: require_email_confirmation === true,
+      confirmation_window_hours: confirmation_window_hours ? parseInt(confirmation_window_hours) : null,
+      prize_tiers: tiers,
+      bonus_actions: actions || [],
+      referral_reward_entries: referral_reward_entries ? parseInt(referral_reward_entries) : null,
+      max_referral_rewards: max_referral_rewards ? parseInt(max_referral_rewards) : null,
+      referral_landing_url: referral_landing_url || null,
+      entry_rules: rules,
+      currency: normalizeCurrency(currency) || normalizeCurrency(process.env.DEFAULT_PROMO_CURRENCY) || REPORTING_CURRENCY,
+      claim_deadline_days: claim_deadline_days ? parseInt(claim_deadline_days) : null,
       rules_text: rules_text || null,
       amoe_instructions: amoe_instructions || null,
       eligibility_text: eligibility_text || null
@@ -565,6 +653,16 @@ const createAdminPromo = async (req, res) => {
       });
     }
 
+    for (const promo of createdPromos) {
+      await promoLifecycle.recordStatusChange({
+        client: supabaseAdmin,
+        promoId: promo.id,
+        to: promo.status,
+        userId: req.user.id,
+        reason: 'Promo created by admin'
+      });
+    }
+
     // Build response with summary
     const responseMessage = subscription_tier 
       ? `Successfully created ${createdPromos.length} promo(s) for all ${subscription_tier.toUpperCase()} stores`
@@ -679,6 +777,9 @@ const exportAdminData = async (req, res) => {
             notified_at,
             claimed,
             claimed_at,
+            status,
+            forfeit_reason,
+            alternate_for_winner_id,
             created_at,
             promos!inner(title),
             stores!inner(store_name)
@@ -700,6 +801,9 @@ const exportAdminData = async (req, res) => {
           notified_at: winner.notified_at || 'N/A',
           claimed: winner.claimed ? 'Yes' : 'No',
           claimed_at: winner.claimed_at || 'N/A',
+          status: winner.status || (winner.claimed ? 'claimed' : 'selected'),
+          forfeit_reason: winner.forfeit_reason || 'N/A',
+          alternate_for: winner.alternate_for_winner_id || 'N/A',
           drawn_at: winner.drawn_at,
           created_at: winner.created_at
         })) || [];
@@ -732,8 +836,29 @@ const exportAdminData = async (req, res) => {
   }
 };
 
+// @route   GET /api/admin/rate-limits
+// @desc    Rate limit rules on the public entry endpoints, blocked counts and challenge settings
+// @access  Private (Admin only)
+const getRateLimits = async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin role required.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...getRateLimitStatus(),
+      challenge: getChallengeStatus()
+    }
+  });
+};
+
 module.exports = {
   getAdminDashboard,
+  getRateLimits,
   createAdminManualEntry,
   createAdminPromo,
   exportEntriesCSV,
@@ -0,0 +1,364 @@
+const { supabase } = require('../config/supabase');
+const emailService = require('../services/emailService');
+const {
+  DEFAULT_AFFIDAVIT_TEXT,
+  DEFAULT_PUBLICITY_RELEASE_TEXT,
+  verifyClaimToken,
+  hashLegalText,
+  maskEmail
+} = require('../utils/claimUtils');
+const { getClientIp } = require('../utils/rateLimitUtils');
+
+const DEFAULT_MINIMUM_AGE = 18;
+
+// Claim fields that must be text when given, and the text fields of a shipping address
+const CLAIM_TEXT_FIELDS = ['email', 'fullName', 'dateOfBirth', 'phone', 'payoutMethod', 'signature'];
+const ADDRESS_TEXT_FIELDS = ['line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+
+const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Find the first claim field of the wrong type, so it can be refused before it's used as text
+ * @param {object} body - Request body
+ * @returns {string|null} Field name
+ */
+const findInvalidClaimField = (body) => {
+  const invalidText = CLAIM_TEXT_FIELDS.find(field => !isOptionalText(body[field]));
+  if (invalidText) {
+    return invalidText;
+  }
+
+  const address = body.shippingAddress;
+  if (address === undefined || address === null) {
+    return null;
+  }
+  if (typeof address !== 'object' || Array.isArray(address)) {
+    return 'shippingAddress';
+  }
+  const invalidAddress = ADDRESS_TEXT_FIELDS.find(field => !isOptionalText(address[field]));
+  return invalidAddress ? `shippingAddress.${invalidAddress}` : null;
+};
+
+/**
+ * Resolve a claim token to its winner and check the prize can still be claimed
+ * @param {string} token - Signed claim token
+ * @returns {Promise<object>} { winner } or { status, message }
+ */
+const loadClaimableWinner = async (token) => {
+  const { valid, payload, expired } = verifyClaimToken(token);
+
+  if (!valid) {
+    return expired
+      ? { status: 410, message: 'This claim link has expired' }
+      : { status: 401, message: 'Invalid claim link' };
+  }
+
+  const { data: winner, error: winnerError } = await supabase
+    .from('winners')
+    .select(`
+      *,
+      promos(title, rules_text, affidavit_text, publicity_release_text, minimum_age)
+    `)
+    .eq('id', payload.winnerId)
+    .single();
+
+  if (winnerError || !winner) {
+    return { status: 404, message: 'Winner not found' };
+  }
+
+  if (winner.status === 'forfeited') {
+    return { status: 410, message: 'This prize has been forfeited' };
+  }
+
+  if (winner.claimed) {
+    return { status: 409, message: 'This prize has already been claimed' };
+  }
+
+  if (winner.claim_deadline && new Date(winner.claim_deadline) < new Date()) {
+    return { status: 410, message: 'The claim deadline for this prize has passed' };
+  }
+
+  return { winner };
+};
+
+/**
+ * Get the legal texts a winner must accept for a promo
+ * @param {object} promo - Promo fields joined on the winner
+ * @returns {object} { affidavitText, publicityReleaseText }
+ */
+const getClaimTexts = (promo) => ({
+  affidavitText: promo?.affidavit_text || DEFAULT_AFFIDAVIT_TEXT,
+  publicityReleaseText: promo?.publicity_release_text || DEFAULT_PUBLICITY_RELEASE_TEXT
+});
+
+/**
+ * Calculate age in whole years at a given date
+ * @param {Date} dateOfBirth
+ * @param {Date} now
+ * @returns {number}
+ */
+const getAge = (dateOfBirth, now = new Date()) => {
+  let age = now.getFullYear() - dateOfBirth.getFullYear();
+  const beforeBirthday = now.getMonth() < dateOfBirth.getMonth() ||
+    (now.getMonth() === dateOfBirth.getMonth() && now.getDate() < dateOfBirth.getDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+/**
+ * Get claim details for the claim portal
+ * GET /api/claims/:token
+ */
+const getClaim = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { winner, status, message } = await loadClaimableWinner(token);
+
+    if (!winner) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { affidavitText, publicityReleaseText } = getClaimTexts(winner.promos);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promo: {
+          title: winner.promos?.title || null,
+          rulesText: winner.promos?.rules_text || null,
+          minimumAge: winner.promos?.minimum_age || DEFAULT_MINIMUM_AGE
+        },
+        prize: {
+          tier: winner.prize_tier_name || null,
+          description: winner.prize_description,
+          amount: winner.prize_amount
+        },
+        winner: {
+          maskedEmail: maskEmail(winner.customer_email),
+          drawnAt: winner.drawn_at,
+          claimDeadline: winner.claim_deadline || null
+        },
+        affidavitText,
+        publicityReleaseText
+      }
+    });
+
+  } catch (error) {
+    console.error('Get claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit a prize claim with identity, delivery details and affidavit
+ * POST /api/claims/:token
+ */
+const submitClaim = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const {
+      email,
+      fullName,
+      dateOfBirth,
+      phone,
+      shippingAddress,
+      payoutMethod,
+      payoutDetails,
+      acceptAffidavit = false,
+      acceptPublicityRelease = false,
+      signature
+    } = req.body || {};
+
+    const { winner, status, message } = await loadClaimableWinner(token);
+
+    if (!winner) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const invalidField = findInvalidClaimField(req.body || {});
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidField}`
+      });
+    }
+
+    // Confirm identity: the claimant must know the email the winning entry was made with
+    if (!email || email.toLowerCase().trim() !== winner.customer_email.toLowerCase().trim()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email does not match the winning entry'
+      });
+    }
+
+    if (!fullName || !fullName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Full name is required'
+      });
+    }
+
+    const birthDate = dateOfBirth ? new Date(dateOfBirth) : null;
+    if (!birthDate || isNaN(birthDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date of birth is required'
+      });
+    }
+
+    const minimumAge = winner.promos?.minimum_age || DEFAULT_MINIMUM_AGE;
+    if (getAge(birthDate) < minimumAge) {
+      return res.status(403).json({
+        success: false,
+        message: `Winners must be at least ${minimumAge} years old`
+      });
+    }
+
+    const hasShipping = shippingAddress && shippingAddress.line1 && shippingAddress.city &&
+      shippingAddress.postalCode && shippingAddress.country;
+    if (!hasShipping && !payoutMethod) {
+      return res.status(400).json({
+        success: false,
+        message: 'A complete shipping address or a payout method is required'
+      });
+    }
+
+    if (acceptAffidavit !== true || !signature || !signature.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You must accept and sign the affidavit of eligibility'
+      });
+    }
+
+    const { affidavitText, publicityReleaseText } = getClaimTexts(winner.promos);
+    const ipAddress = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    // Flip an unclaimed winner before storing the claim, so of two concurrent
+    // submissions only one gets through and the other leaves no claim row behind
+    const submittedAt = new Date().toISOString();
+    const { data: claimedWinners, error: updateError } = await supabase
+      .from('winners')
+      .update({
+        claimed: true,
+        claimed_at: submittedAt,
+        status: 'claimed',
+        updated_at: submittedAt
+      })
+      .eq('id', winner.id)
+      .eq('claimed', false)
+      .select();
+
+    if (updateError) {
+      console.error('Error marking winner as claimed:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error completing claim'
+      });
+    }
+
+    if (!claimedWinners || claimedWinners.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This prize has already been claimed'
+      });
+    }
+
+    const { data: claim, error: claimError } = await supabase
+      .from('winner_claims')
+      .insert({
+        winner_id: winner.id,
+        promo_id: winner.promo_id,
+        store_id: winner.store_id,
+        email: winner.customer_email,
+        full_name: fullName.trim(),
+        date_of_birth: birthDate.toISOString().split('T')[0],
+        phone: phone || null,
+        shipping_address: hasShipping ? shippingAddress : null,
+        payout_method: payoutMethod || null,
+        payout_details: payoutDetails || null,
+        affidavit_accepted: true,
+        affidavit_text_hash: hashLegalText(affidavitText),
+        affidavit_signature: signature.trim(),
+        publicity_release_accepted: acceptPublicityRelease === true,
+        publicity_release_text_hash: acceptPublicityRelease === true ? hashLegalText(publicityReleaseText) : null,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        submitted_at: submittedAt
+      })
+      .select()
+      .single();
+
+    if (claimError) {
+      console.error('Error saving winner claim:', claimError);
+
+      // Hand the prize back so the winner can submit again
+      const { error: revertError } = await supabase
+        .from('winners')
+        .update({
+          claimed: false,
+          claimed_at: null,
+          status: winner.status,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', winner.id);
+
+      if (revertError) {
+        console.error('Error reverting winner claim:', revertError);
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error saving claim'
+      });
+    }
+
+    // Let admins know a prize is ready to be fulfilled (don't fail the request if email fails)
+    try {
+      await emailService.sendAdminNotification(
+        'Prize Claimed',
+        `A winner has claimed their prize for promo: ${winner.promos?.title}`,
+        {
+          winnerId: winner.id,
+          claimId: claim.id,
+          winnerEmail: winner.customer_email,
+          prizeDescription: winner.prize_description,
+          claimedAt: claim.submitted_at
+        }
+      );
+    } catch (adminEmailError) {
+      console.error('Failed to send admin notification:', adminEmailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Your prize claim has been received',
+      data: {
+        claimId: claim.id,
+        claimedAt: claim.submitted_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getClaim,
+  submitClaim
+};
@@ -1,4 +1,39 @@
 const { supabase } = require('../config/supabase');
+const { normalizePrizeTiers, getPromoPrizeTiers, getPrizeTiersTotalValue } = require('../utils/prizeUtils');
+const { isCountedEntry, getEntriesBySource } = require('../utils/entryUtils');
+const { normalizeBonusActions, getPromoBonusActions, getBonusActionStats } = require('../utils/bonusActionUtils');
+const { getTopReferrers } = require('../utils/referralUtils');
+const { normalizeEntryRules, getPromoEntryRules } = require('../utils/entryRulesUtils');
+const { REPORTING_CURRENCY, normalizeCurrency, getPromoCurrency, getEntryAmountUsd } = require('../utils/currencyUtils');
+const promoLifecycle = require('../services/promoLifecycleService');
+const privacyService = require('../services/privacyService');
+const shopifyApi = require('../services/shopifyApiService');
+
+/**
+ * Look up the products of collection entry rules, so orders are matched without calling Shopify
+ * Collections are re-read every time the rules are saved.
+ * @returns {Promise<Object>} - { rules, status, error }
+ */
+const resolveCollectionRules = async (store, rules) => {
+  const collectionRules = (rules?.productRules || []).filter(rule => rule.collectionId);
+  if (collectionRules.length === 0) {
+    return { rules, status: null, error: null };
+  }
+
+  if (!store?.shopify_domain || !store?.shopify_access_token) {
+    return { rules: null, status: 400, error: 'Connect your Shopify store to use collection rules' };
+  }
+
+  for (const rule of collectionRules) {
+    const result = await shopifyApi.getCollectionProductIds(store.shopify_domain, store.shopify_access_token, rule.collectionId);
+    if (!result.success) {
+      return { rules: null, status: 502, error: `Could not load the products of collection ${rule.collectionId}` };
+    }
+    rule.productIds = result.productIds;
+  }
+
+  return { rules, status: null, error: null };
+};
 
 // @route   GET /api/dashboard
 // @desc    Get dashboard data for authenticated user
@@ -95,6 +130,9 @@ const getDashboardData = async (req, res) => {
       }
     }
 
+    // Entries still awaiting email confirmation (double opt-in) don't count yet, voided ones no longer do
+    entries = entries.filter(isCountedEntry);
+
     // Get winners
     const { data: winners, error: winnersError } = await supabase
       .from('winners')
@@ -129,15 +167,15 @@ const getDashboardData = async (req, res) => {
     
     const activePromos = promos?.filter(p => p.status === 'active').length || 0;
     
-    // Calculate purchase-related metrics for all time
+    // Calculate purchase-related metrics for all time (in USD, whatever the shop's currency)
     const purchaseEntries = entries.filter(e => e.source === 'purchase' && e.order_total);
-    const purchaseVolume = purchaseEntries.reduce((sum, e) => sum + (parseFloat(e.order_total) || 0), 0);
+    const purchaseVolume = purchaseEntries.reduce((sum, e) => sum + getEntryAmountUsd(e), 0);
     const avgOrderValue = purchaseEntries.length > 0 ? purchaseVolume / purchaseEntries.length : 0;
     const totalOrders = purchaseEntries.length;
 
     // Calculate purchase-related metrics for current month
     const currentMonthPurchaseEntries = currentMonthEntries.filter(e => e.source === 'purchase' && e.order_total);
-    const currentMonthPurchaseVolume = currentMonthPurchaseEntries.reduce((sum, e) => sum + (parseFloat(e.order_total) || 0), 0);
+    const currentMonthPurchaseVolume = currentMonthPurchaseEntries.reduce((sum, e) => sum + getEntryAmountUsd(e), 0);
     const currentMonthAvgOrderValue = currentMonthPurchaseEntries.length > 0 
       ? currentMonthPurchaseVolume / currentMonthPurchaseEntries.length 
       : 0;
@@ -145,7 +183,7 @@ const getDashboardData = async (req, res) => {
 
     // Calculate purchase-related metrics for previous month
     const previousMonthPurchaseEntries = previousMonthEntries.filter(e => e.source === 'purchase' && e.order_total);
-    const previousMonthPurchaseVolume = previousMonthPurchaseEntries.reduce((sum, e) => sum + (parseFloat(e.order_total) || 0), 0);
+    const previousMonthPurchaseVolume = previousMonthPurchaseEntries.reduce((sum, e) => sum + getEntryAmountUsd(e), 0);
     const previousMonthAvgOrderValue = previousMonthPurchaseEntries.length > 0 
       ? previousMonthPurchaseVolume / previousMonthPurchaseEntries.length 
       : 0;
@@ -172,7 +210,7 @@ const getDashboardData = async (req, res) => {
     // Calculate dynamic prize pool from active promos
     const activePrizePool = promos
       ?.filter(p => p.status === 'active')
-      .reduce((sum, p) => sum + (parseFloat(p.prize_amount) || 0), 0) || 0;
+      .reduce((sum, p) => sum + getPrizeTiersTotalValue(getPromoPrizeTiers(p)), 0) || 0;
 
     console.log('📊 Calculated Stats:');
     console.log(`  Total Entries: ${totalEntries} (Current Month: ${currentMonthTotalEntries}, Lift: ${entriesLift.toFixed(2)}%)`);
@@ -197,10 +235,13 @@ const getDashboardData = async (req, res) => {
           id: p.id,
           title: p.title,
           prizeAmount: p.prize_amount,
+          prizeTiers: getPromoPrizeTiers(p),
           status: p.status,
           totalEntries: entriesByPromo[p.id] || 0,
           startDate: p.start_date,
           endDate: p.end_date,
+          drawAt: p.draw_at,
+          drawnAt: p.drawn_at,
           createdAt: p.created_at
         })),
         entries: entries.map(e => ({
@@ -214,6 +255,7 @@ const getDashboardData = async (req, res) => {
           id: w.id,
           customerEmail: w.customer_email,
           customerName: w.customer_name,
+          prizeTier: w.prize_tier_name || null,
           prizeDescription: w.prize_description,
           drawnAt: w.drawn_at
         })),
@@ -222,9 +264,11 @@ const getDashboardData = async (req, res) => {
           uniqueEmails,
           activePromos,
           prizePool: Math.round(activePrizePool * 100) / 100, // Dynamic total from active promos
+          currency: REPORTING_CURRENCY,
           purchaseVolume: Math.round(purchaseVolume * 100) / 100, // Round to 2 decimal places
           avgOrderValue: Math.round(avgOrderValue * 100) / 100, // Round to 2 decimal places
           totalOrders,
+          entriesBySource: getEntriesBySource(entries),
           // Current month metrics
           currentMonth: {
             totalEntries: currentMonthTotalEntries,
@@ -305,14 +349,80 @@ const createPromo = async (req, res) => {
     const {
       name,
       description,
-      status = 'active',
+      status,
       enablePurchaseEntries = true,
       entriesPerDollar = 1,
+      requireEmailConfirmation = false,
+      confirmationWindowHours = null,
       prizeAmount = 1000,
       prizeDescription = 'Cash prize',
+      prizeTiers,
+      bonusActions,
+      referralRewardEntries = null,
+      maxReferralRewards = null,
+      referralLandingUrl = null,
+      entryRules,
+      currency,
+      claimDeadlineDays = null,
       startDate,
-      endDate
+      endDate,
+      drawAt = null
     } = req.body;
+
+    const { tiers, error: tiersError } = normalizePrizeTiers(prizeTiers);
+    if (tiersError) {
+      return res.status(400).json({
+        success: false,
+        message: tiersError
+      });
+    }
+
+    const { actions, error: actionsError } = normalizeBonusActions(bonusActions);
+    if (actionsError) {
+      return res.status(400).json({
+        success: false,
+        message: actionsError
+      });
+    }
+
+    if (currency && !normalizeCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter ISO code'
+      });
+    }
+
+    const { rules: parsedRules, error: rulesError } = normalizeEntryRules(entryRules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const { rules, status: resolveStatus, error: resolveError } = await resolveCollectionRules(store, parsedRules);
+    if (resolveError) {
+      return res.status(resolveStatus).json({
+        success: false,
+        message: resolveError
+      });
+    }
+
+    const { status: initialStatus, error: statusError } = promoLifecycle.getInitialStatus(status, startDate);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    const promoEndDate = endDate ? new Date(endDate) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    if (drawAt && new Date(drawAt) < promoEndDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draw time cannot be before the promo end date'
+      });
+    }
     
     // Create new promo
     const { data: promo, error: promoError } = await supabase
@@ -321,12 +431,23 @@ const createPromo = async (req, res) => {
         store_id: store.id,
         title: name,
         prize_description: description || prizeDescription,
-        status,
+        status: initialStatus,
         enable_purchase_entries: enablePurchaseEntries,
         entries_per_dollar: entriesPerDollar,
+        require_email_confirmation: requireEmailConfirmation === true,
+        confirmation_window_hours: confirmationWindowHours ? parseInt(confirmationWindowHours) : null,
         prize_amount: prizeAmount,
+        prize_tiers: tiers,
+        bonus_actions: actions || [],
+        referral_reward_entries: referralRewardEntries ? parseInt(referralRewardEntries) : null,
+        max_referral_rewards: maxReferralRewards ? parseInt(maxReferralRewards) : null,
+        referral_landing_url: referralLandingUrl || null,
+        entry_rules: rules,
+        currency: normalizeCurrency(currency) || normalizeCurrency(process.env.DEFAULT_PROMO_CURRENCY) || REPORTING_CURRENCY,
+        claim_deadline_days: claimDeadlineDays ? parseInt(claimDeadlineDays) : null,
         start_date: startDate ? new Date(startDate).toISOString() : new Date().toISOString(),
-        end_date: endDate ? new Date(endDate).toISOString() : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        end_date: promoEndDate.toISOString(),
+        draw_at: drawAt ? new Date(drawAt).toISOString() : null
       })
       .select()
       .single();
@@ -338,6 +459,14 @@ const createPromo = async (req, res) => {
         error: promoError.message
       });
     }
+
+    await promoLifecycle.recordStatusChange({
+      client: supabase,
+      promoId: promo.id,
+      to: promo.status,
+      userId,
+      reason: 'Promo created'
+    });
     
     res.status(201).json({
       success: true,
@@ -348,8 +477,19 @@ const createPromo = async (req, res) => {
         status: promo.status,
         enablePurchaseEntries: promo.enable_purchase_entries,
         entriesPerDollar: promo.entries_per_dollar,
+        requireEmailConfirmation: promo.require_email_confirmation === true,
+        confirmationWindowHours: promo.confirmation_window_hours,
+        prizeTiers: getPromoPrizeTiers(promo),
+        bonusActions: getPromoBonusActions(promo),
+        referralRewardEntries: promo.referral_reward_entries,
+        maxReferralRewards: promo.max_referral_rewards,
+        referralLandingUrl: promo.referral_landing_url,
+        entryRules: getPromoEntryRules(promo),
+        currency: getPromoCurrency(promo),
+        claimDeadlineDays: promo.claim_deadline_days,
         startDate: promo.start_date,
         endDate: promo.end_date,
+        drawAt: promo.draw_at,
         createdAt: promo.created_at
       }
     });
@@ -396,6 +536,15 @@ const getPromo = async (req, res) => {
       .eq('promo_id', promoId)
       .order('created_at', { ascending: false });
 
+    const { data: referrals, error: referralsError } = await supabase
+      .from('referrals')
+      .select('reward_entry_count, referral_codes(code, customer_email)')
+      .eq('promo_id', promoId);
+
+    if (referralsError) {
+      console.error('Error fetching referrals:', referralsError);
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -404,18 +553,35 @@ const getPromo = async (req, res) => {
           title: promo.title,
           prizeDescription: promo.prize_description,
           prizeAmount: promo.prize_amount,
+          prizeTiers: getPromoPrizeTiers(promo),
+          claimDeadlineDays: promo.claim_deadline_days,
           status: promo.status,
           startDate: promo.start_date,
           endDate: promo.end_date,
+          drawAt: promo.draw_at,
+          drawnAt: promo.drawn_at,
           enablePurchaseEntries: promo.enable_purchase_entries,
           entriesPerDollar: promo.entries_per_dollar,
+          requireEmailConfirmation: promo.require_email_confirmation === true,
+          confirmationWindowHours: promo.confirmation_window_hours,
+          bonusActions: getPromoBonusActions(promo),
+          referralRewardEntries: promo.referral_reward_entries,
+          maxReferralRewards: promo.max_referral_rewards,
+          referralLandingUrl: promo.referral_landing_url,
+          entryRules: getPromoEntryRules(promo),
+          currency: getPromoCurrency(promo),
           createdAt: promo.created_at
         },
+        topReferrers: getTopReferrers(referrals || []),
+        bonusActionStats: getBonusActionStats(getPromoBonusActions(promo), (entries || []).filter(isCountedEntry)),
+        entriesBySource: getEntriesBySource((entries || []).filter(isCountedEntry)),
         entries: (entries || []).map(e => ({
           id: e.id,
           email: e.customer_email,
           entryCount: e.entry_count,
           source: e.source,
+          status: e.status,
+          fraudStatus: e.fraud_status || null,
           createdAt: e.created_at
         }))
       }
@@ -443,7 +609,7 @@ const updatePromo = async (req, res) => {
       .from('promos')
       .select(`
         *,
-        stores!inner(user_id)
+        stores!inner(user_id, shopify_domain, shopify_access_token)
       `)
       .eq('id', promoId)
       .eq('stores.user_id', userId)
@@ -456,31 +622,133 @@ const updatePromo = async (req, res) => {
       });
     }
 
-    // Update promo
-    const { data: updatedPromo, error: updateError } = await supabase
-      .from('promos')
-      .update({
-        title: updates.name || existingPromo.title,
-        prize_description: updates.description || existingPromo.prize_description,
-        status: updates.status || existingPromo.status,
-        enable_purchase_entries: updates.enablePurchaseEntries !== undefined ? updates.enablePurchaseEntries : existingPromo.enable_purchase_entries,
-        entries_per_dollar: updates.entriesPerDollar || existingPromo.entries_per_dollar,
-        prize_amount: updates.prizeAmount || existingPromo.prize_amount,
-        start_date: updates.startDate ? new Date(updates.startDate).toISOString() : existingPromo.start_date,
-        end_date: updates.endDate ? new Date(updates.endDate).toISOString() : existingPromo.end_date
-      })
-      .eq('id', promoId)
-      .select()
-      .single();
+    const { tiers, error: tiersError } = normalizePrizeTiers(updates.prizeTiers);
+    if (tiersError) {
+      return res.status(400).json({
+        success: false,
+        message: tiersError
+      });
+    }
 
-    if (updateError) {
-      return res.status(500).json({
+    const { actions, error: actionsError } = normalizeBonusActions(updates.bonusActions);
+    if (actionsError) {
+      return res.status(400).json({
+        success: false,
+        message: actionsError
+      });
+    }
+
+    if (updates.currency && !normalizeCurrency(updates.currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter ISO code'
+      });
+    }
+
+    const { rules: parsedRules, error: rulesError } = normalizeEntryRules(updates.entryRules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const { rules, status: resolveStatus, error: resolveError } = await resolveCollectionRules(existingPromo.stores, parsedRules);
+    if (resolveError) {
+      return res.status(resolveStatus).json({
+        success: false,
+        message: resolveError
+      });
+    }
+
+    const newEndDate = updates.endDate ? new Date(updates.endDate) : existingPromo.end_date && new Date(existingPromo.end_date);
+    const newDrawAt = updates.drawAt !== undefined
+      ? (updates.drawAt ? new Date(updates.drawAt) : null)
+      : existingPromo.draw_at && new Date(existingPromo.draw_at);
+    if (newDrawAt && newEndDate && newDrawAt < newEndDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draw time cannot be before the promo end date'
+      });
+    }
+
+    const fieldUpdates = {
+      title: updates.name || existingPromo.title,
+      prize_description: updates.description || existingPromo.prize_description,
+      enable_purchase_entries: updates.enablePurchaseEntries !== undefined ? updates.enablePurchaseEntries : existingPromo.enable_purchase_entries,
+      entries_per_dollar: updates.entriesPerDollar || existingPromo.entries_per_dollar,
+      require_email_confirmation: updates.requireEmailConfirmation !== undefined ? updates.requireEmailConfirmation === true : existingPromo.require_email_confirmation,
+      confirmation_window_hours: updates.confirmationWindowHours !== undefined
+        ? (updates.confirmationWindowHours ? parseInt(updates.confirmationWindowHours) : null)
+        : existingPromo.confirmation_window_hours,
+      prize_amount: updates.prizeAmount || existingPromo.prize_amount,
+      prize_tiers: updates.prizeTiers !== undefined ? tiers : existingPromo.prize_tiers,
+      bonus_actions: updates.bonusActions !== undefined ? (actions || []) : existingPromo.bonus_actions,
+      referral_reward_entries: updates.referralRewardEntries !== undefined
+        ? (updates.referralRewardEntries ? parseInt(updates.referralRewardEntries) : null)
+        : existingPromo.referral_reward_entries,
+      max_referral_rewards: updates.maxReferralRewards !== undefined
+        ? (updates.maxReferralRewards ? parseInt(updates.maxReferralRewards) : null)
+        : existingPromo.max_referral_rewards,
+      referral_landing_url: updates.referralLandingUrl !== undefined ? (updates.referralLandingUrl || null) : existingPromo.referral_landing_url,
+      entry_rules: updates.entryRules !== undefined ? rules : existingPromo.entry_rules,
+      currency: updates.currency ? normalizeCurrency(updates.currency) : existingPromo.currency,
+      claim_deadline_days: updates.claimDeadlineDays !== undefined
+        ? (updates.claimDeadlineDays ? parseInt(updates.claimDeadlineDays) : null)
+        : existingPromo.claim_deadline_days,
+      start_date: updates.startDate ? new Date(updates.startDate).toISOString() : existingPromo.start_date,
+      end_date: updates.endDate ? new Date(updates.endDate).toISOString() : existingPromo.end_date,
+      draw_at: newDrawAt ? newDrawAt.toISOString() : null
+    };
+
+    const editable = await promoLifecycle.checkPromoEditable(supabase, existingPromo, fieldUpdates);
+    if (!editable.allowed) {
+      return res.status(409).json({
         success: false,
-        message: 'Error updating promo',
-        error: updateError.message
+        message: editable.message
       });
     }
 
+    let updatedPromo;
+
+    if (updates.status && updates.status !== existingPromo.status) {
+      // Status changes go through the lifecycle, together with the field updates
+      const result = await promoLifecycle.transitionPromo({
+        client: supabase,
+        promo: existingPromo,
+        to: updates.status,
+        userId,
+        reason: updates.statusReason || null,
+        updates: fieldUpdates
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      updatedPromo = result.promo;
+    } else {
+      const { data, error: updateError } = await supabase
+        .from('promos')
+        .update(fieldUpdates)
+        .eq('id', promoId)
+        .select()
+        .single();
+
+      if (updateError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating promo',
+          error: updateError.message
+        });
+      }
+
+      updatedPromo = data;
+    }
+
     res.status(200).json({
       success: true,
       message: 'Promo updated successfully',
@@ -490,8 +758,19 @@ const updatePromo = async (req, res) => {
         status: updatedPromo.status,
         enablePurchaseEntries: updatedPromo.enable_purchase_entries,
         entriesPerDollar: updatedPromo.entries_per_dollar,
+        requireEmailConfirmation: updatedPromo.require_email_confirmation === true,
+        confirmationWindowHours: updatedPromo.confirmation_window_hours,
+        prizeTiers: getPromoPrizeTiers(updatedPromo),
+        bonusActions: getPromoBonusActions(updatedPromo),
+        referralRewardEntries: updatedPromo.referral_reward_entries,
+        maxReferralRewards: updatedPromo.max_referral_rewards,
+        referralLandingUrl: updatedPromo.referral_landing_url,
+        entryRules: getPromoEntryRules(updatedPromo),
+        currency: getPromoCurrency(updatedPromo),
+        claimDeadlineDays: updatedPromo.claim_deadline_days,
         startDate: updatedPromo.start_date,
         endDate: updatedPromo.end_date,
+        drawAt: updatedPromo.draw_at,
         updatedAt: updatedPromo.updated_at
       }
     });
@@ -504,6 +783,59 @@ const updatePromo = async (req, res) => {
   }
 };
 
+// @route   GET /api/dashboard/promos/:id/history
+// @desc    Get the status history of a promo
+// @access  Private
+const getPromoHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const promoId = req.params.id;
+
+    // Verify promo belongs to user (admins can view any promo)
+    let query = supabase
+      .from('promos')
+      .select('id, title, status, stores!inner(user_id)')
+      .eq('id', promoId);
+
+    if (req.user.role !== 'admin') {
+      query = query.eq('stores.user_id', userId);
+    }
+
+    const { data: promo, error: promoError } = await query.single();
+
+    if (promoError || !promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const history = await promoLifecycle.getStatusHistory(supabase, promoId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoId: promo.id,
+        status: promo.status,
+        history: history.map(h => ({
+          id: h.id,
+          fromStatus: h.from_status,
+          toStatus: h.to_status,
+          changedBy: h.changed_by,
+          reason: h.reason,
+          changedAt: h.changed_at
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo history',
+      error: error.message
+    });
+  }
+};
+
 // @route   DELETE /api/dashboard/promos/:id
 // @desc    Delete a promo
 // @access  Private (Store owners can delete their own promos, admins can delete any promo)
@@ -569,6 +901,15 @@ const deletePromo = async (req, res) => {
       }
     }
 
+    // Entries of a promo that drew winners are the record of the draw; keep them
+    const deletable = await promoLifecycle.checkPromoDeletable(supabase, { id: promoId });
+    if (!deletable.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: deletable.message
+      });
+    }
+
     // Delete the promo (entries will be cascade deleted by database)
     const { error: deleteError } = await supabase
       .from('promos')
@@ -755,6 +1096,7 @@ const exportData = async (req, res) => {
             id,
             shopify_order_id,
             customer_email,
+            total_amount,
             total_amount_usd,
             currency,
             order_date,
@@ -771,8 +1113,10 @@ const exportData = async (req, res) => {
           shop_domain: purchase.shopify_shops?.shop_domain || 'N/A',
           shopify_order_id: purchase.shopify_order_id,
           customer_email: purchase.customer_email,
-          total_amount: purchase.total_amount_usd,
+          // Purchases recorded before currency conversion only have the (unconverted) total_amount_usd
+          total_amount: purchase.total_amount ?? purchase.total_amount_usd,
           currency: purchase.currency,
+          total_amount_usd: purchase.total_amount_usd,
           order_date: new Date(purchase.order_date).toISOString(),
           imported_at: new Date(purchase.created_at).toISOString()
         })) || [];
@@ -805,11 +1149,106 @@ const exportData = async (req, res) => {
   }
 };
 
+// @route   GET /api/dashboard/privacy-requests
+// @desc    List the privacy requests (GDPR webhooks) Shopify sent for the user's store
+// @access  Private
+const getPrivacyRequests = async (req, res) => {
+  try {
+    const { data: store, error: storeError } = await supabase
+      .from('stores')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (storeError || !store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const requests = await privacyService.listPrivacyRequests(store.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: requests.map(r => ({
+        id: r.id,
+        type: r.request_type,
+        shopifyRequestId: r.shopify_request_id,
+        orderIds: r.order_ids,
+        status: r.status,
+        recordsAffected: r.records_affected,
+        requestedAt: r.requested_at,
+        completedAt: r.completed_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching privacy requests',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/dashboard/privacy-requests/:id/export
+// @desc    Download the customer data collected for a data request
+// @access  Private
+const getPrivacyRequestExport = async (req, res) => {
+  try {
+    const { data: store, error: storeError } = await supabase
+      .from('stores')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (storeError || !store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const request = await privacyService.getPrivacyRequest(store.id, req.params.id);
+
+    if (!request || request.request_type !== 'customers/data_request') {
+      return res.status(404).json({
+        success: false,
+        message: 'Data request not found'
+      });
+    }
+
+    // Exports are cleared when the customer is redacted afterwards
+    if (!request.export_data) {
+      return res.status(410).json({
+        success: false,
+        message: 'The export for this data request is no longer available'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="data-request-${request.id}.json"`);
+    res.status(200).send(JSON.stringify(request.export_data, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching data request export',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getDashboardData,
   createPromo,
   getPromo,
   updatePromo,
   deletePromo,
-  exportData
+  getPromoHistory,
+  exportData,
+  getPrivacyRequests,
+  getPrivacyRequestExport
 };
\ No newline at end of file
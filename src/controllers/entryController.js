@@ -1,6 +1,91 @@
 const { supabase } = require('../config/supabase');
-const crypto = require('crypto');
 const emailService = require('../services/emailService');
+const { isEmailSuppressed } = require('../services/privacyService');
+const { assessEntry } = require('../services/fraudService');
+const { maskEmail } = require('../utils/claimUtils');
+const { recordBonusAction } = require('../services/bonusActionService');
+const { getOrCreateReferralCode, recordReferral } = require('../services/referralService');
+const { UNEXPIRED_ENTRY_FILTER, BASE_ENTRY_FILTER, isManualEntrySource, isCountedEntry, isActiveEntry, getEntriesBySource } = require('../utils/entryUtils');
+const { getPromoBonusActions } = require('../utils/bonusActionUtils');
+const { getClientIp } = require('../utils/rateLimitUtils');
+const { getReferralUrl, normalizeReferralCode } = require('../utils/referralUtils');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const {
+  getConfirmationExpiry,
+  createConfirmationToken,
+  verifyConfirmationToken,
+  getConfirmationUrl
+} = require('../utils/confirmationUtils');
+
+// Promo statuses a pending entry can still be confirmed in (a closed promo may not be drawn yet)
+const CONFIRMABLE_PROMO_STATUSES = ['active', 'closed'];
+
+/**
+ * Email the confirmation link for a pending entry; failures are logged, never thrown
+ */
+const sendEntryConfirmation = async (entry, promo) => {
+  try {
+    const token = createConfirmationToken(entry.id, new Date(entry.confirmation_expires_at));
+    const promoName = promo.title || promo.name || 'Rafl Sweepstakes';
+    await emailService.sendEntryConfirmationEmail(entry.customer_email, promoName, getConfirmationUrl(token), entry.confirmation_expires_at);
+    console.log('Confirmation email sent for pending entry:', entry.id);
+  } catch (emailError) {
+    console.error('Failed to send entry confirmation email:', emailError);
+  }
+};
+
+/**
+ * Add a counted manual entrant to the waitlist, credit their referrer and send the welcome email
+ * Runs on entry, or on confirmation for promos that require it.
+ */
+const completeManualEntry = async (entry, promo, referralCode = null) => {
+  const email = entry.customer_email;
+
+  if (entry.metadata?.referral_code) {
+    const referral = await recordReferral({
+      client: supabase,
+      promo,
+      code: entry.metadata.referral_code,
+      referredEntry: entry,
+      attributedVia: 'manual_entry'
+    });
+    if (!referral.success) {
+      console.log(`Referral code ${entry.metadata.referral_code} not credited for entry ${entry.id}: ${referral.message}`);
+    }
+  }
+
+  const ownCode = referralCode || await getOrCreateReferralCode({ client: supabase, promo, email });
+
+  // Also add to waitlist if not already there (unless the address unsubscribed)
+  if (!(await isEmailSuppressed(email))) {
+    const { error: waitlistError } = await supabase
+      .from('waitlist')
+      .insert({
+        email,
+        source: entry.source,
+        utm_source: 'organic',
+        utm_campaign: 'manual_entry'
+      })
+      .select()
+      .single();
+
+    if (waitlistError && waitlistError.code !== '23505') {
+      // 23505 is unique constraint violation (already in waitlist)
+      console.error('Error adding to waitlist:', waitlistError);
+      // Don't fail the request for waitlist errors
+    }
+  }
+
+  // Send welcome email (don't fail the request if email fails)
+  try {
+    const promoName = promo.title || promo.name || 'Rafl Sweepstakes';
+    await emailService.sendWelcomeEmail(email, promoName, entry.id, ownCode ? getReferralUrl(promo, ownCode.code) : null);
+    console.log('Welcome email sent successfully for entry:', entry.id);
+  } catch (emailError) {
+    console.error('Failed to send welcome email:', emailError);
+    // Don't fail the request for email errors
+  }
+};
 
 /**
  * Create manual entry (No Purchase Necessary)
@@ -8,7 +93,7 @@ const emailService = require('../services/emailService');
  */
 const createManualEntry = async (req, res) => {
   try {
-    const { email, promoId, source = 'direct', consentBrand = false, consentRafl = true } = req.body;
+    const { email, promoId, source = 'direct', consentBrand = false, consentRafl = true, referralCode: usedReferralCode } = req.body;
 
     // Validate required fields
     if (!email || !promoId) {
@@ -27,6 +112,14 @@ const createManualEntry = async (req, res) => {
       });
     }
 
+    // Bonus, referral and purchase sources are set by the server only
+    if (!isManualEntrySource(source)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entry source'
+      });
+    }
+
     // Get promo details and verify it's active
     const { data: promo, error: promoError } = await supabase
       .from('promos')
@@ -61,15 +154,17 @@ const createManualEntry = async (req, res) => {
       });
     }
 
-    // Hash email for privacy
-    const hashedEmail = crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
+    // Hash the canonical email, so aliases of one mailbox share the entry limit
+    const hashedEmail = hashCanonicalEmail(email);
 
-    // Check for existing entries from this email
+    // Check for existing entries from this email; expired (never confirmed) and bonus entries don't count
     const { data: existingEntries, error: entriesError } = await supabase
       .from('entries')
-      .select('id, entry_count, source, created_at')
+      .select('*')
       .eq('promo_id', promoId)
-      .eq('hashed_email', hashedEmail);
+      .eq('hashed_email', hashedEmail)
+      .or(UNEXPIRED_ENTRY_FILTER)
+      .or(BASE_ENTRY_FILTER);
 
     if (entriesError) {
       console.error('Error checking existing entries:', entriesError);
@@ -84,6 +179,22 @@ const createManualEntry = async (req, res) => {
     const maxEntriesPerEmail = promo.max_entries_per_email || 1;
 
     if (currentEntryCount >= maxEntriesPerEmail) {
+      // An entrant who lost the confirmation email gets it again instead of an error
+      const pendingEntry = existingEntries.find(e => e.status === 'pending');
+      if (pendingEntry) {
+        await sendEntryConfirmation(pendingEntry, promo);
+        return res.status(200).json({
+          success: true,
+          message: 'Your entry is waiting for confirmation - we sent the confirmation email again',
+          data: {
+            entryId: pendingEntry.id,
+            promoId: promoId,
+            status: 'pending',
+            confirmationExpiresAt: pendingEntry.confirmation_expires_at
+          }
+        });
+      }
+
       return res.status(400).json({
         success: false,
         message: `Maximum entries per email reached (${maxEntriesPerEmail})`,
@@ -94,10 +205,7 @@ const createManualEntry = async (req, res) => {
     }
 
     // Get client IP and user agent
-    const ipAddress = req.headers['x-forwarded-for']?.split(',')[0] || 
-                     req.headers['x-real-ip'] || 
-                     req.connection?.remoteAddress || 
-                     'unknown';
+    const ipAddress = getClientIp(req);
     const userAgent = req.headers['user-agent'] || 'unknown';
 
     // Check IP-based entry limits (if provided)
@@ -107,6 +215,8 @@ const createManualEntry = async (req, res) => {
         .from('entries')
         .select('id')
         .eq('promo_id', promoId)
+        .or(UNEXPIRED_ENTRY_FILTER)
+        .or(BASE_ENTRY_FILTER)
         .contains('metadata', { ip_address: ipAddress });
 
       if (ipError) {
@@ -121,6 +231,9 @@ const createManualEntry = async (req, res) => {
       }
     }
 
+    // Double opt-in promos hold the entry as pending until the email is confirmed
+    const requiresConfirmation = promo.require_email_confirmation === true;
+
     // Create entry
     const { data: entry, error: entryError } = await supabase
       .from('entries')
@@ -136,11 +249,14 @@ const createManualEntry = async (req, res) => {
         consent_brand: consentBrand,
         consent_rafl: consentRafl,
         is_manual: true,
+        status: requiresConfirmation ? 'pending' : 'active',
+        confirmation_expires_at: requiresConfirmation ? getConfirmationExpiry(promo).toISOString() : null,
         metadata: {
           ip_address: ipAddress,
           user_agent: userAgent,
           entry_type: 'manual',
-          created_via: 'waitlist_form'
+          created_via: 'waitlist_form',
+          referral_code: normalizeReferralCode(usedReferralCode) || undefined
         }
       })
       .select()
@@ -172,43 +288,33 @@ const createManualEntry = async (req, res) => {
       // Don't fail the request for consent log errors
     }
 
-    // Also add to waitlist if not already there
-    const { error: waitlistError } = await supabase
-      .from('waitlist')
-      .insert({
-        email: email.toLowerCase().trim(),
-        source: source,
-        utm_source: 'organic',
-        utm_campaign: 'manual_entry'
-      })
-      .select()
-      .single();
+    // Score for abuse; suspicious entries are flagged or quarantined for review, not refused
+    await assessEntry({ client: supabase, entry });
 
-    if (waitlistError && waitlistError.code !== '23505') {
-      // 23505 is unique constraint violation (already in waitlist)
-      console.error('Error adding to waitlist:', waitlistError);
-      // Don't fail the request for waitlist errors
-    }
+    // The entrant's own code to share; referrals through it are credited once their friends' entries count
+    const referralCode = await getOrCreateReferralCode({ client: supabase, promo, email });
 
-    // Send welcome email (don't fail the request if email fails)
-    try {
-      const promoName = promo.title || promo.name || 'Rafl Sweepstakes';
-      await emailService.sendWelcomeEmail(email.toLowerCase().trim(), promoName, entry.id);
-      console.log('Welcome email sent successfully for entry:', entry.id);
-    } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-      // Don't fail the request for email errors
+    if (requiresConfirmation) {
+      await sendEntryConfirmation(entry, promo);
+    } else {
+      await completeManualEntry(entry, promo, referralCode);
     }
 
     res.status(201).json({
       success: true,
-      message: 'Entry created successfully',
+      message: requiresConfirmation
+        ? 'Entry created - check your email to confirm it'
+        : 'Entry created successfully',
       data: {
         entryId: entry.id,
         promoId: promoId,
         email: email.toLowerCase().trim(),
         entryCount: 1,
         source: source,
+        status: entry.status,
+        confirmationExpiresAt: entry.confirmation_expires_at,
+        referralCode: referralCode?.code || null,
+        referralUrl: referralCode ? getReferralUrl(promo, referralCode.code) : null,
         createdAt: entry.created_at
       }
     });
@@ -223,6 +329,101 @@ const createManualEntry = async (req, res) => {
   }
 };
 
+/**
+ * Record a completed bonus action and award its entries
+ * POST /api/entries/bonus-actions
+ */
+const createBonusActionEntry = async (req, res) => {
+  try {
+    const { email, promoId, actionId, channel, friendEmail } = req.body;
+
+    if (!email || !promoId || !actionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, promo ID and action ID are required'
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email format'
+      });
+    }
+
+    const { data: promo, error: promoError } = await supabase
+      .from('promos')
+      .select('*')
+      .eq('id', promoId)
+      .eq('status', 'active')
+      .single();
+
+    if (promoError || !promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active promo not found'
+      });
+    }
+
+    const now = new Date();
+    if ((promo.start_date && now < new Date(promo.start_date)) || (promo.end_date && now > new Date(promo.end_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo is not accepting entries'
+      });
+    }
+
+    const action = getPromoBonusActions(promo).find(a => a.id === actionId);
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bonus action not found'
+      });
+    }
+
+    const result = await recordBonusAction({
+      client: supabase,
+      promo,
+      action,
+      email,
+      channel,
+      friendEmail,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Bonus entries awarded for "${action.label}"`,
+      data: {
+        entryId: result.entry.id,
+        promoId: promo.id,
+        actionId: action.id,
+        actionType: action.type,
+        entryCount: result.entry.entry_count,
+        source: result.entry.source,
+        createdAt: result.entry.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Bonus action entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get entries for a specific promo
  * GET /api/entries/:promoId
@@ -272,11 +473,14 @@ const getEntriesForPromo = async (req, res) => {
       });
     }
 
-    // Calculate stats
-    const totalEntries = entries?.length || 0;
-    const uniqueEmails = new Set(entries?.map(e => e.customer_email)).size;
-    const manualEntries = entries?.filter(e => e.is_manual).length || 0;
-    const purchaseEntries = entries?.filter(e => e.source === 'purchase').length || 0;
+    // Calculate stats; entries awaiting email confirmation and voided entries aren't counted
+    const confirmedEntries = entries?.filter(isCountedEntry) || [];
+    const totalEntries = confirmedEntries.length;
+    const uniqueEmails = new Set(confirmedEntries.map(e => e.customer_email)).size;
+    const manualEntries = confirmedEntries.filter(e => e.is_manual).length;
+    const purchaseEntries = confirmedEntries.filter(e => e.source === 'purchase').length;
+    const bonusEntries = confirmedEntries.filter(e => e.source?.startsWith('bonus_')).length;
+    const pendingEntries = entries?.filter(e => e.status === 'pending').length || 0;
 
     res.status(200).json({
       success: true,
@@ -294,13 +498,18 @@ const getEntriesForPromo = async (req, res) => {
           entryCount: e.entry_count,
           source: e.source,
           isManual: e.is_manual,
+          status: e.status,
+          fraudStatus: e.fraud_status || null,
           createdAt: e.created_at
         })) || [],
         stats: {
           totalEntries,
           uniqueEmails,
           manualEntries,
-          purchaseEntries
+          purchaseEntries,
+          bonusEntries,
+          pendingEntries,
+          entriesBySource: getEntriesBySource(confirmedEntries)
         }
       }
     });
@@ -331,6 +540,9 @@ const getActivePromos = async (req, res) => {
         start_date,
         end_date,
         max_entries_per_email,
+        require_email_confirmation,
+        bonus_actions,
+        referral_reward_entries,
         stores!inner(store_name)
       `)
       .eq('status', 'active')
@@ -363,6 +575,9 @@ const getActivePromos = async (req, res) => {
           prizeAmount: promo.prize_amount,
           storeName: promo.stores.store_name,
           maxEntriesPerEmail: promo.max_entries_per_email,
+          requireEmailConfirmation: promo.require_email_confirmation === true,
+          bonusActions: getPromoBonusActions(promo),
+          referralRewardEntries: promo.referral_reward_entries || 0,
           startDate: promo.start_date,
           endDate: promo.end_date
         }))
@@ -428,8 +643,12 @@ const createWaitlistEntry = async (req, res) => {
 
     // Send waitlist welcome email (don't fail the request if email fails)
     try {
-      await emailService.sendWaitlistWelcomeEmail(email.toLowerCase().trim());
-      console.log('Waitlist welcome email sent successfully for:', email);
+      if (await isEmailSuppressed(email)) {
+        console.log('Skipping waitlist welcome email for unsubscribed address');
+      } else {
+        await emailService.sendWaitlistWelcomeEmail(email.toLowerCase().trim());
+        console.log('Waitlist welcome email sent successfully for:', email);
+      }
     } catch (emailError) {
       console.error('Failed to send waitlist welcome email:', emailError);
       // Don't fail the request for email errors
@@ -456,8 +675,162 @@ const createWaitlistEntry = async (req, res) => {
   }
 };
 
+/**
+ * Load the entry and promo behind a confirmation link
+ * Returns { entry, promo } or { status, message } when the link can't be used.
+ */
+const loadConfirmationEntry = async (token) => {
+  const { valid, payload, expired } = verifyConfirmationToken(token);
+
+  if (!valid) {
+    return expired
+      ? { status: 410, message: 'This confirmation link has expired' }
+      : { status: 401, message: 'Invalid confirmation link' };
+  }
+
+  const { data: entry, error } = await supabase
+    .from('entries')
+    .select('*, promos(id, title, status)')
+    .eq('id', payload.entryId)
+    .single();
+
+  if (error || !entry) {
+    return { status: 404, message: 'Entry not found' };
+  }
+
+  return { entry, promo: entry.promos };
+};
+
+/**
+ * Show the entry a confirmation link is for
+ * GET /api/entries/confirm/:token
+ */
+const getEntryConfirmation = async (req, res) => {
+  try {
+    const { entry, promo, status, message } = await loadConfirmationEntry(req.params.token);
+
+    if (!entry) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entryId: entry.id,
+        maskedEmail: maskEmail(entry.customer_email),
+        promoTitle: promo?.title || null,
+        status: entry.status,
+        confirmationExpiresAt: entry.confirmation_expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Get entry confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm a pending entry so it counts in the draw
+ * POST /api/entries/confirm/:token
+ */
+const confirmEntry = async (req, res) => {
+  try {
+    const { entry, promo, status, message } = await loadConfirmationEntry(req.params.token);
+
+    if (!entry) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (isActiveEntry(entry)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Entry already confirmed',
+        data: { entryId: entry.id, status: entry.status, confirmedAt: entry.confirmed_at }
+      });
+    }
+
+    const now = new Date();
+    if (entry.status !== 'pending' ||
+        (entry.confirmation_expires_at && new Date(entry.confirmation_expires_at) < now)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This entry has expired. Please enter again.'
+      });
+    }
+
+    if (!promo || !CONFIRMABLE_PROMO_STATUSES.includes(promo.status)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This promo is no longer accepting entries'
+      });
+    }
+
+    // Only a still-pending entry is confirmed, so a concurrent expiry or confirmation wins once
+    const { data: confirmed, error: confirmError } = await supabase
+      .from('entries')
+      .update({
+        status: 'active',
+        confirmed_at: now.toISOString()
+      })
+      .eq('id', entry.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (confirmError) {
+      console.error('Error confirming entry:', confirmError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error confirming entry'
+      });
+    }
+
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This entry was already confirmed or has expired'
+      });
+    }
+
+    console.log(`✅ Entry ${confirmed.id} confirmed by email`);
+
+    await completeManualEntry(confirmed, promo);
+
+    res.status(200).json({
+      success: true,
+      message: 'Entry confirmed',
+      data: {
+        entryId: confirmed.id,
+        promoId: confirmed.promo_id,
+        status: confirmed.status,
+        confirmedAt: confirmed.confirmed_at
+      }
+    });
+  } catch (error) {
+    console.error('Confirm entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createManualEntry,
+  createBonusActionEntry,
+  getEntryConfirmation,
+  confirmEntry,
   createWaitlistEntry,
   getEntriesForPromo,
   getActivePromos
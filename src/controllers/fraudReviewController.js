@@ -0,0 +1,158 @@
+const { supabase } = require('../config/supabase');
+const fraudService = require('../services/fraudService');
+const { REVIEW_FRAUD_STATUSES } = require('../utils/fraudUtils');
+
+/**
+ * Stores owned by the signed-in merchant
+ */
+const getMerchantStoreIds = async (req) => {
+  const { data: stores, error } = await supabase
+    .from('stores')
+    .select('id')
+    .eq('user_id', req.user.id);
+
+  if (error) {
+    throw new Error(`Failed to load stores: ${error.message}`);
+  }
+
+  return (stores || []).map(store => store.id);
+};
+
+const formatReviewEntry = (entry) => ({
+  id: entry.id,
+  promoId: entry.promo_id,
+  promoTitle: entry.promos?.title || null,
+  storeId: entry.store_id,
+  email: entry.customer_email,
+  entryCount: entry.entry_count,
+  source: entry.source,
+  orderId: entry.order_id,
+  status: entry.status,
+  fraudStatus: entry.fraud_status,
+  fraudScore: entry.fraud_score,
+  fraudSignals: entry.fraud_signals || [],
+  fraudCheckedAt: entry.fraud_checked_at,
+  createdAt: entry.created_at
+});
+
+const listQueue = async (req, res, { admin }) => {
+  try {
+    if (admin && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const { status = null, promoId = null } = req.query;
+    if (status && !REVIEW_FRAUD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: ${REVIEW_FRAUD_STATUSES.join(', ')}`
+      });
+    }
+
+    // Admins see every store unless they filter by one
+    const storeIds = admin
+      ? (req.query.storeId ? [req.query.storeId] : null)
+      : await getMerchantStoreIds(req);
+    if (storeIds && storeIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const entries = await fraudService.listReviewQueue({
+      client: supabase,
+      storeIds,
+      status,
+      promoId,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: entries.map(formatReviewEntry)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue',
+      error: error.message
+    });
+  }
+};
+
+const review = async (req, res, { admin }) => {
+  try {
+    if (admin && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const { decision, note = null } = req.body;
+    const storeIds = admin ? null : await getMerchantStoreIds(req);
+
+    const result = await fraudService.reviewEntry({
+      client: supabase,
+      entryId: req.params.entryId,
+      storeIds,
+      decision,
+      note,
+      reviewedBy: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Entry ${result.entry.fraud_status}`,
+      data: {
+        entry: formatReviewEntry(result.entry),
+        forfeitedWinnerIds: result.forfeitedWinnerIds
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing entry',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/dashboard/fraud/review-queue
+// @desc    Flagged and quarantined entries in the merchant's stores
+// @access  Private
+const getStoreReviewQueue = (req, res) => listQueue(req, res, { admin: false });
+
+// @route   POST /api/dashboard/fraud/entries/:entryId/review
+// @desc    Approve or reject an entry in the merchant's stores
+// @access  Private
+const reviewStoreEntry = (req, res) => review(req, res, { admin: false });
+
+// @route   GET /api/admin/fraud/review-queue
+// @desc    Flagged and quarantined entries across all stores (optional storeId filter)
+// @access  Private (Admin only)
+const getAdminReviewQueue = (req, res) => listQueue(req, res, { admin: true });
+
+// @route   POST /api/admin/fraud/entries/:entryId/review
+// @desc    Approve or reject any entry
+// @access  Private (Admin only)
+const reviewAdminEntry = (req, res) => review(req, res, { admin: true });
+
+module.exports = {
+  getStoreReviewQueue,
+  reviewStoreEntry,
+  getAdminReviewQueue,
+  reviewAdminEntry
+};
@@ -0,0 +1,144 @@
+const { supabase } = require('../config/supabase');
+const orderBackfillService = require('../services/orderBackfillService');
+
+/**
+ * Load a promo, limited to the merchant's stores unless the caller is an admin
+ */
+const findPromo = async (req, { admin }) => {
+  let query = supabase
+    .from('promos')
+    .select('*, stores!inner(user_id)')
+    .eq('id', req.params.id);
+
+  if (!admin) {
+    query = query.eq('stores.user_id', req.user.id);
+  }
+
+  const { data: promo, error } = await query.single();
+  return error ? null : promo;
+};
+
+const formatBackfill = (backfill) => ({
+  id: backfill.id,
+  promoId: backfill.promo_id,
+  storeId: backfill.store_id,
+  status: backfill.status,
+  createdAtMin: backfill.created_at_min,
+  createdAtMax: backfill.created_at_max,
+  ordersScanned: backfill.orders_scanned,
+  ordersImported: backfill.orders_imported,
+  ordersSkipped: backfill.orders_skipped,
+  entriesCreated: backfill.entries_created,
+  errors: backfill.errors_count,
+  lastError: backfill.last_error,
+  requestedAt: backfill.created_at,
+  startedAt: backfill.started_at,
+  completedAt: backfill.completed_at
+});
+
+const start = async (req, res, { admin }) => {
+  try {
+    if (admin && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const promo = await findPromo(req, { admin });
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const { createdAtMin = null, createdAtMax = null } = req.body || {};
+
+    const result = await orderBackfillService.startOrderBackfill({
+      client: supabase,
+      promo,
+      requestedBy: req.user.id,
+      createdAtMin,
+      createdAtMax
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Order backfill queued',
+      data: formatBackfill(result.backfill)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting order backfill',
+      error: error.message
+    });
+  }
+};
+
+const list = async (req, res, { admin }) => {
+  try {
+    if (admin && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const promo = await findPromo(req, { admin });
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const backfills = await orderBackfillService.listOrderBackfills(supabase, promo.id);
+
+    res.status(200).json({
+      success: true,
+      data: backfills.map(formatBackfill)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order backfills',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/dashboard/promos/:id/backfill
+// @desc    Import the promo's orders that no webhook delivered (optional createdAtMin/createdAtMax)
+// @access  Private
+const startPromoBackfill = (req, res) => start(req, res, { admin: false });
+
+// @route   GET /api/dashboard/promos/:id/backfill
+// @desc    Progress of the promo's order backfills
+// @access  Private
+const getPromoBackfills = (req, res) => list(req, res, { admin: false });
+
+// @route   POST /api/admin/promos/:id/backfill
+// @desc    Import any promo's missed orders, e.g. after a webhook outage
+// @access  Private (Admin only)
+const startAdminBackfill = (req, res) => start(req, res, { admin: true });
+
+// @route   GET /api/admin/promos/:id/backfill
+// @desc    Progress of any promo's order backfills
+// @access  Private (Admin only)
+const getAdminBackfills = (req, res) => list(req, res, { admin: true });
+
+module.exports = {
+  startPromoBackfill,
+  getPromoBackfills,
+  startAdminBackfill,
+  getAdminBackfills
+};
@@ -0,0 +1,354 @@
+const emailService = require('../services/emailService');
+const privacyService = require('../services/privacyService');
+const { maskEmail } = require('../utils/claimUtils');
+const { getClientIp } = require('../utils/rateLimitUtils');
+const {
+  ACCESS_TOKEN_TTL_MINUTES,
+  getAccessLinkExpiry,
+  createAccessToken,
+  verifyAccessToken,
+  createSessionToken,
+  verifyUnsubscribeToken,
+  getPrivacyPortalUrl
+} = require('../utils/privacyUtils');
+
+const SESSION_TTL_SECONDS = 60 * 60;
+
+const getRequestMeta = (req) => ({
+  ipAddress: getClientIp(req),
+  userAgent: req.headers['user-agent'] || 'unknown'
+});
+
+/**
+ * Email a one-time privacy portal link
+ * The response is the same whether or not we hold data for the address.
+ * POST /api/privacy/request-link
+ */
+const requestAccessLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      });
+    }
+
+    const expiresAt = getAccessLinkExpiry();
+    const link = await privacyService.createAccessLink(email, {
+      expiresAt,
+      ipAddress: getRequestMeta(req).ipAddress
+    });
+    const token = createAccessToken(link.id, email, expiresAt);
+
+    await emailService.sendPrivacyAccessEmail(email.trim(), getPrivacyPortalUrl(token), ACCESS_TOKEN_TTL_MINUTES);
+
+    res.status(200).json({
+      success: true,
+      message: 'If this email can receive mail, a privacy portal link is on its way'
+    });
+  } catch (error) {
+    console.error('Privacy link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending privacy portal link'
+    });
+  }
+};
+
+/**
+ * Redeem a one-time link for a portal session
+ * POST /api/privacy/verify
+ */
+const verifyAccessLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const { valid, payload, expired } = verifyAccessToken(token);
+
+    if (!valid) {
+      return res.status(expired ? 410 : 401).json({
+        success: false,
+        message: expired ? 'This link has expired. Please request a new one.' : 'Invalid link'
+      });
+    }
+
+    const redeemed = await privacyService.redeemAccessLink(payload.linkId, payload.email);
+
+    if (!redeemed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This link has already been used. Please request a new one.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessionToken: createSessionToken(payload.email),
+        expiresIn: SESSION_TTL_SECONDS,
+        email: payload.email
+      }
+    });
+  } catch (error) {
+    console.error('Privacy link verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying link'
+    });
+  }
+};
+
+/**
+ * Get the entries, consents and subscription status held for the entrant
+ * GET /api/privacy/data
+ */
+const getMyData = async (req, res) => {
+  try {
+    const data = await privacyService.collectEntrantData(req.entrant.email);
+    const promosById = new Map(data.promos.map(p => [p.id, p]));
+    const latestConsent = new Map();
+
+    for (const log of data.consentLogs) {
+      const current = latestConsent.get(log.entry_id);
+      if (!current || new Date(log.created_at) > new Date(current.created_at)) {
+        latestConsent.set(log.entry_id, log);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: data.email,
+        unsubscribed: data.unsubscribed,
+        onWaitlist: data.waitlist.length > 0,
+        entries: data.entries.map(entry => ({
+          id: entry.id,
+          promoId: entry.promo_id,
+          promoTitle: promosById.get(entry.promo_id)?.title || null,
+          storeId: entry.store_id,
+          storeName: promosById.get(entry.promo_id)?.stores?.store_name || null,
+          entryCount: entry.entry_count,
+          source: entry.source,
+          status: entry.status,
+          consentBrand: entry.consent_brand,
+          consentRafl: entry.consent_rafl,
+          consentUpdatedAt: latestConsent.get(entry.id)?.created_at || null,
+          createdAt: entry.created_at
+        })),
+        wins: data.winners.map(winner => ({
+          id: winner.id,
+          promoId: winner.promo_id,
+          prize: winner.prize_description,
+          status: winner.status,
+          claimed: winner.claimed
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Privacy data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your data'
+    });
+  }
+};
+
+/**
+ * Download everything held for the entrant as JSON
+ * GET /api/privacy/export
+ */
+const exportMyData = async (req, res) => {
+  try {
+    const data = await privacyService.collectEntrantData(req.entrant.email);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename="rafl-my-data.json"');
+    res.status(200).send(JSON.stringify({ exportedAt: new Date().toISOString(), ...data }, null, 2));
+  } catch (error) {
+    console.error('Privacy export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting your data'
+    });
+  }
+};
+
+/**
+ * Withdraw brand and/or Rafl marketing consent
+ * POST /api/privacy/consent
+ * Body: { consentBrand: false, consentRafl: false, storeId? }
+ */
+const withdrawConsent = async (req, res) => {
+  try {
+    const { consentBrand, consentRafl, storeId = null } = req.body;
+
+    if (consentBrand === true || consentRafl === true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Consent can only be withdrawn here; it is given when entering a promo'
+      });
+    }
+
+    if (consentBrand !== false && consentRafl !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set consentBrand and/or consentRafl to false'
+      });
+    }
+
+    const entriesUpdated = await privacyService.withdrawEntrantConsent(req.entrant.email, {
+      consentBrand: consentBrand === false,
+      consentRafl: consentRafl === false,
+      storeId,
+      ...getRequestMeta(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Consent withdrawn',
+      data: { entriesUpdated }
+    });
+  } catch (error) {
+    console.error('Consent withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing consent'
+    });
+  }
+};
+
+/**
+ * Unsubscribe the signed-in entrant from Rafl emails
+ * POST /api/privacy/unsubscribe
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const entriesUpdated = await privacyService.unsubscribeEntrant(req.entrant.email, {
+      source: 'privacy_portal',
+      ...getRequestMeta(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed',
+      data: { entriesUpdated }
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unsubscribing'
+    });
+  }
+};
+
+/**
+ * Show who an email unsubscribe link is for
+ * GET /api/privacy/unsubscribe/:token
+ */
+const getUnsubscribeLink = async (req, res) => {
+  try {
+    const { valid, payload } = verifyUnsubscribeToken(req.params.token);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        maskedEmail: maskEmail(payload.email),
+        unsubscribed: await privacyService.isEmailSuppressed(payload.email)
+      }
+    });
+  } catch (error) {
+    console.error('Unsubscribe link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking unsubscribe link'
+    });
+  }
+};
+
+/**
+ * Unsubscribe through the link in an email (no portal session needed)
+ * POST /api/privacy/unsubscribe/:token
+ */
+const unsubscribeByLink = async (req, res) => {
+  try {
+    const { valid, payload } = verifyUnsubscribeToken(req.params.token);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    await privacyService.unsubscribeEntrant(payload.email, {
+      source: 'email_link',
+      ...getRequestMeta(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed'
+    });
+  } catch (error) {
+    console.error('Unsubscribe by link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unsubscribing'
+    });
+  }
+};
+
+/**
+ * Erase the entrant's data across all stores
+ * POST /api/privacy/erase
+ * Body: { confirm: true }
+ */
+const requestErasure = async (req, res) => {
+  try {
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Erasure cannot be undone. Pass confirm: true to proceed.'
+      });
+    }
+
+    const { request, recordsAffected } = await privacyService.eraseEntrant(req.entrant.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your data has been erased',
+      data: {
+        requestId: request?.id || null,
+        recordsAffected
+      }
+    });
+  } catch (error) {
+    console.error('Erasure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error erasing your data'
+    });
+  }
+};
+
+module.exports = {
+  requestAccessLink,
+  verifyAccessLink,
+  getMyData,
+  exportMyData,
+  withdrawConsent,
+  unsubscribe,
+  getUnsubscribeLink,
+  unsubscribeByLink,
+  requestErasure
+};
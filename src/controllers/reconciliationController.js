@@ -0,0 +1,206 @@
+const { supabase } = require('../config/supabase');
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * Stores owned by the signed-in merchant
+ */
+const getMerchantStoreIds = async (req) => {
+  const { data: stores, error } = await supabase
+    .from('stores')
+    .select('id')
+    .eq('user_id', req.user.id);
+
+  if (error) {
+    throw new Error(`Failed to load stores: ${error.message}`);
+  }
+
+  return (stores || []).map(store => store.id);
+};
+
+const formatRun = (run) => ({
+  id: run.id,
+  storeId: run.store_id,
+  promoId: run.promo_id,
+  status: run.status,
+  trigger: run.trigger,
+  autoRepair: run.auto_repair,
+  ordersChecked: run.orders_checked || 0,
+  missingOrders: run.missing_orders || 0,
+  amountMismatches: run.amount_mismatches || 0,
+  orphanEntries: run.orphan_entries || 0,
+  issuesRepaired: run.issues_repaired || 0,
+  error: run.error,
+  requestedAt: run.created_at,
+  startedAt: run.started_at,
+  completedAt: run.completed_at,
+  ...(run.issues !== undefined && { issues: run.issues || [] })
+});
+
+const denyNonAdmin = (req, res) => {
+  if (req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin role required.'
+    });
+    return true;
+  }
+  return false;
+};
+
+const start = async (req, res, { admin }) => {
+  try {
+    if (admin && denyNonAdmin(req, res)) {
+      return;
+    }
+
+    let query = supabase
+      .from('promos')
+      .select('*, stores!inner(user_id)')
+      .eq('id', req.params.id);
+
+    if (!admin) {
+      query = query.eq('stores.user_id', req.user.id);
+    }
+
+    const { data: promo, error: promoError } = await query.single();
+    if (promoError || !promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const { autoRepair = null } = req.body || {};
+
+    const result = await reconciliationService.queueReconciliation({
+      client: supabase,
+      promo,
+      requestedBy: req.user.id,
+      autoRepair
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation queued',
+      data: formatRun(result.run)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting reconciliation',
+      error: error.message
+    });
+  }
+};
+
+const list = async (req, res, { admin }) => {
+  try {
+    if (admin && denyNonAdmin(req, res)) {
+      return;
+    }
+
+    // Admins see every store unless they filter by one
+    const storeIds = admin
+      ? (req.query.storeId ? [req.query.storeId] : null)
+      : await getMerchantStoreIds(req);
+    if (storeIds && storeIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const runs = await reconciliationService.listReconciliationRuns(supabase, {
+      storeIds,
+      promoId: req.query.promoId || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: runs.map(formatRun)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation runs',
+      error: error.message
+    });
+  }
+};
+
+const show = async (req, res, { admin }) => {
+  try {
+    if (admin && denyNonAdmin(req, res)) {
+      return;
+    }
+
+    const storeIds = admin ? null : await getMerchantStoreIds(req);
+    const run = await reconciliationService.getReconciliationRun(supabase, req.params.runId, storeIds);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatRun(run)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation run',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/dashboard/promos/:id/reconcile
+// @desc    Compare the promo's Shopify orders with its purchases and entries (optional autoRepair)
+// @access  Private
+const startPromoReconciliation = (req, res) => start(req, res, { admin: false });
+
+// @route   GET /api/dashboard/reconciliation
+// @desc    Reconciliation runs of the merchant's stores (optional promoId filter)
+// @access  Private
+const getStoreReconciliationRuns = (req, res) => list(req, res, { admin: false });
+
+// @route   GET /api/dashboard/reconciliation/:runId
+// @desc    A reconciliation run with the issues it found
+// @access  Private
+const getStoreReconciliationRun = (req, res) => show(req, res, { admin: false });
+
+// @route   POST /api/admin/promos/:id/reconcile
+// @desc    Reconcile any promo (optional autoRepair)
+// @access  Private (Admin only)
+const startAdminReconciliation = (req, res) => start(req, res, { admin: true });
+
+// @route   GET /api/admin/reconciliation
+// @desc    Reconciliation runs across all stores (optional storeId and promoId filters)
+// @access  Private (Admin only)
+const getAdminReconciliationRuns = (req, res) => list(req, res, { admin: true });
+
+// @route   GET /api/admin/reconciliation/:runId
+// @desc    Any reconciliation run with the issues it found
+// @access  Private (Admin only)
+const getAdminReconciliationRun = (req, res) => show(req, res, { admin: true });
+
+module.exports = {
+  startPromoReconciliation,
+  getStoreReconciliationRuns,
+  getStoreReconciliationRun,
+  startAdminReconciliation,
+  getAdminReconciliationRuns,
+  getAdminReconciliationRun
+};
@@ -515,79 +515,6 @@ const getStoreInfo = async (req, res) => {
   }
 };
 
-/**
- * Uninstall app webhook handler
- * POST /api/webhooks/app/uninstalled
- */
-const handleAppUninstall = async (req, res) => {
-  try {
-    console.log('🗑️ App uninstall webhook received');
-    
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing shop domain in headers'
-      });
-    }
-    
-    // Verify webhook signature
-    const hmac = req.headers['x-shopify-hmac-sha256'];
-    const body = JSON.stringify(req.body);
-    
-    if (!verifyHmac(body, hmac, process.env.SHOPIFY_CLIENT_SECRET)) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid webhook signature'
-      });
-    }
-    
-    // Find and update store
-    const { data: store, error: storeError } = await supabase
-      .from('stores')
-      .select('*')
-      .eq('shopify_domain', shopDomain)
-      .single();
-    
-    if (storeError || !store) {
-      console.error(`Store not found for domain: ${shopDomain}`);
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
-    
-    // Update store status
-    const { error: updateError } = await supabase
-      .from('stores')
-      .update({
-        status: 'suspended',
-        uninstalled_at: new Date().toISOString(),
-        shopify_access_token: null
-      })
-      .eq('id', store.id);
-    
-    if (updateError) {
-      console.error('Error updating store on uninstall:', updateError);
-    }
-    
-    console.log(`✅ Store ${shopDomain} marked as uninstalled`);
-      
-      return res.status(200).json({
-        success: true,
-      message: 'App uninstall processed successfully'
-    });
-    
-  } catch (error) {
-    console.error('App uninstall webhook error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error processing app uninstall webhook',
-      error: error.message
-    });
-  }
-};
-
 /**
  * Process order webhook and create entries
  * This function is called from the webhook controller
@@ -668,7 +595,6 @@ module.exports = {
   handleShopifyCallback,
   generateInstallUrl,
   getStoreInfo,
-  handleAppUninstall,
   setupWebhooksForStore,
   processOrderForEntries,
   verifyHmac,
@@ -0,0 +1,279 @@
+const webhookEventService = require('../services/webhookEventService');
+const { enqueueWebhookEvent } = require('../services/webhookQueue');
+
+const formatEvent = (event) => ({
+  id: event.id,
+  webhookId: event.webhook_id,
+  topic: event.topic,
+  shopDomain: event.shop_domain,
+  status: event.status,
+  attempts: event.attempts,
+  lastError: event.last_error,
+  receivedAt: event.received_at,
+  processedAt: event.processed_at,
+  replayedAt: event.replayed_at
+});
+
+// @route   GET /api/admin/webhooks/events
+// @desc    List stored webhook events (defaults to failed ones)
+// @access  Private (Admin only)
+const listWebhookEvents = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const {
+      status = 'failed',
+      topic,
+      shop,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const { events, total } = await webhookEventService.listWebhookEvents({
+      status: status === 'all' ? null : status,
+      topic: topic || null,
+      shopDomain: shop || null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events: events.map(formatEvent),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('List webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/admin/webhooks/events/:eventId
+// @desc    Get a stored webhook event with its raw body
+// @access  Private (Admin only)
+const getWebhookEvent = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const event = await webhookEventService.getWebhookEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatEvent(event),
+        headers: event.headers,
+        rawBody: event.raw_body,
+        result: event.result,
+        replayedBy: event.replayed_by
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/admin/webhooks/events/:eventId/replay
+// @desc    Process a failed webhook event again
+// @access  Private (Admin only)
+const replayWebhookEvent = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const event = await webhookEventService.getWebhookEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    // Processed events are not replayed: order processing is not meant to run twice
+    if (event.status === 'processed' && req.body?.force !== true) {
+      return res.status(409).json({
+        success: false,
+        message: 'Webhook event was already processed. Pass force: true to replay it anyway.'
+      });
+    }
+
+    const result = await webhookEventService.processWebhookEvent(event, { replayedBy: req.user.id });
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: result.success,
+      message: result.success ? 'Webhook event replayed successfully' : `Replay failed: ${result.message}`,
+      data: {
+        eventId: event.id,
+        result: result.data || null
+      }
+    });
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook event',
+      error: error.message
+    });
+  }
+};
+
+const formatDeadLetter = (deadLetter) => ({
+  id: deadLetter.id,
+  eventId: deadLetter.event_id,
+  topic: deadLetter.topic,
+  shopDomain: deadLetter.shop_domain,
+  attempts: deadLetter.attempts,
+  lastError: deadLetter.last_error,
+  deadLetteredAt: deadLetter.dead_lettered_at,
+  resolvedAt: deadLetter.resolved_at,
+  resolution: deadLetter.resolution,
+  resolvedBy: deadLetter.resolved_by
+});
+
+// @route   GET /api/admin/webhooks/dead-letters
+// @desc    List webhook events the queue gave up on (defaults to unresolved ones)
+// @access  Private (Admin only)
+const listDeadLetters = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const {
+      resolved = 'false',
+      topic,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const { deadLetters, total } = await webhookEventService.listDeadLetters({
+      resolved: resolved === 'all' ? null : resolved === 'true',
+      topic: topic || null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deadLetters: deadLetters.map(formatDeadLetter),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('List dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dead letters',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/admin/webhooks/dead-letters/:deadLetterId/requeue
+// @desc    Put a dead-lettered webhook event back on the queue
+// @access  Private (Admin only)
+const requeueDeadLetter = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin role required.'
+      });
+    }
+
+    const deadLetter = await webhookEventService.getDeadLetter(req.params.deadLetterId);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead letter not found'
+      });
+    }
+
+    if (deadLetter.resolved_at) {
+      return res.status(409).json({
+        success: false,
+        message: `Dead letter was already resolved (${deadLetter.resolution})`
+      });
+    }
+
+    const event = await webhookEventService.getWebhookEvent(deadLetter.event_id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    // A fresh job key, so the event gets a full set of attempts again
+    await enqueueWebhookEvent(event, { retryKey: `requeue-${deadLetter.id}` });
+    await webhookEventService.resolveDeadLetters(event.id, { resolution: 'requeued', resolvedBy: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook event requeued',
+      data: {
+        eventId: event.id
+      }
+    });
+  } catch (error) {
+    console.error('Requeue dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requeueing dead letter',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  listDeadLetters,
+  requeueDeadLetter
+};
@@ -1,7 +1,12 @@
 const { supabase } = require('../config/supabase');
 const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
+const { DRAWABLE_PROMO_STATUSES, drawWinners, notifyWinners } = require('../services/drawService');
+const forfeitService = require('../services/forfeitService');
+const { markPromoDrawn } = require('../services/promoLifecycleService');
 const emailService = require('../services/emailService');
+const { createClaimToken, getClaimUrl } = require('../utils/claimUtils');
+const { hashSeed, hashEntrySnapshot, runMultiDraw } = require('../utils/drawUtils');
+const { getPromoPrizeTiers, expandPrizeSlots } = require('../utils/prizeUtils');
 
 // Create admin client with service role key that bypasses RLS
 const supabaseAdmin = createClient(
@@ -15,6 +20,90 @@ const supabaseAdmin = createClient(
   }
 );
 
+/**
+ * Load a promo the user may draw for (admins can access any promo)
+ * @param {object} user - Authenticated user from req.user
+ * @param {string} promoId - Promo ID
+ * @returns {Promise<object>} { promo, clientToUse } - promo is null if not found or not accessible
+ */
+const findPromoForUser = async (user, promoId) => {
+  if (user?.role === 'admin') {
+    // Admin can access any promo
+    const { data, error } = await supabaseAdmin
+      .from('promos')
+      .select('*')
+      .eq('id', promoId)
+      .single();
+    return { promo: error ? null : data, clientToUse: supabaseAdmin };
+  }
+
+  // Regular users can only access their own promos
+  const { data, error } = await supabase
+    .from('promos')
+    .select(`
+      *,
+      stores!inner(user_id)
+    `)
+    .eq('id', promoId)
+    .eq('stores.user_id', user?.id)
+    .single();
+  return { promo: error ? null : data, clientToUse: supabase };
+};
+
+/**
+ * Load a winner the user may manage (admins can access any winner)
+ * @param {object} user - Authenticated user from req.user
+ * @param {string} winnerId - Winner ID
+ * @returns {Promise<object|null>} Winner row, or null if not found or not accessible
+ */
+const findWinnerForUser = async (user, winnerId) => {
+  if (user?.role === 'admin') {
+    const { data, error } = await supabaseAdmin
+      .from('winners')
+      .select('*')
+      .eq('id', winnerId)
+      .single();
+    return error ? null : data;
+  }
+
+  const { data, error } = await supabase
+    .from('winners')
+    .select(`
+      *,
+      stores!inner(user_id)
+    `)
+    .eq('id', winnerId)
+    .eq('stores.user_id', user?.id)
+    .single();
+  return error ? null : data;
+};
+
+/**
+ * Shape a winner row for API responses
+ * @param {object} winner - Winner row
+ * @param {boolean} notified - Override for the notified flag (e.g. right after emailing)
+ * @returns {object}
+ */
+const formatWinner = (winner, notified = winner.notified) => ({
+  id: winner.id,
+  customerEmail: winner.customer_email,
+  customerName: winner.customer_name,
+  prizeTier: winner.prize_tier_name || null,
+  prizeTierIndex: winner.prize_tier_index ?? null,
+  prizeDescription: winner.prize_description,
+  prizeAmount: winner.prize_amount,
+  drawnAt: winner.drawn_at,
+  notified,
+  claimed: winner.claimed,
+  status: winner.status || (winner.claimed ? 'claimed' : 'selected'),
+  claimDeadline: winner.claim_deadline || null,
+  forfeitedAt: winner.forfeited_at || null,
+  forfeitReason: winner.forfeit_reason || null,
+  forfeitNote: winner.forfeit_note || null,
+  alternateForWinnerId: winner.alternate_for_winner_id || null,
+  replacedByWinnerId: winner.replaced_by_winner_id || null
+});
+
 /**
  * Select a random winner for a promo
  * POST /api/winners/select
@@ -38,228 +127,233 @@ const selectWinner = async (req, res) => {
       });
     }
 
-    // Check if user is admin or has access to this promo
-    const userRole = req.user?.role;
-    const clientToUse = userRole === 'admin' ? supabaseAdmin : supabase;
-    let promo, promoError;
+    const { promo, clientToUse } = await findPromoForUser(req.user, promoId);
 
-    if (userRole === 'admin') {
-      // Admin can access any promo
-      console.log('Admin user - querying promo with ID:', promoId);
-      const { data, error } = await supabaseAdmin
-        .from('promos')
-        .select('*')
-        .eq('id', promoId)
-        .single();
-      console.log('Admin promo query result:', { data, error });
-      promo = data;
-      promoError = error;
-    } else {
-      // Regular users can only access their own promos
-      const { data, error } = await supabase
-        .from('promos')
-        .select(`
-          *,
-          stores!inner(user_id)
-        `)
-        .eq('id', promoId)
-        .eq('stores.user_id', userId)
-        .single();
-      promo = data;
-      promoError = error;
-    }
-
-    if (promoError || !promo) {
+    if (!promo) {
       return res.status(404).json({
         success: false,
         message: 'Promo not found or access denied'
       });
     }
 
-    // Check if promo is active
-    if (promo.status !== 'active') {
+    if (!DRAWABLE_PROMO_STATUSES.includes(promo.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Can only select winners for active promos'
+        message: 'Can only select winners for active, closed or drawn promos'
       });
     }
 
-    // Get existing winners for this promo (to exclude them from selection)
-    const { data: existingWinners, error: winnersError } = await clientToUse
-      .from('winners')
-      .select('customer_email')
-      .eq('promo_id', promoId);
+    const result = await drawWinners({
+      client: clientToUse,
+      promo,
+      userId,
+      slots: [{
+        tierIndex: null,
+        tierName: null,
+        prizeDescription: promo.prize_description,
+        prizeAmount: promo.prize_amount
+      }]
+    });
 
-    if (winnersError && winnersError.code !== 'PGRST116') { // PGRST116 = no rows returned
-      console.error('Error checking existing winners:', winnersError);
-      return res.status(500).json({
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Error checking existing winners'
+        message: result.message,
+        ...(result.data && { data: result.data })
       });
     }
 
-    // Create a set of already-selected email addresses
-    const alreadySelectedEmails = new Set(
-      (existingWinners || []).map(w => w.customer_email.toLowerCase())
-    );
+    const [winner] = result.winners;
+    const [pick] = result.picks;
 
-    // Get all entries for this promo (use admin client for admin users)
-    const { data: allEntries, error: entriesError } = await clientToUse
-      .from('entries')
-      .select('*')
-      .eq('promo_id', promoId);
+    const lifecycle = await markPromoDrawn({ client: clientToUse, promo, userId });
+    if (!lifecycle.success) {
+      // Winners are recorded; the promo can still be marked drawn by hand
+      console.error('Error marking promo as drawn:', lifecycle.message);
+    }
 
-    if (entriesError) {
-      console.error('Error fetching entries:', entriesError);
-      return res.status(500).json({
+    // Send winner notification email (don't fail the request if email fails)
+    const notifiedIds = await notifyWinners(clientToUse, promo, result.winners, result.stats);
+    const emailSent = notifiedIds.has(winner.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Winner selected successfully! ${result.stats.totalWinners} of ${result.stats.totalParticipants} unique participants have now won.${emailSent ? ' Notification email sent.' : ' (Email notification failed)'}`,
+      data: {
+        winner: formatWinner(winner, emailSent),
+        draw: {
+          ...result.draw,
+          randomValue: pick.randomValue,
+          verifyUrl: `/api/winners/${winner.id}/verify`
+        },
+        stats: {
+          totalEntries: result.stats.totalEntries,
+          totalWeightedEntries: result.stats.totalWeightedEntries,
+          winningEntryCount: pick.entryCount,
+          randomIndex: pick.ticketIndex,
+          previousWinners: result.stats.previousWinners,
+          totalWinners: result.stats.totalWinners,
+          remainingEligible: result.stats.remainingEligible,
+          totalParticipants: result.stats.totalParticipants
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Select winner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Draw winners for every prize tier of a promo in one operation
+ * POST /api/winners/draw
+ */
+const drawPrizeTiers = async (req, res) => {
+  try {
+    const { promoId } = req.body;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
         success: false,
-        message: 'Error fetching entries'
+        message: 'Authentication required'
       });
     }
 
-    // Filter out entries from users who have already won
-    const entries = (allEntries || []).filter(
-      entry => !alreadySelectedEmails.has(entry.customer_email.toLowerCase())
-    );
-
-    if (!entries || entries.length === 0) {
-      const message = alreadySelectedEmails.size > 0 
-        ? `All eligible entries have already won! ${alreadySelectedEmails.size} winner(s) already selected from ${allEntries?.length || 0} total entries.`
-        : 'No entries found for this promo';
-      
+    if (!promoId) {
       return res.status(400).json({
         success: false,
-        message: message,
-        data: {
-          total_entries: allEntries?.length || 0,
-          already_selected: alreadySelectedEmails.size,
-          remaining: 0
-        }
+        message: 'Promo ID is required'
       });
     }
 
-    // Create weighted entries array based on entry_count
-    const weightedEntries = [];
-    entries.forEach(entry => {
-      for (let i = 0; i < entry.entry_count; i++) {
-        weightedEntries.push(entry);
-      }
-    });
+    const { promo, clientToUse } = await findPromoForUser(req.user, promoId);
 
-    if (weightedEntries.length === 0) {
-      return res.status(400).json({
+    if (!promo) {
+      return res.status(404).json({
         success: false,
-        message: 'No valid entries found for this promo'
+        message: 'Promo not found or access denied'
       });
     }
 
-    // Use cryptographically secure random number generation
-    const randomBytes = crypto.randomBytes(4);
-    const randomValue = randomBytes.readUInt32BE(0);
-    const randomIndex = randomValue % weightedEntries.length;
-    
-    const winningEntry = weightedEntries[randomIndex];
+    if (!DRAWABLE_PROMO_STATUSES.includes(promo.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Can only select winners for active, closed or drawn promos'
+      });
+    }
 
-    // Create winner record (use admin client for admin users)
-    const { data: winner, error: createWinnerError } = await clientToUse
+    // Tiers are filled once; use /select for additional single draws
+    const { count: tierWinnerCount, error: tierWinnersError } = await clientToUse
       .from('winners')
-      .insert({
-        promo_id: promoId,
-        store_id: promo.store_id,
-        entry_id: winningEntry.id,
-        customer_email: winningEntry.customer_email,
-        customer_name: winningEntry.customer_name || null,
-        prize_description: promo.prize_description,
-        prize_amount: promo.prize_amount,
-        drawn_at: new Date().toISOString(),
-        notified: false,
-        claimed: false,
-        created_by: userId
-      })
-      .select()
-      .single();
+      .select('id', { count: 'exact', head: true })
+      .eq('promo_id', promoId)
+      .not('prize_tier_index', 'is', null);
 
-    if (createWinnerError) {
-      console.error('Error creating winner:', createWinnerError);
+    if (tierWinnersError) {
+      console.error('Error checking existing tier winners:', tierWinnersError);
       return res.status(500).json({
         success: false,
-        message: 'Error creating winner record'
+        message: 'Error checking existing winners'
       });
     }
 
-    // Send winner notification email (don't fail the request if email fails)
-    let emailSent = false;
-    try {
-      await emailService.sendWinnerEmail(
-        winner.customer_email, 
-        promo.title, 
-        winner.prize_description, 
-        winner.entry_id
-      );
-      console.log('Winner email sent successfully for winner:', winner.id);
-      emailSent = true;
-      
-      // Update winner record to mark as notified
-      await clientToUse
-        .from('winners')
-        .update({ notified: true, notified_at: new Date().toISOString() })
-        .eq('id', winner.id);
-      
-    } catch (emailError) {
-      console.error('Failed to send winner email:', emailError);
-      // Don't fail the request for email errors
+    if (tierWinnerCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prize tiers have already been drawn for this promo'
+      });
     }
 
-    // Send admin notification about winner selection
-    try {
-      await emailService.sendAdminNotification(
-        'Winner Selected',
-        `A winner has been selected for promo: ${promo.title}`,
-        {
-          winnerEmail: winner.customer_email,
-          winnerName: winner.customer_name,
-          prizeDescription: winner.prize_description,
-          prizeAmount: winner.prize_amount,
-          promoTitle: promo.title,
-          totalEntries: entries.length,
-          drawnAt: winner.drawn_at
-        }
-      );
-      console.log('Admin notification sent for winner selection');
-    } catch (adminEmailError) {
-      console.error('Failed to send admin notification:', adminEmailError);
-      // Don't fail the request for email errors
+    // Claim the tier draw on the promo row: of two concurrent calls only one matches tiers_drawn_at IS NULL
+    const { data: claimedPromo, error: claimError } = await clientToUse
+      .from('promos')
+      .update({ tiers_drawn_at: new Date().toISOString() })
+      .eq('id', promoId)
+      .is('tiers_drawn_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) {
+      console.error('Error claiming prize tier draw:', claimError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking existing winners'
+      });
     }
 
+    if (!claimedPromo) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prize tiers have already been drawn for this promo'
+      });
+    }
+
+    const tiers = getPromoPrizeTiers(promo);
+    const slots = expandPrizeSlots(tiers);
+
+    // Fill every tier from one draw: either all winners are recorded or none
+    const result = await drawWinners({ client: clientToUse, promo, userId, slots });
+
+    if (!result.success) {
+      // Nothing was drawn, so release the claim for another attempt
+      const { error: releaseError } = await clientToUse
+        .from('promos')
+        .update({ tiers_drawn_at: null })
+        .eq('id', promoId);
+      if (releaseError) {
+        console.error('Error releasing prize tier draw:', releaseError);
+      }
+
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.data && { data: result.data })
+      });
+    }
+
+    const lifecycle = await markPromoDrawn({ client: clientToUse, promo, userId });
+    if (!lifecycle.success) {
+      console.error('Error marking promo as drawn:', lifecycle.message);
+    }
+
+    const notifiedIds = await notifyWinners(clientToUse, promo, result.winners, result.stats);
+
     res.status(201).json({
       success: true,
-      message: `Winner selected successfully! ${alreadySelectedEmails.size + 1} of ${allEntries?.length || 0} unique participants have now won.${emailSent ? ' Notification email sent.' : ' (Email notification failed)'}`,
+      message: `${result.winners.length} winner(s) drawn across ${tiers.length} prize tier(s).`,
       data: {
-        winner: {
-          id: winner.id,
-          customerEmail: winner.customer_email,
-          customerName: winner.customer_name,
-          prizeDescription: winner.prize_description,
-          prizeAmount: winner.prize_amount,
-          drawnAt: winner.drawn_at,
-          notified: emailSent,
-          claimed: false
+        tiers: tiers.map((tier, tierIndex) => ({
+          tierIndex,
+          name: tier.name,
+          description: tier.description,
+          value: tier.value,
+          quantity: tier.quantity,
+          winners: result.winners
+            .filter(w => w.prize_tier_index === tierIndex)
+            .map(w => formatWinner(w, notifiedIds.has(w.id)))
+        })),
+        draw: {
+          ...result.draw,
+          picks: result.picks.map((pick, index) => ({
+            round: pick.round,
+            winnerId: result.winners[index].id,
+            randomValue: pick.randomValue,
+            ticketIndex: pick.ticketIndex,
+            totalWeight: pick.totalWeight
+          }))
         },
-        stats: {
-          totalEntries: entries.length,
-          totalWeightedEntries: weightedEntries.length,
-          winningEntryCount: winningEntry.entry_count,
-          randomIndex: randomIndex,
-          previousWinners: alreadySelectedEmails.size,
-          totalWinners: alreadySelectedEmails.size + 1,
-          remainingEligible: entries.length - 1,
-          totalParticipants: allEntries?.length || 0
-        }
+        stats: result.stats
       }
     });
 
   } catch (error) {
-    console.error('Select winner error:', error);
+    console.error('Draw prize tiers error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -342,16 +436,7 @@ const getWinnersForPromo = async (req, res) => {
           title: promo.title,
           status: promo.status
         },
-        winners: winners?.map(w => ({
-          id: w.id,
-          customerEmail: w.customer_email,
-          customerName: w.customer_name,
-          prizeDescription: w.prize_description,
-          prizeAmount: w.prize_amount,
-          drawnAt: w.drawn_at,
-          notified: w.notified,
-          claimed: w.claimed
-        })) || []
+        winners: winners?.map(w => formatWinner(w)) || []
       }
     });
 
@@ -422,15 +507,8 @@ const getWinnersForStore = async (req, res) => {
           storeName: store.store_name
         },
         winners: winners?.map(w => ({
-          id: w.id,
           promoTitle: w.promos.title,
-          customerEmail: w.customer_email,
-          customerName: w.customer_name,
-          prizeDescription: w.prize_description,
-          prizeAmount: w.prize_amount,
-          drawnAt: w.drawn_at,
-          notified: w.notified,
-          claimed: w.claimed
+          ...formatWinner(w)
         })) || []
       }
     });
@@ -520,9 +598,458 @@ const updateWinnerNotification = async (req, res) => {
   }
 };
 
+/**
+ * Forfeit a winner's prize, optionally drawing an alternate right away
+ * PUT /api/winners/:winnerId/forfeit
+ */
+const forfeitWinner = async (req, res) => {
+  try {
+    const { winnerId } = req.params;
+    const { reason, note, redraw = false } = req.body;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const winner = await findWinnerForUser(req.user, winnerId);
+
+    if (!winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winner not found or access denied'
+      });
+    }
+
+    const { promo, clientToUse } = await findPromoForUser(req.user, winner.promo_id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found or access denied'
+      });
+    }
+
+    const forfeitResult = await forfeitService.forfeitWinner({
+      client: clientToUse,
+      winner,
+      reason,
+      note: note || null,
+      userId
+    });
+
+    if (!forfeitResult.success) {
+      return res.status(forfeitResult.status).json({
+        success: false,
+        message: forfeitResult.message
+      });
+    }
+
+    if (!redraw) {
+      return res.status(200).json({
+        success: true,
+        message: 'Winner forfeited',
+        data: {
+          winner: formatWinner(forfeitResult.winner),
+          alternate: null
+        }
+      });
+    }
+
+    const redrawResult = await forfeitService.drawAlternate({
+      client: clientToUse,
+      winner: forfeitResult.winner,
+      promo,
+      userId
+    });
+
+    if (!redrawResult.success) {
+      // The forfeiture stands; the alternate can be drawn later via /redraw
+      return res.status(200).json({
+        success: true,
+        message: `Winner forfeited, but no alternate could be drawn: ${redrawResult.message}`,
+        data: {
+          winner: formatWinner(forfeitResult.winner),
+          alternate: null
+        }
+      });
+    }
+
+    const notifiedIds = await notifyWinners(clientToUse, promo, redrawResult.winners, redrawResult.stats);
+
+    res.status(200).json({
+      success: true,
+      message: 'Winner forfeited and alternate drawn',
+      data: {
+        winner: formatWinner({ ...forfeitResult.winner, replaced_by_winner_id: redrawResult.alternate.id }),
+        alternate: formatWinner(redrawResult.alternate, notifiedIds.has(redrawResult.alternate.id)),
+        draw: {
+          ...redrawResult.draw,
+          verifyUrl: `/api/winners/${redrawResult.alternate.id}/verify`
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Forfeit winner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Draw an alternate for a forfeited winner
+ * POST /api/winners/:winnerId/redraw
+ */
+const redrawWinner = async (req, res) => {
+  try {
+    const { winnerId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const winner = await findWinnerForUser(req.user, winnerId);
+
+    if (!winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winner not found or access denied'
+      });
+    }
+
+    const { promo, clientToUse } = await findPromoForUser(req.user, winner.promo_id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found or access denied'
+      });
+    }
+
+    const result = await forfeitService.drawAlternate({ client: clientToUse, winner, promo, userId });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.data && { data: result.data })
+      });
+    }
+
+    const notifiedIds = await notifyWinners(clientToUse, promo, result.winners, result.stats);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alternate winner drawn',
+      data: {
+        original: formatWinner({ ...winner, replaced_by_winner_id: result.alternate.id }),
+        alternate: formatWinner(result.alternate, notifiedIds.has(result.alternate.id)),
+        draw: {
+          ...result.draw,
+          verifyUrl: `/api/winners/${result.alternate.id}/verify`
+        },
+        stats: result.stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Redraw winner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-send the claim link email to a winner
+ * POST /api/winners/:winnerId/claim-link
+ */
+const resendClaimLink = async (req, res) => {
+  try {
+    const { winnerId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const winner = await findWinnerForUser(req.user, winnerId);
+
+    if (!winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winner not found or access denied'
+      });
+    }
+
+    if (winner.claimed || winner.status === 'forfeited') {
+      return res.status(409).json({
+        success: false,
+        message: winner.claimed ? 'Prize has already been claimed' : 'Winner has been forfeited'
+      });
+    }
+
+    if (winner.claim_deadline && new Date(winner.claim_deadline) < new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'The claim deadline for this prize has passed'
+      });
+    }
+
+    const { promo } = await findPromoForUser(req.user, winner.promo_id);
+    const claimUrl = getClaimUrl(createClaimToken(winner));
+
+    let emailSent = false;
+    try {
+      await emailService.sendWinnerEmail(
+        winner.customer_email,
+        promo?.title || 'Rafl Sweepstakes',
+        winner.prize_description,
+        winner.entry_id,
+        claimUrl,
+        winner.claim_deadline
+      );
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to re-send claim link:', emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent ? 'Claim link sent' : 'Claim link created, but the email could not be sent',
+      data: {
+        claimUrl,
+        emailSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Resend claim link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the claim a winner submitted (delivery details and affidavit)
+ * GET /api/winners/:winnerId/claim
+ */
+const getWinnerClaim = async (req, res) => {
+  try {
+    const { winnerId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const winner = await findWinnerForUser(req.user, winnerId);
+
+    if (!winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winner not found or access denied'
+      });
+    }
+
+    const clientToUse = req.user.role === 'admin' ? supabaseAdmin : supabase;
+    const { data: claim, error: claimError } = await clientToUse
+      .from('winner_claims')
+      .select('*')
+      .eq('winner_id', winnerId)
+      .order('submitted_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (claimError) {
+      console.error('Error fetching winner claim:', claimError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching winner claim'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        winner: formatWinner(winner),
+        claim: claim ? {
+          id: claim.id,
+          fullName: claim.full_name,
+          email: claim.email,
+          phone: claim.phone,
+          dateOfBirth: claim.date_of_birth,
+          shippingAddress: claim.shipping_address,
+          payoutMethod: claim.payout_method,
+          payoutDetails: claim.payout_details,
+          affidavitAccepted: claim.affidavit_accepted,
+          affidavitSignature: claim.affidavit_signature,
+          publicityReleaseAccepted: claim.publicity_release_accepted,
+          submittedAt: claim.submitted_at
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get winner claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify a winner draw by replaying it from the stored seed and snapshot
+ * GET /api/winners/:winnerId/verify
+ */
+const verifyWinnerDraw = async (req, res) => {
+  try {
+    const { winnerId } = req.params;
+
+    const { data: winner, error: winnerError } = await supabaseAdmin
+      .from('winners')
+      .select(`
+        id,
+        promo_id,
+        entry_id,
+        drawn_at,
+        draw_commitment_id,
+        draw_round,
+        draw_seed,
+        draw_seed_hash,
+        draw_snapshot_hash,
+        draw_algorithm_version,
+        promos(title)
+      `)
+      .eq('id', winnerId)
+      .single();
+
+    if (winnerError || !winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winner not found'
+      });
+    }
+
+    if (!winner.draw_seed || !winner.draw_commitment_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'This winner was drawn before verifiable draws were introduced and cannot be replayed'
+      });
+    }
+
+    const { data: commitment, error: commitmentError } = await supabaseAdmin
+      .from('draw_commitments')
+      .select('*')
+      .eq('id', winner.draw_commitment_id)
+      .single();
+
+    if (commitmentError || !commitment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draw commitment not found'
+      });
+    }
+
+    const entrySnapshot = commitment.entry_snapshot || [];
+    const seedMatchesCommitment = hashSeed(winner.draw_seed) === commitment.seed_hash &&
+      winner.draw_seed_hash === commitment.seed_hash;
+    const committedBeforeDraw = new Date(commitment.committed_at) <= new Date(winner.drawn_at);
+    const snapshotMatches = hashEntrySnapshot(entrySnapshot) === winner.draw_snapshot_hash;
+
+    // Replay every round up to this winner's, so multi-tier draws verify too
+    const round = winner.draw_round || 0;
+    let replay = null;
+    let replayError = null;
+    try {
+      replay = runMultiDraw(entrySnapshot, winner.draw_seed, winner.draw_algorithm_version, round + 1)[round];
+    } catch (error) {
+      replayError = error.message;
+    }
+
+    const winnerMatches = !!replay && replay.entryId === String(winner.entry_id);
+    const verified = seedMatchesCommitment && committedBeforeDraw && snapshotMatches && winnerMatches;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        verified,
+        checks: {
+          seedMatchesCommitment,
+          committedBeforeDraw,
+          snapshotMatches,
+          winnerMatches
+        },
+        winner: {
+          id: winner.id,
+          promoId: winner.promo_id,
+          promoTitle: winner.promos?.title || null,
+          entryId: winner.entry_id,
+          drawnAt: winner.drawn_at
+        },
+        draw: {
+          commitmentId: commitment.id,
+          round,
+          seed: winner.draw_seed,
+          seedHash: commitment.seed_hash,
+          committedAt: commitment.committed_at,
+          revealedAt: commitment.revealed_at,
+          snapshotHash: winner.draw_snapshot_hash,
+          algorithmVersion: winner.draw_algorithm_version,
+          entrySnapshot
+        },
+        replay: replay ? {
+          entryId: replay.entryId,
+          randomValue: replay.randomValue,
+          ticketIndex: replay.ticketIndex,
+          totalWeight: replay.totalWeight
+        } : { error: replayError }
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify winner draw error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   selectWinner,
+  drawPrizeTiers,
   getWinnersForPromo,
   getWinnersForStore,
-  updateWinnerNotification
+  updateWinnerNotification,
+  forfeitWinner,
+  redrawWinner,
+  resendClaimLink,
+  getWinnerClaim,
+  verifyWinnerDraw
 };
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const { getClientIp } = require('../utils/rateLimitUtils');
+
+/**
+ * Bot challenge (CAPTCHA) verification for public forms
+ * Off unless CAPTCHA_PROVIDER is set. The storefront form solves the
+ * provider's widget and sends the resulting token as `captchaToken` in the
+ * body (or the X-Captcha-Token header); the token is checked with the
+ * provider before the request reaches the controller.
+ *
+ * Turnstile, hCaptcha and reCAPTCHA share the same siteverify API. Another
+ * compatible provider can be used with CAPTCHA_PROVIDER=custom and
+ * CAPTCHA_VERIFY_URL.
+ */
+
+const CHALLENGE_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+const getChallengeProvider = () => {
+  return (process.env.CAPTCHA_PROVIDER || '').trim().toLowerCase() || null;
+};
+
+/**
+ * Challenge settings for the admin dashboard (never includes the secret)
+ * @returns {Object}
+ */
+const getChallengeStatus = () => {
+  const provider = getChallengeProvider();
+  return {
+    enabled: Boolean(provider),
+    provider,
+    configured: Boolean(provider && process.env.CAPTCHA_SECRET_KEY &&
+      (process.env.CAPTCHA_VERIFY_URL || CHALLENGE_VERIFY_URLS[provider]))
+  };
+};
+
+/**
+ * Ask the provider whether a token is valid
+ * @returns {Promise<boolean>}
+ */
+const verifyChallengeToken = async (provider, token, remoteIp) => {
+  const verifyUrl = process.env.CAPTCHA_VERIFY_URL || CHALLENGE_VERIFY_URLS[provider];
+  const params = new URLSearchParams({
+    secret: process.env.CAPTCHA_SECRET_KEY,
+    response: token
+  });
+  if (remoteIp && remoteIp !== 'unknown') {
+    params.append('remoteip', remoteIp);
+  }
+
+  const { data } = await axios.post(verifyUrl, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 5000
+  });
+
+  // reCAPTCHA v3 also returns a score between 0 and 1
+  const minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE);
+  if (data?.success && typeof data.score === 'number' && !isNaN(minScore)) {
+    return data.score >= minScore;
+  }
+
+  return Boolean(data?.success);
+};
+
+/**
+ * Express middleware requiring a solved challenge when CAPTCHA_PROVIDER is set
+ */
+const verifyChallenge = async (req, res, next) => {
+  const provider = getChallengeProvider();
+  if (!provider) {
+    return next();
+  }
+
+  if (!getChallengeStatus().configured) {
+    console.error(`❌ CAPTCHA_PROVIDER=${provider} but CAPTCHA_SECRET_KEY or a verify URL is missing`);
+    return res.status(503).json({
+      success: false,
+      message: 'Challenge verification is unavailable. Please try again later.'
+    });
+  }
+
+  const token = req.body?.captchaToken || req.headers['x-captcha-token'];
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please complete the challenge'
+    });
+  }
+
+  let passed;
+  try {
+    passed = await verifyChallengeToken(provider, token, getClientIp(req));
+  } catch (error) {
+    console.error('Challenge verification error:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Challenge verification is unavailable. Please try again later.'
+    });
+  }
+
+  if (!passed) {
+    return res.status(403).json({
+      success: false,
+      message: 'Challenge verification failed. Please try again.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyChallenge,
+  getChallengeStatus
+};
@@ -0,0 +1,33 @@
+const { verifySessionToken } = require('../utils/privacyUtils');
+
+// Middleware to verify an entrant's privacy portal session token
+const authenticatePrivacySession = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  const { valid, payload, expired } = verifySessionToken(token);
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      message: expired
+        ? 'Your privacy portal session has expired. Please request a new link.'
+        : 'Invalid privacy portal session.'
+    });
+  }
+
+  // Only the verified email is known about the entrant
+  req.entrant = { email: payload.email };
+  next();
+};
+
+module.exports = {
+  authenticatePrivacySession
+};
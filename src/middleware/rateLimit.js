@@ -0,0 +1,97 @@
+const { supabase } = require('../config/supabase');
+const { createRateLimitStore } = require('../services/rateLimitStores');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const { getRateLimitRule, listRateLimitRules, getClientIp } = require('../utils/rateLimitUtils');
+
+/**
+ * Rate limiting for public endpoints
+ * rateLimit('entry_ip', 'entry_email') checks each named rule (see
+ * utils/rateLimitUtils) in order; the first one over its limit answers 429
+ * with Retry-After. Hits are counted in the store selected by RATE_LIMIT_STORE.
+ *
+ * If the store is unreachable the request is let through - an outage of the
+ * limiter shouldn't take the entry form down with it.
+ */
+
+const store = createRateLimitStore(supabase);
+
+// Blocked requests per rule since this process started, for the admin dashboard
+const blockedByRule = new Map();
+
+const getScopeValue = (req, scope) => {
+  switch (scope) {
+    case 'ip': {
+      const ip = getClientIp(req);
+      return ip !== 'unknown' ? ip : null;
+    }
+    case 'email':
+      return req.body?.email ? hashCanonicalEmail(req.body.email) : null;
+    case 'promo':
+      return req.body?.promoId || null;
+    default:
+      return null;
+  }
+};
+
+const recordBlocked = (rule, now) => {
+  const stats = blockedByRule.get(rule.name) || { blocked: 0, lastBlockedAt: null };
+  stats.blocked++;
+  stats.lastBlockedAt = now.toISOString();
+  blockedByRule.set(rule.name, stats);
+};
+
+/**
+ * Create middleware enforcing the given rules
+ * @param {...string} ruleNames - Keys of RATE_LIMIT_RULES
+ */
+const rateLimit = (...ruleNames) => async (req, res, next) => {
+  const now = new Date();
+
+  try {
+    for (const name of ruleNames) {
+      const rule = getRateLimitRule(name);
+      const value = rule && getScopeValue(req, rule.scope);
+      if (!value) {
+        continue;
+      }
+
+      const windowMs = rule.windowSeconds * 1000;
+      const { count, oldestAt } = await store.hit(`${name}:${value}`, windowMs, now);
+
+      if (count > rule.limit) {
+        const retryAfter = Math.max(1, Math.ceil((oldestAt.getTime() + windowMs - now.getTime()) / 1000));
+        recordBlocked(rule, now);
+        console.log(`🛑 Rate limit ${name} exceeded (${count}/${rule.limit}) on ${req.method} ${req.originalUrl}`);
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests. Please try again later.',
+          retryAfter
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Rate limit check failed:', error.message);
+  }
+
+  next();
+};
+
+/**
+ * Configured rules with blocked counts, for the admin dashboard
+ * @returns {Object}
+ */
+const getRateLimitStatus = () => ({
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  rules: listRateLimitRules().map(rule => ({
+    ...rule,
+    blocked: blockedByRule.get(rule.name)?.blocked || 0,
+    lastBlockedAt: blockedByRule.get(rule.name)?.lastBlockedAt || null
+  }))
+});
+
+module.exports = {
+  rateLimit,
+  getRateLimitStatus
+};
@@ -0,0 +1,136 @@
+const { verifyWebhookHmac } = require('../services/shopifyApiService');
+const { WEBHOOK_PROCESSORS } = require('../services/webhookProcessors');
+
+/**
+ * Shopify webhook verification
+ * Mounted in front of every webhook route. A request gets through only when:
+ *   - its X-Shopify-Hmac-Sha256 matches the raw body under one of the active
+ *     secrets (SHOPIFY_WEBHOOK_SECRETS, comma-separated, plus
+ *     SHOPIFY_WEBHOOK_SECRET), so secrets can be rotated without downtime
+ *   - X-Shopify-Shop-Domain is a *.myshopify.com domain
+ *   - X-Shopify-Topic is a topic we handle
+ *   - X-Shopify-Triggered-At is no older than SHOPIFY_WEBHOOK_REPLAY_WINDOW_SECONDS
+ *     (Shopify retries for up to 4 hours)
+ *
+ * Only the body is signed. The headers are not, so the domain, topic and
+ * timestamp checks turn away malformed or stale deliveries, not forged ones:
+ * anyone holding a signed body can resend it with fresh headers. The
+ * timestamp window is a freshness hint, not replay protection. Replays are
+ * absorbed downstream: the event log deduplicates by X-Shopify-Webhook-Id, and
+ * the processors are idempotent (purchases are upserted by order ID and an
+ * order that already has entries gets no more).
+ *
+ * Strict mode is always on in production. Elsewhere SHOPIFY_WEBHOOK_STRICT=false
+ * lets failed checks through with a warning, for local testing with
+ * hand-crafted requests.
+ *
+ * Verified requests get req.shopifyWebhook = { topic, shopDomain, webhookId, triggeredAt, verified }.
+ */
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+const DEFAULT_REPLAY_WINDOW_SECONDS = 6 * 60 * 60;
+// Allowed clock difference for timestamps slightly in the future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Active webhook signing secrets, newest first
+ * @returns {string[]}
+ */
+const getWebhookSecrets = () => {
+  const secrets = [
+    ...(process.env.SHOPIFY_WEBHOOK_SECRETS || '').split(','),
+    process.env.SHOPIFY_WEBHOOK_SECRET || ''
+  ].map(secret => secret.trim()).filter(Boolean);
+
+  return [...new Set(secrets)];
+};
+
+const isStrictMode = () => {
+  return process.env.NODE_ENV === 'production' || process.env.SHOPIFY_WEBHOOK_STRICT !== 'false';
+};
+
+/**
+ * Run the checks; returns null when the request is valid, otherwise { status, message }
+ */
+const checkWebhookRequest = (req) => {
+  const hmacHeader = req.headers['x-shopify-hmac-sha256'];
+  const shopDomain = req.headers['x-shopify-shop-domain'];
+  const topic = req.headers['x-shopify-topic'];
+  const triggeredAt = req.headers['x-shopify-triggered-at'];
+  const secrets = getWebhookSecrets();
+
+  if (secrets.length === 0) {
+    return { status: 401, message: 'Webhook secret is not configured' };
+  }
+
+  if (!hmacHeader) {
+    return { status: 401, message: 'Missing webhook signature' };
+  }
+
+  // Re-serialized JSON differs from what Shopify signed, so only the raw body will do
+  if (!req.rawBody) {
+    return { status: 401, message: 'Raw body unavailable for signature verification' };
+  }
+
+  if (!secrets.some(secret => verifyWebhookHmac(req.rawBody, hmacHeader, secret))) {
+    return { status: 401, message: 'Invalid webhook signature' };
+  }
+
+  if (!shopDomain || !SHOP_DOMAIN_PATTERN.test(shopDomain)) {
+    return { status: 400, message: 'Missing or invalid shop domain header' };
+  }
+
+  if (!topic || !WEBHOOK_PROCESSORS[topic]) {
+    return { status: 400, message: 'Missing or unsupported webhook topic header' };
+  }
+
+  const triggeredTime = new Date(triggeredAt).getTime();
+  if (!triggeredAt || isNaN(triggeredTime)) {
+    return { status: 400, message: 'Missing or invalid webhook timestamp header' };
+  }
+
+  // Freshness only: the header is not covered by the signature
+  const windowMs = (parseInt(process.env.SHOPIFY_WEBHOOK_REPLAY_WINDOW_SECONDS) || DEFAULT_REPLAY_WINDOW_SECONDS) * 1000;
+  const age = Date.now() - triggeredTime;
+  if (age > windowMs || age < -CLOCK_SKEW_MS) {
+    return { status: 400, message: 'Webhook timestamp is too old or in the future' };
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware verifying Shopify webhook requests
+ */
+const verifyShopifyWebhook = (req, res, next) => {
+  const failure = checkWebhookRequest(req);
+
+  req.shopifyWebhook = {
+    topic: req.headers['x-shopify-topic'] || null,
+    shopDomain: req.headers['x-shopify-shop-domain'] || null,
+    webhookId: req.headers['x-shopify-webhook-id'] || null,
+    triggeredAt: req.headers['x-shopify-triggered-at'] || null,
+    verified: !failure
+  };
+
+  if (!failure) {
+    return next();
+  }
+
+  console.log(`❌ Webhook rejected (${req.method} ${req.originalUrl}): ${failure.message}`);
+
+  if (isStrictMode()) {
+    return res.status(failure.status).json({
+      success: false,
+      message: failure.message
+    });
+  }
+
+  console.warn('⚠️ SHOPIFY_WEBHOOK_STRICT=false - accepting unverified webhook');
+  next();
+};
+
+module.exports = {
+  verifyShopifyWebhook,
+  getWebhookSecrets
+};
@@ -3,18 +3,34 @@ const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const {
   getAdminDashboard,
+  getRateLimits,
   createAdminManualEntry,
   createAdminPromo,
   exportEntriesCSV,
   exportWinnersCSV,
   exportAdminData
 } = require('../controllers/adminController');
+const {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  listDeadLetters,
+  requeueDeadLetter
+} = require('../controllers/webhookEventController');
+const { getAdminReviewQueue, reviewAdminEntry } = require('../controllers/fraudReviewController');
+const { startAdminBackfill, getAdminBackfills } = require('../controllers/orderBackfillController');
+const {
+  startAdminReconciliation,
+  getAdminReconciliationRuns,
+  getAdminReconciliationRun
+} = require('../controllers/reconciliationController');
 
 // All admin routes require authentication
 router.use(authenticateToken);
 
 // Admin dashboard
 router.get('/dashboard', getAdminDashboard);
+router.get('/rate-limits', getRateLimits);
 
 // Manual entry management
 router.post('/entries/manual', createAdminManualEntry);
@@ -22,10 +38,32 @@ router.post('/entries/manual', createAdminManualEntry);
 // Promo management
 router.post('/promos', createAdminPromo);
 
+// Order backfills (reconciliation after webhook outages)
+router.post('/promos/:id/backfill', startAdminBackfill);
+router.get('/promos/:id/backfill', getAdminBackfills);
+
+// Reconciliation (Shopify orders vs purchases and entries)
+router.post('/promos/:id/reconcile', startAdminReconciliation);
+router.get('/reconciliation', getAdminReconciliationRuns);
+router.get('/reconciliation/:runId', getAdminReconciliationRun);
+
 // CSV exports (legacy - for specific promos)
 router.get('/export/entries/:promoId', exportEntriesCSV);
 router.get('/export/winners-csv', exportWinnersCSV);
 
 router.get('/export/:type', exportAdminData);
 
+// Webhook event log
+router.get('/webhooks/events', listWebhookEvents);
+router.get('/webhooks/events/:eventId', getWebhookEvent);
+router.post('/webhooks/events/:eventId/replay', replayWebhookEvent);
+
+// Webhook dead letters
+router.get('/webhooks/dead-letters', listDeadLetters);
+router.post('/webhooks/dead-letters/:deadLetterId/requeue', requeueDeadLetter);
+
+// Fraud review queue
+router.get('/fraud/review-queue', getAdminReviewQueue);
+router.post('/fraud/entries/:entryId/review', reviewAdminEntry);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getClaim, submitClaim } = require('../controllers/claimController');
+
+// Public routes - access is granted by the signed claim token in the winner email
+router.get('/:token', getClaim);
+router.post('/:token', submitClaim);
+
+module.exports = router;
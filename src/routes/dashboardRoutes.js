@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
+const fraudReviewController = require('../controllers/fraudReviewController');
+const orderBackfillController = require('../controllers/orderBackfillController');
+const reconciliationController = require('../controllers/reconciliationController');
 const { authenticateToken } = require('../middleware/auth');
 
 // All routes require authentication
@@ -10,10 +13,28 @@ router.get('/', authenticateToken, dashboardController.getDashboardData);
 router.post('/promos', authenticateToken, dashboardController.createPromo);
 router.get('/promos/:id', authenticateToken, dashboardController.getPromo);
 router.put('/promos/:id', authenticateToken, dashboardController.updatePromo);
+router.get('/promos/:id/history', authenticateToken, dashboardController.getPromoHistory);
 router.delete('/promos/:id', authenticateToken, dashboardController.deletePromo);
 
+// Order backfills (orders missed by webhooks)
+router.post('/promos/:id/backfill', authenticateToken, orderBackfillController.startPromoBackfill);
+router.get('/promos/:id/backfill', authenticateToken, orderBackfillController.getPromoBackfills);
+
+// Reconciliation (Shopify orders vs purchases and entries)
+router.post('/promos/:id/reconcile', authenticateToken, reconciliationController.startPromoReconciliation);
+router.get('/reconciliation', authenticateToken, reconciliationController.getStoreReconciliationRuns);
+router.get('/reconciliation/:runId', authenticateToken, reconciliationController.getStoreReconciliationRun);
+
 // Export routes
 router.get('/export/:type', authenticateToken, dashboardController.exportData);
 
+// Privacy requests (GDPR webhooks)
+router.get('/privacy-requests', authenticateToken, dashboardController.getPrivacyRequests);
+router.get('/privacy-requests/:id/export', authenticateToken, dashboardController.getPrivacyRequestExport);
+
+// Fraud review queue
+router.get('/fraud/review-queue', authenticateToken, fraudReviewController.getStoreReviewQueue);
+router.post('/fraud/entries/:entryId/review', authenticateToken, fraudReviewController.reviewStoreEntry);
+
 module.exports = router;
 
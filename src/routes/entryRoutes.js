@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { createManualEntry, createWaitlistEntry, getEntriesForPromo, getActivePromos } = require('../controllers/entryController');
+const { createManualEntry, createBonusActionEntry, createWaitlistEntry, getEntriesForPromo, getActivePromos, getEntryConfirmation, confirmEntry } = require('../controllers/entryController');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifyChallenge } = require('../middleware/challenge');
 
-// Public routes (no authentication required)
-router.post('/manual', createManualEntry);
-router.post('/waitlist', createWaitlistEntry);
-router.get('/active-promos', getActivePromos);
+// Public routes (no authentication required), rate limited; forms also need a solved challenge when CAPTCHA_PROVIDER is set
+router.post('/manual', rateLimit('entry_ip', 'entry_email', 'entry_promo'), verifyChallenge, createManualEntry);
+router.post('/bonus-actions', rateLimit('bonus_ip', 'bonus_email'), verifyChallenge, createBonusActionEntry);
+router.post('/waitlist', rateLimit('waitlist_ip', 'waitlist_email'), verifyChallenge, createWaitlistEntry);
+router.get('/active-promos', rateLimit('active_promos_ip'), getActivePromos);
+router.get('/confirm/:token', getEntryConfirmation);
+router.post('/confirm/:token', confirmEntry);
 
 // Protected routes (authentication required)
 router.get('/:promoId', authenticateToken, getEntriesForPromo);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  requestAccessLink,
+  verifyAccessLink,
+  getMyData,
+  exportMyData,
+  withdrawConsent,
+  unsubscribe,
+  getUnsubscribeLink,
+  unsubscribeByLink,
+  requestErasure
+} = require('../controllers/privacyController');
+const { authenticatePrivacySession } = require('../middleware/privacySession');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifyChallenge } = require('../middleware/challenge');
+
+// Public routes - ownership of the email is proven by the one-time link; every link
+// request sends an email, so it is rate limited and needs a solved challenge like the entry forms
+router.post('/request-link', rateLimit('privacy_link_ip', 'privacy_link_email'), verifyChallenge, requestAccessLink);
+router.post('/verify', verifyAccessLink);
+
+// Unsubscribe links in emails carry their own signed token
+router.get('/unsubscribe/:token', getUnsubscribeLink);
+router.post('/unsubscribe/:token', unsubscribeByLink);
+
+// Portal routes (session token from /verify)
+router.get('/data', authenticatePrivacySession, getMyData);
+router.get('/export', authenticatePrivacySession, exportMyData);
+router.post('/consent', authenticatePrivacySession, withdrawConsent);
+router.post('/unsubscribe', authenticatePrivacySession, unsubscribe);
+router.post('/erase', authenticatePrivacySession, requestErasure);
+
+module.exports = router;
@@ -4,9 +4,10 @@ const {
   generateInstallUrl,
   handleShopifyCallback,
   getStoreInfo,
-  handleAppUninstall,
   setupWebhooksForStore
 } = require('../controllers/shopifyController');
+const { handleAppUninstall } = require('../controllers/webhookController');
+const { verifyShopifyWebhook } = require('../middleware/shopifyWebhook');
 const { authenticateToken } = require('../middleware/auth');
 
 // Generate Shopify install URL (both routes for compatibility)
@@ -19,8 +20,8 @@ router.get('/shopify/callback', handleShopifyCallback);
 // Get store information
 router.get('/shopify/store/:shop', getStoreInfo);
 
-// Handle app uninstall webhook
-router.post('/webhooks/app/uninstalled', handleAppUninstall);
+// Legacy path of the app uninstall webhook; verified and handled like /api/webhooks/app/uninstalled
+router.post('/webhooks/app/uninstalled', verifyShopifyWebhook, handleAppUninstall);
 
 // Setup webhooks for existing store
 router.post('/shopify/setup-webhooks', setupWebhooksForStore);
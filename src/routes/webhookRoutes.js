@@ -3,16 +3,27 @@ const router = express.Router();
 const { 
   handleOrderCreate, 
   handleOrderUpdate,
+  handleOrderCancelled,
+  handleRefundCreate,
   handleAppUninstall,
-  handleSubscriptionUpdate
+  handleSubscriptionUpdate,
+  handleCustomerDataRequest,
+  handleCustomerRedact,
+  handleShopRedact
 } = require('../controllers/webhookController');
+const { verifyShopifyWebhook } = require('../middleware/shopifyWebhook');
 
 // Parse JSON for webhook payloads
 router.use(express.json());
 
+// Every webhook must be signed by Shopify (HMAC, shop, topic and replay window)
+router.use(verifyShopifyWebhook);
+
 // Order webhook endpoints
 router.post('/orders/create', handleOrderCreate);
 router.post('/orders/updated', handleOrderUpdate);
+router.post('/orders/cancelled', handleOrderCancelled);
+router.post('/refunds/create', handleRefundCreate);
 
 // App lifecycle webhooks
 router.post('/app/uninstalled', handleAppUninstall);
@@ -21,4 +32,9 @@ router.post('/app/uninstalled', handleAppUninstall);
 router.post('/billing/subscription-update', handleSubscriptionUpdate);
 router.post('/app_subscriptions/update', handleSubscriptionUpdate); // Alternative path
 
+// Mandatory privacy (GDPR) webhooks
+router.post('/customers/data_request', handleCustomerDataRequest);
+router.post('/customers/redact', handleCustomerRedact);
+router.post('/shop/redact', handleShopRedact);
+
 module.exports = router;
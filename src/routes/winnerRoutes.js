@@ -2,19 +2,37 @@ const express = require('express');
 const router = express.Router();
 const { 
   selectWinner, 
+  drawPrizeTiers,
   getWinnersForPromo, 
   getWinnersForStore, 
-  updateWinnerNotification 
+  updateWinnerNotification,
+  forfeitWinner,
+  redrawWinner,
+  resendClaimLink,
+  getWinnerClaim,
+  verifyWinnerDraw
 } = require('../controllers/winnerController');
 const { authenticateToken } = require('../middleware/auth');
 
+// Public draw verification (seed, snapshot hash and replay result only - no PII)
+router.get('/:winnerId/verify', verifyWinnerDraw);
+
 // All winner routes require authentication
 router.use(authenticateToken);
 
 // Winner selection and management
 router.post('/select', selectWinner);
+router.post('/draw', drawPrizeTiers);
 router.get('/promo/:promoId', getWinnersForPromo);
 router.get('/store/:storeId', getWinnersForStore);
 router.put('/:winnerId/notify', updateWinnerNotification);
 
+// Forfeiture and alternate winners
+router.put('/:winnerId/forfeit', forfeitWinner);
+router.post('/:winnerId/redraw', redrawWinner);
+
+// Prize claims
+router.post('/:winnerId/claim-link', resendClaimLink);
+router.get('/:winnerId/claim', getWinnerClaim);
+
 module.exports = router;
@@ -3,11 +3,25 @@ const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
 const morgan = require('morgan');
-const { testConnection } = require('./config/supabase');
+const { supabase, testConnection } = require('./config/supabase');
+const { Scheduler, createJobStore } = require('./services/scheduler');
+const { registerPromoJobs } = require('./services/promoJobs');
+const { registerEntryJobs } = require('./services/entryJobs');
+const { registerOrderBackfillJobs } = require('./services/orderBackfillService');
+const { registerReconciliationJobs } = require('./services/reconciliationService');
+const { webhookQueue } = require('./services/webhookQueue');
+const { getLinkTokenSecret } = require('./utils/signedTokens');
+const { getTrustProxySetting } = require('./utils/rateLimitUtils');
+
+// Claim and privacy links are signed; refuse to start without a secret rather than fail on first use
+getLinkTokenSecret();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Client IPs (rate limits, entry metadata) come from req.ip, which trusts only this many proxy hops
+app.set('trust proxy', getTrustProxySetting());
+
 // Request logging with Morgan
 if (process.env.NODE_ENV === 'production') {
   // Production: Combined Apache-style logs
@@ -25,7 +39,7 @@ app.use(cors({
 }));
 
 // Capture raw body for webhook HMAC verification (must be before express.json())
-app.use('/api/webhooks', express.json({
+app.use(['/api/webhooks', '/api/auth/webhooks'], express.json({
   verify: (req, res, buf) => {
     req.rawBody = buf.toString('utf8');
   }
@@ -54,6 +68,8 @@ const winnerRoutes = require('./routes/winnerRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const emailRoutes = require('./routes/emailRoutes');
 const billingRoutes = require('./routes/billingRoutes');
+const claimRoutes = require('./routes/claimRoutes');
+const privacyRoutes = require('./routes/privacyRoutes');
 
 // Routes
 app.get('/', (req, res) => {
@@ -80,9 +96,29 @@ app.use('/api/winners', winnerRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/billing', billingRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/privacy', privacyRoutes);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+
+  // Background jobs: close ended promos, run scheduled draws, expire unconfirmed entries, backfill orders and reconcile them nightly
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    const scheduler = new Scheduler({
+      store: createJobStore(supabase),
+      intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS) || undefined
+    });
+    registerPromoJobs(scheduler, supabase);
+    registerEntryJobs(scheduler, supabase);
+    registerOrderBackfillJobs(scheduler, supabase);
+    registerReconciliationJobs(scheduler, supabase);
+    scheduler.start();
+  }
+
+  // Background worker for queued webhook events
+  if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+    webhookQueue.start();
+  }
 });
 
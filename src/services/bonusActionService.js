@@ -0,0 +1,157 @@
+const { assessEntry } = require('./fraudService');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const { ACTIVE_ENTRY_FILTER, BASE_ENTRY_FILTER } = require('../utils/entryUtils');
+const { getBonusActionSource, getCompletionDedupeKey } = require('../utils/bonusActionUtils');
+
+/**
+ * Bonus Action Service
+ * Records completed bonus actions and awards their entries. Every completion
+ * is written to `bonus_action_completions`, whose unique `(promo_id,
+ * dedupe_key)` makes each action's dedupe rule hold under concurrent
+ * requests; the awarded entry is linked back through `entry_id`.
+ */
+
+/**
+ * Record a completed bonus action for an entrant
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {Object} options.action - Bonus action from the promo
+ * @param {string} options.email - Entrant email
+ * @param {string} options.channel - Share channel (share_link)
+ * @param {string} options.friendEmail - Referred friend (refer_friend)
+ * @param {string} options.ipAddress
+ * @param {string} options.userAgent
+ * @returns {Promise<Object>} - { success, entry, completion } or { success, status, message }
+ */
+const recordBonusAction = async ({ client, promo, action, email, channel = null, friendEmail = null, ipAddress, userAgent }) => {
+  const hashedEmail = hashCanonicalEmail(email);
+
+  // Bonus actions add to an entry; the entrant has to have entered (and confirmed) first
+  const { data: baseEntries, error: baseError } = await client
+    .from('entries')
+    .select('id, consent_brand, consent_rafl')
+    .eq('promo_id', promo.id)
+    .eq('hashed_email', hashedEmail)
+    .or(ACTIVE_ENTRY_FILTER)
+    .or(BASE_ENTRY_FILTER)
+    .limit(1);
+
+  if (baseError) {
+    console.error('Error checking entrant entries:', baseError);
+    return { success: false, status: 500, message: 'Error checking existing entries' };
+  }
+
+  if (!baseEntries || baseEntries.length === 0) {
+    return { success: false, status: 400, message: 'Enter the promo before completing bonus actions' };
+  }
+
+  const { key: dedupeKey, error: dedupeError } = getCompletionDedupeKey(action, { email, channel, friendEmail });
+  if (dedupeError) {
+    return { success: false, status: 400, message: dedupeError };
+  }
+
+  const { count: completions, error: countError } = await client
+    .from('bonus_action_completions')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_id', promo.id)
+    .eq('action_id', action.id)
+    .eq('hashed_email', hashedEmail);
+
+  if (countError) {
+    console.error('Error counting bonus action completions:', countError);
+    return { success: false, status: 500, message: 'Error checking bonus actions' };
+  }
+
+  if (completions >= action.maxCompletions) {
+    return { success: false, status: 409, message: `You have already completed "${action.label}" the maximum number of times` };
+  }
+
+  const { data: completion, error: completionError } = await client
+    .from('bonus_action_completions')
+    .insert({
+      promo_id: promo.id,
+      store_id: promo.store_id,
+      action_id: action.id,
+      action_type: action.type,
+      hashed_email: hashedEmail,
+      dedupe_key: dedupeKey,
+      details: {
+        channel: channel || null,
+        friend_hashed_email: friendEmail ? hashCanonicalEmail(friendEmail) : null
+      },
+      ip_address: ipAddress,
+      user_agent: userAgent
+    })
+    .select()
+    .single();
+
+  if (completionError) {
+    // 23505 is unique constraint violation (this completion was already recorded)
+    if (completionError.code === '23505') {
+      return {
+        success: false,
+        status: 409,
+        message: action.type === 'refer_friend'
+          ? 'This friend has already been referred'
+          : 'This action has already been recorded'
+      };
+    }
+    console.error('Error recording bonus action:', completionError);
+    return { success: false, status: 500, message: 'Error recording bonus action' };
+  }
+
+  const { data: entry, error: entryError } = await client
+    .from('entries')
+    .insert({
+      promo_id: promo.id,
+      store_id: promo.store_id,
+      customer_email: email.toLowerCase().trim(),
+      hashed_email: hashedEmail,
+      entry_count: action.entries,
+      status: 'active',
+      source: getBonusActionSource(action.type),
+      order_id: null,
+      order_total: 0,
+      consent_brand: baseEntries[0].consent_brand,
+      consent_rafl: baseEntries[0].consent_rafl,
+      is_manual: false,
+      metadata: {
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        entry_type: 'bonus_action',
+        bonus_action_id: action.id,
+        bonus_action_type: action.type,
+        bonus_completion_id: completion.id,
+        channel: channel || undefined
+      }
+    })
+    .select()
+    .single();
+
+  if (entryError) {
+    console.error('Error creating bonus entry:', entryError);
+    // Free the dedupe key so the entrant can try again
+    await client.from('bonus_action_completions').delete().eq('id', completion.id);
+    return { success: false, status: 500, message: 'Error creating bonus entry' };
+  }
+
+  const { error: linkError } = await client
+    .from('bonus_action_completions')
+    .update({ entry_id: entry.id })
+    .eq('id', completion.id);
+
+  if (linkError) {
+    console.error('Error linking bonus completion to entry:', linkError);
+  }
+
+  console.log(`⭐ Bonus action ${action.id} (${action.type}) earned ${action.entries} entries for entry ${entry.id}`);
+
+  await assessEntry({ client, entry });
+
+  return { success: true, entry, completion: { ...completion, entry_id: entry.id } };
+};
+
+module.exports = {
+  recordBonusAction
+};
@@ -0,0 +1,329 @@
+const emailService = require('./emailService');
+const {
+  DRAW_ALGORITHM_VERSION,
+  generateDrawSeed,
+  hashSeed,
+  buildEntrySnapshot,
+  hashEntrySnapshot,
+  runMultiDraw,
+  countSnapshotParticipants
+} = require('../utils/drawUtils');
+const { getClaimDeadline } = require('../utils/prizeUtils');
+const { createClaimToken, getClaimUrl } = require('../utils/claimUtils');
+const { isDrawEligible } = require('../utils/fraudUtils');
+const { canonicalizeEmail } = require('../utils/emailUtils');
+const { ACTIVE_ENTRY_FILTER } = require('../utils/entryUtils');
+
+/**
+ * Draw Service
+ * Runs commit–reveal winner draws shared by single-winner selection and
+ * multi-tier draws. All winners of one draw are inserted in a single
+ * statement, so a draw either records every winner or none.
+ *
+ * The entry snapshot is stored on the commitment before any winner is
+ * recorded, and every winner row carries the seed, so a draw can be replayed
+ * even if revealing the seed on the commitment fails.
+ */
+
+// Attempts at revealing the seed on the commitment after the winners are recorded
+const REVEAL_ATTEMPTS = 3;
+
+// Promos can be drawn while running or after they have closed; drawn promos
+// stay drawable for additional winners and alternates
+const DRAWABLE_PROMO_STATUSES = ['active', 'closed', 'drawn'];
+
+/**
+ * Draw one winner per prize slot for a promo
+ * @param {object} options
+ * @param {object} options.client - Supabase client to run queries with
+ * @param {object} options.promo - Promo row
+ * @param {string} options.userId - User running the draw
+ * @param {Array} options.slots - One { tierIndex, tierName, prizeDescription, prizeAmount, alternateForWinnerId } per winner
+ * @returns {Promise<object>} { success, status, message, data } on failure; { success, winners, draw, stats } on success
+ */
+const drawWinners = async ({ client, promo, userId, slots }) => {
+  // Commit to the draw seed before reading the entry pool, so the seed
+  // cannot be chosen after the entrants are known
+  const drawSeed = generateDrawSeed();
+  const { data: commitment, error: commitError } = await client
+    .from('draw_commitments')
+    .insert({
+      promo_id: promo.id,
+      seed_hash: hashSeed(drawSeed),
+      algorithm_version: DRAW_ALGORITHM_VERSION,
+      status: 'committed',
+      committed_at: new Date().toISOString(),
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (commitError) {
+    console.error('Error creating draw commitment:', commitError);
+    return { success: false, status: 500, message: 'Error committing draw seed' };
+  }
+
+  // Mark the commitment as aborted so re-rolls stay visible in the audit trail
+  const abort = async (status, message, data = undefined) => {
+    const { error } = await client
+      .from('draw_commitments')
+      .update({ status: 'aborted', abort_reason: message, revealed_at: new Date().toISOString() })
+      .eq('id', commitment.id);
+    if (error) {
+      console.error('Error aborting draw commitment:', error);
+    }
+    return { success: false, status, message, data };
+  };
+
+  // Get existing winners for this promo (to exclude them from selection)
+  const { data: existingWinners, error: winnersError } = await client
+    .from('winners')
+    .select('customer_email')
+    .eq('promo_id', promo.id);
+
+  if (winnersError && winnersError.code !== 'PGRST116') { // PGRST116 = no rows returned
+    console.error('Error checking existing winners:', winnersError);
+    return abort(500, 'Error checking existing winners');
+  }
+
+  // Create a set of already-selected email addresses
+  const alreadySelectedEmails = new Set(
+    (existingWinners || []).map(w => canonicalizeEmail(w.customer_email))
+  );
+
+  // Get all entries for this promo; voided (refunded or cancelled) and unconfirmed (pending or expired) entries never take part
+  const { data: allEntries, error: entriesError } = await client
+    .from('entries')
+    .select('*')
+    .eq('promo_id', promo.id)
+    .or(ACTIVE_ENTRY_FILTER);
+
+  if (entriesError) {
+    console.error('Error fetching entries:', entriesError);
+    return abort(500, 'Error fetching entries');
+  }
+
+  // Filter out quarantined or rejected entries (fraud review) and entries from users who have already won
+  const entries = (allEntries || []).filter(
+    entry => isDrawEligible(entry) && !alreadySelectedEmails.has(canonicalizeEmail(entry.customer_email))
+  );
+
+  if (entries.length === 0) {
+    const message = alreadySelectedEmails.size > 0
+      ? `All eligible entries have already won! ${alreadySelectedEmails.size} winner(s) already selected from ${allEntries?.length || 0} total entries.`
+      : 'No entries found for this promo';
+
+    return abort(400, message, {
+      total_entries: allEntries?.length || 0,
+      already_selected: alreadySelectedEmails.size,
+      remaining: 0
+    });
+  }
+
+  // Snapshot the eligible pool in a stable order
+  // Participants are canonical emails, so one person's aliases can't win twice
+  const entrySnapshot = buildEntrySnapshot(entries, entry => canonicalizeEmail(entry.customer_email));
+  const eligibleParticipants = countSnapshotParticipants(entrySnapshot);
+
+  if (entrySnapshot.length === 0) {
+    return abort(400, 'No valid entries found for this promo');
+  }
+
+  if (eligibleParticipants < slots.length) {
+    return abort(400, `Not enough eligible participants to fill ${slots.length} prize(s): only ${eligibleParticipants} remaining`, {
+      total_entries: allEntries?.length || 0,
+      already_selected: alreadySelectedEmails.size,
+      remaining: eligibleParticipants,
+      requested: slots.length
+    });
+  }
+
+  // Persist the pool before drawing from it; without it the draw could not be replayed
+  const { error: snapshotError } = await client
+    .from('draw_commitments')
+    .update({
+      snapshot_hash: hashEntrySnapshot(entrySnapshot),
+      entry_snapshot: entrySnapshot
+    })
+    .eq('id', commitment.id);
+
+  if (snapshotError) {
+    console.error('Error saving draw entry snapshot:', snapshotError);
+    return abort(500, 'Error saving draw entry snapshot');
+  }
+
+  const entriesById = new Map(entries.map(entry => [String(entry.id), entry]));
+  const picks = runMultiDraw(entrySnapshot, drawSeed, DRAW_ALGORITHM_VERSION, slots.length)
+    .map(pick => ({ ...pick, entryCount: entriesById.get(pick.entryId).entry_count }));
+  const drawnAt = new Date();
+  const claimDeadline = getClaimDeadline(promo, drawnAt);
+
+  const winnerRows = picks.map((pick, index) => {
+    const entry = entriesById.get(pick.entryId);
+    const slot = slots[index];
+    return {
+      promo_id: promo.id,
+      store_id: promo.store_id,
+      entry_id: entry.id,
+      customer_email: entry.customer_email,
+      customer_name: entry.customer_name || null,
+      prize_description: slot.prizeDescription,
+      prize_amount: slot.prizeAmount,
+      prize_tier_index: slot.tierIndex,
+      prize_tier_name: slot.tierName,
+      drawn_at: drawnAt.toISOString(),
+      status: 'selected',
+      claim_deadline: claimDeadline,
+      alternate_for_winner_id: slot.alternateForWinnerId || null,
+      notified: false,
+      claimed: false,
+      created_by: userId,
+      draw_commitment_id: commitment.id,
+      draw_round: pick.round,
+      draw_seed: drawSeed,
+      draw_seed_hash: commitment.seed_hash,
+      draw_snapshot_hash: pick.snapshotHash,
+      draw_algorithm_version: DRAW_ALGORITHM_VERSION
+    };
+  });
+
+  // Insert every winner of the draw in one statement
+  const { data: winners, error: createWinnersError } = await client
+    .from('winners')
+    .insert(winnerRows)
+    .select();
+
+  if (createWinnersError) {
+    console.error('Error creating winners:', createWinnersError);
+    return abort(500, 'Error creating winner record');
+  }
+
+  winners.sort((a, b) => a.draw_round - b.draw_round);
+
+  // Reveal the seed on the commitment; the winners are recorded, so a failure is retried and reported rather than failing the draw
+  let revealError = null;
+  for (let attempt = 1; attempt <= REVEAL_ATTEMPTS; attempt++) {
+    ({ error: revealError } = await client
+      .from('draw_commitments')
+      .update({
+        status: 'revealed',
+        seed: drawSeed,
+        winner_id: winners[0].id,
+        winner_ids: winners.map(w => w.id),
+        revealed_at: new Date().toISOString()
+      })
+      .eq('id', commitment.id));
+
+    if (!revealError) {
+      break;
+    }
+    console.error(`Error revealing draw commitment (attempt ${attempt}/${REVEAL_ATTEMPTS}):`, revealError);
+  }
+
+  if (revealError) {
+    try {
+      await emailService.sendAdminNotification(
+        'Draw Seed Not Revealed',
+        `Winners were drawn for promo ${promo.title}, but the seed could not be revealed on the draw commitment`,
+        { promoId: promo.id, commitmentId: commitment.id, winnerIds: winners.map(w => w.id), error: revealError.message }
+      );
+    } catch (adminEmailError) {
+      console.error('Failed to send admin notification:', adminEmailError);
+    }
+  }
+
+  return {
+    success: true,
+    winners,
+    picks,
+    draw: {
+      commitmentId: commitment.id,
+      seed: drawSeed,
+      seedHash: commitment.seed_hash,
+      committedAt: commitment.committed_at,
+      snapshotHash: picks[0].snapshotHash,
+      algorithmVersion: DRAW_ALGORITHM_VERSION,
+      revealed: !revealError,
+      ...(revealError && { revealError: 'The seed could not be revealed on the draw commitment; it is recorded on the winners' })
+    },
+    stats: {
+      totalEntries: entries.length,
+      totalWeightedEntries: picks[0].totalWeight,
+      previousWinners: alreadySelectedEmails.size,
+      totalWinners: alreadySelectedEmails.size + winners.length,
+      eligibleParticipants,
+      remainingEligible: eligibleParticipants - winners.length,
+      totalParticipants: allEntries?.length || 0
+    }
+  };
+};
+
+/**
+ * Email winners and admins about a completed draw
+ * Email failures are logged and never fail the draw.
+ * @param {object} client - Supabase client to run queries with
+ * @param {object} promo - Promo row
+ * @param {Array} winners - Winner rows from drawWinners
+ * @param {object} stats - Stats from drawWinners
+ * @returns {Promise<Set>} IDs of winners whose notification email was sent
+ */
+const notifyWinners = async (client, promo, winners, stats) => {
+  const notifiedIds = new Set();
+
+  for (const winner of winners) {
+    try {
+      await emailService.sendWinnerEmail(
+        winner.customer_email,
+        promo.title,
+        winner.prize_description,
+        winner.entry_id,
+        getClaimUrl(createClaimToken(winner)),
+        winner.claim_deadline
+      );
+      console.log('Winner email sent successfully for winner:', winner.id);
+      notifiedIds.add(winner.id);
+
+      // Update winner record to mark as notified
+      await client
+        .from('winners')
+        .update({ notified: true, notified_at: new Date().toISOString() })
+        .eq('id', winner.id);
+
+    } catch (emailError) {
+      console.error('Failed to send winner email:', emailError);
+      // Don't fail the draw for email errors
+    }
+  }
+
+  // Send admin notification about winner selection
+  try {
+    await emailService.sendAdminNotification(
+      winners.length === 1 ? 'Winner Selected' : 'Winners Selected',
+      `${winners.length} winner(s) selected for promo: ${promo.title}`,
+      {
+        promoTitle: promo.title,
+        totalEntries: stats.totalEntries,
+        winners: winners.map(w => ({
+          winnerEmail: w.customer_email,
+          winnerName: w.customer_name,
+          prizeTier: w.prize_tier_name,
+          prizeDescription: w.prize_description,
+          prizeAmount: w.prize_amount
+        })),
+        drawnAt: winners[0]?.drawn_at
+      }
+    );
+    console.log('Admin notification sent for winner selection');
+  } catch (adminEmailError) {
+    console.error('Failed to send admin notification:', adminEmailError);
+    // Don't fail the draw for email errors
+  }
+
+  return notifiedIds;
+};
+
+module.exports = {
+  DRAWABLE_PROMO_STATUSES,
+  drawWinners,
+  notifyWinners
+};
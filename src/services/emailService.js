@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const sgMail = require('@sendgrid/mail');
+const { getUnsubscribeUrl } = require('../utils/privacyUtils');
 
 // Configure SendGrid
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -104,10 +105,11 @@ class EmailService {
 
   /**
    * Send welcome email to new entry
+   * With a referral URL the email invites the entrant to share it for bonus entries
    */
-  async sendWelcomeEmail(email, promoName, entryId) {
+  async sendWelcomeEmail(email, promoName, entryId, referralUrl = null) {
     const subject = `Welcome to ${promoName} - Entry Confirmed!`;
-    const html = this.getWelcomeEmailTemplate(email, promoName, entryId);
+    const html = this.getWelcomeEmailTemplate(email, promoName, entryId, referralUrl);
     
     return await this.sendEmail(email, subject, html);
   }
@@ -124,10 +126,11 @@ class EmailService {
 
   /**
    * Send winner notification email
+   * When a claim URL is given the email links to the claim portal instead of asking for a reply
    */
-  async sendWinnerEmail(email, promoName, prize, entryId) {
+  async sendWinnerEmail(email, promoName, prize, entryId, claimUrl = null, claimDeadline = null) {
     const subject = `🎉 Congratulations! You won ${prize} in ${promoName}`;
-    const html = this.getWinnerEmailTemplate(email, promoName, prize, entryId);
+    const html = this.getWinnerEmailTemplate(email, promoName, prize, entryId, claimUrl, claimDeadline);
     
     return await this.sendEmail(email, subject, html);
   }
@@ -149,6 +152,35 @@ class EmailService {
     return await this.sendEmail(adminEmails, `[Admin] ${subject}`, html);
   }
 
+  /**
+   * Send a notification to a store owner (e.g. their promo closed or was drawn)
+   */
+  async sendMerchantNotification(email, subject, message, details = []) {
+    const html = this.getMerchantNotificationTemplate(subject, message, details);
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  /**
+   * Send the one-time link to an entrant's privacy portal
+   */
+  async sendPrivacyAccessEmail(email, portalUrl, expiresInMinutes) {
+    const subject = 'Your Rafl privacy portal link';
+    const html = this.getPrivacyAccessEmailTemplate(email, portalUrl, expiresInMinutes);
+
+    return await this.sendEmail(email, subject, html);
+  }
+
+  /**
+   * Send the link a no-purchase entrant follows to confirm a pending entry (double opt-in)
+   */
+  async sendEntryConfirmationEmail(email, promoName, confirmUrl, expiresAt) {
+    const subject = `Confirm your entry to ${promoName}`;
+    const html = this.getEntryConfirmationEmailTemplate(email, promoName, confirmUrl, expiresAt);
+
+    return await this.sendEmail(email, subject, html);
+  }
+
   /**
    * Test email functionality
    */
@@ -160,7 +192,7 @@ class EmailService {
   }
 
   // Email Templates
-  getWelcomeEmailTemplate(email, promoName, entryId) {
+  getWelcomeEmailTemplate(email, promoName, entryId, referralUrl = null) {
     return `
       <!DOCTYPE html>
       <html>
@@ -174,6 +206,7 @@ class EmailService {
           .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
           .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
           .entry-id { background: #e5e7eb; padding: 10px; border-radius: 4px; font-family: monospace; }
+          .referral { background: #eef2ff; padding: 15px; border-radius: 8px; border-left: 4px solid #4f46e5; margin: 20px 0; }
           .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
           .unsubscribe { font-size: 12px; color: #9ca3af; margin-top: 20px; }
         </style>
@@ -191,6 +224,13 @@ class EmailService {
             <p>Your entry details:</p>
             <div class="entry-id">Entry ID: ${entryId}</div>
             
+            ${referralUrl ? `
+            <div class="referral">
+              <p><strong>Want more chances to win?</strong> Share your personal link - you earn bonus entries for every friend who enters or shops with it:</p>
+              <p><a href="${referralUrl}">${referralUrl}</a></p>
+            </div>
+            ` : ''}
+            
             <p>We will notify you if you are selected as a winner. Good luck!</p>
             
             <p>If you have any questions, please reply to this email.</p>
@@ -201,7 +241,7 @@ class EmailService {
             <p>This email was sent to ${email}</p>
             <p>© 2024 Rafl Sweepstakes. All rights reserved.</p>
             <div class="unsubscribe">
-              <p>If you no longer wish to receive these emails, please reply with "UNSUBSCRIBE"</p>
+              <p>If you no longer wish to receive these emails, <a href="${getUnsubscribeUrl(email)}">unsubscribe here</a></p>
             </div>
           </div>
         </div>
@@ -210,7 +250,11 @@ class EmailService {
     `;
   }
 
-  getWinnerEmailTemplate(email, promoName, prize, entryId) {
+  getWinnerEmailTemplate(email, promoName, prize, entryId, claimUrl = null, claimDeadline = null) {
+    const deadlineText = claimDeadline
+      ? `by <strong>${new Date(claimDeadline).toUTCString()}</strong>`
+      : 'within 7 days';
+
     return `
       <!DOCTYPE html>
       <html>
@@ -225,6 +269,7 @@ class EmailService {
           .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
           .prize { background: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0; }
           .entry-id { background: #e5e7eb; padding: 10px; border-radius: 4px; font-family: monospace; }
+          .claim-button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
           .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
         </style>
       </head>
@@ -245,7 +290,13 @@ class EmailService {
             <h3>Entry Details:</h3>
             <div class="entry-id">Entry ID: ${entryId}</div>
             
-            <p>Please reply to this email within 7 days to claim your prize. We'll provide you with instructions on how to receive your winnings.</p>
+            ${claimUrl ? `
+            <p>To receive your prize, please confirm your details and sign the winner affidavit ${deadlineText}:</p>
+            <p style="text-align: center;"><a href="${claimUrl}" class="claim-button">Claim Your Prize</a></p>
+            <p style="font-size: 12px; color: #6b7280;">If the button does not work, copy this link into your browser:<br>${claimUrl}</p>
+            ` : `
+            <p>Please reply to this email ${deadlineText} to claim your prize. We'll provide you with instructions on how to receive your winnings.</p>
+            `}
             
             <p>Congratulations again!</p>
             <p>Best regards,<br>The Rafl Team</p>
@@ -302,6 +353,54 @@ class EmailService {
     `;
   }
 
+  getMerchantNotificationTemplate(subject, message, details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${subject}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+          .details { background: #e5e7eb; padding: 15px; border-radius: 4px; }
+          .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${subject}</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+
+            <p>${message}</p>
+
+            ${details.length > 0 ? `
+            <div class="details">
+              <ul>
+                ${details.map(line => `<li>${line}</li>`).join('')}
+              </ul>
+            </div>
+            ` : ''}
+
+            <p>You can review the results in your dashboard.</p>
+
+            <p>Best regards,<br>The Rafl Team</p>
+          </div>
+          <div class="footer">
+            <p>© 2024 Rafl Sweepstakes. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   getWaitlistWelcomeEmailTemplate(email) {
     return `
       <!DOCTYPE html>
@@ -349,6 +448,97 @@ class EmailService {
             
             <p>Best regards,<br>The Rafl Team</p>
           </div>
+          <div class="footer">
+            <p>This email was sent to ${email}</p>
+            <p>© 2024 Rafl Sweepstakes. All rights reserved.</p>
+            <p style="font-size: 12px; color: #9ca3af;">Don't want these emails? <a href="${getUnsubscribeUrl(email)}">Unsubscribe</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  getPrivacyAccessEmailTemplate(email, portalUrl, expiresInMinutes) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your privacy portal link</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+          .portal-button { display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+          .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Privacy Portal</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+
+            <p>Use the button below to see the sweepstakes entries and consents we hold for this email address, download them, change your consent, unsubscribe or ask us to erase your data.</p>
+
+            <p style="text-align: center;">
+              <a href="${portalUrl}" class="portal-button">Open Privacy Portal</a>
+            </p>
+
+            <p>The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for it, you can ignore this email.</p>
+
+            <p>Best regards,<br>The Rafl Team</p>
+          </div>
+          <div class="footer">
+            <p>This email was sent to ${email}</p>
+            <p>© 2024 Rafl Sweepstakes. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  getEntryConfirmationEmailTemplate(email, promoName, confirmUrl, expiresAt) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Confirm your entry to ${promoName}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+          .confirm-button { display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+          .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Confirm Your Entry</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+
+            <p>Thanks for entering <strong>${promoName}</strong>! Please confirm your email address so your entry counts in the draw.</p>
+
+            <p style="text-align: center;">
+              <a href="${confirmUrl}" class="confirm-button">Confirm My Entry</a>
+            </p>
+
+            <p>Entries that aren't confirmed by ${new Date(expiresAt).toUTCString()} expire and won't be entered into the draw. If you didn't enter, you can ignore this email.</p>
+
+            <p>Best regards,<br>The Rafl Team</p>
+          </div>
           <div class="footer">
             <p>This email was sent to ${email}</p>
             <p>© 2024 Rafl Sweepstakes. All rights reserved.</p>
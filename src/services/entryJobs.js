@@ -0,0 +1,36 @@
+/**
+ * Entry Jobs
+ * Scheduled work for entries:
+ *   entry-confirmations - expires pending (double opt-in) entries whose
+ *   confirmation window has passed, so they never count in a draw
+ * Expired entries are kept for the record and no longer count towards the
+ * entrant's per-email and per-IP limits, so they can enter again.
+ */
+
+/**
+ * Register entry planners on a scheduler
+ * @param {Scheduler} scheduler
+ * @param {Object} client - Supabase client (service role)
+ */
+const registerEntryJobs = (scheduler, client) => {
+  scheduler.registerPlanner('entry-confirmations', async (sched, now) => {
+    const { data: expired, error } = await client
+      .from('entries')
+      .update({ status: 'expired' })
+      .eq('status', 'pending')
+      .lte('confirmation_expires_at', now.toISOString())
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (expired?.length > 0) {
+      console.log(`⌛ Expired ${expired.length} unconfirmed entr${expired.length === 1 ? 'y' : 'ies'}`);
+    }
+  });
+};
+
+module.exports = {
+  registerEntryJobs
+};
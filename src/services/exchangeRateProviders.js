@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { REPORTING_CURRENCY, normalizeCurrency, roundMoney, getStaticExchangeRates } = require('../utils/currencyUtils');
+
+/**
+ * Exchange rate providers
+ *
+ * An exchange rate provider converts between currencies for purchase
+ * entries and revenue metrics.
+ *
+ * Provider interface:
+ *   getRate(from, to) -> Promise<number>   (units of `to` per unit of `from`; throws if unknown)
+ *
+ * An unknown currency throws an error with code MISSING_EXCHANGE_RATE and
+ * `retryable = false`: retrying cannot make the rate appear.
+ */
+
+const MISSING_EXCHANGE_RATE = 'MISSING_EXCHANGE_RATE';
+
+const crossRate = (rates, from, to) => {
+  if (!rates[from] || !rates[to]) {
+    const error = new Error(`No exchange rate for ${from} → ${to}`);
+    error.code = MISSING_EXCHANGE_RATE;
+    error.retryable = false;
+    throw error;
+  }
+  return rates[to] / rates[from];
+};
+
+/**
+ * Check whether an error is a currency missing from the rate table
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isMissingExchangeRate = (error) => error?.code === MISSING_EXCHANGE_RATE;
+
+/**
+ * Static rate table (utils/currencyUtils, overridable with EXCHANGE_RATES) - works offline
+ */
+class StaticExchangeRateProvider {
+  async getRate(from, to) {
+    if (from === to) {
+      return 1;
+    }
+    return crossRate(getStaticExchangeRates(), from, to);
+  }
+}
+
+/**
+ * Rates fetched from an HTTP API (EXCHANGE_RATE_API_URL) answering { rates: { EUR: 0.92, ... } }
+ * relative to USD, cached for EXCHANGE_RATE_CACHE_MINUTES. Falls back to the
+ * last fetched rates, then to the static table, when the API is unreachable.
+ */
+class HttpExchangeRateProvider {
+  constructor({ url = process.env.EXCHANGE_RATE_API_URL, cacheMinutes = parseInt(process.env.EXCHANGE_RATE_CACHE_MINUTES) || 60 } = {}) {
+    if (!url) {
+      throw new Error('EXCHANGE_RATE_API_URL is required for the http exchange rate provider');
+    }
+    this.url = url;
+    this.cacheMs = cacheMinutes * 60 * 1000;
+    this.rates = null;
+    this.fetchedAt = 0;
+    this.fallback = new StaticExchangeRateProvider();
+  }
+
+  async loadRates() {
+    if (this.rates && Date.now() - this.fetchedAt < this.cacheMs) {
+      return this.rates;
+    }
+
+    try {
+      const { data } = await axios.get(this.url, { timeout: 10000 });
+      if (!data?.rates || typeof data.rates !== 'object') {
+        throw new Error('Response has no rates');
+      }
+      this.rates = { ...data.rates, [REPORTING_CURRENCY]: 1 };
+      this.fetchedAt = Date.now();
+      console.log(`💱 Loaded ${Object.keys(this.rates).length} exchange rates`);
+    } catch (error) {
+      console.error('⚠️ Failed to load exchange rates:', error.message);
+    }
+    return this.rates;
+  }
+
+  async getRate(from, to) {
+    if (from === to) {
+      return 1;
+    }
+
+    const rates = await this.loadRates();
+    if (rates && rates[from] && rates[to]) {
+      return crossRate(rates, from, to);
+    }
+    return this.fallback.getRate(from, to);
+  }
+}
+
+/**
+ * Create the provider selected by EXCHANGE_RATE_PROVIDER
+ * @param {Object} options
+ * @param {string} options.type - 'static' or 'http'
+ */
+const createExchangeRateProvider = ({ type = process.env.EXCHANGE_RATE_PROVIDER } = {}) => {
+  if ((type || 'static') === 'http') {
+    return new HttpExchangeRateProvider();
+  }
+  return new StaticExchangeRateProvider();
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {Object} provider - Exchange rate provider
+ * @param {number} amount
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency
+ * @returns {Promise<Object>} - { amount, rate }
+ */
+const convertAmount = async (provider, amount, from, to) => {
+  const fromCurrency = normalizeCurrency(from) || REPORTING_CURRENCY;
+  const toCurrency = normalizeCurrency(to) || REPORTING_CURRENCY;
+  const rate = await provider.getRate(fromCurrency, toCurrency);
+  return { amount: roundMoney(amount * rate), rate };
+};
+
+let defaultProvider = null;
+
+/**
+ * The process-wide provider, created on first use so its cache is shared
+ * @returns {Object}
+ */
+const getExchangeRateProvider = () => {
+  if (!defaultProvider) {
+    defaultProvider = createExchangeRateProvider();
+  }
+  return defaultProvider;
+};
+
+module.exports = {
+  StaticExchangeRateProvider,
+  HttpExchangeRateProvider,
+  createExchangeRateProvider,
+  getExchangeRateProvider,
+  convertAmount,
+  isMissingExchangeRate
+};
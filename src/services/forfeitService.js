@@ -0,0 +1,126 @@
+const { drawWinners } = require('./drawService');
+
+/**
+ * Forfeit Service
+ * Marks winners as forfeited and draws linked alternates. A forfeited winner
+ * stays in the winners table (and therefore excluded from later draws); the
+ * alternate points back at it through `alternate_for_winner_id` and the
+ * original points forward through `replaced_by_winner_id`.
+ */
+
+const FORFEIT_REASONS = ['unresponsive', 'ineligible', 'declined', 'expired', 'other'];
+
+/**
+ * Mark a winner as forfeited
+ * @param {object} options
+ * @param {object} options.client - Supabase client to run queries with
+ * @param {object} options.winner - Winner row
+ * @param {string} options.reason - One of FORFEIT_REASONS
+ * @param {string} options.note - Free-form explanation for the audit trail
+ * @param {string} options.userId - User forfeiting the prize (null for automatic expiry)
+ * @returns {Promise<object>} { success, winner } or { success, status, message }
+ */
+const forfeitWinner = async ({ client, winner, reason, note = null, userId = null }) => {
+  if (!FORFEIT_REASONS.includes(reason)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Invalid forfeit reason. Use one of: ${FORFEIT_REASONS.join(', ')}`
+    };
+  }
+
+  if (winner.claimed) {
+    return { success: false, status: 409, message: 'Winner has already claimed the prize' };
+  }
+
+  if (winner.status === 'forfeited') {
+    return { success: false, status: 409, message: 'Winner has already been forfeited' };
+  }
+
+  const { data: updatedWinners, error: updateError } = await client
+    .from('winners')
+    .update({
+      status: 'forfeited',
+      forfeited_at: new Date().toISOString(),
+      forfeit_reason: reason,
+      forfeit_note: note,
+      forfeited_by: userId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', winner.id)
+    .eq('claimed', false)
+    .select();
+
+  if (updateError) {
+    console.error('Error forfeiting winner:', updateError);
+    return { success: false, status: 500, message: 'Error forfeiting winner' };
+  }
+
+  // The winner claimed the prize since it was loaded
+  const [updatedWinner] = updatedWinners || [];
+  if (!updatedWinner) {
+    return { success: false, status: 409, message: 'Winner has already claimed the prize' };
+  }
+
+  return { success: true, winner: updatedWinner };
+};
+
+/**
+ * Draw an alternate for a forfeited winner from the remaining pool
+ * @param {object} options
+ * @param {object} options.client - Supabase client to run queries with
+ * @param {object} options.winner - Forfeited winner row
+ * @param {object} options.promo - Promo row
+ * @param {string} options.userId - User running the redraw
+ * @returns {Promise<object>} drawWinners result, with `alternate` set on success
+ */
+const drawAlternate = async ({ client, winner, promo, userId }) => {
+  if (winner.status !== 'forfeited') {
+    return { success: false, status: 409, message: 'Only forfeited winners can be redrawn' };
+  }
+
+  if (winner.replaced_by_winner_id) {
+    return { success: false, status: 409, message: 'An alternate has already been drawn for this winner' };
+  }
+
+  const result = await drawWinners({
+    client,
+    promo,
+    userId,
+    slots: [{
+      tierIndex: winner.prize_tier_index ?? null,
+      tierName: winner.prize_tier_name || null,
+      prizeDescription: winner.prize_description,
+      prizeAmount: winner.prize_amount,
+      alternateForWinnerId: winner.id
+    }]
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const [alternate] = result.winners;
+
+  // Link the original to its alternate
+  const { error: linkError } = await client
+    .from('winners')
+    .update({
+      replaced_by_winner_id: alternate.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', winner.id);
+
+  if (linkError) {
+    // The alternate still points back at the original, so the chain can be rebuilt
+    console.error('Error linking forfeited winner to alternate:', linkError);
+  }
+
+  return { ...result, alternate };
+};
+
+module.exports = {
+  FORFEIT_REASONS,
+  forfeitWinner,
+  drawAlternate
+};
@@ -0,0 +1,390 @@
+const { forfeitWinner } = require('./forfeitService');
+const { ACTIVE_ENTRY_FILTER } = require('../utils/entryUtils');
+const {
+  FRAUD_SIGNAL_WEIGHTS,
+  REVIEW_FRAUD_STATUSES,
+  getFraudSettings,
+  isDisposableEmail,
+  getFraudScore,
+  getFraudStatusForScore
+} = require('../utils/fraudUtils');
+
+/**
+ * Fraud Service
+ * Scores entries for abuse when they are created (manual entries and
+ * purchase entries from the order webhooks) and again when a refund changes
+ * the customer's order history. The score, status and signals are stored on
+ * the entry (`fraud_score`, `fraud_status`, `fraud_signals`); quarantined and
+ * rejected entries are left out of draws.
+ *
+ * Flagged and quarantined entries wait in a review queue for the merchant or
+ * an admin to approve or reject them. Decisions are written to `fraud_reviews`,
+ * and a reviewer's decision is never overwritten by a later rescore.
+ */
+
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+const signal = (code, detail) => ({ code, weight: FRAUD_SIGNAL_WEIGHTS[code], detail });
+
+/**
+ * Other addresses in the promo that deliver to the same mailbox
+ * (hashed_email is the hash of the canonical email, so aliases share it)
+ */
+const findEmailAliases = async (client, entry) => {
+  const { data, error } = await client
+    .from('entries')
+    .select('customer_email')
+    .eq('promo_id', entry.promo_id)
+    .eq('hashed_email', entry.hashed_email)
+    .neq('id', entry.id);
+
+  if (error) {
+    throw new Error(`Failed to check email aliases: ${error.message}`);
+  }
+
+  const email = entry.customer_email.toLowerCase().trim();
+  return [...new Set((data || [])
+    .map(e => e.customer_email.toLowerCase().trim())
+    .filter(other => other !== email))];
+};
+
+/**
+ * Count recent entries sharing a metadata value (IP address or user agent)
+ */
+const countRecentEntries = async (client, match, { since, promoId = null }) => {
+  let query = client
+    .from('entries')
+    .select('id', { count: 'exact', head: true })
+    .contains('metadata', match)
+    .gte('created_at', since.toISOString());
+
+  if (promoId) {
+    query = query.eq('promo_id', promoId);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to check entry velocity: ${error.message}`);
+  }
+
+  return count || 0;
+};
+
+/**
+ * The customer's orders in the store, one row per order (an order has an entry per promo)
+ */
+const findCustomerOrders = async (client, entry) => {
+  const { data, error } = await client
+    .from('entries')
+    .select('order_id, order_total, status, metadata, created_at')
+    .eq('store_id', entry.store_id)
+    .eq('hashed_email', entry.hashed_email)
+    .eq('source', 'purchase');
+
+  if (error) {
+    throw new Error(`Failed to load customer orders: ${error.message}`);
+  }
+
+  const orders = new Map();
+  for (const row of data || []) {
+    if (row.order_id && !orders.has(row.order_id)) {
+      orders.set(row.order_id, row);
+    }
+  }
+
+  return [...orders.values()];
+};
+
+/**
+ * Evaluate every signal for an entry
+ * @param {Object} client - Supabase client
+ * @param {Object} entry - Entry row
+ * @returns {Promise<Array>} - [{ code, weight, detail }]
+ */
+const collectSignals = async (client, entry) => {
+  const settings = getFraudSettings();
+  const signals = [];
+
+  if (isDisposableEmail(entry.customer_email)) {
+    signals.push(signal('disposable_email', 'Email uses a disposable inbox provider'));
+  }
+
+  const aliases = await findEmailAliases(client, entry);
+  if (aliases.length > 0) {
+    signals.push(signal('email_alias', `${aliases.length} other address(es) in this promo deliver to the same mailbox`));
+  }
+
+  const ipAddress = entry.metadata?.ip_address;
+  const userAgent = entry.metadata?.user_agent;
+  const since = new Date(Date.now() - settings.velocityWindowMinutes * 60 * 1000);
+
+  if (ipAddress && ipAddress !== 'unknown') {
+    const ipCount = await countRecentEntries(client, { ip_address: ipAddress }, { since });
+    if (ipCount > settings.ipVelocityLimit) {
+      signals.push(signal('ip_velocity', `${ipCount} entries from this IP in the last ${settings.velocityWindowMinutes} minutes`));
+    }
+  }
+
+  if (userAgent && userAgent !== 'unknown') {
+    const userAgentCount = await countRecentEntries(client, { user_agent: userAgent }, { since, promoId: entry.promo_id });
+    if (userAgentCount > settings.userAgentVelocityLimit) {
+      signals.push(signal('user_agent_velocity', `${userAgentCount} entries from this user agent in the last ${settings.velocityWindowMinutes} minutes`));
+    }
+  }
+
+  if (entry.source === 'purchase') {
+    const orders = await findCustomerOrders(client, entry);
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+
+    const smallOrders = orders.filter(order =>
+      new Date(order.created_at).getTime() >= dayAgo &&
+      (parseFloat(order.order_total) || 0) < settings.smallOrderAmount
+    );
+    if (smallOrders.length >= settings.smallOrderCount) {
+      signals.push(signal('small_orders', `${smallOrders.length} orders under ${settings.smallOrderAmount} in the last 24 hours`));
+    }
+
+    const refundedOrders = orders.filter(order =>
+      order.status === 'voided' || Object.keys(order.metadata?.refunds || {}).length > 0
+    );
+    if (refundedOrders.length >= settings.refundCount) {
+      signals.push(signal('refund_history', `${refundedOrders.length} refunded or cancelled orders`));
+    }
+  }
+
+  return signals;
+};
+
+/**
+ * Score an entry and store the result
+ * Failures are logged, never thrown, so scoring can't block an entry or a webhook.
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.entry - Entry row
+ * @returns {Promise<Object|null>} - { score, status, signals }, or null when scoring is off or failed
+ */
+const assessEntry = async ({ client, entry }) => {
+  if (process.env.FRAUD_SCORING_ENABLED === 'false') {
+    return null;
+  }
+
+  try {
+    const signals = await collectSignals(client, entry);
+    const score = getFraudScore(signals);
+    const reviewed = entry.fraud_status === 'approved' || entry.fraud_status === 'rejected';
+    const status = reviewed ? entry.fraud_status : getFraudStatusForScore(score);
+
+    const { error } = await client
+      .from('entries')
+      .update({
+        fraud_score: score,
+        fraud_status: status,
+        fraud_signals: signals,
+        fraud_checked_at: new Date().toISOString()
+      })
+      .eq('id', entry.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (status === 'flagged' || status === 'quarantined') {
+      console.log(`🚩 Entry ${entry.id} ${status} (score ${score}): ${signals.map(s => s.code).join(', ')}`);
+    }
+
+    return { score, status, signals };
+  } catch (error) {
+    console.error(`Error scoring entry ${entry.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Rescore a customer's active purchase entries in a store (e.g. after a refund)
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {string} options.storeId - Store ID
+ * @param {string} options.hashedEmail - Customer's hashed_email
+ * @returns {Promise<number>} - Entries rescored
+ */
+const rescoreCustomerEntries = async ({ client, storeId, hashedEmail }) => {
+  const { data: entries, error } = await client
+    .from('entries')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('hashed_email', hashedEmail)
+    .eq('source', 'purchase')
+    .or(ACTIVE_ENTRY_FILTER);
+
+  if (error) {
+    console.error('Error loading entries to rescore:', error.message);
+    return 0;
+  }
+
+  for (const entry of entries || []) {
+    await assessEntry({ client, entry });
+  }
+
+  return entries?.length || 0;
+};
+
+/**
+ * List entries waiting for review, highest score first
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {string[]|null} options.storeIds - Stores to include (null for all)
+ * @param {string} options.status - 'flagged' or 'quarantined' (default both)
+ * @param {string} options.promoId - Only this promo
+ * @returns {Promise<Array>}
+ */
+const listReviewQueue = async ({ client, storeIds = null, status = null, promoId = null, limit = 50, offset = 0 }) => {
+  let query = client
+    .from('entries')
+    .select('*, promos(title)')
+    .in('fraud_status', status ? [status] : REVIEW_FRAUD_STATUSES)
+    .order('fraud_score', { ascending: false })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (storeIds) {
+    query = query.in('store_id', storeIds);
+  }
+
+  if (promoId) {
+    query = query.eq('promo_id', promoId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load review queue: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+/**
+ * Forfeit unclaimed winners drawn from a rejected entry
+ */
+const forfeitRejectedWinners = async (client, entry, userId) => {
+  const { data: winners, error } = await client
+    .from('winners')
+    .select('*')
+    .eq('entry_id', entry.id)
+    .or('status.is.null,status.neq.forfeited');
+
+  if (error) {
+    console.error('Error checking winners for rejected entry:', error);
+    return [];
+  }
+
+  const forfeited = [];
+  for (const winner of winners || []) {
+    if (winner.claimed) {
+      console.log(`⚠️ Winner ${winner.id} has claimed a prize from rejected entry ${entry.id}`);
+      continue;
+    }
+
+    const result = await forfeitWinner({
+      client,
+      winner,
+      reason: 'ineligible',
+      note: 'Winning entry rejected in fraud review',
+      userId
+    });
+
+    if (result.success) {
+      forfeited.push(winner.id);
+    } else {
+      console.error(`Error forfeiting winner ${winner.id}:`, result.message);
+    }
+  }
+
+  return forfeited;
+};
+
+/**
+ * Approve or reject an entry from the review queue
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {string} options.entryId - Entry ID
+ * @param {string[]|null} options.storeIds - Stores the reviewer may act on (null for all)
+ * @param {string} options.decision - 'approve' or 'reject'
+ * @param {string} options.note - Reviewer note
+ * @param {string} options.reviewedBy - User ID of the reviewer
+ * @returns {Promise<Object>} - { success, entry, forfeitedWinnerIds } or { success, status, message }
+ */
+const reviewEntry = async ({ client, entryId, storeIds = null, decision, note = null, reviewedBy }) => {
+  const fraudStatus = REVIEW_DECISIONS[decision];
+  if (!fraudStatus) {
+    return {
+      success: false,
+      status: 400,
+      message: `Invalid decision. Use one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}`
+    };
+  }
+
+  const { data: entry, error: entryError } = await client
+    .from('entries')
+    .select('*')
+    .eq('id', entryId)
+    .single();
+
+  if (entryError || !entry || (storeIds && !storeIds.includes(entry.store_id))) {
+    return { success: false, status: 404, message: 'Entry not found' };
+  }
+
+  const reviewedAt = new Date().toISOString();
+  const { data: updatedEntry, error: updateError } = await client
+    .from('entries')
+    .update({
+      fraud_status: fraudStatus,
+      fraud_reviewed_at: reviewedAt,
+      fraud_reviewed_by: reviewedBy
+    })
+    .eq('id', entry.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error('Error recording fraud review:', updateError);
+    return { success: false, status: 500, message: 'Error recording review' };
+  }
+
+  const { error: logError } = await client
+    .from('fraud_reviews')
+    .insert({
+      entry_id: entry.id,
+      store_id: entry.store_id,
+      promo_id: entry.promo_id,
+      decision: fraudStatus,
+      previous_status: entry.fraud_status || null,
+      fraud_score: entry.fraud_score ?? null,
+      note,
+      reviewed_by: reviewedBy,
+      created_at: reviewedAt
+    });
+
+  if (logError) {
+    console.error('Error logging fraud review:', logError);
+  }
+
+  const forfeitedWinnerIds = fraudStatus === 'rejected'
+    ? await forfeitRejectedWinners(client, entry, reviewedBy)
+    : [];
+
+  console.log(`🔎 Entry ${entry.id} ${fraudStatus} in fraud review`);
+
+  return { success: true, entry: updatedEntry, forfeitedWinnerIds };
+};
+
+module.exports = {
+  assessEntry,
+  rescoreCustomerEntries,
+  listReviewQueue,
+  reviewEntry
+};
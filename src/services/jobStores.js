@@ -0,0 +1,268 @@
+/**
+ * Job stores for the in-process scheduler
+ *
+ * A job store persists scheduled jobs and hands each due job to exactly one
+ * worker. Jobs are keyed by a caller-chosen `key` (e.g. `close_promo:<id>`),
+ * so scheduling the same work twice is a no-op. Each store serves one named
+ * queue, so several schedulers can share a table without claiming each
+ * other's jobs.
+ *
+ * A job still 'running' `lockTimeoutMs` after it was claimed belongs to a
+ * worker that died mid-job; claimDue hands it out again as a fresh attempt.
+ *
+ * Store interface:
+ *   schedule({ key, type, runAt, payload }) -> Promise<job>
+ *   claimDue(now, limit, workerId)           -> Promise<job[]>
+ *   complete(job, result)                    -> Promise<void>
+ *   fail(job, error, retryAt)                -> Promise<void>   (retryAt null = give up)
+ *   list({ status, limit })                  -> Promise<job[]>
+ */
+
+const DEFAULT_LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Oldest locked_at a running job can have before it is reclaimed
+ */
+const getStaleLockTime = (now, lockTimeoutMs) => new Date(now.getTime() - lockTimeoutMs);
+
+const logReclaim = (job) => {
+  console.warn(`[Scheduler] Reclaiming job ${job.job_key}: locked by ${job.locked_by} since ${job.locked_at}`);
+};
+
+/**
+ * In-memory job store (single process, lost on restart - for development and tests)
+ */
+class MemoryJobStore {
+  constructor({ queue = 'default', lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+    this.queue = queue;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.jobs = new Map();
+    this.nextId = 1;
+  }
+
+  async schedule({ key, type, runAt, payload = {} }) {
+    if (this.jobs.has(key)) {
+      return this.jobs.get(key);
+    }
+
+    const job = {
+      id: this.nextId++,
+      queue: this.queue,
+      job_key: key,
+      job_type: type,
+      run_at: new Date(runAt).toISOString(),
+      payload,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      completed_at: null,
+      result: null,
+      created_at: new Date().toISOString()
+    };
+    this.jobs.set(key, job);
+    return job;
+  }
+
+  async claimDue(now, limit, workerId) {
+    const staleLockTime = getStaleLockTime(now, this.lockTimeoutMs);
+    const due = [...this.jobs.values()]
+      .filter(job => (
+        (job.status === 'pending' && new Date(job.run_at) <= now) ||
+        (job.status === 'running' && new Date(job.locked_at) < staleLockTime)
+      ))
+      .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+      .slice(0, limit);
+
+    due.forEach(job => {
+      if (job.status === 'running') {
+        logReclaim(job);
+      }
+      job.status = 'running';
+      job.attempts++;
+      job.locked_by = workerId;
+      job.locked_at = now.toISOString();
+    });
+
+    return due;
+  }
+
+  async complete(job, result = null) {
+    Object.assign(this.jobs.get(job.job_key), {
+      status: 'completed',
+      result,
+      completed_at: new Date().toISOString(),
+      locked_by: null
+    });
+  }
+
+  async fail(job, error, retryAt = null) {
+    Object.assign(this.jobs.get(job.job_key), {
+      status: retryAt ? 'pending' : 'failed',
+      run_at: retryAt ? retryAt.toISOString() : job.run_at,
+      last_error: error,
+      locked_by: null
+    });
+  }
+
+  async list({ status = null, limit = 100 } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Supabase-backed job store (table: scheduled_jobs)
+ * Claims use a conditional update on status, so several server instances can
+ * share the table without running a job twice.
+ */
+class SupabaseJobStore {
+  constructor(client, { queue = 'default', lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+    this.client = client;
+    this.queue = queue;
+    this.lockTimeoutMs = lockTimeoutMs;
+  }
+
+  async schedule({ key, type, runAt, payload = {} }) {
+    // ignoreDuplicates keeps an existing job (and its status) untouched
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .upsert({
+        queue: this.queue,
+        job_key: key,
+        job_type: type,
+        run_at: new Date(runAt).toISOString(),
+        payload,
+        status: 'pending',
+        attempts: 0
+      }, {
+        onConflict: 'job_key',
+        ignoreDuplicates: true
+      });
+
+    if (error) {
+      throw new Error(`Failed to schedule job ${key}: ${error.message}`);
+    }
+
+    const { data: job, error: fetchError } = await this.client
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('job_key', key)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to load job ${key}: ${fetchError.message}`);
+    }
+
+    return job;
+  }
+
+  async claimDue(now, limit, workerId) {
+    const staleLockTime = getStaleLockTime(now, this.lockTimeoutMs).toISOString();
+    const { data: candidates, error } = await this.client
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('queue', this.queue)
+      .or(`status.eq.pending,and(status.eq.running,locked_at.lt."${staleLockTime}")`)
+      .lte('run_at', now.toISOString())
+      .order('run_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load due jobs: ${error.message}`);
+    }
+
+    const claimed = [];
+    for (const job of candidates || []) {
+      let claim = this.client
+        .from('scheduled_jobs')
+        .update({
+          status: 'running',
+          attempts: (job.attempts || 0) + 1,
+          locked_by: workerId,
+          locked_at: now.toISOString()
+        })
+        .eq('id', job.id)
+        .eq('status', job.status);
+
+      // A stale lock is taken over only if no other instance reclaimed it first
+      if (job.status === 'running') {
+        logReclaim(job);
+        claim = claim.eq('locked_at', job.locked_at);
+      }
+
+      const { data: rows, error: claimError } = await claim.select();
+
+      if (claimError) {
+        console.error(`[Scheduler] Failed to claim job ${job.job_key}:`, claimError.message);
+        continue;
+      }
+
+      // Another instance claimed it first
+      if (rows && rows.length > 0) {
+        claimed.push(rows[0]);
+      }
+    }
+
+    return claimed;
+  }
+
+  async complete(job, result = null) {
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .update({
+        status: 'completed',
+        result,
+        completed_at: new Date().toISOString(),
+        locked_by: null
+      })
+      .eq('id', job.id);
+
+    if (error) {
+      console.error(`[Scheduler] Failed to mark job ${job.job_key} completed:`, error.message);
+    }
+  }
+
+  async fail(job, errorMessage, retryAt = null) {
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .update({
+        status: retryAt ? 'pending' : 'failed',
+        run_at: retryAt ? retryAt.toISOString() : job.run_at,
+        last_error: errorMessage,
+        locked_by: null
+      })
+      .eq('id', job.id);
+
+    if (error) {
+      console.error(`[Scheduler] Failed to record failure for job ${job.job_key}:`, error.message);
+    }
+  }
+
+  async list({ status = null, limit = 100 } = {}) {
+    let query = this.client
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('queue', this.queue)
+      .order('run_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to list jobs: ${error.message}`);
+    }
+    return data || [];
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCK_TIMEOUT_MS,
+  MemoryJobStore,
+  SupabaseJobStore
+};
@@ -0,0 +1,370 @@
+const shopifyApi = require('./shopifyApiService');
+const { WEBHOOK_PROCESSORS } = require('./webhookProcessors');
+const { collectRefunds, isOrderCancelled, adjustOrderEntries } = require('./purchaseEntryService');
+
+/**
+ * Order Backfill Service
+ * Imports orders the webhooks never delivered - placed before the app was
+ * installed or during an outage - into a promo. A backfill (`order_backfills`)
+ * pages through the store's orders in the promo's date window oldest first,
+ * using `since_id` as the cursor, and runs every order not yet in `purchases`
+ * through the orders/create processor, limited to that one promo, then
+ * applies its refunds. One page is imported per scheduler tick:
+ *   backfill_orders - imports the page after the backfill's cursor
+ * The job key includes the cursor and the failure count, so every page and
+ * every retry after a failed page is a fresh job.
+ */
+
+const OPEN_BACKFILL_STATUSES = ['queued', 'running'];
+
+// Failed pages in a row before a backfill is given up
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Shopify returns at most 250 orders per page
+const getBackfillPageSize = () => {
+  return Math.min(parseInt(process.env.BACKFILL_PAGE_SIZE) || 250, 250);
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { date: null, error: null };
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? { date: null, error: `Invalid date: ${value}` }
+    : { date, error: null };
+};
+
+/**
+ * Queue a backfill of a promo's orders
+ * The window defaults to the promo's start and end dates.
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {string} options.requestedBy - User ID
+ * @param {string} options.createdAtMin - Optional start of the window
+ * @param {string} options.createdAtMax - Optional end of the window
+ * @returns {Promise<Object>} - { success, backfill } or { success, status, message }
+ */
+const startOrderBackfill = async ({ client, promo, requestedBy = null, createdAtMin = null, createdAtMax = null }) => {
+  if (!promo.enable_purchase_entries) {
+    return { success: false, status: 400, message: 'Purchase entries are not enabled for this promo' };
+  }
+
+  const { data: store, error: storeError } = await client
+    .from('stores')
+    .select('id, shopify_domain, shopify_access_token')
+    .eq('id', promo.store_id)
+    .single();
+
+  if (storeError || !store) {
+    return { success: false, status: 404, message: 'Store not found' };
+  }
+
+  if (!store.shopify_domain || !store.shopify_access_token) {
+    return { success: false, status: 400, message: 'Connect your Shopify store to import orders' };
+  }
+
+  const min = parseDate(createdAtMin ?? promo.start_date ?? promo.created_at);
+  const max = parseDate(createdAtMax ?? promo.end_date);
+  if (min.error || max.error) {
+    return { success: false, status: 400, message: min.error || max.error };
+  }
+
+  // An end date in the future only means "up to now"
+  const windowEnd = max.date && max.date < new Date() ? max.date : null;
+  if (min.date && windowEnd && min.date >= windowEnd) {
+    return { success: false, status: 400, message: 'The start of the window must be before its end' };
+  }
+
+  const { data: openBackfills, error: openError } = await client
+    .from('order_backfills')
+    .select('id')
+    .eq('promo_id', promo.id)
+    .in('status', OPEN_BACKFILL_STATUSES)
+    .limit(1);
+
+  if (openError) {
+    console.error('Error checking order backfills:', openError);
+    return { success: false, status: 500, message: 'Error checking order backfills' };
+  }
+
+  if (openBackfills && openBackfills.length > 0) {
+    return { success: false, status: 409, message: 'An order backfill is already running for this promo' };
+  }
+
+  const { data: backfill, error } = await client
+    .from('order_backfills')
+    .insert({
+      store_id: store.id,
+      promo_id: promo.id,
+      status: 'queued',
+      created_at_min: min.date ? min.date.toISOString() : null,
+      created_at_max: windowEnd ? windowEnd.toISOString() : null,
+      cursor: null,
+      orders_scanned: 0,
+      orders_imported: 0,
+      orders_skipped: 0,
+      entries_created: 0,
+      errors_count: 0,
+      consecutive_failures: 0,
+      requested_by: requestedBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // 23505 is unique constraint violation (a concurrent request queued one first)
+    if (error.code === '23505') {
+      return { success: false, status: 409, message: 'An order backfill is already running for this promo' };
+    }
+    console.error('Error creating order backfill:', error);
+    return { success: false, status: 500, message: 'Error creating order backfill' };
+  }
+
+  console.log(`📥 Order backfill ${backfill.id} queued for promo ${promo.id}`);
+  return { success: true, backfill };
+};
+
+/**
+ * Backfills of a promo, newest first
+ * @param {Object} client - Supabase client
+ * @param {string} promoId - Promo ID
+ * @returns {Promise<Array>}
+ */
+const listOrderBackfills = async (client, promoId) => {
+  const { data, error } = await client
+    .from('order_backfills')
+    .select('*')
+    .eq('promo_id', promoId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to load order backfills: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Order IDs of a page that are already in purchases
+ */
+const getRecordedOrderIds = async (client, store, orderIds) => {
+  const { data: shops, error: shopsError } = await client
+    .from('shopify_shops')
+    .select('id')
+    .eq('store_id', store.id);
+
+  if (shopsError) {
+    throw new Error(`Failed to load shops: ${shopsError.message}`);
+  }
+
+  if (!shops || shops.length === 0 || orderIds.length === 0) {
+    return new Set();
+  }
+
+  const { data: purchases, error } = await client
+    .from('purchases')
+    .select('shopify_order_id')
+    .in('shopify_shop_id', shops.map(shop => shop.id))
+    .in('shopify_order_id', orderIds);
+
+  if (error) {
+    throw new Error(`Failed to load purchases: ${error.message}`);
+  }
+  return new Set((purchases || []).map(purchase => purchase.shopify_order_id));
+};
+
+/**
+ * Run an order the webhooks missed through the orders/create processor for one promo, then apply its refunds
+ * @param {Object} client - Supabase client
+ * @param {Object} store - Store row (id, shopify_domain)
+ * @param {Object} promo - Promo row
+ * @param {Object} order - Shopify order payload
+ * @param {string} topic - Recorded on refund adjustments
+ * @returns {Promise<number>} - Entries created
+ */
+const importOrder = async (client, store, promo, order, topic = 'backfill') => {
+  const result = await WEBHOOK_PROCESSORS['orders/create'](order, {
+    shopDomain: store.shopify_domain,
+    promos: [promo]
+  });
+
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  if (order.refunds && order.refunds.length > 0) {
+    await adjustOrderEntries({
+      client,
+      storeId: store.id,
+      orderId: order.id,
+      refunds: collectRefunds(order.refunds),
+      topic
+    });
+  }
+
+  return result.data.entriesCreated;
+};
+
+const updateBackfill = async (client, backfillId, changes) => {
+  const { error } = await client
+    .from('order_backfills')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', backfillId);
+
+  if (error) {
+    throw new Error(`Failed to update order backfill: ${error.message}`);
+  }
+};
+
+/**
+ * Record a failed page; the backfill fails after MAX_CONSECUTIVE_FAILURES in a row
+ */
+const recordPageFailure = async (client, backfill, message) => {
+  const failures = (backfill.consecutive_failures || 0) + 1;
+  const failed = failures >= MAX_CONSECUTIVE_FAILURES;
+
+  console.error(`⚠️ Order backfill ${backfill.id} page failed (${failures}/${MAX_CONSECUTIVE_FAILURES}): ${message}`);
+
+  await updateBackfill(client, backfill.id, {
+    consecutive_failures: failures,
+    last_error: message,
+    ...(failed && { status: 'failed', completed_at: new Date().toISOString() })
+  });
+
+  return { failed: true, givenUp: failed };
+};
+
+/**
+ * Import the page of orders after a backfill's cursor
+ */
+const importBackfillPage = async (client, { backfillId, cursor }) => {
+  const { data: backfill, error } = await client
+    .from('order_backfills')
+    .select('*, promos(*), stores(id, shopify_domain, shopify_access_token)')
+    .eq('id', backfillId)
+    .single();
+
+  if (error || !backfill) {
+    return { skipped: true, reason: 'Backfill not found' };
+  }
+
+  if (!OPEN_BACKFILL_STATUSES.includes(backfill.status)) {
+    return { skipped: true, reason: `Backfill is ${backfill.status}` };
+  }
+
+  if ((backfill.cursor || null) !== (cursor || null)) {
+    return { skipped: true, reason: 'Page already imported' };
+  }
+
+  const promo = backfill.promos;
+  const store = backfill.stores;
+
+  try {
+    if (!promo || !store) {
+      throw new Error('Promo or store no longer exists');
+    }
+
+    if (!store.shopify_domain || !store.shopify_access_token) {
+      throw new Error('Shopify store is not connected');
+    }
+
+    if (backfill.status === 'queued') {
+      await updateBackfill(client, backfill.id, { status: 'running', started_at: new Date().toISOString() });
+    }
+
+    const pageSize = getBackfillPageSize();
+    // since_id pages oldest first; '0' starts before the first order
+    const page = await shopifyApi.getOrders(store.shopify_domain, store.shopify_access_token, {
+      limit: pageSize,
+      since_id: backfill.cursor || '0',
+      created_at_min: backfill.created_at_min,
+      created_at_max: backfill.created_at_max
+    });
+
+    if (!page.success) {
+      return await recordPageFailure(client, backfill, `Failed to fetch orders: ${page.error}`);
+    }
+
+    const orders = page.orders;
+    const recorded = await getRecordedOrderIds(client, store, orders.map(order => order.id.toString()));
+
+    const totals = { imported: 0, skipped: 0, entries: 0, errors: 0 };
+    let lastError = backfill.last_error;
+
+    for (const order of orders) {
+      // Orders in purchases were delivered by a webhook
+      if (recorded.has(order.id.toString()) || isOrderCancelled(order)) {
+        totals.skipped++;
+        continue;
+      }
+
+      try {
+        totals.entries += await importOrder(client, store, promo, order);
+        totals.imported++;
+      } catch (orderError) {
+        console.error(`Error importing order ${order.id}:`, orderError.message);
+        totals.errors++;
+        lastError = `Order ${order.id}: ${orderError.message}`;
+      }
+    }
+
+    const done = orders.length < pageSize;
+    const nextCursor = orders.length > 0 ? orders[orders.length - 1].id.toString() : backfill.cursor;
+
+    await updateBackfill(client, backfill.id, {
+      cursor: nextCursor,
+      orders_scanned: backfill.orders_scanned + orders.length,
+      orders_imported: backfill.orders_imported + totals.imported,
+      orders_skipped: backfill.orders_skipped + totals.skipped,
+      entries_created: backfill.entries_created + totals.entries,
+      errors_count: backfill.errors_count + totals.errors,
+      consecutive_failures: 0,
+      last_error: lastError,
+      ...(done && { status: 'completed', completed_at: new Date().toISOString() })
+    });
+
+    console.log(`📥 Order backfill ${backfill.id}: ${orders.length} scanned, ${totals.imported} imported, ${totals.skipped} skipped${done ? ' - completed' : ''}`);
+
+    return { ...totals, scanned: orders.length, completed: done };
+  } catch (pageError) {
+    // Failures are counted on the backfill rather than retried under the same job key
+    return await recordPageFailure(client, backfill, pageError.message);
+  }
+};
+
+/**
+ * Register the order backfill planner and handler on a scheduler
+ * @param {Scheduler} scheduler
+ * @param {Object} client - Supabase client (service role)
+ */
+const registerOrderBackfillJobs = (scheduler, client) => {
+  scheduler.registerHandler('backfill_orders', (payload) => importBackfillPage(client, payload));
+
+  scheduler.registerPlanner('order-backfills', async (sched, now) => {
+    const { data: backfills, error } = await client
+      .from('order_backfills')
+      .select('id, cursor, consecutive_failures')
+      .in('status', OPEN_BACKFILL_STATUSES);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const backfill of backfills || []) {
+      await sched.schedule({
+        key: `backfill_orders:${backfill.id}:${backfill.cursor || 'start'}:${backfill.consecutive_failures || 0}`,
+        type: 'backfill_orders',
+        runAt: now.toISOString(),
+        payload: { backfillId: backfill.id, cursor: backfill.cursor || null }
+      });
+    }
+  });
+};
+
+module.exports = {
+  startOrderBackfill,
+  listOrderBackfills,
+  importOrder,
+  registerOrderBackfillJobs
+};
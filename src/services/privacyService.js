@@ -0,0 +1,1016 @@
+const { supabase } = require('../config/supabase');
+const { isActiveEntry } = require('../utils/entryUtils');
+const { canonicalizeEmail, hashCanonicalEmail } = require('../utils/emailUtils');
+
+/**
+ * Privacy Service
+ * Work behind Shopify's mandatory privacy webhooks:
+ *   customers/data_request - export everything held about a customer
+ *   customers/redact       - anonymize a customer's rows
+ *   shop/redact            - purge a shop's customer data after uninstall
+ * and behind the entrant privacy portal (/api/privacy), where entrants
+ * export their data across all stores, withdraw consent, unsubscribe and
+ * erase their data. Consent changes append to `consent_logs`; unsubscribed
+ * and erased addresses are kept (hashed) in `email_suppressions`.
+ *
+ * Redaction keeps entry rows, their counts and hashed_email, so draw
+ * snapshots and per-promo tallies stay valid; only the personal data is
+ * replaced. Every request is logged in `privacy_requests` (the log stores a
+ * hash of the email, never the email itself).
+ */
+
+const REDACTED_DOMAIN = 'redacted.invalid';
+
+/**
+ * Stable placeholder for a redacted email, so a customer's rows still group together
+ */
+const getRedactedEmail = (email) => {
+  return `redacted_${hashCanonicalEmail(email).slice(0, 16)}@${REDACTED_DOMAIN}`;
+};
+
+const isRedactedEmail = (email) => {
+  return Boolean(email) && email.endsWith(`@${REDACTED_DOMAIN}`);
+};
+
+/**
+ * The identifiers a customer's rows may be stored under
+ * Orders without an email are stored under phone or order-ID placeholders
+ * (see purchaseEntryService.getOrderCustomerEmail).
+ * @param {Object} customer - { email, phone } from the webhook payload
+ * @param {Array} orderIds - Shopify order IDs of the customer
+ * @returns {string[]}
+ */
+const getCustomerIdentifiers = (customer = {}, orderIds = []) => {
+  const identifiers = [];
+  if (customer.email) {
+    identifiers.push(customer.email.toLowerCase().trim());
+    if (customer.email.trim() !== customer.email.toLowerCase().trim()) {
+      identifiers.push(customer.email.trim());
+    }
+  }
+  if (customer.phone) {
+    identifiers.push(`phone_${customer.phone.replace(/[^\d]/g, '')}@phone.customer`);
+  }
+  for (const orderId of orderIds) {
+    identifiers.push(`order_${orderId}@noemail.customer`);
+  }
+  return identifiers;
+};
+
+/**
+ * Find a store by its Shopify domain
+ * @returns {Promise<Object|null>}
+ */
+const findStoreByDomain = async (shopDomain) => {
+  const { data: store, error } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('shopify_domain', shopDomain)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up store ${shopDomain}: ${error.message}`);
+  }
+  return store;
+};
+
+/**
+ * Load a customer's entries: rows under any of their identifiers, or for their orders
+ * A null storeId searches every store.
+ */
+const findCustomerEntries = async (storeId, identifiers, orderIds) => {
+  const rows = new Map();
+  const filters = [
+    ['customer_email', identifiers],
+    // hashed_email is the hash of the canonical email, so this also finds other casings and aliases of the address
+    ['hashed_email', [...new Set(identifiers.map(hashCanonicalEmail))]],
+    ['order_id', orderIds]
+  ];
+
+  for (const [column, values] of filters) {
+    if (values.length === 0) continue;
+
+    let query = supabase
+      .from('entries')
+      .select('*')
+      .in(column, values);
+    if (storeId) query = query.eq('store_id', storeId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load customer entries: ${error.message}`);
+    }
+    (data || []).forEach(entry => rows.set(entry.id, entry));
+  }
+
+  return [...rows.values()];
+};
+
+/**
+ * Add the addresses a customer's entries were made with to their identifiers,
+ * so tables that only store the email (purchases, winners, waitlist) match every alias too
+ */
+const withEntryEmails = (identifiers, entries) => {
+  const entryEmails = entries.map(e => e.customer_email).filter(email => email && !isRedactedEmail(email));
+  return [...new Set([...identifiers, ...entryEmails])];
+};
+
+const getShopifyShopIds = async (storeId) => {
+  const { data, error } = await supabase
+    .from('shopify_shops')
+    .select('id')
+    .eq('store_id', storeId);
+
+  if (error) {
+    throw new Error(`Failed to load shopify shops: ${error.message}`);
+  }
+  return (data || []).map(shop => shop.id);
+};
+
+/**
+ * Load a customer's purchases (in a store, or in every store when storeId is null)
+ */
+const findCustomerPurchases = async (storeId, identifiers, orderIds) => {
+  const shopIds = storeId ? await getShopifyShopIds(storeId) : null;
+  if (shopIds && shopIds.length === 0) {
+    return [];
+  }
+
+  const rows = new Map();
+  const filters = [
+    ['customer_email', identifiers],
+    ['shopify_order_id', orderIds]
+  ];
+
+  for (const [column, values] of filters) {
+    if (values.length === 0) continue;
+
+    let query = supabase
+      .from('purchases')
+      .select('*')
+      .in(column, values);
+    if (shopIds) query = query.in('shopify_shop_id', shopIds);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load customer purchases: ${error.message}`);
+    }
+    (data || []).forEach(purchase => rows.set(purchase.id, purchase));
+  }
+
+  return [...rows.values()];
+};
+
+/**
+ * Load the winners and claims for a customer's entries or identifiers
+ */
+const findCustomerWinners = async (storeId, identifiers, entryIds) => {
+  const rows = new Map();
+
+  if (identifiers.length > 0) {
+    let query = supabase
+      .from('winners')
+      .select('*')
+      .in('customer_email', identifiers);
+    if (storeId) query = query.eq('store_id', storeId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load customer winners: ${error.message}`);
+    }
+    (data || []).forEach(winner => rows.set(winner.id, winner));
+  }
+
+  if (entryIds.length > 0) {
+    const { data, error } = await supabase
+      .from('winners')
+      .select('*')
+      .in('entry_id', entryIds);
+
+    if (error) {
+      throw new Error(`Failed to load entry winners: ${error.message}`);
+    }
+    (data || []).forEach(winner => rows.set(winner.id, winner));
+  }
+
+  const winners = [...rows.values()];
+  if (winners.length === 0) {
+    return { winners, claims: [] };
+  }
+
+  const { data: claims, error: claimsError } = await supabase
+    .from('winner_claims')
+    .select('*')
+    .in('winner_id', winners.map(w => w.id));
+
+  if (claimsError) {
+    throw new Error(`Failed to load winner claims: ${claimsError.message}`);
+  }
+
+  return { winners, claims: claims || [] };
+};
+
+const findConsentLogs = async (entryIds) => {
+  if (entryIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('consent_logs')
+    .select('*')
+    .in('entry_id', entryIds);
+
+  if (error) {
+    throw new Error(`Failed to load consent logs: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Log a privacy request
+ * @param {Object} request - { storeId, shopDomain, type, shopifyRequestId, customerEmail, orderIds, status, recordsAffected, exportData }
+ * @returns {Promise<Object|null>} The logged request
+ */
+const logPrivacyRequest = async ({
+  storeId = null,
+  shopDomain,
+  type,
+  shopifyRequestId = null,
+  customerEmail = null,
+  orderIds = [],
+  status = 'completed',
+  recordsAffected = {},
+  exportData = null
+}) => {
+  const { data, error } = await supabase
+    .from('privacy_requests')
+    .insert({
+      store_id: storeId,
+      shop_domain: shopDomain,
+      request_type: type,
+      shopify_request_id: shopifyRequestId ? shopifyRequestId.toString() : null,
+      customer_email_hash: customerEmail ? hashCanonicalEmail(customerEmail) : null,
+      order_ids: orderIds.map(String),
+      status,
+      records_affected: recordsAffected,
+      export_data: exportData,
+      requested_at: new Date().toISOString(),
+      completed_at: status === 'completed' ? new Date().toISOString() : null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // The action itself is done; a missing log row must not make Shopify retry it
+    console.error('Error logging privacy request:', error);
+    return null;
+  }
+  return data;
+};
+
+/**
+ * Collect a customer's rows (in a store, or in every store when storeId is null)
+ * @returns {Promise<Object>} { entries, consentLogs, purchases, winners, winnerClaims }
+ */
+const collectCustomerData = async (storeId, identifiers, orderIds = []) => {
+  const entries = await findCustomerEntries(storeId, identifiers, orderIds);
+  const entryIds = entries.map(e => e.id);
+  const emails = withEntryEmails(identifiers, entries);
+  const { winners, claims } = await findCustomerWinners(storeId, emails, entryIds);
+
+  return {
+    entries,
+    consentLogs: await findConsentLogs(entryIds),
+    purchases: await findCustomerPurchases(storeId, emails, orderIds),
+    winners,
+    winnerClaims: claims
+  };
+};
+
+const countRecords = (data) => ({
+  entries: data.entries.length,
+  consentLogs: data.consentLogs.length,
+  purchases: data.purchases.length,
+  winners: data.winners.length,
+  winnerClaims: data.winnerClaims.length
+});
+
+/**
+ * customers/data_request - collect everything held about a customer for the merchant
+ * @param {Object} options - { shopDomain, customer, orderIds, shopifyRequestId }
+ * @returns {Promise<Object>} { request, recordsAffected }
+ */
+const exportCustomerData = async ({ shopDomain, customer = {}, orderIds = [], shopifyRequestId = null }) => {
+  orderIds = orderIds.map(String);
+  const store = await findStoreByDomain(shopDomain);
+
+  let exportData = { customer: { email: customer.email || null, phone: customer.phone || null }, entries: [], consentLogs: [], purchases: [], winners: [], winnerClaims: [] };
+
+  if (store) {
+    exportData = {
+      ...exportData,
+      ...await collectCustomerData(store.id, getCustomerIdentifiers(customer, orderIds), orderIds)
+    };
+  }
+
+  const recordsAffected = countRecords(exportData);
+
+  const request = await logPrivacyRequest({
+    storeId: store?.id || null,
+    shopDomain,
+    type: 'customers/data_request',
+    shopifyRequestId,
+    customerEmail: customer.email,
+    orderIds,
+    recordsAffected,
+    exportData
+  });
+
+  console.log(`🔏 Data request for ${shopDomain} exported (${JSON.stringify(recordsAffected)})`);
+  return { request, recordsAffected };
+};
+
+/**
+ * Redact stored webhook payloads that contain a customer's orders
+ */
+const redactWebhookEvents = async (shopDomain, orderIds) => {
+  if (orderIds.length === 0) {
+    return 0;
+  }
+
+  let redacted = 0;
+  for (const field of ['payload->>id', 'payload->>order_id']) {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .update({ raw_body: null, payload: { redacted: true } })
+      .eq('shop_domain', shopDomain)
+      .in(field, orderIds)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to redact webhook events: ${error.message}`);
+    }
+    redacted += (data || []).length;
+  }
+  return redacted;
+};
+
+/**
+ * Anonymize a customer's rows (in a store, or in every store when storeId is null)
+ * Entries keep their counts and hashed_email; active ones are taken out of
+ * future draws (status 'redacted') since the winner could not be contacted.
+ * @returns {Promise<Object>} Counts of redacted rows per table
+ */
+const redactCustomerRows = async (storeId, identifiers, orderIds = []) => {
+  const recordsAffected = { entries: 0, consentLogs: 0, bonusActionCompletions: 0, referralCodes: 0, purchases: 0, winners: 0, winnerClaims: 0 };
+
+  const entries = await findCustomerEntries(storeId, identifiers, orderIds);
+  const entryIds = entries.map(e => e.id);
+  const emails = withEntryEmails(identifiers, entries);
+  const found = await findCustomerWinners(storeId, emails, entryIds);
+
+  // Skip rows a previous request already redacted, so their placeholders stay stable
+  const pendingEntries = entries.filter(e => !e.metadata?.redacted);
+  const winners = found.winners.filter(w => !isRedactedEmail(w.customer_email));
+  const claims = found.claims.filter(c => !isRedactedEmail(c.email));
+  const purchases = (await findCustomerPurchases(storeId, emails, orderIds))
+    .filter(p => !isRedactedEmail(p.customer_email));
+
+  for (const entry of pendingEntries) {
+    const metadata = entry.metadata || {};
+    const { error } = await supabase
+      .from('entries')
+      .update({
+        customer_email: getRedactedEmail(entry.customer_email),
+        customer_name: null,
+        status: isActiveEntry(entry) ? 'redacted' : entry.status,
+        metadata: {
+          awardedEntryCount: metadata.awardedEntryCount,
+          refunds: metadata.refunds,
+          redacted: true
+        }
+      })
+      .eq('id', entry.id);
+
+    if (error) {
+      throw new Error(`Failed to redact entry ${entry.id}: ${error.message}`);
+    }
+  }
+  recordsAffected.entries = pendingEntries.length;
+
+  if (entryIds.length > 0) {
+    const { data, error } = await supabase
+      .from('consent_logs')
+      .update({ ip_address: null, user_agent: null })
+      .in('entry_id', entryIds)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to redact consent logs: ${error.message}`);
+    }
+    recordsAffected.consentLogs = (data || []).length;
+
+    const { data: completions, error: completionsError } = await supabase
+      .from('bonus_action_completions')
+      .update({ ip_address: null, user_agent: null, details: null })
+      .in('entry_id', entryIds)
+      .select('id');
+
+    if (completionsError) {
+      throw new Error(`Failed to redact bonus action completions: ${completionsError.message}`);
+    }
+    recordsAffected.bonusActionCompletions = (completions || []).length;
+  }
+
+  // Referral codes keep working for the referrer's friends; only the address is removed
+  const hashedEmails = [...new Set(entries.map(e => e.hashed_email).filter(Boolean))];
+  if (hashedEmails.length > 0) {
+    let query = supabase
+      .from('referral_codes')
+      .select('id, customer_email')
+      .in('hashed_email', hashedEmails);
+    if (storeId) query = query.eq('store_id', storeId);
+
+    const { data: referralCodes, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load referral codes: ${error.message}`);
+    }
+
+    for (const referralCode of (referralCodes || []).filter(r => !isRedactedEmail(r.customer_email))) {
+      const { error: updateError } = await supabase
+        .from('referral_codes')
+        .update({ customer_email: getRedactedEmail(referralCode.customer_email) })
+        .eq('id', referralCode.id);
+
+      if (updateError) {
+        throw new Error(`Failed to redact referral code ${referralCode.id}: ${updateError.message}`);
+      }
+      recordsAffected.referralCodes++;
+    }
+  }
+
+  for (const purchase of purchases) {
+    const { error } = await supabase
+      .from('purchases')
+      .update({ customer_email: getRedactedEmail(purchase.customer_email) })
+      .eq('id', purchase.id);
+
+    if (error) {
+      throw new Error(`Failed to redact purchase ${purchase.id}: ${error.message}`);
+    }
+  }
+  recordsAffected.purchases = purchases.length;
+
+  for (const winner of winners) {
+    const { error } = await supabase
+      .from('winners')
+      .update({
+        customer_email: getRedactedEmail(winner.customer_email),
+        customer_name: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', winner.id);
+
+    if (error) {
+      throw new Error(`Failed to redact winner ${winner.id}: ${error.message}`);
+    }
+  }
+  recordsAffected.winners = winners.length;
+
+  // Claims keep the acceptance flags and legal text hashes, not the personal details
+  for (const claim of claims) {
+    const { error } = await supabase
+      .from('winner_claims')
+      .update({
+        email: getRedactedEmail(claim.email),
+        full_name: 'Redacted',
+        date_of_birth: null,
+        phone: null,
+        shipping_address: null,
+        payout_details: null,
+        affidavit_signature: 'Redacted',
+        ip_address: null,
+        user_agent: null
+      })
+      .eq('id', claim.id);
+
+    if (error) {
+      throw new Error(`Failed to redact winner claim ${claim.id}: ${error.message}`);
+    }
+  }
+  recordsAffected.winnerClaims = claims.length;
+
+  return recordsAffected;
+};
+
+/**
+ * customers/redact - anonymize a customer's rows in a store
+ * @param {Object} options - { shopDomain, customer, orderIds }
+ * @returns {Promise<Object>} { request, recordsAffected }
+ */
+const redactCustomer = async ({ shopDomain, customer = {}, orderIds = [] }) => {
+  orderIds = orderIds.map(String);
+  const store = await findStoreByDomain(shopDomain);
+  const recordsAffected = { entries: 0, consentLogs: 0, purchases: 0, winners: 0, winnerClaims: 0, webhookEvents: 0 };
+
+  if (store) {
+    Object.assign(recordsAffected, await redactCustomerRows(store.id, getCustomerIdentifiers(customer, orderIds), orderIds));
+
+    // Earlier data request exports hold the same personal data
+    if (customer.email) {
+      const { error: exportsError } = await supabase
+        .from('privacy_requests')
+        .update({ export_data: null })
+        .eq('store_id', store.id)
+        .eq('request_type', 'customers/data_request')
+        .eq('customer_email_hash', hashCanonicalEmail(customer.email));
+
+      if (exportsError) {
+        throw new Error(`Failed to purge data request exports: ${exportsError.message}`);
+      }
+    }
+  }
+
+  recordsAffected.webhookEvents = await redactWebhookEvents(shopDomain, orderIds);
+
+  const request = await logPrivacyRequest({
+    storeId: store?.id || null,
+    shopDomain,
+    type: 'customers/redact',
+    customerEmail: customer.email,
+    orderIds,
+    recordsAffected
+  });
+
+  console.log(`🔏 Customer redacted for ${shopDomain} (${JSON.stringify(recordsAffected)})`);
+  return { request, recordsAffected };
+};
+
+// Entries deleted per request when purging a shop; their IDs go into the request URL
+const PURGE_BATCH_SIZE = 200;
+
+/**
+ * Delete rows of a table whose column equals a value (or is one of a short list), returning how many went
+ */
+const deleteRows = async (table, column, value) => {
+  if (Array.isArray(value) && value.length === 0) {
+    return 0;
+  }
+
+  let query = supabase
+    .from(table)
+    .delete({ count: 'exact' });
+  query = Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to purge ${table}: ${error.message}`);
+  }
+  return count || 0;
+};
+
+/**
+ * Delete a store's entries and their consent logs a batch at a time
+ * Consent logs only reference their entry, so they go by entry ID.
+ * @param {string} storeId
+ * @param {Set<string>} emailHashes - Collects the hashed emails of the deleted entries
+ */
+const deleteStoreEntries = async (storeId, emailHashes) => {
+  const deleted = { consentLogs: 0, entries: 0 };
+
+  for (;;) {
+    const { data: entries, error } = await supabase
+      .from('entries')
+      .select('id, hashed_email')
+      .eq('store_id', storeId)
+      .limit(PURGE_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to load shop entries: ${error.message}`);
+    }
+    if (!entries || entries.length === 0) {
+      return deleted;
+    }
+
+    const entryIds = entries.map(e => e.id);
+    entries.forEach(e => e.hashed_email && emailHashes.add(e.hashed_email));
+    deleted.consentLogs += await deleteRows('consent_logs', 'entry_id', entryIds);
+    const count = await deleteRows('entries', 'id', entryIds);
+    if (count === 0) {
+      throw new Error('Failed to purge entries: no rows deleted');
+    }
+    deleted.entries += count;
+  }
+};
+
+/**
+ * Delete the portal access links of a list of hashed emails a batch at a time
+ * Links carry no store, so they go by the hashes of the shop's entrants.
+ */
+const deleteAccessLinks = async (emailHashes) => {
+  const hashes = [...emailHashes];
+  let deleted = 0;
+
+  for (let i = 0; i < hashes.length; i += PURGE_BATCH_SIZE) {
+    deleted += await deleteRows('privacy_links', 'email_hash', hashes.slice(i, i + PURGE_BATCH_SIZE));
+  }
+  return deleted;
+};
+
+/**
+ * shop/redact - purge a shop's customer data (sent 48 hours after uninstall)
+ * Promos and draw commitments hold no personal data and are kept; the store
+ * row is kept (it belongs to the merchant account) but loses its token.
+ * @param {Object} options - { shopDomain }
+ * @returns {Promise<Object>} { request, recordsAffected }
+ */
+const redactShop = async ({ shopDomain }) => {
+  const store = await findStoreByDomain(shopDomain);
+  const recordsAffected = {};
+
+  if (store) {
+    const shopIds = await getShopifyShopIds(store.id);
+
+    // Children first, so foreign keys never block a delete; rows go by store rather than
+    // by ID lists, which would outgrow the request URL for large shops
+    recordsAffected.winnerClaims = await deleteRows('winner_claims', 'store_id', store.id);
+    recordsAffected.winners = await deleteRows('winners', 'store_id', store.id);
+    recordsAffected.entryAdjustments = await deleteRows('entry_adjustments', 'store_id', store.id);
+    recordsAffected.bonusActionCompletions = await deleteRows('bonus_action_completions', 'store_id', store.id);
+    recordsAffected.referrals = await deleteRows('referrals', 'store_id', store.id);
+    recordsAffected.referralCodes = await deleteRows('referral_codes', 'store_id', store.id);
+    recordsAffected.fraudReviews = await deleteRows('fraud_reviews', 'store_id', store.id);
+    recordsAffected.orderBackfills = await deleteRows('order_backfills', 'store_id', store.id);
+    recordsAffected.reconciliationRuns = await deleteRows('reconciliation_runs', 'store_id', store.id);
+
+    const emailHashes = new Set();
+    Object.assign(recordsAffected, await deleteStoreEntries(store.id, emailHashes));
+    recordsAffected.purchases = await deleteRows('purchases', 'shopify_shop_id', shopIds);
+    recordsAffected.shopifyShops = await deleteRows('shopify_shops', 'id', shopIds);
+
+    // An entrant who also entered elsewhere only loses an outstanding link; they can request another
+    recordsAffected.privacyLinks = await deleteAccessLinks(emailHashes);
+
+    const { error: exportsError } = await supabase
+      .from('privacy_requests')
+      .update({ export_data: null })
+      .eq('store_id', store.id);
+
+    if (exportsError) {
+      throw new Error(`Failed to purge data request exports: ${exportsError.message}`);
+    }
+
+    const { error: storeError } = await supabase
+      .from('stores')
+      .update({
+        shopify_access_token: null,
+        data_redacted_at: new Date().toISOString()
+      })
+      .eq('id', store.id);
+
+    if (storeError) {
+      throw new Error(`Failed to mark store as redacted: ${storeError.message}`);
+    }
+  }
+
+  // Stored order payloads hold customer data too; the redact request itself carries none
+  const { data: events, error: eventsError } = await supabase
+    .from('webhook_events')
+    .update({ raw_body: null, payload: { redacted: true } })
+    .eq('shop_domain', shopDomain)
+    .neq('topic', 'shop/redact')
+    .select('id');
+
+  if (eventsError) {
+    throw new Error(`Failed to redact webhook events: ${eventsError.message}`);
+  }
+  recordsAffected.webhookEvents = (events || []).length;
+  recordsAffected.webhookDeadLetters = await deleteRows('webhook_dead_letters', 'shop_domain', shopDomain);
+
+  const request = await logPrivacyRequest({
+    storeId: store?.id || null,
+    shopDomain,
+    type: 'shop/redact',
+    recordsAffected
+  });
+
+  console.log(`🔏 Shop ${shopDomain} redacted (${JSON.stringify(recordsAffected)})`);
+  return { request, recordsAffected };
+};
+
+/**
+ * List a store's privacy requests, newest first (without export data)
+ * @returns {Promise<Array>}
+ */
+const listPrivacyRequests = async (storeId, { limit = 50, offset = 0 } = {}) => {
+  const { data, error } = await supabase
+    .from('privacy_requests')
+    .select('id, request_type, shopify_request_id, order_ids, status, records_affected, requested_at, completed_at')
+    .eq('store_id', storeId)
+    .order('requested_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to list privacy requests: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Get one of a store's privacy requests including its export
+ * @returns {Promise<Object|null>}
+ */
+const getPrivacyRequest = async (storeId, requestId) => {
+  const { data, error } = await supabase
+    .from('privacy_requests')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('id', requestId)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+  return data;
+};
+
+// Consent text recorded in consent_logs for changes made in the portal
+const PORTAL_CONSENT_TEXT = {
+  consentBrand: 'Brand marketing consent withdrawn via privacy portal',
+  consentRafl: 'Rafl marketing consent withdrawn via privacy portal',
+  unsubscribe: 'Unsubscribed from Rafl emails'
+};
+
+/**
+ * The identifiers an entrant's rows may be stored under
+ * Manual entries store the lowercased email; purchase entries the email as Shopify sent it.
+ * Entries under other aliases of the address are found by their hashed_email.
+ */
+const getEntrantIdentifiers = (email) => {
+  return [...new Set([canonicalizeEmail(email), String(email || '').trim()])].filter(Boolean);
+};
+
+/**
+ * Record a one-time access link for the portal
+ * @param {string} email - Entrant email
+ * @param {Object} options - { expiresAt, ipAddress }
+ * @returns {Promise<Object>} privacy_links row
+ */
+const createAccessLink = async (email, { expiresAt, ipAddress = null }) => {
+  const { data, error } = await supabase
+    .from('privacy_links')
+    .insert({
+      email_hash: hashCanonicalEmail(email),
+      expires_at: expiresAt.toISOString(),
+      requested_ip: ipAddress
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create privacy link: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Redeem an access link; only the first redemption succeeds
+ * @param {string} linkId - privacy_links ID from the access token
+ * @param {string} email - Email from the access token
+ * @returns {Promise<boolean>}
+ */
+const redeemAccessLink = async (linkId, email) => {
+  const { data, error } = await supabase
+    .from('privacy_links')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', linkId)
+    .eq('email_hash', hashCanonicalEmail(email))
+    .is('used_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to redeem privacy link: ${error.message}`);
+  }
+  return (data || []).length > 0;
+};
+
+/**
+ * Check whether an address unsubscribed from (or erased itself from) Rafl emails
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+const isEmailSuppressed = async (email) => {
+  const { data, error } = await supabase
+    .from('email_suppressions')
+    .select('id')
+    .eq('email_hash', hashCanonicalEmail(email))
+    .limit(1);
+
+  if (error) {
+    // Fail closed for marketing: better to skip an email than mail an unsubscribed address
+    console.error('Error checking email suppression:', error);
+    return true;
+  }
+  return (data || []).length > 0;
+};
+
+/**
+ * Suppress an address; suppressing twice keeps the first record
+ * @param {string} email
+ * @param {Object} options - { reason: 'unsubscribe' | 'erasure', source }
+ */
+const suppressEmail = async (email, { reason, source = 'privacy_portal' }) => {
+  const { error } = await supabase
+    .from('email_suppressions')
+    .upsert({
+      email_hash: hashCanonicalEmail(email),
+      reason,
+      source,
+      created_at: new Date().toISOString()
+    }, {
+      onConflict: 'email_hash',
+      ignoreDuplicates: true
+    });
+
+  if (error) {
+    throw new Error(`Failed to suppress email: ${error.message}`);
+  }
+};
+
+/**
+ * Everything held about an entrant across all stores
+ * @param {string} email - Verified entrant email
+ * @returns {Promise<Object>}
+ */
+const collectEntrantData = async (email) => {
+  const identifiers = getEntrantIdentifiers(email);
+  const data = await collectCustomerData(null, identifiers);
+
+  // Entries are shown with their promo and store, not just IDs
+  const promoIds = [...new Set(data.entries.map(e => e.promo_id))];
+  let promos = [];
+  if (promoIds.length > 0) {
+    const { data: promoRows, error } = await supabase
+      .from('promos')
+      .select('id, title, stores(store_name)')
+      .in('id', promoIds);
+
+    if (error) {
+      throw new Error(`Failed to load promos: ${error.message}`);
+    }
+    promos = promoRows || [];
+  }
+
+  const { data: waitlist, error: waitlistError } = await supabase
+    .from('waitlist')
+    .select('*')
+    .in('email', withEntryEmails(identifiers, data.entries));
+
+  if (waitlistError) {
+    throw new Error(`Failed to load waitlist: ${waitlistError.message}`);
+  }
+
+  return {
+    email: canonicalizeEmail(email),
+    ...data,
+    promos,
+    waitlist: waitlist || [],
+    unsubscribed: await isEmailSuppressed(email)
+  };
+};
+
+/**
+ * Withdraw consent on an entrant's entries, appending a consent_logs row per changed entry
+ * @param {string} email - Verified entrant email
+ * @param {Object} options
+ * @param {boolean} options.consentBrand - Withdraw brand marketing consent
+ * @param {boolean} options.consentRafl - Withdraw Rafl marketing consent
+ * @param {string} options.storeId - Only entries of this store (all stores when omitted)
+ * @param {string} options.consentText - Text recorded in the log
+ * @param {string} options.ipAddress
+ * @param {string} options.userAgent
+ * @returns {Promise<number>} Entries changed
+ */
+const withdrawEntrantConsent = async (email, {
+  consentBrand = false,
+  consentRafl = false,
+  storeId = null,
+  consentText = null,
+  ipAddress = null,
+  userAgent = null
+}) => {
+  const entries = await findCustomerEntries(storeId, getEntrantIdentifiers(email), []);
+  let changed = 0;
+
+  for (const entry of entries) {
+    const nextBrand = consentBrand ? false : entry.consent_brand;
+    const nextRafl = consentRafl ? false : entry.consent_rafl;
+
+    if (nextBrand === entry.consent_brand && nextRafl === entry.consent_rafl) {
+      continue;
+    }
+
+    const { error: logError } = await supabase
+      .from('consent_logs')
+      .insert({
+        entry_id: entry.id,
+        consent_brand: nextBrand,
+        consent_rafl: nextRafl,
+        consent_text: consentText || (consentBrand ? PORTAL_CONSENT_TEXT.consentBrand : PORTAL_CONSENT_TEXT.consentRafl),
+        ip_address: ipAddress,
+        user_agent: userAgent
+      });
+
+    if (logError) {
+      throw new Error(`Failed to log consent change: ${logError.message}`);
+    }
+
+    // The entry keeps the current state; the log keeps every change
+    const { error: updateError } = await supabase
+      .from('entries')
+      .update({ consent_brand: nextBrand, consent_rafl: nextRafl })
+      .eq('id', entry.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update entry consent: ${updateError.message}`);
+    }
+    changed++;
+  }
+
+  return changed;
+};
+
+/**
+ * Unsubscribe an entrant from Rafl emails (also withdraws Rafl marketing consent)
+ * @param {string} email
+ * @param {Object} options - { source, ipAddress, userAgent }
+ * @returns {Promise<number>} Entries whose consent changed
+ */
+const unsubscribeEntrant = async (email, { source = 'privacy_portal', ipAddress = null, userAgent = null } = {}) => {
+  await suppressEmail(email, { reason: 'unsubscribe', source });
+
+  return await withdrawEntrantConsent(email, {
+    consentRafl: true,
+    consentText: PORTAL_CONSENT_TEXT.unsubscribe,
+    ipAddress,
+    userAgent
+  });
+};
+
+/**
+ * Erase an entrant's data across all stores
+ * Rows are anonymized like a Shopify customer redact; the waitlist row is
+ * deleted and the address suppressed so it is never emailed again.
+ * @param {string} email - Verified entrant email
+ * @returns {Promise<Object>} { request, recordsAffected }
+ */
+const eraseEntrant = async (email) => {
+  // Collected before redaction replaces the addresses on the entries
+  const identifiers = getEntrantIdentifiers(email);
+  const emails = withEntryEmails(identifiers, await findCustomerEntries(null, identifiers, []));
+  const recordsAffected = await redactCustomerRows(null, identifiers);
+
+  const { data: waitlist, error: waitlistError } = await supabase
+    .from('waitlist')
+    .delete()
+    .in('email', emails)
+    .select('id');
+
+  if (waitlistError) {
+    throw new Error(`Failed to delete waitlist entry: ${waitlistError.message}`);
+  }
+  recordsAffected.waitlist = (waitlist || []).length;
+
+  await suppressEmail(email, { reason: 'erasure' });
+
+  const request = await logPrivacyRequest({
+    shopDomain: null,
+    type: 'entrant/erasure',
+    customerEmail: email,
+    recordsAffected
+  });
+
+  console.log(`🔏 Entrant erased (${JSON.stringify(recordsAffected)})`);
+  return { request, recordsAffected };
+};
+
+module.exports = {
+  getRedactedEmail,
+  exportCustomerData,
+  redactCustomer,
+  redactShop,
+  listPrivacyRequests,
+  getPrivacyRequest,
+  createAccessLink,
+  redeemAccessLink,
+  isEmailSuppressed,
+  collectEntrantData,
+  withdrawEntrantConsent,
+  unsubscribeEntrant,
+  eraseEntrant
+};
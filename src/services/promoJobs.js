@@ -0,0 +1,445 @@
+const emailService = require('./emailService');
+const { DRAWABLE_PROMO_STATUSES, drawWinners, notifyWinners } = require('./drawService');
+const { forfeitWinner, drawAlternate } = require('./forfeitService');
+const { transitionPromo, markPromoDrawn } = require('./promoLifecycleService');
+const { getPromoPrizeTiers, expandPrizeSlots } = require('../utils/prizeUtils');
+
+/**
+ * Promo Jobs
+ * Scheduled work for the promo lifecycle:
+ *   activate_promo - opens a scheduled promo once its start_date has passed
+ *   close_promo - closes an active promo once its end_date has passed
+ *   draw_promo  - draws every prize tier at the promo's draw_at time
+ *   expire_winner - forfeits a prize not claimed by its claim_deadline, drawing
+ *                   an alternate when AUTO_REDRAW_EXPIRED_WINNERS is on
+ * Closing, drawing and expiring notify the store owner. Job keys include the
+ * scheduled time, so moving end_date, draw_at or claim_deadline schedules a
+ * fresh job and the handler skips the stale one.
+ */
+
+/**
+ * Look up the email of the user who owns a store
+ * @param {Object} client - Supabase client (service role)
+ * @param {string} storeId - Store ID
+ * @returns {Promise<string|null>}
+ */
+const getMerchantEmail = async (client, storeId) => {
+  const { data: store, error: storeError } = await client
+    .from('stores')
+    .select('user_id')
+    .eq('id', storeId)
+    .single();
+
+  if (storeError || !store?.user_id) {
+    return null;
+  }
+
+  const { data, error } = await client.auth.admin.getUserById(store.user_id);
+  if (error) {
+    console.error('Error fetching store owner:', error.message);
+    return null;
+  }
+
+  return data?.user?.email || null;
+};
+
+/**
+ * Email the store owner; failures are logged, never thrown
+ */
+const notifyMerchant = async (client, promo, subject, message, details = []) => {
+  try {
+    const email = await getMerchantEmail(client, promo.store_id);
+    if (!email) {
+      console.log(`No merchant email found for store ${promo.store_id}`);
+      return;
+    }
+    await emailService.sendMerchantNotification(email, subject, message, details);
+  } catch (error) {
+    console.error('Failed to send merchant notification:', error);
+  }
+};
+
+// Statuses the scheduled draw runs from; drawn promos are never drawn again automatically
+const SCHEDULED_DRAW_STATUSES = ['active', 'closed'];
+
+const sameTime = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+const isAutoRedrawEnabled = () => process.env.AUTO_REDRAW_EXPIRED_WINNERS === 'true';
+
+/**
+ * Open a scheduled promo whose start date has passed
+ */
+const activatePromo = async (client, { promoId, startDate }) => {
+  const { data: promo, error } = await client
+    .from('promos')
+    .select('*')
+    .eq('id', promoId)
+    .single();
+
+  if (error || !promo) {
+    return { skipped: true, reason: 'Promo not found' };
+  }
+
+  if (promo.status !== 'scheduled') {
+    return { skipped: true, reason: `Promo is ${promo.status}` };
+  }
+
+  if (!sameTime(promo.start_date, startDate)) {
+    return { skipped: true, reason: 'Start date changed' };
+  }
+
+  const activated = await transitionPromo({ client, promo, to: 'active', reason: 'Start date reached' });
+  if (!activated.success) {
+    if (activated.status >= 500) {
+      throw new Error(activated.message);
+    }
+    return { skipped: true, reason: activated.message };
+  }
+
+  console.log(`🟢 Promo ${promo.title} (${promo.id}) opened at start date`);
+  return { activated: true };
+};
+
+/**
+ * Close an active promo whose end date has passed
+ */
+const closePromo = async (client, { promoId, endDate }) => {
+  const { data: promo, error } = await client
+    .from('promos')
+    .select('*')
+    .eq('id', promoId)
+    .single();
+
+  if (error || !promo) {
+    return { skipped: true, reason: 'Promo not found' };
+  }
+
+  if (promo.status !== 'active') {
+    return { skipped: true, reason: `Promo is ${promo.status}` };
+  }
+
+  if (!sameTime(promo.end_date, endDate)) {
+    return { skipped: true, reason: 'End date changed' };
+  }
+
+  const closed = await transitionPromo({ client, promo, to: 'closed', reason: 'End date passed' });
+  if (!closed.success) {
+    if (closed.status >= 500) {
+      throw new Error(closed.message);
+    }
+    return { skipped: true, reason: closed.message };
+  }
+
+  console.log(`🔒 Promo ${promo.title} (${promo.id}) closed at end date`);
+
+  await notifyMerchant(
+    client,
+    promo,
+    `Your promo "${promo.title}" has ended`,
+    `Your promo <strong>${promo.title}</strong> reached its end date and is no longer accepting entries.`,
+    [promo.draw_at
+      ? `Winners will be drawn automatically at ${new Date(promo.draw_at).toUTCString()}.`
+      : 'No automatic draw is scheduled - draw your winners from the dashboard.']
+  );
+
+  return { closed: true };
+};
+
+/**
+ * Draw all prize tiers of a promo at its scheduled draw time
+ */
+const drawPromo = async (client, { promoId, drawAt }) => {
+  const { data: promo, error } = await client
+    .from('promos')
+    .select('*')
+    .eq('id', promoId)
+    .single();
+
+  if (error || !promo) {
+    return { skipped: true, reason: 'Promo not found' };
+  }
+
+  if (!SCHEDULED_DRAW_STATUSES.includes(promo.status)) {
+    return { skipped: true, reason: `Promo is ${promo.status}` };
+  }
+
+  if (promo.drawn_at) {
+    return { skipped: true, reason: 'Promo has already been drawn' };
+  }
+
+  if (!sameTime(promo.draw_at, drawAt)) {
+    return { skipped: true, reason: 'Draw time changed' };
+  }
+
+  // A merchant may already have drawn the tiers by hand
+  const { count: tierWinnerCount, error: tierWinnersError } = await client
+    .from('winners')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_id', promoId)
+    .not('prize_tier_index', 'is', null);
+
+  if (tierWinnersError) {
+    throw new Error(`Failed to check existing winners: ${tierWinnersError.message}`);
+  }
+
+  if (tierWinnerCount > 0) {
+    return { skipped: true, reason: 'Prize tiers have already been drawn' };
+  }
+
+  // The draw time can fall before a promo without an end date is closed
+  let drawPromoRow = promo;
+  if (promo.status === 'active') {
+    const closed = await transitionPromo({ client, promo, to: 'closed', reason: 'Scheduled draw' });
+    if (!closed.success) {
+      throw new Error(closed.message);
+    }
+    drawPromoRow = closed.promo;
+  }
+
+  const slots = expandPrizeSlots(getPromoPrizeTiers(promo));
+  const result = await drawWinners({ client, promo, userId: null, slots });
+
+  if (!result.success) {
+    if (result.status >= 500) {
+      // Retried by the scheduler
+      throw new Error(result.message);
+    }
+
+    await notifyMerchant(
+      client,
+      promo,
+      `Scheduled draw for "${promo.title}" could not run`,
+      `The automatic draw for <strong>${promo.title}</strong> did not select any winners: ${result.message}.`,
+      ['You can run the draw manually from the dashboard once the promo has enough entries.']
+    );
+    return { skipped: true, reason: result.message };
+  }
+
+  const drawn = await markPromoDrawn({ client, promo: drawPromoRow, reason: 'Scheduled draw' });
+  if (!drawn.success) {
+    // Winners are recorded; the tier-winner check above keeps a retry from drawing again
+    console.error('Error marking promo as drawn:', drawn.message);
+  }
+
+  console.log(`🎲 Scheduled draw for ${promo.title} (${promo.id}) selected ${result.winners.length} winner(s)`);
+
+  await notifyWinners(client, promo, result.winners, result.stats);
+  await notifyMerchant(
+    client,
+    promo,
+    `Winners drawn for "${promo.title}"`,
+    `The scheduled draw for <strong>${promo.title}</strong> selected ${result.winners.length} winner(s) from ${result.stats.totalParticipants} participant(s). Winners have been emailed a link to claim their prize.`,
+    result.winners.map(w => `${w.prize_tier_name || 'Prize'}: ${w.customer_email} - ${w.prize_description}`)
+  );
+
+  return {
+    drawn: true,
+    commitmentId: result.draw.commitmentId,
+    winnerIds: result.winners.map(w => w.id)
+  };
+};
+
+/**
+ * Forfeit a winner who did not claim the prize by the claim deadline, then draw an alternate if enabled
+ */
+const expireWinner = async (client, { winnerId, claimDeadline }) => {
+  const { data: winner, error } = await client
+    .from('winners')
+    .select('*')
+    .eq('id', winnerId)
+    .single();
+
+  if (error || !winner) {
+    return { skipped: true, reason: 'Winner not found' };
+  }
+
+  if (winner.claimed) {
+    return { skipped: true, reason: 'Prize has been claimed' };
+  }
+
+  if (!sameTime(winner.claim_deadline, claimDeadline)) {
+    return { skipped: true, reason: 'Claim deadline changed' };
+  }
+
+  // A retry after a failed redraw finds the winner already forfeited
+  let forfeited = winner;
+  if (winner.status !== 'forfeited') {
+    const result = await forfeitWinner({
+      client,
+      winner,
+      reason: 'expired',
+      note: `Prize not claimed by ${new Date(claimDeadline).toUTCString()}`
+    });
+
+    if (!result.success) {
+      if (result.status >= 500) {
+        throw new Error(result.message);
+      }
+      return { skipped: true, reason: result.message };
+    }
+    forfeited = result.winner;
+    console.log(`⌛ Winner ${winner.id} forfeited: claim deadline passed`);
+  } else if (winner.forfeit_reason !== 'expired') {
+    return { skipped: true, reason: 'Winner was forfeited' };
+  }
+
+  const { data: promo, error: promoError } = await client
+    .from('promos')
+    .select('*')
+    .eq('id', winner.promo_id)
+    .single();
+
+  if (promoError || !promo) {
+    return { forfeited: true, alternateId: null };
+  }
+
+  const prize = winner.prize_tier_name ? `${winner.prize_tier_name} (${winner.prize_description})` : winner.prize_description;
+
+  if (!isAutoRedrawEnabled() || forfeited.replaced_by_winner_id || !DRAWABLE_PROMO_STATUSES.includes(promo.status)) {
+    await notifyMerchant(
+      client,
+      promo,
+      `Unclaimed prize forfeited for "${promo.title}"`,
+      `${winner.customer_email} did not claim their prize for <strong>${promo.title}</strong> by the claim deadline, so it has been forfeited.`,
+      [`Prize: ${prize}`, 'You can draw an alternate winner from the dashboard.']
+    );
+    return { forfeited: true, alternateId: null };
+  }
+
+  const redraw = await drawAlternate({ client, winner: forfeited, promo, userId: null });
+
+  if (!redraw.success) {
+    if (redraw.status >= 500) {
+      // Retried by the scheduler; the forfeiture stands
+      throw new Error(redraw.message);
+    }
+
+    await notifyMerchant(
+      client,
+      promo,
+      `Unclaimed prize forfeited for "${promo.title}"`,
+      `${winner.customer_email} did not claim their prize for <strong>${promo.title}</strong> by the claim deadline, so it has been forfeited. No alternate could be drawn: ${redraw.message}.`,
+      [`Prize: ${prize}`]
+    );
+    return { forfeited: true, alternateId: null };
+  }
+
+  console.log(`🎲 Alternate ${redraw.alternate.id} drawn for expired winner ${winner.id}`);
+
+  await notifyWinners(client, promo, redraw.winners, redraw.stats);
+  await notifyMerchant(
+    client,
+    promo,
+    `Alternate winner drawn for "${promo.title}"`,
+    `${winner.customer_email} did not claim their prize for <strong>${promo.title}</strong> by the claim deadline. An alternate winner has been drawn and emailed a claim link.`,
+    [`Prize: ${prize}`, `Alternate: ${redraw.alternate.customer_email}`]
+  );
+
+  return { forfeited: true, alternateId: redraw.alternate.id };
+};
+
+/**
+ * Register promo planners and handlers on a scheduler
+ * @param {Scheduler} scheduler
+ * @param {Object} client - Supabase client (service role)
+ */
+const registerPromoJobs = (scheduler, client) => {
+  scheduler.registerHandler('activate_promo', (payload) => activatePromo(client, payload));
+  scheduler.registerHandler('close_promo', (payload) => closePromo(client, payload));
+  scheduler.registerHandler('draw_promo', (payload) => drawPromo(client, payload));
+  scheduler.registerHandler('expire_winner', (payload) => expireWinner(client, payload));
+
+  scheduler.registerPlanner('promo-activations', async (sched, now) => {
+    const { data: promos, error } = await client
+      .from('promos')
+      .select('id, start_date')
+      .eq('status', 'scheduled')
+      .not('start_date', 'is', null)
+      .lte('start_date', now.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const promo of promos || []) {
+      await sched.schedule({
+        key: `activate_promo:${promo.id}:${new Date(promo.start_date).toISOString()}`,
+        type: 'activate_promo',
+        runAt: promo.start_date,
+        payload: { promoId: promo.id, startDate: promo.start_date }
+      });
+    }
+  });
+
+  scheduler.registerPlanner('promo-closures', async (sched, now) => {
+    const { data: promos, error } = await client
+      .from('promos')
+      .select('id, end_date')
+      .eq('status', 'active')
+      .not('end_date', 'is', null)
+      .lte('end_date', now.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const promo of promos || []) {
+      await sched.schedule({
+        key: `close_promo:${promo.id}:${new Date(promo.end_date).toISOString()}`,
+        type: 'close_promo',
+        runAt: promo.end_date,
+        payload: { promoId: promo.id, endDate: promo.end_date }
+      });
+    }
+  });
+
+  scheduler.registerPlanner('promo-draws', async (sched, now) => {
+    const { data: promos, error } = await client
+      .from('promos')
+      .select('id, draw_at')
+      .in('status', SCHEDULED_DRAW_STATUSES)
+      .is('drawn_at', null)
+      .not('draw_at', 'is', null)
+      .lte('draw_at', now.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const promo of promos || []) {
+      await sched.schedule({
+        key: `draw_promo:${promo.id}:${new Date(promo.draw_at).toISOString()}`,
+        type: 'draw_promo',
+        runAt: promo.draw_at,
+        payload: { promoId: promo.id, drawAt: promo.draw_at }
+      });
+    }
+  });
+
+  scheduler.registerPlanner('claim-expiries', async (sched, now) => {
+    const { data: winners, error } = await client
+      .from('winners')
+      .select('id, claim_deadline')
+      .eq('claimed', false)
+      .or('status.is.null,status.neq.forfeited')
+      .not('claim_deadline', 'is', null)
+      .lte('claim_deadline', now.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const winner of winners || []) {
+      await sched.schedule({
+        key: `expire_winner:${winner.id}:${new Date(winner.claim_deadline).toISOString()}`,
+        type: 'expire_winner',
+        runAt: winner.claim_deadline,
+        payload: { winnerId: winner.id, claimDeadline: winner.claim_deadline }
+      });
+    }
+  });
+};
+
+module.exports = {
+  registerPromoJobs
+};
@@ -0,0 +1,292 @@
+/**
+ * Promo Lifecycle Service
+ * The one place promo status changes are validated and recorded.
+ *
+ *   draft -> scheduled -> active -> closed -> drawn -> archived
+ *
+ * Every change is written to `promo_status_history` with the acting user
+ * (null for the scheduler). Status updates are conditional on the status we
+ * read, so two concurrent transitions cannot both succeed.
+ */
+
+const PROMO_STATUSES = ['draft', 'scheduled', 'active', 'closed', 'drawn', 'archived'];
+
+// Statuses a promo may be created in
+const INITIAL_STATUSES = ['draft', 'scheduled', 'active'];
+
+const TRANSITIONS = {
+  draft: ['scheduled', 'active', 'archived'],
+  scheduled: ['draft', 'active', 'archived'],
+  active: ['closed'],
+  closed: ['active', 'drawn', 'archived'],
+  drawn: ['archived'],
+  archived: []
+};
+
+// Fields that decide how many entries an order or form submission earns
+const ENTRY_RULE_FIELDS = [
+  'enable_purchase_entries',
+  'entries_per_dollar',
+  'max_entries_per_email',
+  'max_entries_per_ip',
+  'require_email_confirmation',
+  'confirmation_window_hours',
+  'entry_rules',
+  'currency'
+];
+
+/**
+ * Check a transition is allowed by the lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} - { valid, message }
+ */
+const validateTransition = (from, to) => {
+  if (!PROMO_STATUSES.includes(to)) {
+    return { valid: false, message: `Invalid status. Use one of: ${PROMO_STATUSES.join(', ')}` };
+  }
+
+  // Promos created before the lifecycle may carry other statuses; let them rejoin it
+  const allowed = TRANSITIONS[from] || PROMO_STATUSES.filter(status => status !== 'drawn');
+
+  if (!allowed.includes(to)) {
+    return { valid: false, message: `Cannot change promo status from ${from} to ${to}` };
+  }
+
+  return { valid: true, message: null };
+};
+
+/**
+ * Pick the status for a new promo
+ * @param {string} requested - Status from the request, if any
+ * @param {string|Date} startDate - Promo start date
+ * @returns {Object} - { status, error }
+ */
+const getInitialStatus = (requested, startDate) => {
+  if (requested && !INITIAL_STATUSES.includes(requested)) {
+    return { status: null, error: `New promos must be one of: ${INITIAL_STATUSES.join(', ')}` };
+  }
+
+  const startsLater = startDate && new Date(startDate) > new Date();
+
+  if (!requested || requested === 'active') {
+    return { status: startsLater ? 'scheduled' : 'active', error: null };
+  }
+
+  return { status: requested, error: null };
+};
+
+const countRows = async (client, table, promoId) => {
+  const { count, error } = await client
+    .from(table)
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_id', promoId);
+
+  if (error) {
+    throw new Error(`Failed to count ${table}: ${error.message}`);
+  }
+  return count || 0;
+};
+
+/**
+ * Record a status change in the history table; failures are logged, never thrown
+ */
+const recordStatusChange = async ({ client, promoId, from = null, to, userId = null, reason = null }) => {
+  const { error } = await client
+    .from('promo_status_history')
+    .insert({
+      promo_id: promoId,
+      from_status: from,
+      to_status: to,
+      changed_by: userId,
+      reason,
+      changed_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Error recording promo status change:', error);
+  }
+};
+
+/**
+ * Move a promo to a new status
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client to run queries with
+ * @param {Object} options.promo - Promo row as last read
+ * @param {string} options.to - Target status
+ * @param {string} options.userId - Acting user (null for scheduled jobs)
+ * @param {string} options.reason - Why the status changed
+ * @param {Object} options.updates - Extra columns to set with the status
+ * @returns {Promise<Object>} { success, promo } or { success, status, message }
+ */
+const transitionPromo = async ({ client, promo, to, userId = null, reason = null, updates = {} }) => {
+  const { valid, message } = validateTransition(promo.status, to);
+  if (!valid) {
+    return { success: false, status: 409, message };
+  }
+
+  if (to === 'drawn' && await countRows(client, 'winners', promo.id) === 0) {
+    return { success: false, status: 409, message: 'Cannot mark a promo as drawn before winners are selected' };
+  }
+
+  if (promo.status === 'closed' && to === 'active' && await countRows(client, 'winners', promo.id) > 0) {
+    return { success: false, status: 409, message: 'Cannot reopen a promo after winners have been drawn' };
+  }
+
+  const { data: rows, error } = await client
+    .from('promos')
+    .update({ ...updates, status: to, updated_at: new Date().toISOString() })
+    .eq('id', promo.id)
+    .eq('status', promo.status)
+    .select();
+
+  if (error) {
+    console.error('Error updating promo status:', error);
+    return { success: false, status: 500, message: 'Error updating promo status' };
+  }
+
+  if (!rows || rows.length === 0) {
+    return { success: false, status: 409, message: 'Promo status changed while updating, please retry' };
+  }
+
+  await recordStatusChange({ client, promoId: promo.id, from: promo.status, to, userId, reason });
+
+  return { success: true, promo: rows[0] };
+};
+
+/**
+ * Mark a closed promo as drawn after a successful draw
+ * Draws on active promos leave the status alone; the promo closes at its end date.
+ * @returns {Promise<Object>} transitionPromo result, or { success: true, promo } when nothing changed
+ */
+const markPromoDrawn = async ({ client, promo, userId = null, reason = 'Winners drawn' }) => {
+  if (promo.status !== 'closed') {
+    return { success: true, promo };
+  }
+
+  return await transitionPromo({
+    client,
+    promo,
+    to: 'drawn',
+    userId,
+    reason,
+    updates: { drawn_at: new Date().toISOString() }
+  });
+};
+
+// Read a form value ("10", "true") as the type of the value it is compared with
+const coerceLike = (value, like) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return value;
+  }
+  if (typeof like === 'number' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (typeof like === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Compare values by content: objects key by key whatever the key order, scalars after coercion
+const isSameContent = (current, next) => {
+  current = current ?? null;
+  next = next ?? null;
+
+  if (Array.isArray(current) || Array.isArray(next)) {
+    return Array.isArray(current) && Array.isArray(next) &&
+      current.length === next.length &&
+      current.every((value, index) => isSameContent(value, next[index]));
+  }
+
+  if (current && next && typeof current === 'object' && typeof next === 'object') {
+    const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+    return [...keys].every(key => isSameContent(current[key], next[key]));
+  }
+
+  return coerceLike(next, current) === coerceLike(current, next);
+};
+
+// Compare a requested column value with the stored one (timestamps by instant, numbers and booleans by value, JSON by content)
+const isSameValue = (field, current, next) => {
+  if (next === current) {
+    return true;
+  }
+  if ((field.endsWith('_at') || field.endsWith('_date')) && current && next) {
+    return new Date(current).getTime() === new Date(next).getTime();
+  }
+  return isSameContent(current, next);
+};
+
+/**
+ * Check field updates are allowed for a promo in its current state
+ * @param {Object} client - Supabase client
+ * @param {Object} promo - Current promo row
+ * @param {Object} changes - Column updates (snake_case) that differ from the row
+ * @returns {Promise<Object>} { allowed, message }
+ */
+const checkPromoEditable = async (client, promo, changes) => {
+  const changed = Object.keys(changes)
+    .filter(field => changes[field] !== undefined && !isSameValue(field, promo[field], changes[field]));
+
+  if (changed.length === 0) {
+    return { allowed: true, message: null };
+  }
+
+  if (promo.status === 'archived') {
+    return { allowed: false, message: 'Archived promos cannot be edited' };
+  }
+
+  if (changed.some(field => ENTRY_RULE_FIELDS.includes(field)) && await countRows(client, 'entries', promo.id) > 0) {
+    return { allowed: false, message: 'Entry rules cannot be changed once a promo has entries' };
+  }
+
+  const drawSettings = ['prize_tiers', 'draw_at'];
+  if (promo.status === 'drawn' && changed.some(field => drawSettings.includes(field))) {
+    return { allowed: false, message: 'Prizes and draw time cannot be changed after the draw' };
+  }
+
+  return { allowed: true, message: null };
+};
+
+/**
+ * Check a promo may be deleted
+ * Promos with winners keep their entries as the record of the draw; archive them instead.
+ * @returns {Promise<Object>} { allowed, message }
+ */
+const checkPromoDeletable = async (client, promo) => {
+  if (await countRows(client, 'winners', promo.id) > 0) {
+    return { allowed: false, message: 'Promos with drawn winners cannot be deleted. Archive the promo instead.' };
+  }
+  return { allowed: true, message: null };
+};
+
+/**
+ * Get the status history of a promo, oldest first
+ */
+const getStatusHistory = async (client, promoId) => {
+  const { data, error } = await client
+    .from('promo_status_history')
+    .select('*')
+    .eq('promo_id', promoId)
+    .order('changed_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load promo status history: ${error.message}`);
+  }
+  return data || [];
+};
+
+module.exports = {
+  PROMO_STATUSES,
+  INITIAL_STATUSES,
+  ENTRY_RULE_FIELDS,
+  validateTransition,
+  getInitialStatus,
+  recordStatusChange,
+  transitionPromo,
+  markPromoDrawn,
+  checkPromoEditable,
+  checkPromoDeletable,
+  getStatusHistory
+};
@@ -0,0 +1,405 @@
+const { ACTIVE_ENTRY_FILTER, BASE_ENTRY_FILTER, checkEntryLimit, getMaxEntriesPerCustomer } = require('../utils/entryUtils');
+const { calculateOrderEntries, getEntriesForNetAmount } = require('../utils/entryRulesUtils');
+const { REPORTING_CURRENCY, getMoneySetAmount, getPromoCurrency, convertOrderAmounts } = require('../utils/currencyUtils');
+const { getExchangeRateProvider, convertAmount, isMissingExchangeRate } = require('./exchangeRateProviders');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const { forfeitWinner } = require('./forfeitService');
+const { assessEntry, rescoreCustomerEntries } = require('./fraudService');
+const { attributeOrderReferral } = require('./referralService');
+const emailService = require('./emailService');
+
+/**
+ * Purchase Entry Service
+ * Awards entries for Shopify orders and keeps them in line with the order
+ * afterwards. Refunds reduce an order's entries to what the amount still
+ * paid earns; cancellations void them. Every change is written to
+ * `entry_adjustments`, and voided entries (status 'voided') are excluded
+ * from draws.
+ *
+ * Refunds seen for an order are kept in `metadata.refunds` ({ refundId: amount }),
+ * so the same refund arriving through both `refunds/create` and
+ * `orders/updated` is only counted once.
+ *
+ * Entries are calculated from the order converted into the promo's currency;
+ * `order_total` holds that converted amount and the metadata keeps the shop
+ * amount, the exchange rate used and the USD amount for revenue metrics.
+ */
+
+/**
+ * Get the customer identifier for an order, with phone and order-ID fallbacks
+ * @param {Object} order - Shopify order payload
+ * @returns {string}
+ */
+const getOrderCustomerEmail = (order) => {
+  const email = order.email || order.contact_email || order.customer?.email;
+  if (email) {
+    return email;
+  }
+
+  const phone = order.phone || order.customer?.phone;
+  if (phone) {
+    // Keep only digits so the identifier is stable across formats
+    return `phone_${phone.replace(/[^\d]/g, '')}@phone.customer`;
+  }
+
+  return `order_${order.id}@noemail.customer`;
+};
+
+/**
+ * Sum the successful refund transactions of a Shopify refund
+ * @param {Object} refund - Shopify refund payload
+ * @returns {number}
+ */
+const getRefundAmount = (refund) => {
+  return (refund.transactions || [])
+    .filter(t => t.kind === 'refund' && t.status === 'success')
+    .reduce((sum, t) => sum + (getMoneySetAmount(t.amount_set, 'shop_money')?.amount ?? (parseFloat(t.amount) || 0)), 0);
+};
+
+/**
+ * Map refunds to { refundId: amount }
+ * @param {Array} refunds - Shopify refund payloads
+ * @returns {Object}
+ */
+const collectRefunds = (refunds = []) => {
+  const collected = {};
+  for (const refund of refunds) {
+    if (refund && refund.id) {
+      collected[refund.id.toString()] = getRefundAmount(refund);
+    }
+  }
+  return collected;
+};
+
+/**
+ * Check whether an order payload represents a cancelled or voided order
+ * @param {Object} order - Shopify order payload
+ * @returns {boolean}
+ */
+const isOrderCancelled = (order) => {
+  return Boolean(order.cancelled_at) || order.financial_status === 'voided';
+};
+
+/**
+ * Award entries for an order in every active promo of the store
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.store - Store row
+ * @param {Object} options.orderData - Normalized order (see webhookProcessors.processOrderCreate)
+ * @param {Array} options.promos - Promos to award in instead of the active ones (order backfills)
+ * @param {Array} options.warnings - Collects { promoId, message } for promos the order could not be awarded in
+ * @returns {Promise<Array>} - Created entries
+ */
+const awardOrderEntries = async ({ client, store, orderData, promos = null, warnings = [] }) => {
+  let activePromos = promos;
+
+  if (!activePromos) {
+    const { data, error: promosError } = await client
+      .from('promos')
+      .select('*')
+      .eq('store_id', store.id)
+      .eq('status', 'active')
+      .eq('enable_purchase_entries', true);
+
+    if (promosError) {
+      console.error('Error fetching active promos:', promosError);
+      return [];
+    }
+    activePromos = data;
+  }
+
+  const created = [];
+  const exchangeRates = getExchangeRateProvider();
+  let amountUsd = null;
+  try {
+    ({ amount: amountUsd } = await convertAmount(exchangeRates, orderData.totalPrice, orderData.currency, REPORTING_CURRENCY));
+  } catch (error) {
+    if (!isMissingExchangeRate(error)) {
+      throw error;
+    }
+  }
+
+  for (const promo of activePromos || []) {
+    // An order earns entries once per promo, however often it is delivered or replayed
+    const { data: orderEntries, error: orderEntriesError } = await client
+      .from('entries')
+      .select('id')
+      .eq('promo_id', promo.id)
+      .eq('order_id', orderData.shopifyOrderId)
+      .eq('source', 'purchase')
+      .limit(1);
+
+    if (orderEntriesError) {
+      console.error('Error checking entries for order:', orderEntriesError);
+      continue;
+    }
+
+    if (orderEntries && orderEntries.length > 0) {
+      console.log(`⏭️ Order ${orderData.shopifyOrderId} already has entries for promo ${promo.id}`);
+      continue;
+    }
+
+    // Get all existing entries for this customer and promo, matched on the canonical email so
+    // form and order entries of one person share the limit; voided and bonus entries don't count towards it
+    const hashedEmail = hashCanonicalEmail(orderData.customerEmail);
+    const { data: existingEntries, error: entryError } = await client
+      .from('entries')
+      .select('*')
+      .eq('promo_id', promo.id)
+      .eq('hashed_email', hashedEmail)
+      .or(ACTIVE_ENTRY_FILTER)
+      .or(BASE_ENTRY_FILTER);
+
+    if (entryError) {
+      console.error('Error checking existing entries:', entryError);
+      continue;
+    }
+
+    // Entries the order earns under the promo's entry rules, capped by the per-customer limit
+    // Use promo's max_entries_per_email if set, otherwise fall back to env variable
+    // Without a rate the order can't be measured against the promo's rules; retrying won't add one,
+    // so the promo is skipped and flagged instead of awarding unconverted entries
+    const promoCurrency = getPromoCurrency(promo);
+    let exchangeRate;
+    try {
+      exchangeRate = await exchangeRates.getRate(orderData.currency, promoCurrency);
+    } catch (error) {
+      if (!isMissingExchangeRate(error)) {
+        throw error;
+      }
+      console.error(`⚠️ Order ${orderData.shopifyOrderId} earns no entries for promo ${promo.id}: ${error.message}`);
+      warnings.push({ promoId: promo.id, message: error.message });
+      continue;
+    }
+    const promoOrder = convertOrderAmounts(orderData, exchangeRate, promoCurrency);
+    const { entries: earnedEntries, calculation } = calculateOrderEntries(promo, promoOrder);
+    if (earnedEntries === 0) {
+      console.log(`⏭️ Order ${orderData.shopifyOrderId} earns no entries for promo ${promo.id}${calculation.belowMinimum ? ' (below minimum order amount)' : ''}`);
+      continue;
+    }
+
+    const maxEntriesLimit = promo.max_entries_per_email || getMaxEntriesPerCustomer();
+    const entriesToAdd = Math.min(earnedEntries, checkEntryLimit(existingEntries || [], maxEntriesLimit).remainingEntries);
+
+    if (entriesToAdd === 0) {
+      console.log(`⏭️ Customer ${orderData.customerEmail} has reached max entries (${maxEntriesLimit}) for promo ${promo.id}`);
+      continue;
+    }
+
+    const { data: newEntry, error: createEntryError } = await client
+      .from('entries')
+      .insert({
+        promo_id: promo.id,
+        store_id: store.id,
+        customer_email: orderData.customerEmail,
+        hashed_email: hashedEmail,
+        customer_name: orderData.customerName,
+        entry_count: entriesToAdd,
+        status: 'active',
+        source: 'purchase',
+        order_id: orderData.shopifyOrderId,
+        order_total: promoOrder.totalPrice,
+        metadata: {
+          orderNumber: orderData.shopifyOrderNumber,
+          currency: promoCurrency,
+          originalAmount: orderData.totalPrice,
+          originalCurrency: orderData.currency,
+          presentmentAmount: orderData.presentmentTotal,
+          presentmentCurrency: orderData.presentmentCurrency,
+          exchangeRate,
+          amountUsd,
+          orderDate: orderData.orderDate,
+          lineItems: orderData.lineItems,
+          maxEntriesReached: entriesToAdd < earnedEntries,
+          awardedEntryCount: entriesToAdd,
+          entryCalculation: calculation
+        }
+      })
+      .select()
+      .single();
+
+    if (createEntryError) {
+      console.error('Error creating entry:', createEntryError);
+      continue;
+    }
+
+    const totalEntries = (existingEntries || []).reduce((sum, entry) => sum + entry.entry_count, 0) + entriesToAdd;
+    console.log(`✅ Added ${entriesToAdd} entries for ${orderData.customerEmail} (Total: ${totalEntries}/${maxEntriesLimit})`);
+
+    await assessEntry({ client, entry: newEntry });
+    await attributeOrderReferral({ client, promo, codes: orderData.referralCodes, entry: newEntry });
+    created.push(newEntry);
+  }
+
+  return created;
+};
+
+/**
+ * Forfeit an unclaimed winner whose entry was voided; flag claimed ones to admins
+ */
+const handleVoidedWinner = async (client, entry, reason) => {
+  const { data: winners, error } = await client
+    .from('winners')
+    .select('*')
+    .eq('entry_id', entry.id);
+
+  if (error) {
+    console.error('Error checking winners for voided entry:', error);
+    return;
+  }
+
+  for (const winner of (winners || []).filter(w => w.status !== 'forfeited')) {
+    if (winner.claimed) {
+      try {
+        await emailService.sendAdminNotification(
+          'Claimed Prize Order Refunded',
+          `A winner's qualifying order was ${reason === 'cancellation' ? 'cancelled' : 'refunded'} after they claimed the prize`,
+          { winnerId: winner.id, entryId: entry.id, orderId: entry.order_id, winnerEmail: winner.customer_email }
+        );
+      } catch (adminEmailError) {
+        console.error('Failed to send admin notification:', adminEmailError);
+      }
+      continue;
+    }
+
+    const result = await forfeitWinner({
+      client,
+      winner,
+      reason: 'ineligible',
+      note: `Winning entry voided: order ${entry.order_id} ${reason === 'cancellation' ? 'cancelled' : 'refunded'}`
+    });
+
+    if (result.success) {
+      console.log(`🚫 Winner ${winner.id} forfeited: entry ${entry.id} was voided`);
+    } else {
+      console.error(`Error forfeiting winner ${winner.id}:`, result.message);
+    }
+  }
+};
+
+/**
+ * Recompute the entries of an order after a refund, cancellation or update
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {string} options.storeId - Store ID
+ * @param {string} options.orderId - Shopify order ID
+ * @param {Object} options.refunds - { refundId: amount } seen in this webhook
+ * @param {boolean} options.cancelled - Whether the order is cancelled
+ * @param {string} options.topic - Webhook topic, for the audit trail
+ * @returns {Promise<Array>} - Adjustments made ({ entryId, action, previousEntryCount, newEntryCount })
+ */
+const adjustOrderEntries = async ({ client, storeId, orderId, refunds = {}, cancelled = false, topic }) => {
+  const { data: entries, error } = await client
+    .from('entries')
+    .select('*, promos(entries_per_dollar)')
+    .eq('store_id', storeId)
+    .eq('order_id', orderId.toString())
+    .eq('source', 'purchase');
+
+  if (error) {
+    throw new Error(`Failed to load entries for order ${orderId}: ${error.message}`);
+  }
+
+  const adjustments = [];
+
+  for (const entry of entries || []) {
+    if (entry.status === 'voided') {
+      continue;
+    }
+
+    const metadata = entry.metadata || {};
+    const knownRefunds = { ...(metadata.refunds || {}), ...refunds };
+    // Refunds are in the shop's currency; order_total is in the promo's
+    const refundedAmount = Object.values(knownRefunds).reduce((sum, amount) => sum + amount, 0) * (metadata.exchangeRate || 1);
+    const orderTotal = parseFloat(entry.order_total) || 0;
+    const netAmount = Math.max(0, orderTotal - refundedAmount);
+    const awardedEntryCount = metadata.awardedEntryCount || entry.entry_count;
+    const entriesPerDollar = entry.promos?.entries_per_dollar || 1;
+
+    // Never award more than the order originally earned (the per-customer cap may have applied)
+    const targetEntryCount = cancelled
+      ? 0
+      : Math.min(awardedEntryCount, getEntriesForNetAmount(metadata.entryCalculation, orderTotal, netAmount, entriesPerDollar));
+    const refundsChanged = JSON.stringify(knownRefunds) !== JSON.stringify(metadata.refunds || {});
+
+    if (targetEntryCount >= entry.entry_count) {
+      if (refundsChanged) {
+        await client
+          .from('entries')
+          .update({ metadata: { ...metadata, refunds: knownRefunds } })
+          .eq('id', entry.id);
+      }
+      continue;
+    }
+
+    const action = targetEntryCount === 0 ? 'voided' : 'reduced';
+    const reason = cancelled ? 'cancellation' : 'refund';
+
+    const { error: updateError } = await client
+      .from('entries')
+      .update({
+        status: action === 'voided' ? 'voided' : 'active',
+        // Voided entries keep their count so the audit shows what was lost
+        entry_count: action === 'voided' ? entry.entry_count : targetEntryCount,
+        metadata: { ...metadata, refunds: knownRefunds, awardedEntryCount }
+      })
+      .eq('id', entry.id);
+
+    if (updateError) {
+      throw new Error(`Failed to adjust entry ${entry.id}: ${updateError.message}`);
+    }
+
+    const { error: auditError } = await client
+      .from('entry_adjustments')
+      .insert({
+        entry_id: entry.id,
+        promo_id: entry.promo_id,
+        store_id: entry.store_id,
+        order_id: entry.order_id,
+        action,
+        reason,
+        previous_entry_count: entry.entry_count,
+        new_entry_count: targetEntryCount,
+        source_topic: topic,
+        details: {
+          orderTotal,
+          refundedAmount,
+          netAmount,
+          refundIds: Object.keys(knownRefunds)
+        }
+      });
+
+    if (auditError) {
+      console.error('Error recording entry adjustment:', auditError);
+    }
+
+    console.log(`↩️ Entry ${entry.id} ${action} (${entry.entry_count} → ${targetEntryCount}) after order ${orderId} ${reason}`);
+
+    if (action === 'voided') {
+      await handleVoidedWinner(client, entry, reason);
+    }
+
+    adjustments.push({
+      entryId: entry.id,
+      action,
+      previousEntryCount: entry.entry_count,
+      newEntryCount: targetEntryCount
+    });
+  }
+
+  // Refunds and cancellations feed the customer's fraud score
+  if (adjustments.length > 0) {
+    await rescoreCustomerEntries({ client, storeId, hashedEmail: entries[0].hashed_email });
+  }
+
+  return adjustments;
+};
+
+module.exports = {
+  getOrderCustomerEmail,
+  getRefundAmount,
+  collectRefunds,
+  isOrderCancelled,
+  awardOrderEntries,
+  adjustOrderEntries
+};
@@ -0,0 +1,122 @@
+/**
+ * Rate limit stores
+ *
+ * A rate limit store counts hits per key over a sliding window. Keys are
+ * built by the rate limit middleware from a rule name and the value being
+ * limited (e.g. `entry_ip:203.0.113.7`); email keys use the hashed canonical
+ * email, so no addresses are stored.
+ *
+ * Store interface:
+ *   hit(key, windowMs, now) -> Promise<{ count, oldestAt }>   (count includes this hit)
+ */
+
+const { MAX_WINDOW_MS } = require('../utils/rateLimitUtils');
+
+/**
+ * In-memory store (per process - limits are not shared between instances)
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.lastPrunedAt = 0;
+  }
+
+  async hit(key, windowMs, now = new Date()) {
+    const since = now.getTime() - windowMs;
+    const timestamps = (this.hits.get(key) || []).filter(time => time > since);
+    timestamps.push(now.getTime());
+    this.hits.set(key, timestamps);
+
+    this.prune(now);
+
+    return { count: timestamps.length, oldestAt: new Date(timestamps[0]) };
+  }
+
+  // Drop keys with no recent hits so the map doesn't grow forever
+  prune(now) {
+    if (now.getTime() - this.lastPrunedAt < 60 * 1000) {
+      return;
+    }
+    this.lastPrunedAt = now.getTime();
+
+    const cutoff = now.getTime() - MAX_WINDOW_MS;
+    for (const [key, timestamps] of this.hits) {
+      if (timestamps[timestamps.length - 1] <= cutoff) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Postgres-backed store (table: rate_limit_hits) shared by every server instance
+ * Each hit is a row; the count is the number of rows for the key inside the window.
+ */
+class SupabaseRateLimitStore {
+  constructor(client) {
+    this.client = client;
+    this.lastPrunedAt = 0;
+  }
+
+  async hit(key, windowMs, now = new Date()) {
+    const { error: insertError } = await this.client
+      .from('rate_limit_hits')
+      .insert({ key, created_at: now.toISOString() });
+
+    if (insertError) {
+      throw new Error(`Failed to record rate limit hit: ${insertError.message}`);
+    }
+
+    const { data: hits, count, error } = await this.client
+      .from('rate_limit_hits')
+      .select('created_at', { count: 'exact' })
+      .eq('key', key)
+      .gt('created_at', new Date(now.getTime() - windowMs).toISOString())
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to count rate limit hits: ${error.message}`);
+    }
+
+    await this.prune(now);
+
+    return { count: count || 0, oldestAt: hits?.[0] ? new Date(hits[0].created_at) : now };
+  }
+
+  // Delete hits older than the longest window, at most once a minute per instance
+  async prune(now) {
+    if (now.getTime() - this.lastPrunedAt < 60 * 1000) {
+      return;
+    }
+    this.lastPrunedAt = now.getTime();
+
+    const { error } = await this.client
+      .from('rate_limit_hits')
+      .delete()
+      .lt('created_at', new Date(now.getTime() - MAX_WINDOW_MS).toISOString());
+
+    if (error) {
+      console.error('Error pruning rate limit hits:', error.message);
+    }
+  }
+}
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE
+ * @param {Object} client - Supabase client (service role)
+ * @param {Object} options
+ * @param {string} options.type - 'memory' or 'supabase'
+ */
+const createRateLimitStore = (client, { type = process.env.RATE_LIMIT_STORE } = {}) => {
+  if ((type || 'memory') === 'supabase') {
+    return new SupabaseRateLimitStore(client);
+  }
+  return new MemoryRateLimitStore();
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  SupabaseRateLimitStore,
+  createRateLimitStore
+};
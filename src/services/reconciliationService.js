@@ -0,0 +1,511 @@
+const shopifyApi = require('./shopifyApiService');
+const { WEBHOOK_PROCESSORS } = require('./webhookProcessors');
+const { isOrderCancelled, adjustOrderEntries } = require('./purchaseEntryService');
+const { importOrder } = require('./orderBackfillService');
+const { getOrderShopTotal } = require('../utils/currencyUtils');
+const { isActiveEntry } = require('../utils/entryUtils');
+
+/**
+ * Reconciliation Service
+ * Compares a promo's Shopify orders with what `purchases` and `entries` hold
+ * and stores the drift it finds in `reconciliation_runs`:
+ *   missing_order   - an order in the promo window that never reached purchases
+ *   amount_mismatch - the purchase total differs from the order's, or the
+ *                     order's refunds or cancellation weren't applied to its entry
+ *   orphan_entry    - an active purchase entry whose order no longer exists
+ * With auto-repair, missing orders are imported like an order backfill,
+ * mismatches are replayed through the orders/updated processor and orphan
+ * entries are voided. Every active promo is reconciled nightly at
+ * RECONCILIATION_HOUR_UTC:
+ *   reconcile_promo - reconciles one promo (nightly or a queued manual run)
+ */
+
+const ISSUE_TYPES = ['missing_order', 'amount_mismatch', 'orphan_entry'];
+
+// Issues kept on a run; counts always cover all of them
+const MAX_STORED_ISSUES = 500;
+
+const PURCHASE_LOOKUP_CHUNK = 100;
+
+const isAutoRepairDefault = () => process.env.RECONCILIATION_AUTO_REPAIR === 'true';
+
+const getReconciliationHour = () => {
+  const hour = parseInt(process.env.RECONCILIATION_HOUR_UTC);
+  return hour >= 0 && hour <= 23 ? hour : 3;
+};
+
+const amountsDiffer = (a, b) => Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) >= 0.01;
+
+/**
+ * All Shopify orders created in a promo's window
+ */
+const fetchPromoOrders = async (store, promo) => {
+  const now = new Date();
+  const windowEnd = promo.end_date && new Date(promo.end_date) < now ? promo.end_date : now.toISOString();
+  const orders = [];
+
+  for await (const order of shopifyApi.iterateOrders(store.shopify_domain, store.shopify_access_token, {
+    created_at_min: promo.start_date || promo.created_at,
+    created_at_max: windowEnd
+  })) {
+    orders.push(order);
+  }
+  return orders;
+};
+
+/**
+ * Purchases of the given orders, by order ID
+ */
+const loadPurchases = async (client, storeId, orderIds) => {
+  const purchases = new Map();
+
+  const { data: shops, error: shopsError } = await client
+    .from('shopify_shops')
+    .select('id')
+    .eq('store_id', storeId);
+
+  if (shopsError) {
+    throw new Error(`Failed to load shops: ${shopsError.message}`);
+  }
+
+  if (!shops || shops.length === 0) {
+    return purchases;
+  }
+
+  for (let i = 0; i < orderIds.length; i += PURCHASE_LOOKUP_CHUNK) {
+    const { data, error } = await client
+      .from('purchases')
+      .select('shopify_order_id, total_amount, currency')
+      .in('shopify_shop_id', shops.map(shop => shop.id))
+      .in('shopify_order_id', orderIds.slice(i, i + PURCHASE_LOOKUP_CHUNK));
+
+    if (error) {
+      throw new Error(`Failed to load purchases: ${error.message}`);
+    }
+
+    for (const purchase of data || []) {
+      purchases.set(purchase.shopify_order_id, purchase);
+    }
+  }
+
+  return purchases;
+};
+
+/**
+ * Compare one order with its purchase and entry
+ */
+const compareOrder = (order, purchase, entry) => {
+  const orderId = order.id.toString();
+  const base = { orderId, orderNumber: order.order_number || null, entryId: entry?.id || null };
+  const cancelled = isOrderCancelled(order);
+
+  if (!purchase) {
+    return cancelled ? [] : [{ ...base, type: 'missing_order', details: { createdAt: order.created_at } }];
+  }
+
+  const issues = [];
+  const total = getOrderShopTotal(order);
+
+  // Purchases from before multi-currency support have no total_amount to compare
+  if (purchase.total_amount !== null && purchase.total_amount !== undefined && amountsDiffer(purchase.total_amount, total.amount)) {
+    issues.push({
+      ...base,
+      type: 'amount_mismatch',
+      details: { field: 'purchase_total', expected: total.amount, recorded: parseFloat(purchase.total_amount), currency: total.currency }
+    });
+  }
+
+  if (entry && isActiveEntry(entry)) {
+    if (cancelled) {
+      issues.push({ ...base, type: 'amount_mismatch', details: { field: 'cancelled', expected: 0, recorded: entry.entry_count } });
+    } else {
+      const appliedRefunds = entry.metadata?.refunds || {};
+      const unappliedRefunds = (order.refunds || [])
+        .map(refund => refund.id.toString())
+        .filter(refundId => !(refundId in appliedRefunds));
+      if (unappliedRefunds.length > 0) {
+        issues.push({ ...base, type: 'amount_mismatch', details: { field: 'refunds', refundIds: unappliedRefunds } });
+      }
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Repair the issues of one order
+ */
+const repairOrder = async (client, store, promo, order, issues) => {
+  if (issues.some(issue => issue.type === 'missing_order')) {
+    await importOrder(client, store, promo, order, 'reconciliation');
+    return;
+  }
+
+  if (issues.some(issue => issue.type === 'orphan_entry')) {
+    await adjustOrderEntries({
+      client,
+      storeId: store.id,
+      orderId: issues[0].orderId,
+      cancelled: true,
+      topic: 'reconciliation'
+    });
+    return;
+  }
+
+  const result = await WEBHOOK_PROCESSORS['orders/updated'](order, { shopDomain: store.shopify_domain });
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+};
+
+/**
+ * Reconcile a promo's orders with its purchases and entries
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {Object} options.store - Store row (id, shopify_domain, shopify_access_token)
+ * @param {boolean} options.autoRepair - Repair the issues found
+ * @returns {Promise<Object>} - { ordersChecked, counts, issues, repaired }
+ */
+const reconcilePromo = async ({ client, promo, store, autoRepair = false }) => {
+  if (!store?.shopify_domain || !store?.shopify_access_token) {
+    throw new Error('Shopify store is not connected');
+  }
+
+  const orders = await fetchPromoOrders(store, promo);
+  const ordersById = new Map(orders.map(order => [order.id.toString(), order]));
+  const purchases = await loadPurchases(client, store.id, [...ordersById.keys()]);
+
+  const { data: entries, error: entriesError } = await client
+    .from('entries')
+    .select('id, order_id, status, entry_count, metadata')
+    .eq('promo_id', promo.id)
+    .eq('source', 'purchase');
+
+  if (entriesError) {
+    throw new Error(`Failed to load entries: ${entriesError.message}`);
+  }
+
+  const entriesByOrder = new Map((entries || []).map(entry => [entry.order_id, entry]));
+  const issuesByOrder = new Map();
+  const addIssues = (order, issues) => {
+    if (issues.length > 0) {
+      issuesByOrder.set(order.id.toString(), { order, issues });
+    }
+  };
+
+  for (const [orderId, order] of ordersById) {
+    addIssues(order, compareOrder(order, purchases.get(orderId), entriesByOrder.get(orderId)));
+  }
+
+  // Entries whose order wasn't in the window: look the order up before calling it an orphan
+  for (const entry of entries || []) {
+    if (!isActiveEntry(entry) || !entry.order_id || ordersById.has(entry.order_id)) {
+      continue;
+    }
+
+    const lookup = await shopifyApi.getOrder(store.shopify_domain, store.shopify_access_token, entry.order_id);
+    if (lookup.success) {
+      if (isOrderCancelled(lookup.order)) {
+        addIssues(lookup.order, [{
+          orderId: entry.order_id,
+          orderNumber: lookup.order.order_number || null,
+          entryId: entry.id,
+          type: 'amount_mismatch',
+          details: { field: 'cancelled', expected: 0, recorded: entry.entry_count }
+        }]);
+      }
+    } else if (lookup.statusCode === 404) {
+      addIssues({ id: entry.order_id }, [{
+        orderId: entry.order_id,
+        orderNumber: entry.metadata?.orderNumber || null,
+        entryId: entry.id,
+        type: 'orphan_entry',
+        details: { entryCount: entry.entry_count }
+      }]);
+    } else {
+      console.error(`Could not verify order ${entry.order_id} of entry ${entry.id}: ${lookup.error}`);
+    }
+  }
+
+  let repaired = 0;
+  const issues = [];
+
+  for (const { order, issues: orderIssues } of issuesByOrder.values()) {
+    if (autoRepair) {
+      try {
+        await repairOrder(client, store, promo, order, orderIssues);
+        orderIssues.forEach(issue => { issue.repaired = true; });
+        repaired += orderIssues.length;
+      } catch (error) {
+        console.error(`Error repairing order ${order.id}:`, error.message);
+        orderIssues.forEach(issue => { issue.repaired = false; issue.repairError = error.message; });
+      }
+    }
+    issues.push(...orderIssues);
+  }
+
+  const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type, issues.filter(issue => issue.type === type).length]));
+
+  return { ordersChecked: orders.length, counts, issues, repaired };
+};
+
+/**
+ * Queue a manual reconciliation run of a promo
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {string} options.requestedBy - User ID
+ * @param {boolean} options.autoRepair - Repair the issues found (defaults to RECONCILIATION_AUTO_REPAIR)
+ * @returns {Promise<Object>} - { success, run } or { success, status, message }
+ */
+const queueReconciliation = async ({ client, promo, requestedBy = null, autoRepair = null }) => {
+  const { data: openRuns, error: openError } = await client
+    .from('reconciliation_runs')
+    .select('id')
+    .eq('promo_id', promo.id)
+    .in('status', ['queued', 'running'])
+    .limit(1);
+
+  if (openError) {
+    console.error('Error checking reconciliation runs:', openError);
+    return { success: false, status: 500, message: 'Error checking reconciliation runs' };
+  }
+
+  if (openRuns && openRuns.length > 0) {
+    return { success: false, status: 409, message: 'A reconciliation is already running for this promo' };
+  }
+
+  const { data: run, error } = await client
+    .from('reconciliation_runs')
+    .insert({
+      store_id: promo.store_id,
+      promo_id: promo.id,
+      status: 'queued',
+      trigger: 'manual',
+      auto_repair: autoRepair === null ? isAutoRepairDefault() : autoRepair === true,
+      requested_by: requestedBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating reconciliation run:', error);
+    return { success: false, status: 500, message: 'Error creating reconciliation run' };
+  }
+
+  console.log(`🧮 Reconciliation ${run.id} queued for promo ${promo.id}`);
+  return { success: true, run };
+};
+
+/**
+ * Reconciliation runs, newest first
+ * @param {Object} client - Supabase client
+ * @param {Object} filters - { storeIds, promoId, limit, offset }
+ * @returns {Promise<Array>} - Runs without their issue lists
+ */
+const listReconciliationRuns = async (client, { storeIds = null, promoId = null, limit = 50, offset = 0 } = {}) => {
+  let query = client
+    .from('reconciliation_runs')
+    .select('id, store_id, promo_id, status, trigger, auto_repair, orders_checked, missing_orders, amount_mismatches, orphan_entries, issues_repaired, error, created_at, started_at, completed_at')
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (storeIds) {
+    query = query.in('store_id', storeIds);
+  }
+  if (promoId) {
+    query = query.eq('promo_id', promoId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load reconciliation runs: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * One reconciliation run with its issues
+ * @param {Object} client - Supabase client
+ * @param {string} runId - Run ID
+ * @param {Array<string>} storeIds - Stores the caller may see (null for admins)
+ * @returns {Promise<Object|null>}
+ */
+const getReconciliationRun = async (client, runId, storeIds = null) => {
+  let query = client
+    .from('reconciliation_runs')
+    .select('*')
+    .eq('id', runId);
+
+  if (storeIds) {
+    query = query.in('store_id', storeIds);
+  }
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load reconciliation run: ${error.message}`);
+  }
+  return data;
+};
+
+const updateRun = async (client, runId, changes) => {
+  const { error } = await client
+    .from('reconciliation_runs')
+    .update(changes)
+    .eq('id', runId);
+
+  if (error) {
+    console.error('Error updating reconciliation run:', error);
+  }
+};
+
+/**
+ * Reconcile a promo for a nightly job or a queued manual run
+ */
+const runReconciliation = async (client, { promoId, runId = null }) => {
+  let run = null;
+
+  if (runId) {
+    const { data, error } = await client
+      .from('reconciliation_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    if (error || !data) {
+      return { skipped: true, reason: 'Run not found' };
+    }
+    if (data.status !== 'queued') {
+      return { skipped: true, reason: `Run is ${data.status}` };
+    }
+    run = data;
+  }
+
+  const { data: promo, error: promoError } = await client
+    .from('promos')
+    .select('*, stores(id, shopify_domain, shopify_access_token)')
+    .eq('id', run ? run.promo_id : promoId)
+    .single();
+
+  if (promoError || !promo) {
+    if (run) {
+      await updateRun(client, run.id, { status: 'failed', error: 'Promo not found', completed_at: new Date().toISOString() });
+    }
+    return { skipped: true, reason: 'Promo not found' };
+  }
+
+  if (run) {
+    await updateRun(client, run.id, { status: 'running', started_at: new Date().toISOString() });
+  } else {
+    const { data: created, error: createError } = await client
+      .from('reconciliation_runs')
+      .insert({
+        store_id: promo.store_id,
+        promo_id: promo.id,
+        status: 'running',
+        trigger: 'schedule',
+        auto_repair: isAutoRepairDefault(),
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (createError) {
+      throw new Error(`Failed to create reconciliation run: ${createError.message}`);
+    }
+    run = created;
+  }
+
+  try {
+    const result = await reconcilePromo({ client, promo, store: promo.stores, autoRepair: run.auto_repair });
+
+    await updateRun(client, run.id, {
+      status: 'completed',
+      orders_checked: result.ordersChecked,
+      missing_orders: result.counts.missing_order,
+      amount_mismatches: result.counts.amount_mismatch,
+      orphan_entries: result.counts.orphan_entry,
+      issues_repaired: result.repaired,
+      issues: result.issues.slice(0, MAX_STORED_ISSUES),
+      completed_at: new Date().toISOString()
+    });
+
+    console.log(`🧮 Reconciled promo ${promo.id}: ${result.ordersChecked} orders, ${result.issues.length} issue(s), ${result.repaired} repaired`);
+    return { runId: run.id, issues: result.issues.length, repaired: result.repaired };
+  } catch (error) {
+    // The run records the failure; tomorrow's run or a manual one tries again
+    console.error(`❌ Reconciliation of promo ${promo.id} failed:`, error.message);
+    await updateRun(client, run.id, { status: 'failed', error: error.message, completed_at: new Date().toISOString() });
+    return { runId: run.id, failed: true, reason: error.message };
+  }
+};
+
+/**
+ * Register the reconciliation planners and handler on a scheduler
+ * @param {Scheduler} scheduler
+ * @param {Object} client - Supabase client (service role)
+ */
+const registerReconciliationJobs = (scheduler, client) => {
+  scheduler.registerHandler('reconcile_promo', (payload) => runReconciliation(client, payload));
+
+  scheduler.registerPlanner('reconciliation-requests', async (sched, now) => {
+    const { data: runs, error } = await client
+      .from('reconciliation_runs')
+      .select('id')
+      .eq('status', 'queued');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const run of runs || []) {
+      await sched.schedule({
+        key: `reconcile_run:${run.id}`,
+        type: 'reconcile_promo',
+        runAt: now.toISOString(),
+        payload: { runId: run.id }
+      });
+    }
+  });
+
+  if (process.env.RECONCILIATION_ENABLED === 'false') {
+    return;
+  }
+
+  scheduler.registerPlanner('nightly-reconciliation', async (sched, now) => {
+    const runAt = new Date(now);
+    runAt.setUTCHours(getReconciliationHour(), 0, 0, 0);
+    if (now < runAt) {
+      return;
+    }
+
+    const { data: promos, error } = await client
+      .from('promos')
+      .select('id')
+      .eq('status', 'active')
+      .eq('enable_purchase_entries', true);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const day = runAt.toISOString().slice(0, 10);
+    for (const promo of promos || []) {
+      await sched.schedule({
+        key: `reconcile_promo:${promo.id}:${day}`,
+        type: 'reconcile_promo',
+        runAt: runAt.toISOString(),
+        payload: { promoId: promo.id }
+      });
+    }
+  });
+};
+
+module.exports = {
+  reconcilePromo,
+  queueReconciliation,
+  listReconciliationRuns,
+  getReconciliationRun,
+  registerReconciliationJobs
+};
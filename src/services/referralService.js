@@ -0,0 +1,353 @@
+const { assessEntry } = require('./fraudService');
+const { hashCanonicalEmail } = require('../utils/emailUtils');
+const { ACTIVE_ENTRY_FILTER, BASE_ENTRY_FILTER } = require('../utils/entryUtils');
+const {
+  REFERRAL_ENTRY_SOURCE,
+  getReferralSettings,
+  generateReferralCode,
+  normalizeReferralCode
+} = require('../utils/referralUtils');
+
+/**
+ * Referral Service
+ * Issues referral codes (`referral_codes`, one per entrant and promo) and
+ * attributes referred entries and orders (`referrals`). A person can only be
+ * referred once per promo - the unique `(promo_id, referred_hashed_email)`
+ * keeps that true under concurrent entries - and referrers earn reward
+ * entries with source `bonus_referral`. Rewards are counted on the code's
+ * `rewards_granted`, which only moves by conditional update so concurrent
+ * referrals can't overshoot `max_referral_rewards`.
+ */
+
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_COUNTER_ATTEMPTS = 5;
+
+/**
+ * Get an entrant's referral code for a promo, creating it on first use
+ * Never throws: entries still go through when the referral program fails.
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {string} options.email - Entrant email
+ * @returns {Promise<Object|null>} - referral_codes row, or null when referrals are off or it failed
+ */
+const getOrCreateReferralCode = async ({ client, promo, email }) => {
+  if (!getReferralSettings(promo).enabled) {
+    return null;
+  }
+
+  const hashedEmail = hashCanonicalEmail(email);
+
+  const findExisting = async () => {
+    const { data, error } = await client
+      .from('referral_codes')
+      .select('*')
+      .eq('promo_id', promo.id)
+      .eq('hashed_email', hashedEmail)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading referral code:', error);
+    }
+    return data || null;
+  };
+
+  try {
+    const existing = await findExisting();
+    if (existing) {
+      return existing;
+    }
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const { data: created, error } = await client
+        .from('referral_codes')
+        .insert({
+          promo_id: promo.id,
+          store_id: promo.store_id,
+          code: generateReferralCode(),
+          hashed_email: hashedEmail,
+          customer_email: email.toLowerCase().trim()
+        })
+        .select()
+        .single();
+
+      if (!error) {
+        return created;
+      }
+
+      if (error.code !== '23505') {
+        console.error('Error creating referral code:', error);
+        return null;
+      }
+
+      // Either a concurrent entry created this entrant's code, or the random code was taken
+      const concurrent = await findExisting();
+      if (concurrent) {
+        return concurrent;
+      }
+    }
+
+    console.error(`Could not generate a unique referral code for promo ${promo.id}`);
+    return null;
+  } catch (error) {
+    console.error('Referral code error:', error);
+    return null;
+  }
+};
+
+/**
+ * Move a referral code's rewards_granted counter by one step
+ * The update only applies if the counter still holds the value read, so a
+ * concurrent referral makes it re-read instead of overshooting the cap. Codes
+ * from before the counter start from their rewarded referrals.
+ * @param {Object} client - Supabase client
+ * @param {string} referralCodeId - referral_codes ID
+ * @param {number} step - 1 to claim a reward, -1 to give it back
+ * @param {number|null} maxRewards - Cap on claims (null for none)
+ * @returns {Promise<Object>} - { moved } or { error }
+ */
+const stepRewardsGranted = async (client, referralCodeId, step, maxRewards = null) => {
+  for (let attempt = 0; attempt < MAX_COUNTER_ATTEMPTS; attempt++) {
+    const { data: referralCode, error } = await client
+      .from('referral_codes')
+      .select('rewards_granted')
+      .eq('id', referralCodeId)
+      .single();
+
+    if (error) {
+      return { error };
+    }
+
+    let granted = referralCode.rewards_granted;
+    if (granted == null) {
+      const { count, error: countError } = await client
+        .from('referrals')
+        .select('id', { count: 'exact', head: true })
+        .eq('referral_code_id', referralCodeId)
+        .gt('reward_entry_count', 0);
+
+      if (countError) {
+        return { error: countError };
+      }
+      granted = count || 0;
+    }
+
+    if ((step > 0 && maxRewards && granted >= maxRewards) || granted + step < 0) {
+      return { moved: false };
+    }
+
+    let update = client
+      .from('referral_codes')
+      .update({ rewards_granted: granted + step })
+      .eq('id', referralCodeId);
+    update = referralCode.rewards_granted == null
+      ? update.is('rewards_granted', null)
+      : update.eq('rewards_granted', granted);
+
+    const { data: updated, error: updateError } = await update.select('id').maybeSingle();
+
+    if (updateError) {
+      return { error: updateError };
+    }
+    if (updated) {
+      return { moved: true };
+    }
+  }
+
+  return { error: new Error(`rewards_granted of referral code ${referralCodeId} kept changing`) };
+};
+
+/**
+ * Give back a reward claimed for a referral that was not recorded or not paid out
+ */
+const releaseReward = async (client, referralCodeId) => {
+  const { error } = await stepRewardsGranted(client, referralCodeId, -1);
+  if (error) {
+    console.error('Error releasing referral reward:', error);
+  }
+};
+
+/**
+ * Attribute a referred entry (or order) to the owner of a referral code and reward them
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {string} options.code - Referral code used by the friend
+ * @param {Object} options.referredEntry - The friend's entry
+ * @param {string} options.attributedVia - 'manual_entry' or 'order'
+ * @returns {Promise<Object>} - { success, referral, rewardEntry } or { success, status, message }
+ */
+const recordReferral = async ({ client, promo, code, referredEntry, attributedVia }) => {
+  const settings = getReferralSettings(promo);
+  const normalizedCode = normalizeReferralCode(code);
+
+  if (!settings.enabled || !normalizedCode) {
+    return { success: false, status: 400, message: 'Referrals are not available for this promo' };
+  }
+
+  const { data: referralCode, error: codeError } = await client
+    .from('referral_codes')
+    .select('*')
+    .eq('promo_id', promo.id)
+    .eq('code', normalizedCode)
+    .maybeSingle();
+
+  if (codeError) {
+    console.error('Error loading referral code:', codeError);
+    return { success: false, status: 500, message: 'Error loading referral code' };
+  }
+
+  if (!referralCode) {
+    return { success: false, status: 404, message: 'Referral code not found' };
+  }
+
+  if (referralCode.hashed_email === referredEntry.hashed_email) {
+    return { success: false, status: 400, message: 'Entrants cannot refer themselves' };
+  }
+
+  // Referrers who were erased or whose entries were all voided aren't rewarded
+  const { data: referrerEntries, error: referrerError } = await client
+    .from('entries')
+    .select('id, consent_brand, consent_rafl')
+    .eq('promo_id', promo.id)
+    .eq('hashed_email', referralCode.hashed_email)
+    .or(ACTIVE_ENTRY_FILTER)
+    .or(BASE_ENTRY_FILTER)
+    .limit(1);
+
+  if (referrerError) {
+    console.error('Error checking referrer entries:', referrerError);
+    return { success: false, status: 500, message: 'Error checking referrer entries' };
+  }
+
+  let rewardEntries = referrerEntries && referrerEntries.length > 0 ? settings.rewardEntries : 0;
+
+  // Claim the reward before recording the referral; it is given back if that fails
+  if (rewardEntries > 0) {
+    const claim = await stepRewardsGranted(client, referralCode.id, 1, settings.maxRewards);
+
+    if (claim.error) {
+      console.error('Error claiming referral reward:', claim.error);
+      return { success: false, status: 500, message: 'Error checking referral rewards' };
+    }
+
+    if (!claim.moved) {
+      rewardEntries = 0;
+    }
+  }
+
+  const { data: referral, error: referralError } = await client
+    .from('referrals')
+    .insert({
+      promo_id: promo.id,
+      store_id: promo.store_id,
+      referral_code_id: referralCode.id,
+      referrer_hashed_email: referralCode.hashed_email,
+      referred_hashed_email: referredEntry.hashed_email,
+      referred_entry_id: referredEntry.id,
+      order_id: referredEntry.order_id || null,
+      attributed_via: attributedVia,
+      reward_entry_count: rewardEntries
+    })
+    .select()
+    .single();
+
+  if (referralError) {
+    if (rewardEntries > 0) {
+      await releaseReward(client, referralCode.id);
+    }
+    // 23505 is unique constraint violation (this person was already referred in the promo)
+    if (referralError.code === '23505') {
+      return { success: false, status: 409, message: 'Already referred' };
+    }
+    console.error('Error recording referral:', referralError);
+    return { success: false, status: 500, message: 'Error recording referral' };
+  }
+
+  if (rewardEntries === 0) {
+    console.log(`🤝 Referral ${referral.id} attributed to ${referralCode.code} without a reward`);
+    return { success: true, referral, rewardEntry: null };
+  }
+
+  const { data: rewardEntry, error: rewardError } = await client
+    .from('entries')
+    .insert({
+      promo_id: promo.id,
+      store_id: promo.store_id,
+      customer_email: referralCode.customer_email,
+      hashed_email: referralCode.hashed_email,
+      entry_count: rewardEntries,
+      status: 'active',
+      source: REFERRAL_ENTRY_SOURCE,
+      order_id: null,
+      order_total: 0,
+      consent_brand: referrerEntries[0].consent_brand,
+      consent_rafl: referrerEntries[0].consent_rafl,
+      is_manual: false,
+      metadata: {
+        entry_type: 'referral_reward',
+        referral_id: referral.id,
+        referral_code: referralCode.code,
+        referred_entry_id: referredEntry.id
+      }
+    })
+    .select()
+    .single();
+
+  if (rewardError) {
+    console.error('Error creating referral reward entry:', rewardError);
+    await client.from('referrals').update({ reward_entry_count: 0 }).eq('id', referral.id);
+    await releaseReward(client, referralCode.id);
+    return { success: true, referral: { ...referral, reward_entry_count: 0 }, rewardEntry: null };
+  }
+
+  const { error: linkError } = await client
+    .from('referrals')
+    .update({ reward_entry_id: rewardEntry.id })
+    .eq('id', referral.id);
+
+  if (linkError) {
+    console.error('Error linking referral to reward entry:', linkError);
+  }
+
+  console.log(`🤝 Referral ${referral.id} earned ${rewardEntries} entries for code ${referralCode.code}`);
+
+  await assessEntry({ client, entry: rewardEntry });
+
+  return { success: true, referral: { ...referral, reward_entry_id: rewardEntry.id }, rewardEntry };
+};
+
+/**
+ * Attribute an order entry to the first of the order's referral codes that belongs to the promo
+ * Never throws.
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {Object} options.promo - Promo row
+ * @param {Array<string>} options.codes - Candidate codes (see referralUtils.getOrderReferralCodes)
+ * @param {Object} options.entry - Purchase entry
+ * @returns {Promise<Object|null>} - The recordReferral result, or null when no code matched
+ */
+const attributeOrderReferral = async ({ client, promo, codes, entry }) => {
+  if (!codes || codes.length === 0 || !getReferralSettings(promo).enabled) {
+    return null;
+  }
+
+  try {
+    for (const code of codes) {
+      const result = await recordReferral({ client, promo, code, referredEntry: entry, attributedVia: 'order' });
+      // Discount codes that aren't referral codes are expected; try the next candidate
+      if (result.status !== 404) {
+        return result;
+      }
+    }
+  } catch (error) {
+    console.error('Order referral error:', error);
+  }
+  return null;
+};
+
+module.exports = {
+  getOrCreateReferralCode,
+  recordReferral,
+  attributeOrderReferral
+};
@@ -0,0 +1,181 @@
+const os = require('os');
+const { DEFAULT_LOCK_TIMEOUT_MS, MemoryJobStore, SupabaseJobStore } = require('./jobStores');
+
+/**
+ * Scheduler
+ * Small in-process job runner. On every tick it asks each registered planner
+ * to schedule upcoming work, then claims due jobs from the job store and
+ * runs their handlers. Failed jobs are retried with exponential backoff
+ * (`retryDelayMs`, doubling per attempt) until `maxAttempts` is reached, or
+ * straight away given up when the handler throws an error with
+ * `retryable = false`. `onGiveUp(job, error)` is called for jobs that will
+ * not run again.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+class Scheduler {
+  constructor({
+    name = 'Scheduler',
+    store,
+    intervalMs = DEFAULT_INTERVAL_MS,
+    retryDelayMs = null,
+    batchSize = DEFAULT_BATCH_SIZE,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    onGiveUp = null
+  } = {}) {
+    this.name = name;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.retryDelayMs = retryDelayMs || intervalMs;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.onGiveUp = onGiveUp;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.planners = [];
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type (e.g. 'close_promo')
+   * @param {Function} handler - async (payload, job) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Register a planner that schedules jobs on every tick
+   * @param {string} name - Name used in logs
+   * @param {Function} planner - async (scheduler, now) => void
+   */
+  registerPlanner(name, planner) {
+    this.planners.push({ name, planner });
+  }
+
+  /**
+   * Schedule a job; a job with the same key is only ever scheduled once
+   * @param {Object} job - { key, type, runAt, payload }
+   */
+  async schedule(job) {
+    return await this.store.schedule(job);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`⏰ ${this.name} started (every ${Math.round(this.intervalMs / 1000)}s, worker ${this.workerId})`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Plan and run due jobs once. Overlapping ticks are skipped.
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      const now = new Date();
+
+      for (const { name, planner } of this.planners) {
+        try {
+          await planner(this, now);
+        } catch (error) {
+          console.error(`[${this.name}] Planner ${name} failed:`, error.message);
+        }
+      }
+
+      const jobs = await this.store.claimDue(now, this.batchSize, this.workerId);
+      for (const job of jobs) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error(`[${this.name}] Tick failed:`, error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.job_type);
+
+    if (!handler) {
+      await this.giveUp(job, `No handler registered for job type ${job.job_type}`);
+      return;
+    }
+
+    try {
+      const result = await handler(job.payload || {}, job);
+      await this.store.complete(job, result || null);
+      console.log(`✅ [${this.name}] Job ${job.job_key} completed`);
+    } catch (error) {
+      const attempts = job.attempts || 1;
+      console.error(`❌ [${this.name}] Job ${job.job_key} failed (attempt ${attempts}):`, error.message);
+
+      if (error.retryable === false || attempts >= this.maxAttempts) {
+        await this.giveUp(job, error.message);
+        return;
+      }
+
+      const retryAt = new Date(Date.now() + this.retryDelayMs * Math.pow(2, attempts - 1));
+      await this.store.fail(job, error.message, retryAt);
+    }
+  }
+
+  async giveUp(job, errorMessage) {
+    await this.store.fail(job, errorMessage);
+
+    if (this.onGiveUp) {
+      try {
+        await this.onGiveUp(job, errorMessage);
+      } catch (error) {
+        console.error(`[${this.name}] Give-up handler failed for ${job.job_key}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Create a job store for a queue
+ * @param {Object} client - Supabase client for the Supabase store
+ * @param {Object} options
+ * @param {string} options.queue - Queue name (jobs of other queues are never claimed)
+ * @param {string} options.type - 'supabase' or 'memory' (defaults to SCHEDULER_JOB_STORE)
+ * @param {number} options.lockTimeoutMs - Age of a running job's lock before it is reclaimed (defaults to SCHEDULER_LOCK_TIMEOUT_MS)
+ * @returns {Object} - Job store
+ */
+const createJobStore = (client, {
+  queue = 'default',
+  type = process.env.SCHEDULER_JOB_STORE,
+  lockTimeoutMs = parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS) || DEFAULT_LOCK_TIMEOUT_MS
+} = {}) => {
+  if ((type || 'supabase') === 'memory') {
+    return new MemoryJobStore({ queue, lockTimeoutMs });
+  }
+  return new SupabaseJobStore(client, { queue, lockTimeoutMs });
+};
+
+module.exports = {
+  Scheduler,
+  createJobStore
+};
@@ -1,53 +1,173 @@
+const http = require('http');
 const https = require('https');
+const readline = require('readline');
+const { ShopifyRateLimiter } = require('./shopifyRateLimiter');
 
 /**
  * Shopify Admin API Service
- * Handles all API calls to Shopify Admin API
- * Version: 2024-01 (latest stable)
+ * Handles all API calls to Shopify Admin API (REST and GraphQL)
+ * Version: SHOPIFY_API_VERSION, 2024-01 by default
+ *
+ * Calls are throttled per shop, retried (see callShopifyAPI) and fail with a
+ * ShopifyApiError. Paginated REST resources follow Shopify's `Link` header
+ * cursors (`page_info`); iterateOrders/iterateCustomers walk every page.
+ * GraphQL connections are walked with iterateGraphQLConnection, and bulk
+ * operations export more than paging can reasonably fetch (see exportOrdersBulk).
+ * SHOPIFY_API_HOST points every call at another host, e.g. a local stub server.
  */
 
-const SHOPIFY_API_VERSION = '2024-01';
+const DEFAULT_SHOPIFY_API_VERSION = '2024-01';
+
+// Stable versions are released quarterly (YYYY-01/04/07/10)
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+
+let warnedApiVersion = null;
 
 /**
- * Generic function to make requests to Shopify Admin API
- * @param {string} shopDomain - e.g., 'rafl-dev.myshopify.com'
- * @param {string} accessToken - Shopify access token
- * @param {string} endpoint - API endpoint (e.g., '/admin/api/2024-01/shop.json')
- * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
- * @param {object} data - Request body for POST/PUT requests
- * @returns {Promise<object>} API response
+ * Admin API version requests are made against
+ * @returns {string}
+ */
+const getApiVersion = () => {
+  const version = process.env.SHOPIFY_API_VERSION;
+  if (!version) {
+    return DEFAULT_SHOPIFY_API_VERSION;
+  }
+
+  if (!API_VERSION_PATTERN.test(version)) {
+    if (warnedApiVersion !== version) {
+      console.warn(`[Shopify API] Invalid SHOPIFY_API_VERSION "${version}", using ${DEFAULT_SHOPIFY_API_VERSION}`);
+      warnedApiVersion = version;
+    }
+    return DEFAULT_SHOPIFY_API_VERSION;
+  }
+  return version;
+};
+
+/**
+ * Error from a Shopify Admin API call
+ * `statusCode` and `error` (Shopify's `errors` payload) keep the shape callers
+ * relied on before; `code` says what went wrong:
+ *   CLIENT_ERROR, RATE_LIMITED, SERVER_ERROR, NETWORK_ERROR, TIMEOUT,
+ *   PARSE_ERROR, GRAPHQL_ERROR, THROTTLED
+ */
+class ShopifyApiError extends Error {
+  constructor(message, {
+    code,
+    statusCode = null,
+    shopDomain = null,
+    method = null,
+    path = null,
+    retryable = false,
+    retryAfter = null,
+    requestId = null,
+    error = null,
+    response = null,
+    headers = null
+  } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.shopDomain = shopDomain;
+    this.method = method;
+    this.path = path;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.requestId = requestId;
+    this.error = error || message;
+    this.response = response;
+    // Used by the rate limiter; kept out of logged errors
+    Object.defineProperty(this, 'headers', { value: headers, enumerable: false });
+  }
+}
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Safe to send twice; other calls are only retried when Shopify rejected them unprocessed (429)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+const getMaxRetries = () => {
+  const retries = parseInt(process.env.SHOPIFY_MAX_RETRIES);
+  return retries >= 0 ? retries : 3;
+};
+
+const getRetryBaseMs = () => parseInt(process.env.SHOPIFY_RETRY_BASE_MS) || 500;
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half random
+ */
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(getRetryBaseMs() * 2 ** attempt, 30000);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pooled connections per transport, reused across calls and shops
+const agents = {
+  https: new https.Agent({ keepAlive: true, maxSockets: parseInt(process.env.SHOPIFY_MAX_SOCKETS) || 10 }),
+  http: new http.Agent({ keepAlive: true, maxSockets: parseInt(process.env.SHOPIFY_MAX_SOCKETS) || 10 })
+};
+
+const rateLimiter = new ShopifyRateLimiter();
+
+/**
+ * Where requests for a shop go: the shop itself, or SHOPIFY_API_HOST (e.g. a local stub server)
+ * @param {string} shopDomain
+ * @returns {object} { transport, hostname, port, agent, hostHeader }
+ */
+const getRequestTarget = (shopDomain) => {
+  const override = process.env.SHOPIFY_API_HOST;
+  if (!override) {
+    return { transport: https, hostname: shopDomain, port: 443, agent: agents.https, hostHeader: null };
+  }
+
+  const url = new URL(override);
+  const secure = url.protocol === 'https:';
+  return {
+    transport: secure ? https : http,
+    hostname: url.hostname,
+    port: parseInt(url.port) || (secure ? 443 : 80),
+    agent: secure ? agents.https : agents.http,
+    // Lets the stub tell shops apart
+    hostHeader: shopDomain
+  };
+};
+
+const parseRetryAfter = (value) => {
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? null : seconds;
+};
+
+/**
+ * Send one request to Shopify Admin API
+ * @returns {Promise<object>} { statusCode, data, headers }; rejects with a ShopifyApiError
  */
-const callShopifyAPI = (shopDomain, accessToken, endpoint, method = 'GET', data = null) => {
+const sendRequest = (shopDomain, accessToken, path, method, data) => {
   return new Promise((resolve, reject) => {
-    // Build full path
-    const path = endpoint.startsWith('/admin') ? endpoint : `/admin/api/${SHOPIFY_API_VERSION}${endpoint}`;
-    
+    const target = getRequestTarget(shopDomain);
+    const body = data && (method === 'POST' || method === 'PUT') ? JSON.stringify(data) : null;
+    const errorContext = { shopDomain, method, path };
+
     const options = {
-      hostname: shopDomain,
-      port: 443,
+      hostname: target.hostname,
+      port: target.port,
       path: path,
       method: method,
       headers: {
         'X-Shopify-Access-Token': accessToken,
         'Content-Type': 'application/json',
-        'User-Agent': 'Raffle-Sweepstakes-App/1.0'
+        'User-Agent': 'Raffle-Sweepstakes-App/1.0',
+        ...(target.hostHeader && { Host: target.hostHeader }),
+        ...(body && { 'Content-Length': Buffer.byteLength(body) })
       },
-      timeout: 30000, // Increased to 30 seconds
-      // Disable agent for better compatibility
-      agent: false,
+      timeout: 30000,
+      agent: target.agent,
       // Add IPv4 preference
       family: 4
     };
 
-    // Add Content-Length for POST/PUT requests
-    if (data && (method === 'POST' || method === 'PUT')) {
-      const postData = JSON.stringify(data);
-      options.headers['Content-Length'] = Buffer.byteLength(postData);
-    }
-
-    console.log(`[Shopify API] ${method} ${path}`);
-
-    const req = https.request(options, (res) => {
+    const req = target.transport.request(options, (res) => {
       let responseData = '';
 
       res.on('data', (chunk) => {
@@ -55,72 +175,191 @@ const callShopifyAPI = (shopDomain, accessToken, endpoint, method = 'GET', data
       });
 
       res.on('end', () => {
-        try {
-          // Check rate limit headers
-          const rateLimitRemaining = res.headers['x-shopify-shop-api-call-limit'];
-          if (rateLimitRemaining) {
-            console.log(`[Shopify API] Rate limit: ${rateLimitRemaining}`);
-          }
+        const requestId = res.headers['x-request-id'] || null;
+        let parsedData;
 
-          // Parse response
-          const parsedData = responseData ? JSON.parse(responseData) : {};
+        try {
+          parsedData = responseData ? JSON.parse(responseData) : {};
+        } catch (error) {
+          reject(new ShopifyApiError('Failed to parse response', {
+            ...errorContext,
+            code: 'PARSE_ERROR',
+            statusCode: res.statusCode,
+            // A 5xx page from a proxy isn't JSON either
+            retryable: RETRYABLE_STATUS_CODES.includes(res.statusCode),
+            requestId,
+            response: responseData,
+            headers: res.headers
+          }));
+          return;
+        }
 
-          // Check for errors
-          if (res.statusCode >= 400) {
-            // Don't log 422 errors as errors - they're often expected (e.g., duplicate webhooks)
-            if (res.statusCode === 422) {
-              console.log(`[Shopify API] Status ${res.statusCode}:`, parsedData.errors || parsedData);
-            } else {
-              console.error(`[Shopify API] Error ${res.statusCode}:`, parsedData);
-            }
-            reject({
+        if (res.statusCode >= 400) {
+          const shopifyErrors = parsedData.errors || parsedData.error || 'API request failed';
+          const code = res.statusCode === 429
+            ? 'RATE_LIMITED'
+            : res.statusCode >= 500 ? 'SERVER_ERROR' : 'CLIENT_ERROR';
+
+          reject(new ShopifyApiError(
+            `Shopify ${method} ${path} failed with ${res.statusCode}: ${typeof shopifyErrors === 'string' ? shopifyErrors : JSON.stringify(shopifyErrors)}`,
+            {
+              ...errorContext,
+              code,
               statusCode: res.statusCode,
-              error: parsedData.errors || parsedData.error || 'API request failed',
-              response: parsedData
-            });
-          } else {
-            resolve({
-              statusCode: res.statusCode,
-              data: parsedData,
+              retryable: RETRYABLE_STATUS_CODES.includes(res.statusCode),
+              retryAfter: parseRetryAfter(res.headers['retry-after']),
+              requestId,
+              error: shopifyErrors,
+              response: parsedData,
               headers: res.headers
-            });
-          }
-        } catch (error) {
-          console.error('[Shopify API] Parse error:', error);
-          reject({
-            statusCode: res.statusCode,
-            error: 'Failed to parse response',
-            raw: responseData
-          });
+            }
+          ));
+          return;
         }
+
+        resolve({
+          statusCode: res.statusCode,
+          data: parsedData,
+          headers: res.headers
+        });
       });
     });
 
     req.on('error', (error) => {
-      console.error('[Shopify API] Request error:', error);
-      reject({
-        error: 'Network error',
-        details: error.message
-      });
+      reject(new ShopifyApiError(`Network error: ${error.message}`, {
+        ...errorContext,
+        code: 'NETWORK_ERROR',
+        retryable: true,
+        error: 'Network error'
+      }));
     });
 
     req.on('timeout', () => {
       req.destroy();
-      reject({
-        error: 'Request timeout',
-        details: 'Request took longer than 30 seconds'
-      });
+      reject(new ShopifyApiError('Request timeout', {
+        ...errorContext,
+        code: 'TIMEOUT',
+        retryable: true,
+        error: 'Request timeout'
+      }));
     });
 
-    // Send request body for POST/PUT
-    if (data && (method === 'POST' || method === 'PUT')) {
-      req.write(JSON.stringify(data));
+    if (body) {
+      req.write(body);
     }
 
     req.end();
   });
 };
 
+/**
+ * Generic function to make requests to Shopify Admin API
+ * Calls wait for the shop's rate limit bucket; 429s are retried after
+ * Retry-After, and 5xx, network errors and timeouts are retried with jittered
+ * exponential backoff for idempotent calls (SHOPIFY_MAX_RETRIES times).
+ * @param {string} shopDomain - e.g., 'rafl-dev.myshopify.com'
+ * @param {string} accessToken - Shopify access token
+ * @param {string} endpoint - API endpoint (e.g., '/shop.json' or '/admin/api/2024-01/shop.json')
+ * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+ * @param {object} data - Request body for POST/PUT requests
+ * @param {object} options - { apiVersion, idempotent, throttle } (throttle: false skips the REST bucket)
+ * @returns {Promise<object>} API response; rejects with a ShopifyApiError
+ */
+const callShopifyAPI = async (shopDomain, accessToken, endpoint, method = 'GET', data = null, options = {}) => {
+  // Build full path
+  const path = endpoint.startsWith('/admin') ? endpoint : `/admin/api/${options.apiVersion || getApiVersion()}${endpoint}`;
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const maxRetries = getMaxRetries();
+
+  for (let attempt = 0; ; attempt++) {
+    if (options.throttle !== false) {
+      await rateLimiter.acquire(shopDomain);
+    }
+
+    console.log(`[Shopify API] ${method} ${path}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+
+    try {
+      const response = await sendRequest(shopDomain, accessToken, path, method, data);
+      rateLimiter.update(shopDomain, response.headers);
+      return response;
+    } catch (error) {
+      if (error.headers) {
+        rateLimiter.update(shopDomain, error.headers);
+      }
+
+      const rateLimited = error.code === 'RATE_LIMITED';
+      if (attempt >= maxRetries || !(rateLimited || (idempotent && error.retryable))) {
+        // Don't log 422 errors as errors - they're often expected (e.g., duplicate webhooks)
+        if (error.statusCode === 422) {
+          console.log(`[Shopify API] Status ${error.statusCode}:`, error.error);
+        } else {
+          console.error(`[Shopify API] ${error.message}`);
+        }
+        throw error;
+      }
+
+      const delay = error.retryAfter !== null ? error.retryAfter * 1000 : getBackoffDelay(attempt);
+      console.warn(`[Shopify API] ${method} ${path} failed (${error.code}), retrying in ${delay}ms`);
+
+      if (rateLimited) {
+        // Every call to the shop waits, not just this one
+        rateLimiter.pause(shopDomain, delay);
+      } else {
+        await sleep(delay);
+      }
+    }
+  }
+};
+
+/**
+ * Read the page_info cursors from a REST response's Link header
+ * @param {string} header - e.g. '<https://...?page_info=abc>; rel="next"'
+ * @returns {object} { next, previous } page_info values, null when there is no such page
+ */
+const parseLinkHeader = (header) => {
+  const cursors = { next: null, previous: null };
+  if (!header) {
+    return cursors;
+  }
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>;\s*rel="(next|previous)"/);
+    if (match) {
+      cursors[match[2]] = new URL(match[1]).searchParams.get('page_info');
+    }
+  }
+  return cursors;
+};
+
+/**
+ * Iterate every item of a paginated REST resource, following Link header cursors
+ * Filters only apply to the first request; Shopify rejects them next to page_info.
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} endpoint - e.g. '/orders.json'
+ * @param {string} key - Response key holding the items (e.g. 'orders')
+ * @param {object} params - Query parameters of the first page
+ * @returns {AsyncGenerator<object>} Items; throws a ShopifyApiError when a page fails
+ */
+async function* iterateResource(shopDomain, accessToken, endpoint, key, params = {}) {
+  const limit = params.limit || 250;
+  let query = new URLSearchParams(Object.entries({ ...params, limit })
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')).toString();
+
+  while (query) {
+    const response = await callShopifyAPI(shopDomain, accessToken, `${endpoint}?${query}`, 'GET');
+
+    for (const item of response.data[key] || []) {
+      yield item;
+    }
+
+    const { next } = parseLinkHeader(response.headers?.link);
+    query = next
+      ? new URLSearchParams({ limit, page_info: next, ...(params.fields && { fields: params.fields }) }).toString()
+      : null;
+  }
+}
+
 /**
  * Get shop information
  * @param {string} shopDomain
@@ -149,16 +388,20 @@ const getShopInfo = async (shopDomain, accessToken) => {
 };
 
 /**
- * Get orders from Shopify
+ * Get a page of orders from Shopify
  * @param {string} shopDomain
  * @param {string} accessToken
- * @param {object} params - Query parameters (limit, status, created_at_min, etc.)
- * @returns {Promise<object>} Orders list
+ * @param {object} params - Query parameters (limit, status, since_id, created_at_min, etc.),
+ *   or { limit, page_info } for the page a previous call pointed to
+ * @returns {Promise<object>} Orders list with pageInfo { next, previous }
  */
 const getOrders = async (shopDomain, accessToken, params = {}) => {
   try {
-    // Build query string
-    const queryParams = new URLSearchParams({
+    // Build query string; Shopify only accepts limit next to page_info
+    const queryParams = new URLSearchParams(params.page_info ? {
+      limit: params.limit || 50,
+      page_info: params.page_info
+    } : {
       status: params.status || 'any',
       limit: params.limit || 50,
       ...(params.since_id && { since_id: params.since_id }),
@@ -176,7 +419,8 @@ const getOrders = async (shopDomain, accessToken, params = {}) => {
     return {
       success: true,
       orders: response.data.orders || [],
-      count: response.data.orders?.length || 0
+      count: response.data.orders?.length || 0,
+      pageInfo: parseLinkHeader(response.headers?.link)
     };
   } catch (error) {
     console.error('[Shopify API] getOrders error:', error);
@@ -188,6 +432,17 @@ const getOrders = async (shopDomain, accessToken, params = {}) => {
   }
 };
 
+/**
+ * Iterate every order matching the filters, across all pages
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {object} params - Filters (status, created_at_min, created_at_max, fields, ...)
+ * @returns {AsyncGenerator<object>} Orders; throws on a failed page
+ */
+const iterateOrders = (shopDomain, accessToken, params = {}) => {
+  return iterateResource(shopDomain, accessToken, '/orders.json', 'orders', { status: 'any', ...params });
+};
+
 /**
  * Get single order by ID
  * @param {string} shopDomain
@@ -212,23 +467,24 @@ const getOrder = async (shopDomain, accessToken, orderId) => {
     console.error('[Shopify API] getOrder error:', error);
     return {
       success: false,
+      statusCode: error.statusCode || null,
       error: error.error || 'Failed to get order'
     };
   }
 };
 
 /**
- * Get customers from Shopify
+ * Get a page of customers from Shopify
  * @param {string} shopDomain
  * @param {string} accessToken
- * @param {object} params - Query parameters
- * @returns {Promise<object>} Customers list
+ * @param {object} params - Query parameters (limit, since_id), or { limit, page_info } for a following page
+ * @returns {Promise<object>} Customers list with pageInfo { next, previous }
  */
 const getCustomers = async (shopDomain, accessToken, params = {}) => {
   try {
     const queryParams = new URLSearchParams({
       limit: params.limit || 50,
-      ...(params.since_id && { since_id: params.since_id }),
+      ...(params.page_info ? { page_info: params.page_info } : params.since_id && { since_id: params.since_id }),
     }).toString();
 
     const response = await callShopifyAPI(
@@ -241,7 +497,8 @@ const getCustomers = async (shopDomain, accessToken, params = {}) => {
     return {
       success: true,
       customers: response.data.customers || [],
-      count: response.data.customers?.length || 0
+      count: response.data.customers?.length || 0,
+      pageInfo: parseLinkHeader(response.headers?.link)
     };
   } catch (error) {
     console.error('[Shopify API] getCustomers error:', error);
@@ -253,6 +510,48 @@ const getCustomers = async (shopDomain, accessToken, params = {}) => {
   }
 };
 
+/**
+ * Iterate every customer, across all pages
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {object} params - Filters (created_at_min, updated_at_min, fields, ...)
+ * @returns {AsyncGenerator<object>} Customers; throws on a failed page
+ */
+const iterateCustomers = (shopDomain, accessToken, params = {}) => {
+  return iterateResource(shopDomain, accessToken, '/customers.json', 'customers', params);
+};
+
+/**
+ * Get the product IDs in a collection (custom or smart)
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} collectionId
+ * @returns {Promise<object>} Product IDs
+ */
+const getCollectionProductIds = async (shopDomain, accessToken, collectionId) => {
+  try {
+    const productIds = [];
+    for await (const product of iterateResource(shopDomain, accessToken, '/products.json', 'products', {
+      collection_id: collectionId,
+      fields: 'id'
+    })) {
+      productIds.push(product.id.toString());
+    }
+
+    return {
+      success: true,
+      productIds
+    };
+  } catch (error) {
+    console.error('[Shopify API] getCollectionProductIds error:', error.message);
+    return {
+      success: false,
+      error: error.error || 'Failed to get collection products',
+      productIds: []
+    };
+  }
+};
+
 /**
  * Register a webhook with Shopify
  * @param {string} shopDomain
@@ -383,15 +682,17 @@ const exchangeCodeForToken = async (shopDomain, code) => {
       code: code
     });
 
+    const target = getRequestTarget(shopDomain);
     const options = {
-      hostname: shopDomain,
-      port: 443,
+      hostname: target.hostname,
+      port: target.port,
       path: '/admin/oauth/access_token',
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData),
-        'User-Agent': 'Raffle-Sweepstakes-App/1.0'
+        'User-Agent': 'Raffle-Sweepstakes-App/1.0',
+        ...(target.hostHeader && { Host: target.hostHeader })
       },
       timeout: 30000, // Increased timeout
       // Disable agent for better compatibility
@@ -402,7 +703,7 @@ const exchangeCodeForToken = async (shopDomain, code) => {
 
     console.log(`[Shopify OAuth] Exchanging code for token for ${shopDomain}`);
 
-    const req = https.request(options, (res) => {
+    const req = target.transport.request(options, (res) => {
       let responseData = '';
 
       res.on('data', (chunk) => {
@@ -468,6 +769,16 @@ const setupWebhooks = async (shopDomain, accessToken) => {
       address: `${webhookBaseUrl}/orders/updated`,
       format: 'json'
     },
+    {
+      topic: 'orders/cancelled',
+      address: `${webhookBaseUrl}/orders/cancelled`,
+      format: 'json'
+    },
+    {
+      topic: 'refunds/create',
+      address: `${webhookBaseUrl}/refunds/create`,
+      format: 'json'
+    },
     {
       topic: 'app/uninstalled',
       address: `${webhookBaseUrl}/app/uninstalled`,
@@ -525,15 +836,28 @@ const setupWebhooks = async (shopDomain, accessToken) => {
   console.log(`[Shopify Webhooks] Setup complete: ${registeredCount} new, ${skippedCount} already registered`);
 };
 
+/**
+ * Verify a webhook's X-Shopify-Hmac-Sha256 header against the raw body
+ * @param {string} body - Raw request body
+ * @param {string} hmacHeader - Base64 HMAC sent by Shopify
+ * @param {string} secret - Webhook signing secret
+ * @returns {boolean}
+ */
 const verifyWebhookHmac = (body, hmacHeader, secret) => {
   const crypto = require('crypto');
-  
-  const hash = crypto
+
+  if (!body || !hmacHeader || !secret) {
+    return false;
+  }
+
+  const expected = crypto
     .createHmac('sha256', secret)
     .update(body, 'utf8')
-    .digest('base64');
-  
-  return hash === hmacHeader;
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  // timingSafeEqual throws on length mismatch, and a short header can't match anyway
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
 };
 
 /**
@@ -543,10 +867,11 @@ const verifyWebhookHmac = (body, hmacHeader, secret) => {
  */
 const testConnectivity = async (shopDomain) => {
   return new Promise((resolve) => {
+    const target = getRequestTarget(shopDomain);
     const options = {
-      hostname: shopDomain,
-      port: 443,
-      path: '/admin/api/2024-01/shop.json',
+      hostname: target.hostname,
+      port: target.port,
+      path: `/admin/api/${getApiVersion()}/shop.json`,
       method: 'GET',
       headers: {
         'User-Agent': 'Raffle-Sweepstakes-App/1.0'
@@ -558,7 +883,7 @@ const testConnectivity = async (shopDomain) => {
 
     console.log(`[Network Test] Testing connectivity to ${shopDomain}...`);
 
-    const req = https.request(options, (res) => {
+    const req = target.transport.request(options, (res) => {
       console.log(`[Network Test] ✅ Connection successful (Status: ${res.statusCode})`);
       resolve({
         success: true,
@@ -591,6 +916,307 @@ const testConnectivity = async (shopDomain) => {
   });
 };
 
+/**
+ * Shopify GraphQL Admin API Methods
+ */
+
+/**
+ * Run a GraphQL Admin API query or mutation
+ * Calls wait for the shop's query cost points and THROTTLED responses are
+ * retried; queries are retried like idempotent REST calls, mutations aren't.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {string} query - GraphQL document
+ * @param {object} variables - Query variables
+ * @param {object} options - { apiVersion }
+ * @returns {Promise<object>} { data, extensions }; rejects with a ShopifyApiError (GraphQL errors as `error`)
+ */
+const callShopifyGraphQL = async (shopDomain, accessToken, query, variables = {}, options = {}) => {
+  const mutation = /^\s*mutation\b/.test(query);
+  const maxRetries = getMaxRetries();
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimiter.acquireGraphQL(shopDomain);
+
+    const response = await callShopifyAPI(shopDomain, accessToken, '/graphql.json', 'POST', { query, variables }, {
+      ...options,
+      idempotent: !mutation,
+      // GraphQL has its own cost-based limit
+      throttle: false
+    });
+    const { data, errors, extensions } = response.data;
+
+    rateLimiter.updateGraphQL(shopDomain, extensions?.cost);
+
+    if (errors && errors.length > 0) {
+      // Throttled queries were not run, so even mutations can be sent again
+      const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < maxRetries) {
+        console.warn(`[Shopify GraphQL] Throttled on ${shopDomain}, retrying`);
+        continue;
+      }
+
+      console.error('[Shopify GraphQL] Errors:', errors.map(e => e.message).join('; '));
+      throw new ShopifyApiError(`Shopify GraphQL request failed: ${errors.map(e => e.message).join('; ')}`, {
+        code: throttled ? 'THROTTLED' : 'GRAPHQL_ERROR',
+        statusCode: response.statusCode,
+        shopDomain,
+        method: 'POST',
+        path: '/graphql.json',
+        retryable: throttled,
+        requestId: response.headers['x-request-id'] || null,
+        error: errors,
+        response: response.data
+      });
+    }
+
+    const cost = extensions?.cost;
+    if (cost?.throttleStatus) {
+      console.log(`[Shopify GraphQL] Cost: ${cost.actualQueryCost ?? cost.requestedQueryCost} (${cost.throttleStatus.currentlyAvailable}/${cost.throttleStatus.maximumAvailable} available)`);
+    }
+
+    return { data, extensions };
+  }
+};
+
+/**
+ * Iterate every node of a GraphQL connection, following pageInfo cursors
+ * The query takes a `$cursor: String` variable for `after:` and selects
+ * `pageInfo { hasNextPage endCursor }` and `edges { node { ... } }` on the connection.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {string} query - GraphQL document
+ * @param {object} variables - Other query variables
+ * @param {string} connectionPath - Dotted path of the connection in `data` (e.g. 'orders')
+ * @returns {AsyncGenerator<object>} Nodes; throws on a failed page
+ */
+async function* iterateGraphQLConnection(shopDomain, accessToken, query, variables = {}, connectionPath) {
+  let cursor = null;
+
+  do {
+    const result = await callShopifyGraphQL(shopDomain, accessToken, query, { ...variables, cursor });
+
+    const connection = connectionPath.split('.').reduce((value, key) => value?.[key], result.data);
+    if (!connection) {
+      throw new Error(`GraphQL response has no ${connectionPath} connection`);
+    }
+
+    for (const edge of connection.edges || []) {
+      yield edge.node;
+    }
+
+    cursor = connection.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+}
+
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  createdAt
+  completedAt
+  objectCount
+  fileSize
+  url
+  partialDataUrl
+`;
+
+// Statuses after which a bulk operation never changes again
+const FINISHED_BULK_OPERATION_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * Start a bulk query; Shopify runs it in the background and writes the results to a JSONL file
+ * Only one bulk query can run per shop at a time.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {string} query - Bulk query (connections with edges/node, no pagination arguments)
+ * @returns {Promise<object>} { success, operation: { id, status } }
+ */
+const runBulkQuery = async (shopDomain, accessToken, query) => {
+  const mutation = `
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  console.log(`[Shopify Bulk] Starting bulk query for ${shopDomain}`);
+
+  try {
+    const { data } = await callShopifyGraphQL(shopDomain, accessToken, mutation, { query });
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+    if (userErrors && userErrors.length > 0) {
+      return {
+        success: false,
+        error: userErrors.map(e => e.message).join('; ')
+      };
+    }
+
+    return {
+      success: true,
+      operation: bulkOperation
+    };
+  } catch (error) {
+    console.error('[Shopify Bulk] Error starting bulk query:', error);
+    return {
+      success: false,
+      error: error.error || 'Failed to start bulk query'
+    };
+  }
+};
+
+/**
+ * Get a bulk operation, or the shop's current one when no ID is given
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {string} operationId - BulkOperation GID
+ * @returns {Promise<object>} { success, operation } (operation is null when there is none)
+ */
+const getBulkOperation = async (shopDomain, accessToken, operationId = null) => {
+  const query = operationId
+    ? `query bulkOperation($id: ID!) { node(id: $id) { ... on BulkOperation { ${BULK_OPERATION_FIELDS} } } }`
+    : `query { currentBulkOperation { ${BULK_OPERATION_FIELDS} } }`;
+
+  try {
+    const { data } = await callShopifyGraphQL(shopDomain, accessToken, query, operationId ? { id: operationId } : {});
+    return {
+      success: true,
+      operation: (operationId ? data.node : data.currentBulkOperation) || null
+    };
+  } catch (error) {
+    console.error('[Shopify Bulk] Error getting bulk operation:', error);
+    return {
+      success: false,
+      error: error.error || 'Failed to get bulk operation'
+    };
+  }
+};
+
+/**
+ * Poll a bulk operation until it finishes
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {string} operationId - BulkOperation GID
+ * @param {object} options - { intervalMs, timeoutMs }
+ * @returns {Promise<object>} { success, operation } - success only when the operation completed
+ */
+const waitForBulkOperation = async (shopDomain, accessToken, operationId, { intervalMs = 5000, timeoutMs = 30 * 60 * 1000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const result = await getBulkOperation(shopDomain, accessToken, operationId);
+    if (!result.success) {
+      return result;
+    }
+
+    const operation = result.operation;
+    if (!operation) {
+      return { success: false, error: 'Bulk operation not found' };
+    }
+
+    if (FINISHED_BULK_OPERATION_STATUSES.includes(operation.status)) {
+      return operation.status === 'COMPLETED'
+        ? { success: true, operation }
+        : { success: false, operation, error: `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}` };
+    }
+
+    if (Date.now() + intervalMs > deadline) {
+      return { success: false, operation, error: 'Timed out waiting for the bulk operation' };
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+/**
+ * Stream the objects of a finished bulk operation's JSONL file
+ * Nested connections come as separate objects with `__parentId` set to their parent's ID.
+ * @param {string} url - The operation's url (or partialDataUrl)
+ * @returns {AsyncGenerator<object>} Objects; throws when the file can't be downloaded
+ */
+async function* streamBulkOperationResults(url) {
+  if (!url) {
+    return;
+  }
+
+  const response = await new Promise((resolve, reject) => {
+    const req = https.get(url, { timeout: 30000 }, resolve);
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error('Bulk results download timed out')));
+  });
+
+  if (response.statusCode !== 200) {
+    response.resume();
+    throw new Error(`Failed to download bulk results (status ${response.statusCode})`);
+  }
+
+  const lines = readline.createInterface({ input: response, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Bulk query exporting orders created in a date range, with their line items
+ * @param {object} filters - { createdAtMin, createdAtMax } (ISO dates)
+ * @returns {string}
+ */
+const buildOrderExportQuery = ({ createdAtMin = null, createdAtMax = null } = {}) => {
+  const search = [
+    createdAtMin && `created_at:>='${new Date(createdAtMin).toISOString()}'`,
+    createdAtMax && `created_at:<='${new Date(createdAtMax).toISOString()}'`
+  ].filter(Boolean).join(' ');
+
+  return `
+    {
+      orders${search ? `(query: ${JSON.stringify(search)})` : ''} {
+        edges {
+          node {
+            id
+            legacyResourceId
+            name
+            email
+            createdAt
+            cancelledAt
+            displayFinancialStatus
+            currencyCode
+            totalPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            currentTotalPriceSet { shopMoney { amount currencyCode } }
+            customer { legacyResourceId firstName lastName }
+            lineItems {
+              edges {
+                node {
+                  id
+                  sku
+                  quantity
+                  product { legacyResourceId }
+                  originalUnitPriceSet { shopMoney { amount currencyCode } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+};
+
+/**
+ * Start a bulk export of the orders created in a date range
+ * Wait for it with waitForBulkOperation and read it with streamBulkOperationResults.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Shopify access token
+ * @param {object} filters - { createdAtMin, createdAtMax }
+ * @returns {Promise<object>} { success, operation }
+ */
+const exportOrdersBulk = (shopDomain, accessToken, filters = {}) => {
+  return runBulkQuery(shopDomain, accessToken, buildOrderExportQuery(filters));
+};
+
 /**
  * Shopify Billing API Methods
  */
@@ -742,11 +1368,18 @@ const getRecurringCharges = async (shopDomain, accessToken) => {
 };
 
 module.exports = {
+  ShopifyApiError,
+  getApiVersion,
   callShopifyAPI,
+  parseLinkHeader,
+  iterateResource,
   getShopInfo,
   getOrders,
+  iterateOrders,
   getOrder,
   getCustomers,
+  iterateCustomers,
+  getCollectionProductIds,
   registerWebhook,
   getWebhooks,
   deleteWebhook,
@@ -754,6 +1387,15 @@ module.exports = {
   exchangeCodeForToken,
   setupWebhooks,
   testConnectivity,
+  // GraphQL API methods
+  callShopifyGraphQL,
+  iterateGraphQLConnection,
+  runBulkQuery,
+  getBulkOperation,
+  waitForBulkOperation,
+  streamBulkOperationResults,
+  buildOrderExportQuery,
+  exportOrdersBulk,
   // Billing API methods
   createRecurringCharge,
   getRecurringCharge,
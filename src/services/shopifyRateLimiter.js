@@ -0,0 +1,180 @@
+/**
+ * Shopify Rate Limiter
+ * Per-shop leaky buckets in front of the Admin API, kept in this process.
+ *
+ * REST: every call takes one slot from a bucket of `bucketSize` (40, or 400
+ * on Plus) that drains at bucketSize / 20 calls per second. The
+ * `X-Shopify-Shop-Api-Call-Limit` header ("32/40") of every response resets
+ * the bucket to what Shopify reports, and a 429's `Retry-After` pauses the
+ * shop until it has passed. Calls wait rather than fail when the bucket is full.
+ *
+ * GraphQL: calls wait until the shop has the points the last query cost,
+ * restored at `restoreRate` per second, as reported in `extensions.cost`.
+ */
+
+const DEFAULT_BUCKET_SIZE = 40;
+
+// Shopify drains a bucket in 20 seconds (2/s for 40, 20/s for Plus' 400)
+const DRAIN_SECONDS = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ShopifyRateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.bucketSize - REST bucket size until a response reports it
+   * @param {number} options.headroom - Slots left free for other apps and processes
+   */
+  constructor({ bucketSize = DEFAULT_BUCKET_SIZE, headroom = 2 } = {}) {
+    this.bucketSize = bucketSize;
+    this.headroom = headroom;
+    this.buckets = new Map();
+  }
+
+  getBucket(shopDomain) {
+    let bucket = this.buckets.get(shopDomain);
+    if (!bucket) {
+      bucket = {
+        used: 0,
+        max: this.bucketSize,
+        updatedAt: Date.now(),
+        pausedUntil: 0,
+        graphql: null
+      };
+      this.buckets.set(shopDomain, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Drain the bucket up to now
+   */
+  leak(bucket, now) {
+    const leakRate = bucket.max / DRAIN_SECONDS;
+    bucket.used = Math.max(0, bucket.used - ((now - bucket.updatedAt) / 1000) * leakRate);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Wait for a free REST slot and take it
+   * @param {string} shopDomain
+   * @returns {Promise<number>} - Milliseconds waited
+   */
+  async acquire(shopDomain) {
+    const bucket = this.getBucket(shopDomain);
+    let waited = 0;
+
+    for (;;) {
+      const now = Date.now();
+      this.leak(bucket, now);
+
+      const capacity = Math.max(1, bucket.max - this.headroom);
+      let wait = Math.max(0, bucket.pausedUntil - now);
+      if (wait === 0 && bucket.used + 1 > capacity) {
+        wait = Math.ceil(((bucket.used + 1 - capacity) / (bucket.max / DRAIN_SECONDS)) * 1000);
+      }
+
+      if (wait === 0) {
+        bucket.used += 1;
+        return waited;
+      }
+
+      if (waited === 0) {
+        console.log(`[Shopify API] Throttling ${shopDomain} for ${wait}ms`);
+      }
+      waited += wait;
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Sync the REST bucket with a response's call-limit header
+   * @param {string} shopDomain
+   * @param {Object} headers - Response headers
+   */
+  update(shopDomain, headers = {}) {
+    const header = headers['x-shopify-shop-api-call-limit'];
+    const match = typeof header === 'string' && header.match(/^(\d+)\/(\d+)$/);
+    if (!match) {
+      return;
+    }
+
+    const bucket = this.getBucket(shopDomain);
+    bucket.used = parseInt(match[1]);
+    bucket.max = parseInt(match[2]) || bucket.max;
+    bucket.updatedAt = Date.now();
+  }
+
+  /**
+   * Hold every call to a shop, e.g. for a 429's Retry-After
+   * @param {string} shopDomain
+   * @param {number} ms
+   */
+  pause(shopDomain, ms) {
+    const bucket = this.getBucket(shopDomain);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Wait until the shop has enough GraphQL points for a query like the last one
+   * @param {string} shopDomain
+   * @returns {Promise<number>} - Milliseconds waited
+   */
+  async acquireGraphQL(shopDomain) {
+    const bucket = this.getBucket(shopDomain);
+    let waited = 0;
+
+    for (;;) {
+      const now = Date.now();
+      let wait = Math.max(0, bucket.pausedUntil - now);
+
+      const graphql = bucket.graphql;
+      if (wait === 0 && graphql) {
+        graphql.available = Math.min(graphql.max, graphql.available + ((now - graphql.updatedAt) / 1000) * graphql.restoreRate);
+        graphql.updatedAt = now;
+        if (graphql.available < graphql.lastCost) {
+          wait = Math.ceil(((graphql.lastCost - graphql.available) / graphql.restoreRate) * 1000);
+        }
+      }
+
+      if (wait === 0) {
+        if (graphql) {
+          graphql.available -= graphql.lastCost;
+        }
+        return waited;
+      }
+
+      if (waited === 0) {
+        console.log(`[Shopify GraphQL] Throttling ${shopDomain} for ${wait}ms`);
+      }
+      waited += wait;
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Sync the GraphQL points with a response's extensions.cost
+   * @param {string} shopDomain
+   * @param {Object} cost - { requestedQueryCost, actualQueryCost, throttleStatus }
+   */
+  updateGraphQL(shopDomain, cost) {
+    const status = cost?.throttleStatus;
+    if (!status) {
+      return;
+    }
+
+    const bucket = this.getBucket(shopDomain);
+    bucket.graphql = {
+      available: status.currentlyAvailable,
+      max: status.maximumAvailable,
+      restoreRate: status.restoreRate || 50,
+      // Shopify checks the requested cost before running a query
+      lastCost: cost.requestedQueryCost || cost.actualQueryCost || 1,
+      updatedAt: Date.now()
+    };
+  }
+}
+
+module.exports = {
+  ShopifyRateLimiter
+};
@@ -0,0 +1,340 @@
+const { supabase } = require('../config/supabase');
+const { getWebhookProcessor } = require('./webhookProcessors');
+
+/**
+ * Webhook Event Service
+ * Every incoming Shopify webhook is stored in `webhook_events` with its
+ * X-Shopify-Webhook-Id, topic, shop and raw body before it is processed.
+ * The webhook ID is unique, so a retried delivery finds the stored event
+ * instead of being processed again. Processing status, attempts and the
+ * last error are kept on the event, and failed events can be replayed.
+ * Events the queue gives up on are copied to `webhook_dead_letters` for admins.
+ *
+ * Statuses: received -> processing -> processed | failed -> dead_lettered
+ * An event still 'processing' WEBHOOK_PROCESSING_TIMEOUT_MS after it was
+ * claimed was left behind by a worker that died, and can be claimed again.
+ */
+
+/**
+ * How long an event can stay 'processing' before it is considered abandoned
+ * @returns {number} - Milliseconds
+ */
+const getProcessingTimeoutMs = () => {
+  return parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS) || 10 * 60 * 1000;
+};
+
+/**
+ * Check whether a 'processing' event was abandoned by its worker
+ * Events claimed before processing_started_at was recorded go by received_at.
+ * @param {Object} event - webhook_events row
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isProcessingStale = (event, now = new Date()) => {
+  const startedAt = event.processing_started_at || event.received_at;
+  return !startedAt || now.getTime() - new Date(startedAt).getTime() >= getProcessingTimeoutMs();
+};
+
+// Headers worth keeping for forensics (the HMAC itself is not stored)
+const STORED_HEADERS = [
+  'x-shopify-topic',
+  'x-shopify-shop-domain',
+  'x-shopify-webhook-id',
+  'x-shopify-api-version',
+  'x-shopify-triggered-at',
+  'x-shopify-event-id'
+];
+
+/**
+ * Store an incoming webhook, or find the stored copy of a redelivery
+ * @param {Object} options
+ * @param {string} options.webhookId - X-Shopify-Webhook-Id (null when missing)
+ * @param {string} options.topic - Webhook topic
+ * @param {string} options.shopDomain - X-Shopify-Shop-Domain
+ * @param {string} options.rawBody - Raw request body
+ * @param {Object} options.payload - Parsed body
+ * @param {Object} options.headers - Request headers
+ * @returns {Promise<Object>} { event, duplicate }
+ */
+const recordWebhookEvent = async ({ webhookId, topic, shopDomain, rawBody, payload, headers = {} }) => {
+  const storedHeaders = {};
+  for (const name of STORED_HEADERS) {
+    if (headers[name]) {
+      storedHeaders[name] = headers[name];
+    }
+  }
+
+  const { data: event, error } = await supabase
+    .from('webhook_events')
+    .insert({
+      webhook_id: webhookId || null,
+      topic,
+      shop_domain: shopDomain || null,
+      raw_body: rawBody,
+      payload,
+      headers: storedHeaders,
+      status: 'received',
+      attempts: 0,
+      received_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { event, duplicate: false };
+  }
+
+  // 23505 = unique violation: this webhook ID has been delivered before
+  if (error.code === '23505' && webhookId) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .single();
+
+    if (fetchError || !existing) {
+      throw new Error(`Failed to load webhook event ${webhookId}: ${fetchError?.message}`);
+    }
+    return { event: existing, duplicate: true };
+  }
+
+  throw new Error(`Failed to record webhook event: ${error.message}`);
+};
+
+/**
+ * Run the processor for a stored event and record the outcome
+ * The event is claimed with a conditional update, so concurrent deliveries
+ * or replays of the same event cannot process it twice.
+ * @param {Object} event - webhook_events row
+ * @param {Object} options
+ * @param {string} options.replayedBy - Admin user replaying the event
+ * @returns {Promise<Object>} Processor result ({ success, status, message, data }),
+ *   or { success: true, skipped: true } when another worker holds the event
+ */
+const processWebhookEvent = async (event, { replayedBy = null } = {}) => {
+  const processor = getWebhookProcessor(event.topic);
+
+  if (event.status === 'processing' && !isProcessingStale(event)) {
+    return { success: true, skipped: true, status: 200, message: 'Webhook event is already being processed' };
+  }
+
+  const claim = {
+    status: 'processing',
+    attempts: (event.attempts || 0) + 1,
+    last_error: null,
+    processing_started_at: new Date().toISOString()
+  };
+  if (replayedBy) {
+    claim.replayed_at = claim.processing_started_at;
+    claim.replayed_by = replayedBy;
+  }
+
+  let claimQuery = supabase
+    .from('webhook_events')
+    .update(claim)
+    .eq('id', event.id)
+    .eq('status', event.status);
+
+  // An abandoned event is taken over only if nobody else took it over first
+  if (event.status === 'processing') {
+    claimQuery = event.processing_started_at
+      ? claimQuery.eq('processing_started_at', event.processing_started_at)
+      : claimQuery.is('processing_started_at', null);
+  }
+
+  const { data: claimed, error: claimError } = await claimQuery.select();
+
+  if (claimError) {
+    throw new Error(`Failed to claim webhook event: ${claimError.message}`);
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return { success: true, skipped: true, status: 200, message: 'Webhook event is already being processed' };
+  }
+
+  let result;
+  try {
+    result = processor
+      ? await processor(event.payload, { shopDomain: event.shop_domain })
+      : { success: false, status: 400, message: `Unsupported webhook topic: ${event.topic}` };
+  } catch (error) {
+    result = { success: false, status: 500, message: error.message };
+  }
+
+  const { error: updateError } = await supabase
+    .from('webhook_events')
+    .update({
+      status: result.success ? 'processed' : 'failed',
+      last_error: result.success ? null : result.message,
+      result: result.data || null,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (updateError) {
+    console.error('Error recording webhook event outcome:', updateError);
+  }
+
+  // A dead-lettered event that now went through no longer needs attention
+  if (result.success && event.status === 'dead_lettered') {
+    await resolveDeadLetters(event.id, { resolution: 'replayed', resolvedBy: replayedBy });
+  }
+
+  return result;
+};
+
+/**
+ * Move an event the queue gave up on to the dead-letter table
+ * @param {string} eventId - webhook_events ID
+ * @param {Object} options
+ * @param {string} options.jobKey - Queue job that gave up
+ * @param {number} options.attempts - Attempts made by the queue
+ * @param {string} options.error - Last error
+ * @returns {Promise<Object|null>} The dead letter, or null when the event no longer exists
+ */
+const recordDeadLetter = async (eventId, { jobKey, attempts, error: lastError }) => {
+  const event = await getWebhookEvent(eventId);
+  if (!event) {
+    return null;
+  }
+
+  const { data: deadLetter, error } = await supabase
+    .from('webhook_dead_letters')
+    .insert({
+      event_id: event.id,
+      job_key: jobKey,
+      topic: event.topic,
+      shop_domain: event.shop_domain,
+      attempts,
+      last_error: lastError,
+      dead_lettered_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record dead letter: ${error.message}`);
+  }
+
+  await supabase
+    .from('webhook_events')
+    .update({ status: 'dead_lettered', last_error: lastError })
+    .eq('id', event.id);
+
+  return deadLetter;
+};
+
+/**
+ * Mark the open dead letters of an event as resolved
+ * @param {string} eventId - webhook_events ID
+ * @param {Object} options - { resolution: 'requeued' | 'replayed', resolvedBy }
+ */
+const resolveDeadLetters = async (eventId, { resolution, resolvedBy = null }) => {
+  const { error } = await supabase
+    .from('webhook_dead_letters')
+    .update({
+      resolved_at: new Date().toISOString(),
+      resolution,
+      resolved_by: resolvedBy
+    })
+    .eq('event_id', eventId)
+    .is('resolved_at', null);
+
+  if (error) {
+    console.error('Error resolving dead letters:', error);
+  }
+};
+
+/**
+ * List dead letters, newest first
+ * @param {Object} filters - { resolved, topic, limit, offset }
+ * @returns {Promise<Object>} { deadLetters, total }
+ */
+const listDeadLetters = async ({ resolved = false, topic = null, limit = 50, offset = 0 } = {}) => {
+  let query = supabase
+    .from('webhook_dead_letters')
+    .select('*', { count: 'exact' })
+    .order('dead_lettered_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (resolved === true) query = query.not('resolved_at', 'is', null);
+  if (resolved === false) query = query.is('resolved_at', null);
+  if (topic) query = query.eq('topic', topic);
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw new Error(`Failed to list dead letters: ${error.message}`);
+  }
+
+  return { deadLetters: data || [], total: count || 0 };
+};
+
+/**
+ * Get one dead letter
+ * @returns {Promise<Object|null>}
+ */
+const getDeadLetter = async (deadLetterId) => {
+  const { data, error } = await supabase
+    .from('webhook_dead_letters')
+    .select('*')
+    .eq('id', deadLetterId)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+  return data;
+};
+
+/**
+ * List stored events, newest first
+ * @param {Object} filters - { status, topic, shopDomain, limit, offset }
+ * @returns {Promise<Object>} { events, total }
+ */
+const listWebhookEvents = async ({ status = null, topic = null, shopDomain = null, limit = 50, offset = 0 } = {}) => {
+  let query = supabase
+    .from('webhook_events')
+    .select('id, webhook_id, topic, shop_domain, status, attempts, last_error, received_at, processing_started_at, processed_at, replayed_at', { count: 'exact' })
+    .order('received_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) query = query.eq('status', status);
+  if (topic) query = query.eq('topic', topic);
+  if (shopDomain) query = query.eq('shop_domain', shopDomain);
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw new Error(`Failed to list webhook events: ${error.message}`);
+  }
+
+  return { events: data || [], total: count || 0 };
+};
+
+/**
+ * Get one stored event including its raw body
+ * @returns {Promise<Object|null>}
+ */
+const getWebhookEvent = async (eventId) => {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+  return data;
+};
+
+module.exports = {
+  getProcessingTimeoutMs,
+  recordWebhookEvent,
+  processWebhookEvent,
+  listWebhookEvents,
+  getWebhookEvent,
+  recordDeadLetter,
+  resolveDeadLetters,
+  listDeadLetters,
+  getDeadLetter
+};
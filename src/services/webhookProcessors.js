@@ -0,0 +1,538 @@
+const { supabase } = require('../config/supabase');
+const {
+  getOrderCustomerEmail,
+  collectRefunds,
+  isOrderCancelled,
+  awardOrderEntries,
+  adjustOrderEntries
+} = require('./purchaseEntryService');
+const { exportCustomerData, redactCustomer, redactShop } = require('./privacyService');
+const { getOrderReferralCodes } = require('../utils/referralUtils');
+const { REPORTING_CURRENCY, normalizeCurrency, getMoneySetAmount, getOrderShopTotal } = require('../utils/currencyUtils');
+const { getExchangeRateProvider, convertAmount, isMissingExchangeRate } = require('./exchangeRateProviders');
+
+/**
+ * Webhook Processors
+ * The work behind each Shopify webhook topic, independent of the HTTP
+ * request so stored events can be replayed. Every processor takes the
+ * parsed payload and the shop domain and resolves to
+ * { success, status, message, data }; unexpected errors are thrown.
+ */
+
+/**
+ * Find the store a webhook was sent for
+ * @param {string} shopDomain - X-Shopify-Shop-Domain header
+ * @returns {Promise<Object>} { store } or { failure } with the processor result to return
+ */
+const resolveStore = async (shopDomain) => {
+  if (!shopDomain) {
+    return { failure: { success: false, status: 400, message: 'Missing shop domain in headers' } };
+  }
+
+  const { data: store, error } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('shopify_domain', shopDomain)
+    .single();
+
+  if (error || !store) {
+    console.error(`Store not found for domain: ${shopDomain}`);
+    return { failure: { success: false, status: 404, message: 'Store not found' } };
+  }
+  return { store };
+};
+
+/**
+ * Convert an order amount to the reporting currency
+ * A currency missing from the rate table leaves the amount unconverted (null)
+ * rather than failing the webhook, so the purchase is still recorded.
+ * @returns {Promise<number|null>}
+ */
+const toReportingAmount = async (amount, currency, orderId) => {
+  try {
+    const { amount: converted } = await convertAmount(getExchangeRateProvider(), amount, currency, REPORTING_CURRENCY);
+    return converted;
+  } catch (error) {
+    if (!isMissingExchangeRate(error)) {
+      throw error;
+    }
+    console.error(`⚠️ Order ${orderId}: ${error.message}, ${REPORTING_CURRENCY} amount not recorded`);
+    return null;
+  }
+};
+
+/**
+ * orders/create - record the purchase and award entries
+ * Order backfills pass `promos` to award entries in those promos only.
+ */
+const processOrderCreate = async (order, { shopDomain, promos = null }) => {
+  if (!order || !order.id) {
+    return { success: false, status: 400, message: 'Invalid order data received' };
+  }
+
+  console.log(`Processing order: ${order.id} (${order.order_number})`);
+
+  const { store, failure } = await resolveStore(shopDomain);
+  if (failure) {
+    return failure;
+  }
+
+  // Extract order details; amounts are in the shop's currency (shop_money), falling back to the legacy fields
+  const shopMoney = (set, fallback) => getMoneySetAmount(set, 'shop_money')?.amount ?? parseFloat(fallback || 0);
+  const presentmentTotal = getMoneySetAmount(order.total_price_set, 'presentment_money');
+
+  const orderData = {
+    storeId: store.id,
+    shopifyOrderId: order.id.toString(),
+    shopifyOrderNumber: order.order_number,
+    customerEmail: getOrderCustomerEmail(order),
+    customerName: order.customer?.first_name && order.customer?.last_name
+      ? `${order.customer.first_name} ${order.customer.last_name}`.trim()
+      : order.customer?.first_name || order.customer?.last_name || null,
+    totalPrice: shopMoney(order.total_price_set, order.total_price),
+    totalTax: shopMoney(order.total_tax_set, order.total_tax),
+    totalShipping: shopMoney(order.total_shipping_price_set, 0),
+    taxesIncluded: order.taxes_included === true,
+    currency: getMoneySetAmount(order.total_price_set, 'shop_money')?.currency || normalizeCurrency(order.currency) || 'USD',
+    // What the customer saw at checkout, kept for reference
+    presentmentTotal: presentmentTotal?.amount ?? null,
+    presentmentCurrency: presentmentTotal?.currency || normalizeCurrency(order.presentment_currency),
+    orderDate: new Date(order.created_at),
+    financialStatus: order.financial_status,
+    fulfillmentStatus: order.fulfillment_status,
+    lineItems: order.line_items?.map(item => ({
+      id: item.id,
+      title: item.title,
+      quantity: item.quantity,
+      price: shopMoney(item.price_set, item.price),
+      sku: item.sku,
+      productId: item.product_id ? item.product_id.toString() : null,
+      variantId: item.variant_id ? item.variant_id.toString() : null,
+      giftCard: item.gift_card === true,
+      // Order and line discounts allocated to this line
+      discount: (item.discount_allocations || []).reduce((sum, d) => sum + shopMoney(d.amount_set, d.amount), 0)
+    })) || [],
+    tags: order.tags ? order.tags.split(',').map(tag => tag.trim()) : [],
+    referralCodes: getOrderReferralCodes(order)
+  };
+
+  console.log(`Order details: ${orderData.customerEmail} - ${orderData.totalPrice} ${orderData.currency}`);
+
+  const totalAmountUsd = await toReportingAmount(orderData.totalPrice, orderData.currency, orderData.shopifyOrderId);
+
+  // Find or create shopify_shop record
+  let { data: shopifyShop, error: shopifyShopError } = await supabase
+    .from('shopify_shops')
+    .select('*')
+    .eq('store_id', store.id)
+    .eq('shop_domain', shopDomain)
+    .single();
+
+  if (shopifyShopError && shopifyShopError.code !== 'PGRST116') {
+    console.error('Error finding shopify_shop:', shopifyShopError);
+  }
+
+  if (!shopifyShop) {
+    const { data: newShopifyShop, error: createShopifyShopError } = await supabase
+      .from('shopify_shops')
+      .insert({
+        store_id: store.id,
+        shop_domain: shopDomain,
+        access_token: store.shopify_access_token || 'dev_token',
+        webhook_verified: true
+      })
+      .select()
+      .single();
+
+    if (createShopifyShopError) {
+      throw new Error(`Failed to create shopify shop record: ${createShopifyShopError.message}`);
+    }
+    shopifyShop = newShopifyShop;
+  }
+
+  // Save order data to purchases table
+  console.log(`💾 Saving purchase record for shopify_shop_id: ${shopifyShop.id}, order: ${orderData.shopifyOrderId}`);
+
+  const { error: purchaseError } = await supabase
+    .from('purchases')
+    .upsert({
+      shopify_shop_id: shopifyShop.id,
+      shopify_order_id: orderData.shopifyOrderId,
+      customer_email: orderData.customerEmail,
+      total_amount: orderData.totalPrice,
+      total_amount_usd: totalAmountUsd,
+      currency: orderData.currency,
+      presentment_amount: orderData.presentmentTotal,
+      presentment_currency: orderData.presentmentCurrency,
+      order_date: orderData.orderDate.toISOString()
+    }, {
+      onConflict: 'shopify_shop_id,shopify_order_id'
+    });
+
+  if (purchaseError) {
+    console.error('❌ Error saving purchase:', purchaseError);
+  } else {
+    console.log('✅ Purchase record saved/updated');
+  }
+
+  // Award entries in every active promo that accepts purchase entries
+  const warnings = [];
+  const entries = await awardOrderEntries({ client: supabase, store, orderData, promos, warnings });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Order processed successfully',
+    data: {
+      orderId: orderData.shopifyOrderId,
+      customerEmail: orderData.customerEmail,
+      entriesCreated: entries.length,
+      ...(warnings.length > 0 && { warnings })
+    }
+  };
+};
+
+/**
+ * orders/updated - update the purchase and adjust entries for refunds and cancellation
+ */
+const processOrderUpdate = async (order, { shopDomain }) => {
+  if (!order || !order.id) {
+    return { success: false, status: 400, message: 'Invalid order data received' };
+  }
+
+  const { store, failure } = await resolveStore(shopDomain);
+  if (failure) {
+    return failure;
+  }
+
+  // Purchases are keyed by the shopify_shops row, not the store
+  const { data: shopifyShop } = await supabase
+    .from('shopify_shops')
+    .select('id')
+    .eq('store_id', store.id)
+    .eq('shop_domain', shopDomain)
+    .single();
+
+  if (shopifyShop) {
+    // Order edits change the total; keep both amounts in line with it
+    const total = getOrderShopTotal(order);
+    const totalAmountUsd = await toReportingAmount(total.amount, total.currency, order.id.toString());
+
+    const { error: updateError } = await supabase
+      .from('purchases')
+      .update({
+        customer_email: getOrderCustomerEmail(order),
+        total_amount: total.amount,
+        total_amount_usd: totalAmountUsd,
+        currency: total.currency,
+        order_date: new Date(order.created_at).toISOString()
+      })
+      .eq('shopify_shop_id', shopifyShop.id)
+      .eq('shopify_order_id', order.id.toString());
+
+    if (updateError) {
+      console.error('Error updating purchase:', updateError);
+    } else {
+      console.log('✅ Purchase record updated');
+    }
+  }
+
+  // Bring the order's entries in line with refunds and cancellation
+  const adjustments = await adjustOrderEntries({
+    client: supabase,
+    storeId: store.id,
+    orderId: order.id,
+    refunds: collectRefunds(order.refunds),
+    cancelled: isOrderCancelled(order),
+    topic: 'orders/updated'
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Order updated successfully',
+    data: { orderId: order.id, entriesAdjusted: adjustments.length }
+  };
+};
+
+/**
+ * orders/cancelled - void the order's entries
+ */
+const processOrderCancelled = async (order, { shopDomain }) => {
+  if (!order || !order.id) {
+    return { success: false, status: 400, message: 'Invalid order data received' };
+  }
+
+  const { store, failure } = await resolveStore(shopDomain);
+  if (failure) {
+    return failure;
+  }
+
+  const adjustments = await adjustOrderEntries({
+    client: supabase,
+    storeId: store.id,
+    orderId: order.id,
+    refunds: collectRefunds(order.refunds),
+    cancelled: true,
+    topic: 'orders/cancelled'
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Order cancellation processed successfully',
+    data: { orderId: order.id, entriesAdjusted: adjustments.length }
+  };
+};
+
+/**
+ * refunds/create - reduce the order's entries by the refunded amount
+ */
+const processRefundCreate = async (refund, { shopDomain }) => {
+  if (!refund || !refund.id || !refund.order_id) {
+    return { success: false, status: 400, message: 'Invalid refund data received' };
+  }
+
+  const { store, failure } = await resolveStore(shopDomain);
+  if (failure) {
+    return failure;
+  }
+
+  const adjustments = await adjustOrderEntries({
+    client: supabase,
+    storeId: store.id,
+    orderId: refund.order_id,
+    refunds: collectRefunds([refund]),
+    topic: 'refunds/create'
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Refund processed successfully',
+    data: { orderId: refund.order_id, entriesAdjusted: adjustments.length }
+  };
+};
+
+/**
+ * app/uninstalled - suspend the store and drop its access token
+ */
+const processAppUninstall = async (payload, { shopDomain }) => {
+  const { store, failure } = await resolveStore(shopDomain);
+  if (failure) {
+    return failure;
+  }
+
+  const { error: updateError } = await supabase
+    .from('stores')
+    .update({
+      status: 'suspended',
+      uninstalled_at: new Date().toISOString(),
+      shopify_access_token: null
+    })
+    .eq('id', store.id);
+
+  if (updateError) {
+    throw new Error(`Error updating store on uninstall: ${updateError.message}`);
+  }
+
+  console.log(`✅ Store ${shopDomain} marked as uninstalled`);
+
+  return { success: true, status: 200, message: 'App uninstall processed successfully' };
+};
+
+/**
+ * app_subscriptions/update - sync the store's billing status and tier
+ */
+const processSubscriptionUpdate = async (subscription) => {
+  const {
+    id: chargeId,
+    status,
+    name: planName,
+    price,
+    billing_on,
+    activated_on,
+    cancelled_on
+  } = subscription || {};
+
+  if (!chargeId) {
+    return { success: false, status: 400, message: 'Invalid subscription data received' };
+  }
+
+  console.log(`💳 Subscription ${chargeId} status: ${status}`);
+  console.log(`💳 Plan: ${planName}, Price: $${price}`);
+
+  // Find store by charge ID
+  const { data: stores, error: findError } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('shopify_charge_id', chargeId.toString());
+
+  if (findError || !stores || stores.length === 0) {
+    console.log(`⚠️ No store found with charge ID: ${chargeId}`);
+    // Nothing to update; still acknowledge the webhook
+    return { success: true, status: 200, message: 'Webhook received but no matching store found' };
+  }
+
+  const store = stores[0];
+  console.log(`💳 Updating subscription for store: ${store.id} (${store.shop_domain})`);
+
+  // Map Shopify status to our billing status and subscription tier
+  let billingStatus = 'pending';
+  let subscriptionTier = store.subscription_tier || 'free';
+
+  switch (status) {
+    case 'active':
+      billingStatus = 'active';
+      subscriptionTier = 'premium';
+      console.log('✅ Subscription is ACTIVE - upgrading to premium');
+      break;
+
+    case 'cancelled':
+    case 'expired':
+    case 'declined':
+      billingStatus = 'cancelled';
+      subscriptionTier = 'free';
+      console.log('❌ Subscription is CANCELLED/EXPIRED - downgrading to free');
+      break;
+
+    case 'frozen':
+      billingStatus = 'frozen';
+      console.log('❄️ Subscription is FROZEN');
+      break;
+
+    case 'pending':
+      billingStatus = 'pending';
+      console.log('⏳ Subscription is PENDING');
+      break;
+
+    default:
+      console.log(`⚠️ Unknown subscription status: ${status}`);
+      billingStatus = status;
+  }
+
+  const updateData = {
+    subscription_tier: subscriptionTier,
+    billing_status: billingStatus,
+    shopify_charge_id: chargeId.toString(),
+    plan_name: subscriptionTier === 'premium' ? 'premium' : 'free',
+    updated_at: new Date().toISOString()
+  };
+
+  // Add additional fields if available
+  if (billing_on) updateData.billing_on = billing_on;
+  if (activated_on) updateData.last_charge_at = activated_on;
+  if (cancelled_on) updateData.cancelled_at = cancelled_on;
+
+  const { error: updateError } = await supabase
+    .from('stores')
+    .update(updateData)
+    .eq('id', store.id);
+
+  if (updateError) {
+    throw new Error(`Failed to update store subscription: ${updateError.message}`);
+  }
+
+  console.log(`✅ Store ${store.id} subscription updated successfully`);
+  console.log(`   Status: ${billingStatus}`);
+  console.log(`   Tier: ${subscriptionTier}`);
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Subscription updated successfully',
+    data: {
+      store_id: store.id,
+      subscription_tier: subscriptionTier,
+      billing_status: billingStatus
+    }
+  };
+};
+
+/**
+ * customers/data_request - export the customer's data for the merchant
+ */
+const processCustomerDataRequest = async (payload, { shopDomain }) => {
+  if (!payload || !payload.customer) {
+    return { success: false, status: 400, message: 'Invalid data request received' };
+  }
+
+  const { request, recordsAffected } = await exportCustomerData({
+    shopDomain: payload.shop_domain || shopDomain,
+    customer: payload.customer,
+    orderIds: payload.orders_requested || [],
+    shopifyRequestId: payload.data_request?.id
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Customer data request processed successfully',
+    data: { privacyRequestId: request?.id || null, recordsAffected }
+  };
+};
+
+/**
+ * customers/redact - anonymize the customer's data
+ */
+const processCustomerRedact = async (payload, { shopDomain }) => {
+  if (!payload || !payload.customer) {
+    return { success: false, status: 400, message: 'Invalid redact request received' };
+  }
+
+  const { request, recordsAffected } = await redactCustomer({
+    shopDomain: payload.shop_domain || shopDomain,
+    customer: payload.customer,
+    orderIds: payload.orders_to_redact || []
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Customer redacted successfully',
+    data: { privacyRequestId: request?.id || null, recordsAffected }
+  };
+};
+
+/**
+ * shop/redact - purge the shop's customer data
+ */
+const processShopRedact = async (payload, { shopDomain }) => {
+  const { request, recordsAffected } = await redactShop({
+    shopDomain: payload?.shop_domain || shopDomain
+  });
+
+  return {
+    success: true,
+    status: 200,
+    message: 'Shop redacted successfully',
+    data: { privacyRequestId: request?.id || null, recordsAffected }
+  };
+};
+
+// Processor for each webhook topic
+const WEBHOOK_PROCESSORS = {
+  'orders/create': processOrderCreate,
+  'orders/updated': processOrderUpdate,
+  'orders/cancelled': processOrderCancelled,
+  'refunds/create': processRefundCreate,
+  'app/uninstalled': processAppUninstall,
+  'app_subscriptions/update': processSubscriptionUpdate,
+  'customers/data_request': processCustomerDataRequest,
+  'customers/redact': processCustomerRedact,
+  'shop/redact': processShopRedact
+};
+
+/**
+ * Get the processor for a topic
+ * @param {string} topic - Shopify webhook topic
+ * @returns {Function|null}
+ */
+const getWebhookProcessor = (topic) => {
+  return WEBHOOK_PROCESSORS[topic] || null;
+};
+
+module.exports = {
+  WEBHOOK_PROCESSORS,
+  getWebhookProcessor
+};
@@ -0,0 +1,149 @@
+const { supabase } = require('../config/supabase');
+const { Scheduler, createJobStore } = require('./scheduler');
+const {
+  getProcessingTimeoutMs,
+  processWebhookEvent,
+  getWebhookEvent,
+  recordDeadLetter
+} = require('./webhookEventService');
+
+/**
+ * Webhook Queue
+ * Webhook routes store the event and enqueue it here, then acknowledge
+ * Shopify straight away; the worker processes queued events in the
+ * background. It runs on the scheduler with its own `webhooks` queue, so it
+ * needs no extra infrastructure: jobs live in `scheduled_jobs` (or in memory
+ * with WEBHOOK_QUEUE_STORE=memory).
+ *
+ * Failed events are retried with exponential backoff (WEBHOOK_RETRY_BASE_MS,
+ * doubling per attempt). After WEBHOOK_MAX_ATTEMPTS, or straight away for
+ * payloads that can never succeed, the event is moved to `webhook_dead_letters`.
+ * Events stored but never enqueued, or abandoned mid-processing by a worker
+ * that died, are picked up again by the recovery planner.
+ */
+
+const JOB_TYPE = 'process_webhook_event';
+
+// Events left in 'received' this long were stored but never enqueued (e.g. a crash in between)
+const RECOVERY_AGE_MS = 60 * 1000;
+
+/**
+ * Process one queued event; throwing hands the job back to the scheduler for a retry
+ */
+const processQueuedEvent = async ({ eventId }) => {
+  const event = await getWebhookEvent(eventId);
+
+  if (!event) {
+    const error = new Error(`Webhook event ${eventId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  if (event.status === 'processed') {
+    return { skipped: true, reason: 'Webhook event was already processed' };
+  }
+
+  const result = await processWebhookEvent(event);
+
+  if (result.skipped) {
+    return { skipped: true, reason: result.message };
+  }
+
+  if (!result.success) {
+    const error = new Error(result.message || 'Webhook processing failed');
+    // An invalid payload or unsupported topic fails the same way every time
+    error.retryable = result.status !== 400;
+    throw error;
+  }
+
+  return { status: result.status, message: result.message };
+};
+
+/**
+ * Dead-letter an event once the queue stops retrying it
+ */
+const deadLetterJob = async (job, errorMessage) => {
+  const eventId = job.payload?.eventId;
+  if (!eventId) {
+    return;
+  }
+
+  const deadLetter = await recordDeadLetter(eventId, {
+    jobKey: job.job_key,
+    attempts: job.attempts || 0,
+    error: errorMessage
+  });
+
+  if (deadLetter) {
+    console.error(`☠️ Webhook event ${eventId} (${deadLetter.topic}) moved to dead letters: ${errorMessage}`);
+  }
+};
+
+const webhookQueue = new Scheduler({
+  name: 'Webhook queue',
+  store: createJobStore(supabase, { queue: 'webhooks', type: process.env.WEBHOOK_QUEUE_STORE }),
+  intervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000,
+  retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  onGiveUp: deadLetterJob
+});
+
+webhookQueue.registerHandler(JOB_TYPE, processQueuedEvent);
+
+/**
+ * Enqueue a stored event for processing
+ * @param {Object} event - webhook_events row
+ * @param {Object} options
+ * @param {string} options.retryKey - Distinguishes a manual requeue from the original job
+ */
+const enqueueWebhookEvent = async (event, { retryKey = null } = {}) => {
+  return await webhookQueue.schedule({
+    key: retryKey ? `${JOB_TYPE}:${event.id}:${retryKey}` : `${JOB_TYPE}:${event.id}`,
+    type: JOB_TYPE,
+    runAt: new Date(),
+    payload: { eventId: event.id }
+  });
+};
+
+// Enqueue events that were stored but never made it onto the queue, or whose processing was abandoned
+let lastRecoveryAt = 0;
+webhookQueue.registerPlanner('webhook-recovery', async (queue, now) => {
+  if (now.getTime() - lastRecoveryAt < RECOVERY_AGE_MS) {
+    return;
+  }
+  lastRecoveryAt = now.getTime();
+
+  const receivedBefore = new Date(now.getTime() - RECOVERY_AGE_MS).toISOString();
+  const startedBefore = new Date(now.getTime() - getProcessingTimeoutMs()).toISOString();
+
+  // Events claimed before processing_started_at was recorded go by received_at
+  const { data: events, error } = await supabase
+    .from('webhook_events')
+    .select('id, status, processing_started_at')
+    .or([
+      `and(status.eq.received,received_at.lte."${receivedBefore}")`,
+      `and(status.eq.processing,processing_started_at.lt."${startedBefore}")`,
+      `and(status.eq.processing,processing_started_at.is.null,received_at.lt."${startedBefore}")`
+    ].join(','))
+    .limit(100);
+
+  if (error) {
+    throw new Error(`Failed to load unqueued webhook events: ${error.message}`);
+  }
+
+  // Job keys are per event, so events already on the queue are not added twice;
+  // an abandoned event gets a key per abandoned attempt, as its original job has run
+  for (const event of events || []) {
+    if (event.status === 'processing') {
+      console.warn(`♻️ Recovering webhook event ${event.id} abandoned while processing`);
+      await enqueueWebhookEvent(event, { retryKey: `recovered:${event.processing_started_at || 'legacy'}` });
+    } else {
+      await enqueueWebhookEvent(event);
+    }
+  }
+});
+
+module.exports = {
+  webhookQueue,
+  enqueueWebhookEvent
+};
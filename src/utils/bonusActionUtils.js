@@ -0,0 +1,168 @@
+/**
+ * Utility functions for promo bonus actions
+ *
+ * A promo stores its bonus actions in `bonus_actions` as
+ * [{ id, type, label, entries, maxCompletions, url }]. Completing an action
+ * earns `entries` extra entries, up to `maxCompletions` times per entrant.
+ * Each type has its own dedupe rule:
+ *   social_follow, newsletter_signup - once per entrant
+ *   share_link  - once per entrant per channel (facebook, x, email...)
+ *   refer_friend - once per friend, whoever refers them first
+ * Bonus entries carry `bonus_<type>` as their source.
+ */
+
+const { hashCanonicalEmail, canonicalizeEmail } = require('./emailUtils');
+
+const BONUS_ACTION_TYPES = {
+  social_follow: { dedupeBy: 'entrant', defaultMaxCompletions: 1, defaultLabel: 'Follow us' },
+  share_link: { dedupeBy: 'channel', defaultMaxCompletions: 3, defaultLabel: 'Share this giveaway' },
+  newsletter_signup: { dedupeBy: 'entrant', defaultMaxCompletions: 1, defaultLabel: 'Join our newsletter' },
+  refer_friend: { dedupeBy: 'friend', defaultMaxCompletions: 5, defaultLabel: 'Refer a friend' }
+};
+
+const MAX_BONUS_ACTIONS = 20;
+const MAX_ENTRIES_PER_ACTION = 100;
+
+const toActionId = (value) => {
+  return String(value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+};
+
+/**
+ * Validate and normalize bonus actions from a request body
+ * @param {Array} actions - Raw actions ({ id, type, label, entries, maxCompletions, url })
+ * @returns {Object} - { actions: Array|null, error: string|null }
+ */
+const normalizeBonusActions = (actions) => {
+  if (actions === undefined || actions === null) {
+    return { actions: null, error: null };
+  }
+
+  if (!Array.isArray(actions)) {
+    return { actions: null, error: 'Bonus actions must be an array' };
+  }
+
+  if (actions.length > MAX_BONUS_ACTIONS) {
+    return { actions: null, error: `A promo can have at most ${MAX_BONUS_ACTIONS} bonus actions` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < actions.length; i++) {
+    const action = actions[i] || {};
+    const typeConfig = BONUS_ACTION_TYPES[action.type];
+
+    if (!typeConfig) {
+      return { actions: null, error: `Bonus action ${i + 1}: type must be one of ${Object.keys(BONUS_ACTION_TYPES).join(', ')}` };
+    }
+
+    const entries = parseInt(action.entries ?? 1);
+    const maxCompletions = parseInt(action.maxCompletions ?? typeConfig.defaultMaxCompletions);
+    const label = (action.label || typeConfig.defaultLabel).toString().trim();
+    const id = toActionId(action.id || `${action.type}_${i + 1}`);
+
+    if (!Number.isInteger(entries) || entries < 1 || entries > MAX_ENTRIES_PER_ACTION) {
+      return { actions: null, error: `Bonus action ${i + 1}: entries must be an integer from 1 to ${MAX_ENTRIES_PER_ACTION}` };
+    }
+    if (!Number.isInteger(maxCompletions) || maxCompletions < 1) {
+      return { actions: null, error: `Bonus action ${i + 1}: maxCompletions must be a positive integer` };
+    }
+    if (typeConfig.dedupeBy === 'entrant' && maxCompletions > 1) {
+      return { actions: null, error: `Bonus action ${i + 1}: ${action.type} can only be completed once` };
+    }
+    if (!id || normalized.some(existing => existing.id === id)) {
+      return { actions: null, error: `Bonus action ${i + 1}: id must be unique` };
+    }
+
+    normalized.push({
+      id,
+      type: action.type,
+      label,
+      entries,
+      maxCompletions,
+      url: action.url ? action.url.toString().trim() : null
+    });
+  }
+
+  return { actions: normalized, error: null };
+};
+
+/**
+ * Get the bonus actions of a promo
+ * @param {Object} promo - Promo row
+ * @returns {Array}
+ */
+const getPromoBonusActions = (promo) => {
+  return Array.isArray(promo?.bonus_actions) ? promo.bonus_actions : [];
+};
+
+/**
+ * Entry source for a bonus action type
+ * @param {string} type - Bonus action type
+ * @returns {string}
+ */
+const getBonusActionSource = (type) => `bonus_${type}`;
+
+/**
+ * Key a completion is deduplicated on, following the action type's rule
+ * @param {Object} action - Bonus action
+ * @param {Object} completion
+ * @param {string} completion.email - Entrant email
+ * @param {string} completion.channel - Share channel (share_link)
+ * @param {string} completion.friendEmail - Referred friend (refer_friend)
+ * @returns {Object} - { key: string|null, error: string|null }
+ */
+const getCompletionDedupeKey = (action, { email, channel, friendEmail }) => {
+  const { dedupeBy } = BONUS_ACTION_TYPES[action.type] || {};
+  const entrantHash = hashCanonicalEmail(email);
+
+  switch (dedupeBy) {
+    case 'entrant':
+      return { key: `${action.id}:${entrantHash}`, error: null };
+    case 'channel': {
+      const normalizedChannel = toActionId(channel);
+      if (!normalizedChannel) {
+        return { key: null, error: 'A share channel is required' };
+      }
+      return { key: `${action.id}:${entrantHash}:${normalizedChannel}`, error: null };
+    }
+    case 'friend': {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!friendEmail || !emailRegex.test(friendEmail)) {
+        return { key: null, error: "A valid friend's email is required" };
+      }
+      if (canonicalizeEmail(friendEmail) === canonicalizeEmail(email)) {
+        return { key: null, error: 'You cannot refer yourself' };
+      }
+      return { key: `${action.id}:friend:${hashCanonicalEmail(friendEmail)}`, error: null };
+    }
+    default:
+      return { key: null, error: 'Unsupported bonus action' };
+  }
+};
+
+/**
+ * Per-action performance of a promo's bonus actions
+ * @param {Array} actions - The promo's bonus actions
+ * @param {Array} entries - The promo's (confirmed) entries
+ * @returns {Array} - [{ id, type, label, completions, entriesAwarded }]
+ */
+const getBonusActionStats = (actions, entries) => {
+  return actions.map(action => {
+    const actionEntries = entries.filter(e => e.metadata?.bonus_action_id === action.id);
+    return {
+      id: action.id,
+      type: action.type,
+      label: action.label,
+      completions: actionEntries.length,
+      entriesAwarded: actionEntries.reduce((sum, e) => sum + (e.entry_count || 0), 0)
+    };
+  });
+};
+
+module.exports = {
+  BONUS_ACTION_TYPES,
+  normalizeBonusActions,
+  getPromoBonusActions,
+  getBonusActionSource,
+  getCompletionDedupeKey,
+  getBonusActionStats
+};
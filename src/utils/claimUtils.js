@@ -0,0 +1,79 @@
+/**
+ * Utility functions for winner prize claims
+ */
+
+const crypto = require('crypto');
+const { signLinkToken, verifyLinkToken } = require('./signedTokens');
+
+const CLAIM_TOKEN_PURPOSE = 'winner_claim';
+const DEFAULT_CLAIM_TOKEN_TTL = '30d';
+
+const DEFAULT_AFFIDAVIT_TEXT = 'I certify that I am the person who submitted the winning entry, that I meet all ' +
+  'eligibility requirements in the official rules, and that the information I have provided is true and complete. ' +
+  'I release the sponsor and Rafl Sweepstakes from any liability arising from acceptance or use of the prize.';
+
+const DEFAULT_PUBLICITY_RELEASE_TEXT = 'I consent to the sponsor using my name, city and state of residence for ' +
+  'the purpose of announcing the winner, without further compensation, where permitted by law.';
+
+/**
+ * Create a signed claim token for a winner
+ * The token expires at the winner's claim deadline when one is set.
+ * @param {Object} winner - Winner row
+ * @returns {string} - Signed token
+ */
+const createClaimToken = (winner) => {
+  const expiresAt = winner.claim_deadline ? new Date(winner.claim_deadline) : DEFAULT_CLAIM_TOKEN_TTL;
+  return signLinkToken(CLAIM_TOKEN_PURPOSE, { winnerId: winner.id }, expiresAt);
+};
+
+/**
+ * Verify a claim token
+ * @param {string} token - Token from the claim link
+ * @returns {Object} - { valid, payload, expired }
+ */
+const verifyClaimToken = (token) => {
+  return verifyLinkToken(token, CLAIM_TOKEN_PURPOSE);
+};
+
+/**
+ * Build the claim portal URL for a token
+ * @param {string} token - Signed claim token
+ * @returns {string}
+ */
+const getClaimUrl = (token) => {
+  const baseUrl = process.env.CLAIM_PORTAL_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:8080'}/claim`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Hash the legal text a winner accepted, so later edits to the text are detectable
+ * @param {string} text - Affidavit or release text
+ * @returns {string} - SHA-256, hex encoded
+ */
+const hashLegalText = (text) => {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+};
+
+/**
+ * Mask an email for display on the public claim page (j***@example.com)
+ * @param {string} email
+ * @returns {string}
+ */
+const maskEmail = (email) => {
+  const [local, domain] = (email || '').split('@');
+  if (!domain) {
+    return '***';
+  }
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+module.exports = {
+  DEFAULT_AFFIDAVIT_TEXT,
+  DEFAULT_PUBLICITY_RELEASE_TEXT,
+  createClaimToken,
+  verifyClaimToken,
+  getClaimUrl,
+  hashLegalText,
+  maskEmail
+};
@@ -0,0 +1,70 @@
+/**
+ * Utility functions for double opt-in entry confirmation
+ *
+ * Promos with require_email_confirmation create manual entries as `pending`;
+ * the entrant confirms through an emailed link before the entry counts.
+ * Unconfirmed entries expire once the promo's confirmation window passes.
+ */
+
+const { signLinkToken, verifyLinkToken } = require('./signedTokens');
+
+const CONFIRMATION_TOKEN_PURPOSE = 'entry_confirmation';
+
+/**
+ * Hours an entrant has to confirm a pending entry
+ * @param {Object} promo - Promo row
+ * @returns {number}
+ */
+const getConfirmationWindowHours = (promo) => {
+  return parseInt(promo?.confirmation_window_hours) ||
+    parseInt(process.env.ENTRY_CONFIRMATION_WINDOW_HOURS) ||
+    48;
+};
+
+/**
+ * When a pending entry created now expires
+ * @param {Object} promo - Promo row
+ * @param {Date} from - Entry creation time
+ * @returns {Date}
+ */
+const getConfirmationExpiry = (promo, from = new Date()) => {
+  return new Date(from.getTime() + getConfirmationWindowHours(promo) * 60 * 60 * 1000);
+};
+
+/**
+ * Create the token behind an entry confirmation link
+ * @param {string} entryId - Pending entry
+ * @param {Date} expiresAt - Confirmation deadline
+ * @returns {string} - Signed token
+ */
+const createConfirmationToken = (entryId, expiresAt) => {
+  return signLinkToken(CONFIRMATION_TOKEN_PURPOSE, { entryId }, expiresAt);
+};
+
+/**
+ * Verify an entry confirmation token
+ * @param {string} token - Token from the confirmation link
+ * @returns {Object} - { valid, payload, expired }
+ */
+const verifyConfirmationToken = (token) => {
+  return verifyLinkToken(token, CONFIRMATION_TOKEN_PURPOSE);
+};
+
+/**
+ * Build the confirmation page URL for a token (the page posts the token to /api/entries/confirm/:token)
+ * @param {string} token - Signed confirmation token
+ * @returns {string}
+ */
+const getConfirmationUrl = (token) => {
+  const baseUrl = process.env.ENTRY_CONFIRMATION_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:8080'}/confirm-entry`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  getConfirmationWindowHours,
+  getConfirmationExpiry,
+  createConfirmationToken,
+  verifyConfirmationToken,
+  getConfirmationUrl
+};
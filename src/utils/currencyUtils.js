@@ -0,0 +1,157 @@
+/**
+ * Utility functions for order currencies
+ *
+ * Shopify reports order amounts in the shop's currency (`shop_money`) and in
+ * the currency the customer paid in (`presentment_money`). Entries are
+ * calculated from the shop amount converted into the promo's currency
+ * (`promos.currency`, USD by default), so entries_per_dollar means the same
+ * thing for every shop; revenue metrics are reported in USD.
+ */
+
+const REPORTING_CURRENCY = 'USD';
+
+// Units of each currency per US dollar; used offline and when a live provider fails.
+// EXCHANGE_RATES (JSON, same shape) overrides or adds rates.
+const STATIC_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  AUD: 1.52,
+  NZD: 1.66,
+  JPY: 149.5,
+  CHF: 0.88,
+  SEK: 10.6,
+  NOK: 10.8,
+  DKK: 6.87,
+  PLN: 3.98,
+  CZK: 23.1,
+  MXN: 18.1,
+  BRL: 5.4,
+  INR: 83.9,
+  SGD: 1.34,
+  HKD: 7.8,
+  ZAR: 18.3
+};
+
+/**
+ * Normalize an ISO 4217 currency code
+ * @param {string} currency
+ * @returns {string|null}
+ */
+const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Read one side of a Shopify money set
+ * @param {Object} set - e.g. order.total_price_set
+ * @param {string} side - 'shop_money' or 'presentment_money'
+ * @returns {Object|null} - { amount, currency }
+ */
+const getMoneySetAmount = (set, side = 'shop_money') => {
+  const money = set?.[side];
+  if (!money || money.amount === undefined || money.amount === null) {
+    return null;
+  }
+  return {
+    amount: parseFloat(money.amount) || 0,
+    currency: normalizeCurrency(money.currency_code)
+  };
+};
+
+/**
+ * Total of a Shopify order in the shop's currency, falling back to the legacy fields
+ * @param {Object} order - Shopify order payload
+ * @returns {Object} - { amount, currency }
+ */
+const getOrderShopTotal = (order) => {
+  const shopMoney = getMoneySetAmount(order.total_price_set, 'shop_money');
+  return {
+    amount: shopMoney?.amount ?? (parseFloat(order.total_price || 0) || 0),
+    currency: shopMoney?.currency || normalizeCurrency(order.currency) || REPORTING_CURRENCY
+  };
+};
+
+/**
+ * Currency a promo's entries are calculated in
+ * @param {Object} promo - Promo row
+ * @returns {string}
+ */
+const getPromoCurrency = (promo) => {
+  return normalizeCurrency(promo?.currency) || normalizeCurrency(process.env.DEFAULT_PROMO_CURRENCY) || REPORTING_CURRENCY;
+};
+
+/**
+ * The static rate table, with EXCHANGE_RATES applied
+ * @returns {Object} - { [currency]: units per USD }
+ */
+const getStaticExchangeRates = () => {
+  let overrides = {};
+  if (process.env.EXCHANGE_RATES) {
+    try {
+      overrides = JSON.parse(process.env.EXCHANGE_RATES);
+    } catch (error) {
+      console.error('Invalid EXCHANGE_RATES, using the built-in table:', error.message);
+    }
+  }
+  return { ...STATIC_EXCHANGE_RATES, ...overrides };
+};
+
+/**
+ * Convert the amounts of a normalized order (see webhookProcessors.processOrderCreate) with a rate
+ * @param {Object} orderData - Order with amounts in orderData.currency
+ * @param {number} rate - Units of the target currency per unit of the order currency
+ * @param {string} currency - Target currency
+ * @returns {Object} - Order with converted amounts
+ */
+const convertOrderAmounts = (orderData, rate, currency) => {
+  if (rate === 1 && orderData.currency === currency) {
+    return orderData;
+  }
+
+  return {
+    ...orderData,
+    currency,
+    totalPrice: roundMoney(orderData.totalPrice * rate),
+    totalTax: roundMoney((orderData.totalTax || 0) * rate),
+    totalShipping: roundMoney((orderData.totalShipping || 0) * rate),
+    lineItems: (orderData.lineItems || []).map(item => ({
+      ...item,
+      price: roundMoney((item.price || 0) * rate),
+      discount: roundMoney((item.discount || 0) * rate)
+    }))
+  };
+};
+
+/**
+ * USD amount of a purchase entry, for revenue metrics
+ * Entries from before currency conversion only have order_total.
+ * @param {Object} entry - Entry row
+ * @returns {number}
+ */
+const getEntryAmountUsd = (entry) => {
+  const amountUsd = parseFloat(entry.metadata?.amountUsd);
+  return Number.isNaN(amountUsd) ? (parseFloat(entry.order_total) || 0) : amountUsd;
+};
+
+module.exports = {
+  REPORTING_CURRENCY,
+  STATIC_EXCHANGE_RATES,
+  normalizeCurrency,
+  roundMoney,
+  getMoneySetAmount,
+  getOrderShopTotal,
+  getPromoCurrency,
+  getStaticExchangeRates,
+  convertOrderAmounts,
+  getEntryAmountUsd
+};
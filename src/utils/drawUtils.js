@@ -0,0 +1,204 @@
+/**
+ * Utility functions for verifiable (commit–reveal) winner draws
+ *
+ * A draw commits to sha256(seed) before the entry pool is read, then reveals
+ * the seed once the winner is stored. Anyone holding the seed and the ordered
+ * entry snapshot can replay the draw and get the same winning entry.
+ */
+
+const crypto = require('crypto');
+const { RANDOM_BITS, createWeightedSampler } = require('./weightedSampler');
+
+// v1 (modulo over a 32-bit value) is kept so draws made with it can still be replayed
+const LEGACY_ALGORITHM_VERSION = 'hmac-sha256-weighted-v1';
+const DRAW_ALGORITHM_VERSION = 'hmac-sha256-cumulative-v2';
+const SUPPORTED_ALGORITHM_VERSIONS = [LEGACY_ALGORITHM_VERSION, DRAW_ALGORITHM_VERSION];
+
+/**
+ * Generate a fresh random draw seed
+ * @returns {string} - 32 random bytes, hex encoded
+ */
+const generateDrawSeed = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Hash a seed for the commitment
+ * @param {string} seed - Hex encoded seed
+ * @returns {string} - SHA-256 of the seed, hex encoded
+ */
+const hashSeed = (seed) => {
+  return crypto.createHash('sha256').update(seed, 'utf8').digest('hex');
+};
+
+/**
+ * Build the ordered entry snapshot a draw runs against
+ * Entries are ordered by ID so the snapshot does not depend on query order.
+ * Each entry carries an opaque participant number (shared by all entries of
+ * the same email) so a multi-winner draw can exclude a participant once they
+ * win, without publishing any email data.
+ * @param {Array} entries - Eligible entry rows
+ * @param {Function} getParticipantKey - Returns the value identifying an entry's participant
+ * @returns {Array} - [{ id, weight, participant }] ordered by id
+ */
+const buildEntrySnapshot = (entries, getParticipantKey = entry => (entry.customer_email || '').toLowerCase()) => {
+  const sorted = entries
+    .map(entry => ({
+      id: String(entry.id),
+      weight: parseInt(entry.entry_count) || 0,
+      key: getParticipantKey(entry)
+    }))
+    .filter(entry => entry.weight > 0)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  const participants = new Map();
+  return sorted.map(({ id, weight, key }) => {
+    if (!participants.has(key)) {
+      participants.set(key, participants.size);
+    }
+    return { id, weight, participant: participants.get(key) };
+  });
+};
+
+/**
+ * Hash an entry snapshot
+ * @param {Array} snapshot - Output of buildEntrySnapshot
+ * @returns {string} - SHA-256 of the canonical snapshot JSON, hex encoded
+ */
+const hashEntrySnapshot = (snapshot) => {
+  const canonical = JSON.stringify(snapshot.map(entry => (
+    entry.participant === undefined
+      ? [entry.id, entry.weight]
+      : [entry.id, entry.weight, entry.participant]
+  )));
+  return crypto.createHash('sha256').update(canonical, 'utf8').digest('hex');
+};
+
+/**
+ * Derive the deterministic random value for a draw (v1)
+ * @param {string} seed - Revealed seed
+ * @param {string} snapshotHash - Hash of the entry snapshot
+ * @param {number} round - Pick number within the draw (0 for the first winner)
+ * @returns {number} - Unsigned 32-bit integer
+ */
+const deriveRandomValue = (seed, snapshotHash, round = 0) => {
+  const digest = crypto
+    .createHmac('sha256', seed)
+    .update(`${snapshotHash}:${round}`, 'utf8')
+    .digest();
+  return digest.readUInt32BE(0);
+};
+
+/**
+ * Deterministic random source for a draw round (v2)
+ * Each rejection-sampling attempt gets its own HMAC block, so replays consume
+ * exactly the same values as the original draw.
+ * @param {string} seed - Revealed seed
+ * @param {string} snapshotHash - Hash of the entry snapshot
+ * @param {number} round - Pick number within the draw
+ * @returns {Function} - (attempt) => 48-bit unsigned integer
+ */
+const createSeededRandomSource = (seed, snapshotHash, round = 0) => {
+  return (attempt) => {
+    const digest = crypto
+      .createHmac('sha256', seed)
+      .update(`${snapshotHash}:${round}:${attempt}`, 'utf8')
+      .digest();
+    return digest.readUIntBE(0, RANDOM_BITS / 8);
+  };
+};
+
+/**
+ * Run (or replay) a draw for several winners against one snapshot
+ * Round N samples from the entries left after removing every entry of the
+ * participants picked in earlier rounds.
+ * @param {Array} snapshot - Output of buildEntrySnapshot
+ * @param {string} seed - Revealed seed
+ * @param {string} algorithmVersion - Algorithm the draw was run with
+ * @param {number} picks - Number of winners to draw
+ * @returns {Array} - One { round, entryId, randomValue, ticketIndex, totalWeight, snapshotHash } per pick
+ */
+const runMultiDraw = (snapshot, seed, algorithmVersion = DRAW_ALGORITHM_VERSION, picks = 1) => {
+  if (!SUPPORTED_ALGORITHM_VERSIONS.includes(algorithmVersion)) {
+    throw new Error(`Unsupported draw algorithm version: ${algorithmVersion}`);
+  }
+
+  if (algorithmVersion === LEGACY_ALGORITHM_VERSION && picks !== 1) {
+    throw new Error(`${LEGACY_ALGORITHM_VERSION} only supports single-winner draws`);
+  }
+
+  const snapshotHash = hashEntrySnapshot(snapshot);
+  const results = [];
+  let pool = snapshot;
+
+  for (let round = 0; round < picks; round++) {
+    const sampler = createWeightedSampler(pool, entry => entry.weight);
+
+    if (sampler.total === 0) {
+      throw new Error(round === 0
+        ? 'Cannot run a draw on an empty snapshot'
+        : `Not enough participants for ${picks} winners (only ${round} available)`);
+    }
+
+    let pick;
+    if (algorithmVersion === LEGACY_ALGORITHM_VERSION) {
+      const randomValue = deriveRandomValue(seed, snapshotHash, round);
+      const { item, ticket } = sampler.ownerOf(randomValue % sampler.total);
+      pick = { item, ticket, randomValue };
+    } else {
+      const nextRandom = createSeededRandomSource(seed, snapshotHash, round);
+      const { item, ticket, attempts } = sampler.sample(nextRandom);
+      pick = { item, ticket, randomValue: nextRandom(attempts - 1) };
+    }
+
+    results.push({
+      round,
+      entryId: pick.item.id,
+      randomValue: pick.randomValue,
+      ticketIndex: pick.ticket,
+      totalWeight: sampler.total,
+      snapshotHash
+    });
+
+    const winningParticipant = pick.item.participant;
+    pool = winningParticipant === undefined
+      ? pool.filter(entry => entry.id !== pick.item.id)
+      : pool.filter(entry => entry.participant !== winningParticipant);
+  }
+
+  return results;
+};
+
+/**
+ * Run (or replay) a single-winner draw against a snapshot
+ * @param {Array} snapshot - Output of buildEntrySnapshot
+ * @param {string} seed - Revealed seed
+ * @param {string} algorithmVersion - Algorithm the draw was run with
+ * @returns {Object} - { round, entryId, randomValue, ticketIndex, totalWeight, snapshotHash }
+ */
+const runDraw = (snapshot, seed, algorithmVersion = DRAW_ALGORITHM_VERSION) => {
+  return runMultiDraw(snapshot, seed, algorithmVersion, 1)[0];
+};
+
+/**
+ * Count distinct participants in a snapshot
+ * @param {Array} snapshot - Output of buildEntrySnapshot
+ * @returns {number}
+ */
+const countSnapshotParticipants = (snapshot) => {
+  return new Set(snapshot.map(entry => entry.participant)).size;
+};
+
+module.exports = {
+  DRAW_ALGORITHM_VERSION,
+  SUPPORTED_ALGORITHM_VERSIONS,
+  generateDrawSeed,
+  hashSeed,
+  buildEntrySnapshot,
+  hashEntrySnapshot,
+  deriveRandomValue,
+  createSeededRandomSource,
+  runMultiDraw,
+  runDraw,
+  countSnapshotParticipants
+};
@@ -0,0 +1,111 @@
+/**
+ * Email canonicalization
+ *
+ * Every entry path, entry-limit check and winner exclusion identifies an
+ * entrant by the canonical form of their email, so the same person is one
+ * entrant whether they enter by form or by order. Canonicalizing lowercases
+ * and trims the address, then applies the rule for its provider:
+ *   canonicalDomain - domain the provider's aliases collapse to (googlemail.com -> gmail.com)
+ *   ignoreDots      - dots in the local part are ignored (Gmail)
+ *   tagSeparator    - character starting a sub-address tag that is dropped ('+')
+ *
+ * Rules can be added or overridden with EMAIL_CANONICALIZATION_RULES, a JSON
+ * object keyed by domain, e.g. {"example.com": {"tagSeparator": "+"}};
+ * a domain set to null turns its default rule off. Domains without a rule
+ * are only lowercased, since sub-addressing isn't universal.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PROVIDER_RULES = {
+  'gmail.com': { ignoreDots: true, tagSeparator: '+' },
+  'googlemail.com': { canonicalDomain: 'gmail.com', ignoreDots: true, tagSeparator: '+' },
+  'outlook.com': { tagSeparator: '+' },
+  'hotmail.com': { tagSeparator: '+' },
+  'live.com': { tagSeparator: '+' },
+  'icloud.com': { tagSeparator: '+' },
+  'me.com': { canonicalDomain: 'icloud.com', tagSeparator: '+' },
+  'mac.com': { canonicalDomain: 'icloud.com', tagSeparator: '+' },
+  'fastmail.com': { tagSeparator: '+' },
+  'proton.me': { tagSeparator: '+' },
+  'protonmail.com': { canonicalDomain: 'proton.me', tagSeparator: '+' }
+};
+
+let cachedRules = null;
+let cachedRulesSource = null;
+
+/**
+ * Provider rules: the defaults merged with EMAIL_CANONICALIZATION_RULES
+ * @returns {Object} - { domain: rule }
+ */
+const getProviderRules = () => {
+  const source = process.env.EMAIL_CANONICALIZATION_RULES || '';
+  if (cachedRules && cachedRulesSource === source) {
+    return cachedRules;
+  }
+
+  const rules = { ...DEFAULT_PROVIDER_RULES };
+
+  if (source) {
+    try {
+      for (const [domain, rule] of Object.entries(JSON.parse(source))) {
+        if (rule) {
+          rules[domain.toLowerCase()] = rule;
+        } else {
+          delete rules[domain.toLowerCase()];
+        }
+      }
+    } catch (error) {
+      console.error('Invalid EMAIL_CANONICALIZATION_RULES, using defaults:', error.message);
+    }
+  }
+
+  cachedRules = rules;
+  cachedRulesSource = source;
+  return rules;
+};
+
+/**
+ * Canonical form of an email
+ * @param {string} email
+ * @returns {string}
+ */
+const canonicalizeEmail = (email) => {
+  const address = String(email || '').toLowerCase().trim();
+  const at = address.lastIndexOf('@');
+  if (at < 1) {
+    return address;
+  }
+
+  let local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  const rule = getProviderRules()[domain];
+
+  if (!rule) {
+    return address;
+  }
+
+  if (rule.tagSeparator) {
+    local = local.split(rule.tagSeparator)[0];
+  }
+
+  if (rule.ignoreDots) {
+    local = local.replace(/\./g, '');
+  }
+
+  return `${local || address.slice(0, at)}@${rule.canonicalDomain || domain}`;
+};
+
+/**
+ * Hash stored in entries.hashed_email
+ * @param {string} email
+ * @returns {string} - SHA-256 of the canonical email, hex encoded
+ */
+const hashCanonicalEmail = (email) => {
+  return crypto.createHash('sha256').update(canonicalizeEmail(email)).digest('hex');
+};
+
+module.exports = {
+  canonicalizeEmail,
+  hashCanonicalEmail
+};
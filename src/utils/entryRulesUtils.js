@@ -0,0 +1,264 @@
+/**
+ * Purchase entry rules
+ *
+ * Without rules an order earns floor(total_price * entries_per_dollar). A
+ * promo can replace that with `entry_rules`:
+ *   {
+ *     minimumOrderAmount: 50,   // orders below this (after exclusions) earn nothing
+ *     excludeGiftCards: true,   // gift card line items earn nothing
+ *     excludeShipping: true,
+ *     excludeTax: true,
+ *     productRules: [
+ *       { type: 'per_unit', skus: ['TEE-01'], entriesPerUnit: 5 },
+ *       { type: 'multiplier', collectionId: '4242', productIds: [...], multiplier: 2 }
+ *     ]
+ *   }
+ * A line item matched by a per_unit rule earns entriesPerUnit per unit
+ * instead of its dollar entries; other line items earn dollar entries,
+ * multiplied by the highest matching multiplier rule. Rules match on SKU or
+ * product ID; a collection rule matches the collection's product IDs, which
+ * are looked up when the promo is saved.
+ */
+
+const ENTRY_RULE_TYPES = ['per_unit', 'multiplier'];
+
+const MAX_PRODUCT_RULES = 50;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toIdList = (values) => {
+  if (values === undefined || values === null) {
+    return [];
+  }
+  return (Array.isArray(values) ? values : [values])
+    .map(value => String(value).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Validate and normalize entry rules from a request body
+ * @param {Object} rules - Raw rules (see module comment)
+ * @returns {Object} - { rules: Object|null, error: string|null }
+ */
+const normalizeEntryRules = (rules) => {
+  if (rules === undefined || rules === null) {
+    return { rules: null, error: null };
+  }
+
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return { rules: null, error: 'Entry rules must be an object' };
+  }
+
+  const minimumOrderAmount = parseFloat(rules.minimumOrderAmount ?? 0);
+  if (Number.isNaN(minimumOrderAmount) || minimumOrderAmount < 0) {
+    return { rules: null, error: 'Entry rules: minimumOrderAmount must be a non-negative number' };
+  }
+
+  const productRules = rules.productRules ?? [];
+  if (!Array.isArray(productRules) || productRules.length > MAX_PRODUCT_RULES) {
+    return { rules: null, error: `Entry rules: productRules must be an array of at most ${MAX_PRODUCT_RULES} rules` };
+  }
+
+  const normalizedRules = [];
+  for (let i = 0; i < productRules.length; i++) {
+    const rule = productRules[i] || {};
+
+    if (!ENTRY_RULE_TYPES.includes(rule.type)) {
+      return { rules: null, error: `Product rule ${i + 1}: type must be one of ${ENTRY_RULE_TYPES.join(', ')}` };
+    }
+
+    const skus = toIdList(rule.skus).map(sku => sku.toUpperCase());
+    const productIds = toIdList(rule.productIds);
+    const collectionId = rule.collectionId ? String(rule.collectionId).trim() : null;
+
+    if (skus.length === 0 && productIds.length === 0 && !collectionId) {
+      return { rules: null, error: `Product rule ${i + 1}: skus, productIds or collectionId is required` };
+    }
+
+    const normalized = { type: rule.type, skus, productIds, collectionId };
+
+    if (rule.type === 'per_unit') {
+      const entriesPerUnit = parseInt(rule.entriesPerUnit);
+      if (!Number.isInteger(entriesPerUnit) || entriesPerUnit < 1) {
+        return { rules: null, error: `Product rule ${i + 1}: entriesPerUnit must be a positive integer` };
+      }
+      normalized.entriesPerUnit = entriesPerUnit;
+    } else {
+      const multiplier = parseFloat(rule.multiplier);
+      if (Number.isNaN(multiplier) || multiplier <= 0 || multiplier > 100) {
+        return { rules: null, error: `Product rule ${i + 1}: multiplier must be a number above 0 and up to 100` };
+      }
+      normalized.multiplier = multiplier;
+    }
+
+    normalizedRules.push(normalized);
+  }
+
+  return {
+    rules: {
+      minimumOrderAmount: roundAmount(minimumOrderAmount),
+      excludeGiftCards: rules.excludeGiftCards === true,
+      excludeShipping: rules.excludeShipping === true,
+      excludeTax: rules.excludeTax === true,
+      productRules: normalizedRules
+    },
+    error: null
+  };
+};
+
+/**
+ * Get the entry rules of a promo
+ * @param {Object} promo - Promo row
+ * @returns {Object|null} - Rules, or null for the flat entries_per_dollar calculation
+ */
+const getPromoEntryRules = (promo) => {
+  const rules = promo?.entry_rules;
+  return rules && typeof rules === 'object' && !Array.isArray(rules) ? rules : null;
+};
+
+/**
+ * Check whether a product rule applies to a line item
+ * @param {Object} rule - Product rule
+ * @param {Object} item - Order line item ({ sku, productId })
+ * @returns {boolean}
+ */
+const matchesProductRule = (rule, item) => {
+  const sku = item.sku ? String(item.sku).toUpperCase() : null;
+  const productId = item.productId ? String(item.productId) : null;
+  return Boolean(
+    (sku && (rule.skus || []).includes(sku)) ||
+    (productId && (rule.productIds || []).includes(productId))
+  );
+};
+
+const describeRule = (rule) => {
+  const target = rule.collectionId
+    ? `collection ${rule.collectionId}`
+    : [...(rule.skus || []), ...(rule.productIds || [])].join(', ');
+  return rule.type === 'per_unit'
+    ? `${rule.entriesPerUnit} per unit of ${target}`
+    : `${rule.multiplier}x on ${target}`;
+};
+
+/**
+ * Calculate the entries an order earns in a promo, with how they were computed
+ * @param {Object} promo - Promo row
+ * @param {Object} order - Normalized order (see webhookProcessors.processOrderCreate)
+ * @returns {Object} - { entries, calculation } (calculation is stored in the entry metadata)
+ */
+const calculateOrderEntries = (promo, order) => {
+  const entriesPerDollar = parseFloat(promo.entries_per_dollar) || 1;
+  const rules = getPromoEntryRules(promo);
+
+  if (!rules) {
+    const entries = Math.floor(order.totalPrice * entriesPerDollar);
+    return {
+      entries,
+      calculation: { method: 'flat', entriesPerDollar, qualifyingAmount: order.totalPrice, entries }
+    };
+  }
+
+  const lines = [];
+  const excluded = { giftCards: 0, shipping: 0, tax: 0 };
+  let qualifyingAmount = 0;
+  let dollarEntries = 0;
+  let unitEntries = 0;
+
+  for (const item of order.lineItems || []) {
+    const amount = roundAmount((item.price || 0) * (item.quantity || 0) - (item.discount || 0));
+    const line = { lineItemId: item.id, title: item.title, sku: item.sku || null, quantity: item.quantity, amount };
+
+    if (rules.excludeGiftCards && item.giftCard) {
+      excluded.giftCards = roundAmount(excluded.giftCards + amount);
+      lines.push({ ...line, excluded: 'gift_card', entries: 0 });
+      continue;
+    }
+
+    qualifyingAmount += amount;
+
+    const perUnitRule = (rules.productRules || []).find(rule => rule.type === 'per_unit' && matchesProductRule(rule, item));
+    if (perUnitRule) {
+      const entries = perUnitRule.entriesPerUnit * (item.quantity || 0);
+      unitEntries += entries;
+      lines.push({ ...line, rule: describeRule(perUnitRule), entries });
+      continue;
+    }
+
+    const multiplierRules = (rules.productRules || []).filter(rule => rule.type === 'multiplier' && matchesProductRule(rule, item));
+    const bestRule = multiplierRules.sort((a, b) => b.multiplier - a.multiplier)[0];
+    const multiplier = bestRule ? bestRule.multiplier : 1;
+    const entries = amount * entriesPerDollar * multiplier;
+    dollarEntries += entries;
+    lines.push({ ...line, rule: bestRule ? describeRule(bestRule) : null, multiplier, entries: roundAmount(entries) });
+  }
+
+  const shipping = order.totalShipping || 0;
+  if (rules.excludeShipping) {
+    excluded.shipping = shipping;
+  } else {
+    qualifyingAmount += shipping;
+    dollarEntries += shipping * entriesPerDollar;
+  }
+
+  // Line prices already contain the tax when the shop's prices include it
+  const tax = order.totalTax || 0;
+  if (rules.excludeTax) {
+    excluded.tax = tax;
+    if (order.taxesIncluded) {
+      qualifyingAmount -= tax;
+      dollarEntries = Math.max(0, dollarEntries - tax * entriesPerDollar);
+    }
+  } else if (!order.taxesIncluded) {
+    qualifyingAmount += tax;
+    dollarEntries += tax * entriesPerDollar;
+  }
+
+  qualifyingAmount = roundAmount(Math.max(0, qualifyingAmount));
+  const belowMinimum = qualifyingAmount < (rules.minimumOrderAmount || 0);
+  const entries = belowMinimum ? 0 : Math.floor(dollarEntries + 1e-9) + unitEntries;
+
+  return {
+    entries,
+    calculation: {
+      method: 'rules',
+      entriesPerDollar,
+      qualifyingAmount,
+      minimumOrderAmount: rules.minimumOrderAmount || 0,
+      belowMinimum,
+      excluded,
+      dollarEntries: roundAmount(dollarEntries),
+      unitEntries,
+      lines,
+      entries
+    }
+  };
+};
+
+/**
+ * Entries an order still earns after refunds
+ * Flat entries are recomputed from the amount still paid; rule-based entries
+ * shrink in proportion to it, since refunds aren't broken down by line item.
+ * @param {Object} calculation - The entry's stored calculation (may be missing on older entries)
+ * @param {number} orderTotal - Order total when the entry was awarded
+ * @param {number} netAmount - Amount still paid
+ * @param {number} entriesPerDollar - Promo's entries per dollar
+ * @returns {number}
+ */
+const getEntriesForNetAmount = (calculation, orderTotal, netAmount, entriesPerDollar) => {
+  if (calculation?.method === 'rules') {
+    if (orderTotal <= 0) {
+      return 0;
+    }
+    return Math.floor(calculation.entries * netAmount / orderTotal);
+  }
+  return Math.floor(netAmount * entriesPerDollar);
+};
+
+module.exports = {
+  ENTRY_RULE_TYPES,
+  normalizeEntryRules,
+  getPromoEntryRules,
+  matchesProductRule,
+  calculateOrderEntries,
+  getEntriesForNetAmount
+};
@@ -70,7 +70,91 @@ const calculateEntriesToAdd = (purchaseAmount, existingEntries, entriesPerDollar
   return entriesToAdd;
 };
 
+// Entries awaiting email confirmation (double opt-in), or that were never confirmed
+const UNCONFIRMED_ENTRY_STATUSES = ['pending', 'expired'];
+
+// PostgREST `or` filter for active entries; entries created before statuses were recorded have none and are active
+const ACTIVE_ENTRY_FILTER = 'status.is.null,status.eq.active';
+
+// PostgREST `or` filter for entries that count towards entry limits: everything but expired (never confirmed) ones
+const UNEXPIRED_ENTRY_FILTER = 'status.is.null,status.neq.expired';
+
+// PostgREST `or` filter leaving out bonus and referral entries (source bonus_*); entries without a source are base entries
+const BASE_ENTRY_FILTER = 'source.is.null,source.not.like.bonus_%';
+
+// Sources only the server sets; bonus and referral entries use bonus_<type>
+const RESERVED_ENTRY_SOURCES = ['purchase', 'admin_manual'];
+
+// Sources a manual entry may report, e.g. direct, instagram, landing-page
+const MANUAL_ENTRY_SOURCE_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+
+/**
+ * Check whether an entry counts towards stats (unconfirmed entries don't)
+ * @param {Object} entry - Entry row
+ * @returns {boolean}
+ */
+const isConfirmedEntry = (entry) => {
+  return !UNCONFIRMED_ENTRY_STATUSES.includes(entry.status);
+};
+
+/**
+ * Check whether an entry counts towards stats and revenue
+ * Unconfirmed entries don't count, nor do voided ones (refunded or cancelled orders), which draws leave out too.
+ * @param {Object} entry - Entry row
+ * @returns {boolean}
+ */
+const isCountedEntry = (entry) => {
+  return isConfirmedEntry(entry) && entry.status !== 'voided';
+};
+
+/**
+ * Check whether an entry is active (see ACTIVE_ENTRY_FILTER)
+ * @param {Object} entry - Entry row
+ * @returns {boolean}
+ */
+const isActiveEntry = (entry) => {
+  return !entry.status || entry.status === 'active';
+};
+
+/**
+ * Check whether a client-supplied source may be stored on a manual entry
+ * Reserved sources are refused: limit checks leave bonus entries out, so a manual entry claiming one would escape them.
+ * @param {*} source - Source from the request
+ * @returns {boolean}
+ */
+const isManualEntrySource = (source) => {
+  return typeof source === 'string'
+    && MANUAL_ENTRY_SOURCE_PATTERN.test(source)
+    && !source.toLowerCase().startsWith('bonus_')
+    && !RESERVED_ENTRY_SOURCES.includes(source.toLowerCase());
+};
+
+/**
+ * Break entries down by source (purchase, direct, bonus_share_link...)
+ * @param {Array} entries - Entry rows
+ * @returns {Object} - { [source]: { entries: number, entryCount: number } }
+ */
+const getEntriesBySource = (entries) => {
+  return entries.reduce((bySource, entry) => {
+    const source = entry.source || 'unknown';
+    const totals = bySource[source] || { entries: 0, entryCount: 0 };
+    totals.entries++;
+    totals.entryCount += entry.entry_count || 0;
+    bySource[source] = totals;
+    return bySource;
+  }, {});
+};
+
 module.exports = {
+  UNCONFIRMED_ENTRY_STATUSES,
+  ACTIVE_ENTRY_FILTER,
+  UNEXPIRED_ENTRY_FILTER,
+  BASE_ENTRY_FILTER,
+  isManualEntrySource,
+  isConfirmedEntry,
+  isCountedEntry,
+  isActiveEntry,
+  getEntriesBySource,
   calculatePurchaseEntries,
   getMaxEntriesPerCustomer,
   getAMOEEntries,
@@ -0,0 +1,144 @@
+/**
+ * Utility functions for entry fraud and abuse scoring
+ *
+ * Each entry is scored from weighted signals. A score at or above
+ * FRAUD_FLAG_SCORE flags the entry for review; at or above
+ * FRAUD_QUARANTINE_SCORE it is quarantined and left out of draws until a
+ * reviewer approves it.
+ */
+
+// Common throwaway-inbox providers; extend with FRAUD_DISPOSABLE_DOMAINS
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  '20minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+];
+
+const FRAUD_SIGNAL_WEIGHTS = {
+  disposable_email: 50,
+  email_alias: 35,
+  ip_velocity: 35,
+  user_agent_velocity: 15,
+  small_orders: 30,
+  refund_history: 35
+};
+
+const FRAUD_STATUSES = ['clear', 'flagged', 'quarantined', 'approved', 'rejected'];
+
+// Statuses that keep an entry out of draws
+const EXCLUDED_FRAUD_STATUSES = ['quarantined', 'rejected'];
+
+// Statuses waiting in the review queue
+const REVIEW_FRAUD_STATUSES = ['flagged', 'quarantined'];
+
+const getEnvNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Scoring thresholds and velocity limits
+ * @returns {Object}
+ */
+const getFraudSettings = () => ({
+  flagScore: getEnvNumber('FRAUD_FLAG_SCORE', 30),
+  quarantineScore: getEnvNumber('FRAUD_QUARANTINE_SCORE', 60),
+  velocityWindowMinutes: getEnvNumber('FRAUD_VELOCITY_WINDOW_MINUTES', 60),
+  ipVelocityLimit: getEnvNumber('FRAUD_IP_VELOCITY_LIMIT', 5),
+  userAgentVelocityLimit: getEnvNumber('FRAUD_UA_VELOCITY_LIMIT', 20),
+  smallOrderAmount: getEnvNumber('FRAUD_SMALL_ORDER_AMOUNT', 10),
+  smallOrderCount: getEnvNumber('FRAUD_SMALL_ORDER_COUNT', 3),
+  refundCount: getEnvNumber('FRAUD_REFUND_COUNT', 2)
+});
+
+/**
+ * Domain part of an email, lowercased
+ * @param {string} email
+ * @returns {string}
+ */
+const getEmailDomain = (email) => {
+  const address = String(email || '').toLowerCase().trim();
+  return address.slice(address.lastIndexOf('@') + 1);
+};
+
+/**
+ * Check whether an email uses a disposable inbox provider
+ * @param {string} email
+ * @returns {boolean}
+ */
+const isDisposableEmail = (email) => {
+  const extra = (process.env.FRAUD_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  const domain = getEmailDomain(email);
+
+  return DISPOSABLE_EMAIL_DOMAINS.includes(domain) || extra.includes(domain);
+};
+
+/**
+ * Total score of a set of signals
+ * @param {Array} signals - [{ code, weight, detail }]
+ * @returns {number}
+ */
+const getFraudScore = (signals) => {
+  return signals.reduce((sum, signal) => sum + signal.weight, 0);
+};
+
+/**
+ * Fraud status for a score
+ * @param {number} score
+ * @returns {string} - 'clear', 'flagged' or 'quarantined'
+ */
+const getFraudStatusForScore = (score) => {
+  const { flagScore, quarantineScore } = getFraudSettings();
+  if (score >= quarantineScore) {
+    return 'quarantined';
+  }
+  if (score >= flagScore) {
+    return 'flagged';
+  }
+  return 'clear';
+};
+
+/**
+ * Check whether an entry may take part in a draw
+ * @param {Object} entry - Entry row
+ * @returns {boolean}
+ */
+const isDrawEligible = (entry) => {
+  return !EXCLUDED_FRAUD_STATUSES.includes(entry.fraud_status);
+};
+
+module.exports = {
+  FRAUD_SIGNAL_WEIGHTS,
+  FRAUD_STATUSES,
+  EXCLUDED_FRAUD_STATUSES,
+  REVIEW_FRAUD_STATUSES,
+  getFraudSettings,
+  getEmailDomain,
+  isDisposableEmail,
+  getFraudScore,
+  getFraudStatusForScore,
+  isDrawEligible
+};
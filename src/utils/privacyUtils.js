@@ -0,0 +1,102 @@
+/**
+ * Utility functions for the entrant privacy portal and unsubscribe links
+ *
+ * Access works in two steps: the emailed link carries a one-time access
+ * token (its link ID is recorded and can be used once), which is exchanged
+ * for a short-lived session token used on the portal endpoints.
+ */
+
+const { signLinkToken, verifyLinkToken } = require('./signedTokens');
+const { canonicalizeEmail } = require('./emailUtils');
+
+const ACCESS_TOKEN_PURPOSE = 'privacy_access';
+const SESSION_TOKEN_PURPOSE = 'privacy_session';
+const UNSUBSCRIBE_TOKEN_PURPOSE = 'email_unsubscribe';
+
+const ACCESS_TOKEN_TTL_MINUTES = 30;
+const SESSION_TOKEN_TTL = '1h';
+const UNSUBSCRIBE_TOKEN_TTL = '365d';
+
+/**
+ * Expiry of a new access link
+ * @returns {Date}
+ */
+const getAccessLinkExpiry = () => {
+  return new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000);
+};
+
+/**
+ * Create the one-time access token for an emailed portal link
+ * @param {string} linkId - privacy_links row the token can be redeemed against once
+ * @param {string} email - Entrant email
+ * @param {Date} expiresAt - Link expiry
+ * @returns {string} - Signed token
+ */
+const createAccessToken = (linkId, email, expiresAt) => {
+  return signLinkToken(ACCESS_TOKEN_PURPOSE, { linkId, email: canonicalizeEmail(email) }, expiresAt);
+};
+
+const verifyAccessToken = (token) => {
+  return verifyLinkToken(token, ACCESS_TOKEN_PURPOSE);
+};
+
+/**
+ * Create the session token issued once an access link is redeemed
+ * @param {string} email - Verified entrant email
+ * @returns {string} - Signed token
+ */
+const createSessionToken = (email) => {
+  return signLinkToken(SESSION_TOKEN_PURPOSE, { email: canonicalizeEmail(email) }, SESSION_TOKEN_TTL);
+};
+
+const verifySessionToken = (token) => {
+  return verifyLinkToken(token, SESSION_TOKEN_PURPOSE);
+};
+
+/**
+ * Create the token behind an email's unsubscribe link
+ * @param {string} email - Recipient
+ * @returns {string} - Signed token
+ */
+const createUnsubscribeToken = (email) => {
+  return signLinkToken(UNSUBSCRIBE_TOKEN_PURPOSE, { email: canonicalizeEmail(email) }, UNSUBSCRIBE_TOKEN_TTL);
+};
+
+const verifyUnsubscribeToken = (token) => {
+  return verifyLinkToken(token, UNSUBSCRIBE_TOKEN_PURPOSE);
+};
+
+const getPrivacyPortalBaseUrl = () => {
+  return process.env.PRIVACY_PORTAL_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:8080'}/privacy`;
+};
+
+/**
+ * Build the privacy portal URL for an access token
+ * @param {string} token - Signed access token
+ * @returns {string}
+ */
+const getPrivacyPortalUrl = (token) => {
+  return `${getPrivacyPortalBaseUrl()}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Build the unsubscribe page URL for a recipient (the page posts the token to /api/privacy/unsubscribe/:token)
+ * @param {string} email - Recipient
+ * @returns {string}
+ */
+const getUnsubscribeUrl = (email) => {
+  return `${getPrivacyPortalBaseUrl()}/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(email))}`;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  getAccessLinkExpiry,
+  createAccessToken,
+  verifyAccessToken,
+  createSessionToken,
+  verifySessionToken,
+  verifyUnsubscribeToken,
+  getPrivacyPortalUrl,
+  getUnsubscribeUrl
+};
@@ -0,0 +1,127 @@
+/**
+ * Utility functions for promo prize tiers
+ *
+ * A promo stores its prizes in `prize_tiers` as
+ * [{ name, quantity, description, value }], ordered from grand prize down.
+ * Promos without tiers fall back to a single tier built from
+ * `prize_description` / `prize_amount`.
+ */
+
+const MAX_WINNERS_PER_DRAW = 100;
+
+/**
+ * Validate and normalize prize tiers from a request body
+ * @param {Array} tiers - Raw tiers ({ name, quantity, description, value })
+ * @returns {Object} - { tiers: Array|null, error: string|null }
+ */
+const normalizePrizeTiers = (tiers) => {
+  if (tiers === undefined || tiers === null) {
+    return { tiers: null, error: null };
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { tiers: null, error: 'Prize tiers must be a non-empty array' };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i] || {};
+    const quantity = parseInt(tier.quantity ?? 1);
+    const value = parseFloat(tier.value ?? 0);
+    const description = (tier.description || '').toString().trim();
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { tiers: null, error: `Prize tier ${i + 1}: quantity must be a positive integer` };
+    }
+    if (!description) {
+      return { tiers: null, error: `Prize tier ${i + 1}: description is required` };
+    }
+    if (Number.isNaN(value) || value < 0) {
+      return { tiers: null, error: `Prize tier ${i + 1}: value must be a non-negative number` };
+    }
+
+    normalized.push({
+      name: (tier.name || `Tier ${i + 1}`).toString().trim(),
+      quantity,
+      description,
+      value
+    });
+  }
+
+  const totalWinners = normalized.reduce((sum, tier) => sum + tier.quantity, 0);
+  if (totalWinners > MAX_WINNERS_PER_DRAW) {
+    return { tiers: null, error: `Prize tiers cannot award more than ${MAX_WINNERS_PER_DRAW} winners` };
+  }
+
+  return { tiers: normalized, error: null };
+};
+
+/**
+ * Get the prize tiers for a promo, falling back to its single prize
+ * @param {Object} promo - Promo row
+ * @returns {Array} - [{ name, quantity, description, value }]
+ */
+const getPromoPrizeTiers = (promo) => {
+  if (Array.isArray(promo.prize_tiers) && promo.prize_tiers.length > 0) {
+    return promo.prize_tiers;
+  }
+
+  return [{
+    name: 'Grand Prize',
+    quantity: 1,
+    description: promo.prize_description,
+    value: parseFloat(promo.prize_amount) || 0
+  }];
+};
+
+/**
+ * Total prize value across all tiers
+ * @param {Array} tiers - Prize tiers
+ * @returns {number}
+ */
+const getPrizeTiersTotalValue = (tiers) => {
+  return tiers.reduce((sum, tier) => sum + (parseFloat(tier.value) || 0) * (tier.quantity || 1), 0);
+};
+
+/**
+ * Expand tiers into one prize slot per winner, grand prize first
+ * @param {Array} tiers - Prize tiers
+ * @returns {Array} - [{ tierIndex, tierName, prizeDescription, prizeAmount }]
+ */
+const expandPrizeSlots = (tiers) => {
+  const slots = [];
+  tiers.forEach((tier, tierIndex) => {
+    for (let i = 0; i < (tier.quantity || 1); i++) {
+      slots.push({
+        tierIndex,
+        tierName: tier.name,
+        prizeDescription: tier.description,
+        prizeAmount: tier.value
+      });
+    }
+  });
+  return slots;
+};
+
+/**
+ * Get the claim deadline for a winner drawn at a given time
+ * @param {Object} promo - Promo row (uses claim_deadline_days)
+ * @param {Date} drawnAt - Draw time
+ * @returns {string|null} - ISO timestamp, or null when the promo has no deadline
+ */
+const getClaimDeadline = (promo, drawnAt = new Date()) => {
+  const days = parseInt(promo.claim_deadline_days);
+  if (!days || days <= 0) {
+    return null;
+  }
+  return new Date(drawnAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+module.exports = {
+  MAX_WINNERS_PER_DRAW,
+  normalizePrizeTiers,
+  getPromoPrizeTiers,
+  getPrizeTiersTotalValue,
+  expandPrizeSlots,
+  getClaimDeadline
+};
@@ -0,0 +1,94 @@
+/**
+ * Rate limit rules for the public entry and privacy portal endpoints
+ *
+ * Each rule limits one value (scope) over a sliding window:
+ *   ip    - client IP address
+ *   email - canonical email in the request body
+ *   promo - promoId in the request body
+ * A rule can be changed with an env var named after it, e.g.
+ * RATE_LIMIT_ENTRY_IP=20/600 (20 requests per 600 seconds), or turned off
+ * with RATE_LIMIT_ENTRY_IP=off.
+ */
+
+// Longest window a rule can use; stores prune hits older than this
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const RATE_LIMIT_RULES = {
+  entry_ip: { scope: 'ip', limit: 10, windowSeconds: 15 * 60, description: 'Manual entries per IP' },
+  entry_email: { scope: 'email', limit: 5, windowSeconds: 60 * 60, description: 'Manual entries per email' },
+  entry_promo: { scope: 'promo', limit: 300, windowSeconds: 60, description: 'Manual entries per promo' },
+  waitlist_ip: { scope: 'ip', limit: 10, windowSeconds: 15 * 60, description: 'Waitlist signups per IP' },
+  waitlist_email: { scope: 'email', limit: 3, windowSeconds: 60 * 60, description: 'Waitlist signups per email' },
+  bonus_ip: { scope: 'ip', limit: 30, windowSeconds: 15 * 60, description: 'Bonus actions per IP' },
+  bonus_email: { scope: 'email', limit: 20, windowSeconds: 60 * 60, description: 'Bonus actions per email' },
+  active_promos_ip: { scope: 'ip', limit: 60, windowSeconds: 60, description: 'Active promo lookups per IP' },
+  privacy_link_ip: { scope: 'ip', limit: 5, windowSeconds: 15 * 60, description: 'Privacy portal link requests per IP' },
+  privacy_link_email: { scope: 'email', limit: 3, windowSeconds: 60 * 60, description: 'Privacy portal link requests per email' }
+};
+
+/**
+ * A rule with its env override applied
+ * @param {string} name - Key of RATE_LIMIT_RULES
+ * @returns {Object|null} - { name, scope, limit, windowSeconds, description }, or null when turned off
+ */
+const getRateLimitRule = (name) => {
+  const rule = RATE_LIMIT_RULES[name];
+  if (!rule) {
+    throw new Error(`Unknown rate limit rule: ${name}`);
+  }
+
+  const override = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '').trim();
+  if (override === 'off' || override === '0') {
+    return null;
+  }
+
+  const [limit, windowSeconds] = override.split('/').map(value => parseInt(value));
+  return {
+    name,
+    ...rule,
+    limit: limit > 0 ? limit : rule.limit,
+    windowSeconds: windowSeconds > 0 ? Math.min(windowSeconds, MAX_WINDOW_MS / 1000) : rule.windowSeconds
+  };
+};
+
+/**
+ * Every rule as currently configured, for the admin dashboard
+ * @returns {Array}
+ */
+const listRateLimitRules = () => {
+  return Object.keys(RATE_LIMIT_RULES).map(name => (
+    getRateLimitRule(name) || { name, ...RATE_LIMIT_RULES[name], disabled: true }
+  ));
+};
+
+/**
+ * Express `trust proxy` setting from TRUST_PROXY
+ * A number is how many proxies sit in front of the app (1 behind a single
+ * load balancer, 0 when clients connect directly); anything else is a list of
+ * trusted proxy addresses or subnets (e.g. "loopback, 10.0.0.0/8").
+ * @returns {number|string}
+ */
+const getTrustProxySetting = () => {
+  const value = (process.env.TRUST_PROXY || '1').trim();
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+/**
+ * Client IP as used for entry metadata and IP limits
+ * req.ip only reads X-Forwarded-For up to the trusted proxy hops (see
+ * getTrustProxySetting), so clients can't choose their own address.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+};
+
+module.exports = {
+  MAX_WINDOW_MS,
+  RATE_LIMIT_RULES,
+  getRateLimitRule,
+  listRateLimitRules,
+  getTrustProxySetting,
+  getClientIp
+};
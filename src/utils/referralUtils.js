@@ -0,0 +1,127 @@
+/**
+ * Utility functions for the referral program
+ *
+ * Promos with `referral_reward_entries` set give every entrant a referral
+ * code. A friend who enters with the code (or buys with it as a discount
+ * code, or through a landing page that stores it in a cart attribute) is
+ * attributed to the referrer, who earns the reward entries - at most
+ * `max_referral_rewards` times when that is set.
+ */
+
+const crypto = require('crypto');
+const { getBonusActionSource } = require('./bonusActionUtils');
+
+// No 0/O or 1/I, so codes survive being read aloud or typed
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+// Reward entries are bonus entries: they don't count towards entry limits
+const REFERRAL_ENTRY_SOURCE = getBonusActionSource('referral');
+
+/**
+ * Referral settings of a promo
+ * @param {Object} promo - Promo row
+ * @returns {Object} - { enabled, rewardEntries, maxRewards }
+ */
+const getReferralSettings = (promo) => {
+  const rewardEntries = parseInt(promo?.referral_reward_entries) || 0;
+  return {
+    enabled: rewardEntries > 0,
+    rewardEntries,
+    maxRewards: parseInt(promo?.max_referral_rewards) || null
+  };
+};
+
+/**
+ * Generate a random referral code
+ * @returns {string}
+ */
+const generateReferralCode = () => {
+  const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+  return Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Normalize a referral code as typed by a customer
+ * @param {string} code
+ * @returns {string|null} - Upper-cased code, or null if it can't be one
+ */
+const normalizeReferralCode = (code) => {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-Z0-9]{4,32}$/.test(normalized) ? normalized : null;
+};
+
+/**
+ * Build the share link for a referral code
+ * @param {Object} promo - Promo row
+ * @param {string} code - Referral code
+ * @returns {string}
+ */
+const getReferralUrl = (promo, code) => {
+  const baseUrl = promo.referral_landing_url ||
+    process.env.REFERRAL_LANDING_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:8080'}/enter`;
+  const url = new URL(baseUrl);
+  url.searchParams.set('promo', promo.id);
+  url.searchParams.set('ref', code);
+  return url.toString();
+};
+
+/**
+ * Cart attribute the storefront landing page stores the referral cookie in
+ * @returns {string}
+ */
+const getReferralNoteAttribute = () => {
+  return process.env.REFERRAL_NOTE_ATTRIBUTE || 'rafl_ref';
+};
+
+/**
+ * Candidate referral codes of a Shopify order, from its note attributes and discount codes
+ * @param {Object} order - Shopify order payload
+ * @returns {Array<string>}
+ */
+const getOrderReferralCodes = (order) => {
+  const attributeName = getReferralNoteAttribute();
+  const candidates = [
+    ...(order.note_attributes || []).filter(a => a.name === attributeName).map(a => a.value),
+    ...(order.discount_codes || []).map(d => d.code)
+  ];
+  return [...new Set(candidates.map(normalizeReferralCode).filter(Boolean))];
+};
+
+/**
+ * Rank referrers by referrals
+ * @param {Array} referrals - Referral rows joined with referral_codes(code, customer_email)
+ * @param {number} limit
+ * @returns {Array} - [{ code, email, referrals, rewardEntries }]
+ */
+const getTopReferrers = (referrals, limit = 10) => {
+  const byCode = new Map();
+  for (const referral of referrals) {
+    const code = referral.referral_codes?.code;
+    if (!code) continue;
+    const totals = byCode.get(code) || {
+      code,
+      email: referral.referral_codes.customer_email,
+      referrals: 0,
+      rewardEntries: 0
+    };
+    totals.referrals++;
+    totals.rewardEntries += referral.reward_entry_count || 0;
+    byCode.set(code, totals);
+  }
+  return [...byCode.values()]
+    .sort((a, b) => b.referrals - a.referrals || b.rewardEntries - a.rewardEntries)
+    .slice(0, limit);
+};
+
+module.exports = {
+  REFERRAL_ENTRY_SOURCE,
+  getReferralSettings,
+  generateReferralCode,
+  normalizeReferralCode,
+  getReferralUrl,
+  getReferralNoteAttribute,
+  getOrderReferralCodes,
+  getTopReferrers
+};
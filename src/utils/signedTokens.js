@@ -0,0 +1,63 @@
+/**
+ * Utility functions for signed, expiring links sent to entrants and winners
+ *
+ * Every token carries a `purpose` claim so a token issued for one flow
+ * (e.g. claiming a prize) cannot be replayed against another.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Secret used to sign public link tokens
+ * There is no default: anyone knowing it could forge claim and privacy links.
+ * @returns {string}
+ */
+const getLinkTokenSecret = () => {
+  const secret = process.env.LINK_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('LINK_TOKEN_SECRET or JWT_SECRET must be set to sign links');
+  }
+  return secret;
+};
+
+/**
+ * Sign a token for a public link
+ * @param {string} purpose - Flow the token is valid for (e.g. 'winner_claim')
+ * @param {Object} payload - Claims to embed
+ * @param {Date|number|string} expiresAt - Expiry as a Date, or a jsonwebtoken duration (e.g. '30d')
+ * @returns {string} - Signed token
+ */
+const signLinkToken = (purpose, payload, expiresAt) => {
+  const options = {};
+  if (expiresAt instanceof Date) {
+    options.expiresIn = Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  } else {
+    options.expiresIn = expiresAt;
+  }
+  return jwt.sign({ ...payload, purpose }, getLinkTokenSecret(), options);
+};
+
+/**
+ * Verify a public link token
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Flow the token must have been issued for
+ * @returns {Object} - { valid: boolean, payload: Object|null, expired: boolean }
+ */
+const verifyLinkToken = (token, purpose) => {
+  const secret = getLinkTokenSecret();
+  try {
+    const payload = jwt.verify(token, secret);
+    if (payload.purpose !== purpose) {
+      return { valid: false, payload: null, expired: false };
+    }
+    return { valid: true, payload, expired: false };
+  } catch (error) {
+    return { valid: false, payload: null, expired: error.name === 'TokenExpiredError' };
+  }
+};
+
+module.exports = {
+  getLinkTokenSecret,
+  signLinkToken,
+  verifyLinkToken
+};
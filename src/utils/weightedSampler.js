@@ -0,0 +1,128 @@
+/**
+ * Weighted random selection over cumulative weight sums
+ *
+ * Items are never expanded into one slot per ticket: the sampler keeps a
+ * running total per item and binary-searches the ticket it draws. Tickets are
+ * drawn with rejection sampling so every ticket is equally likely, no matter
+ * how the total weight divides the random range.
+ */
+
+const crypto = require('crypto');
+
+// Random values are 48-bit unsigned integers (largest width that stays a safe JS integer)
+const RANDOM_BITS = 48;
+const RANDOM_RANGE = 2 ** RANDOM_BITS;
+
+/**
+ * Build cumulative weight sums for a list of items
+ * @param {Array} items - Items to sample from
+ * @param {Function} getWeight - Returns the (non-negative integer) weight of an item
+ * @returns {Object} - { cumulative: number[], total: number }
+ */
+const buildCumulativeWeights = (items, getWeight = item => item.weight) => {
+  const cumulative = new Array(items.length);
+  let total = 0;
+
+  items.forEach((item, index) => {
+    const weight = Math.floor(Number(getWeight(item)) || 0);
+    if (weight < 0) {
+      throw new Error(`Negative weight at index ${index}`);
+    }
+    total += weight;
+    cumulative[index] = total;
+  });
+
+  if (!Number.isSafeInteger(total) || total >= RANDOM_RANGE) {
+    throw new Error(`Total weight ${total} exceeds the supported range`);
+  }
+
+  return { cumulative, total };
+};
+
+/**
+ * Find the item that owns a ticket
+ * @param {number[]} cumulative - Cumulative weight sums
+ * @param {number} ticket - Ticket number in [0, total)
+ * @returns {number} - Index of the first item whose cumulative sum is greater than the ticket
+ */
+const findTicketOwner = (cumulative, ticket) => {
+  let low = 0;
+  let high = cumulative.length - 1;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (cumulative[mid] > ticket) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Draw an unbiased integer in [0, bound) using rejection sampling
+ * @param {number} bound - Exclusive upper bound
+ * @param {Function} nextRandom - Returns a uniform 48-bit unsigned integer on each call
+ * @returns {Object} - { value, attempts }
+ */
+const uniformInt = (bound, nextRandom) => {
+  if (!Number.isSafeInteger(bound) || bound <= 0 || bound > RANDOM_RANGE) {
+    throw new Error(`Invalid bound: ${bound}`);
+  }
+
+  // Largest multiple of bound that fits in the random range; values at or above it are rejected
+  const limit = RANDOM_RANGE - (RANDOM_RANGE % bound);
+  let attempts = 0;
+
+  for (;;) {
+    const random = nextRandom(attempts);
+    attempts++;
+    if (random < limit) {
+      return { value: random % bound, attempts };
+    }
+  }
+};
+
+/**
+ * Random source backed by crypto.randomBytes
+ * @returns {Function} - Returns a uniform 48-bit unsigned integer on each call
+ */
+const createSecureRandomSource = () => {
+  return () => crypto.randomBytes(RANDOM_BITS / 8).readUIntBE(0, RANDOM_BITS / 8);
+};
+
+/**
+ * Create a weighted sampler
+ * @param {Array} items - Items to sample from
+ * @param {Function} getWeight - Returns the weight of an item
+ * @returns {Object} - { total, sample(nextRandom), ownerOf(ticket) }
+ */
+const createWeightedSampler = (items, getWeight = item => item.weight) => {
+  const { cumulative, total } = buildCumulativeWeights(items, getWeight);
+
+  const ownerOf = (ticket) => {
+    const index = findTicketOwner(cumulative, ticket);
+    return { index, item: items[index], ticket };
+  };
+
+  const sample = (nextRandom = createSecureRandomSource()) => {
+    if (total === 0) {
+      throw new Error('Cannot sample from an empty weight distribution');
+    }
+    const { value: ticket, attempts } = uniformInt(total, nextRandom);
+    return { ...ownerOf(ticket), attempts };
+  };
+
+  return { total, sample, ownerOf };
+};
+
+module.exports = {
+  RANDOM_BITS,
+  buildCumulativeWeights,
+  findTicketOwner,
+  uniformInt,
+  createSecureRandomSource,
+  createWeightedSampler
+};
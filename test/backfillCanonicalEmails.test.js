@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { hashCanonicalEmail } = require('../src/utils/emailUtils');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+const { runBackfill } = require('../backfill-canonical-emails');
+
+// How entries were hashed before canonicalization
+const legacyHash = (email) => crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
+
+const seedEntries = () => createFakeSupabase({
+  tables: {
+    entries: [
+      { id: 'a', promo_id: 'p1', customer_email: 'john.smith@gmail.com', hashed_email: legacyHash('john.smith@gmail.com') },
+      { id: 'b', promo_id: 'p1', customer_email: 'JohnSmith+shop@Gmail.com', hashed_email: 'order-hash' },
+      { id: 'c', promo_id: 'p1', customer_email: 'jane@example.com', hashed_email: hashCanonicalEmail('jane@example.com') },
+      { id: 'd', promo_id: 'p1', customer_email: 'redacted_0123@redacted.invalid', hashed_email: 'erased-hash' },
+      { id: 'e', promo_id: 'p1', customer_email: null, hashed_email: null }
+    ]
+  }
+});
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('a dry run reports changes without writing them', async () => {
+  const client = seedEntries();
+  const stats = await runBackfill({ client });
+
+  assert.deepEqual(stats, { scanned: 5, changed: 2, updated: 0, failed: 0, skipped: 2 });
+  assert.equal(client.rows('entries')[1].hashed_email, 'order-hash');
+});
+
+test('--apply re-keys entries by canonical email and leaves redacted ones alone', async () => {
+  const client = seedEntries();
+  const stats = await runBackfill({ apply: true, client });
+
+  assert.equal(stats.updated, 2);
+  const [a, b, c, d] = client.rows('entries');
+  assert.equal(a.hashed_email, hashCanonicalEmail('johnsmith@gmail.com'));
+  assert.equal(b.hashed_email, a.hashed_email);
+  assert.equal(c.hashed_email, hashCanonicalEmail('jane@example.com'));
+  assert.equal(d.hashed_email, 'erased-hash');
+
+  // A second run has nothing left to do
+  assert.equal((await runBackfill({ apply: true, client })).changed, 0);
+});
+
+test('every page is re-keyed', async () => {
+  const client = createFakeSupabase({
+    tables: {
+      entries: Array.from({ length: 1001 }, (_, i) => ({
+        id: String(i).padStart(4, '0'),
+        promo_id: 'p1',
+        customer_email: `Entrant.${i}+x@gmail.com`,
+        hashed_email: 'stale'
+      }))
+    }
+  });
+  const stats = await runBackfill({ apply: true, client });
+
+  assert.equal(stats.scanned, 1001);
+  assert.equal(stats.updated, 1001);
+  assert.ok(client.rows('entries').every(entry => entry.hashed_email !== 'stale'));
+});
+
+test('failed updates are counted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const client = seedEntries();
+  client.failNext('entries', 'update');
+
+  const stats = await runBackfill({ apply: true, client });
+  assert.equal(stats.updated, 1);
+  assert.equal(stats.failed, 1);
+});
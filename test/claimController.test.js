@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, createHttpPair, recordEmails } = require('./helpers/fakeSupabase');
+
+process.env.LINK_TOKEN_SECRET = 'test-link-secret';
+const supabase = useFakeSupabase();
+recordEmails();
+const { submitClaim } = require('../src/controllers/claimController');
+const { createClaimToken } = require('../src/utils/claimUtils');
+
+const WINNER = {
+  id: 'winner-1',
+  promo_id: 'promo-1',
+  store_id: 'store-1',
+  customer_email: 'Ann@Example.com',
+  prize_description: 'Bike',
+  claimed: false,
+  status: 'notified'
+};
+
+const validClaim = {
+  email: 'ann@example.com',
+  fullName: ' Ann Lee ',
+  dateOfBirth: '1990-04-01',
+  shippingAddress: { line1: '1 Main St', city: 'Springfield', postalCode: '12345', country: 'US' },
+  acceptAffidavit: true,
+  acceptPublicityRelease: true,
+  signature: 'Ann Lee'
+};
+
+const claim = async (body, token = createClaimToken(WINNER)) => {
+  const { req, res } = createHttpPair({ params: { token }, body, headers: { 'user-agent': 'Firefox' } });
+  await submitClaim(req, res);
+  return res;
+};
+
+test.beforeEach(() => {
+  supabase.seed('promos', [{ id: 'promo-1', store_id: 'store-1', title: 'Giveaway' }]);
+  supabase.seed('winners', [{ ...WINNER }]);
+  supabase.seed('winner_claims', []);
+});
+
+test('a valid claim flips the winner and stores the claim', async () => {
+  const res = await claim(validClaim);
+
+  assert.equal(res.statusCode, 201);
+  const [winner] = supabase.rows('winners');
+  assert.equal(winner.claimed, true);
+  assert.equal(winner.status, 'claimed');
+  const [row] = supabase.rows('winner_claims');
+  assert.equal(row.full_name, 'Ann Lee');
+  assert.equal(row.email, WINNER.customer_email);
+  assert.equal(row.date_of_birth, '1990-04-01');
+  assert.ok(row.affidavit_text_hash);
+});
+
+test('fields of the wrong type are refused with a 400', async () => {
+  const cases = [
+    [{ email: ['ann@example.com'] }, 'email'],
+    [{ email: { toLowerCase: 1 } }, 'email'],
+    [{ fullName: 42 }, 'fullName'],
+    [{ fullName: { trim: 'x' } }, 'fullName'],
+    [{ signature: true }, 'signature'],
+    [{ dateOfBirth: 19900401 }, 'dateOfBirth'],
+    [{ phone: 5550100 }, 'phone'],
+    [{ shippingAddress: 'somewhere' }, 'shippingAddress'],
+    [{ shippingAddress: { ...validClaim.shippingAddress, city: ['x'] } }, 'shippingAddress.city']
+  ];
+
+  for (const [fields, field] of cases) {
+    const res = await claim({ ...validClaim, ...fields });
+    assert.equal(res.statusCode, 400, `${JSON.stringify(fields)} was not refused`);
+    assert.equal(res.body.message, `Invalid ${field}`);
+  }
+  assert.equal(supabase.rows('winners')[0].claimed, false);
+});
+
+test('a missing body is refused without a server error', async () => {
+  const res = await claim(undefined);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, 'Email does not match the winning entry');
+});
+
+test('only one of two concurrent claims gets through', async () => {
+  const results = await Promise.all([claim(validClaim), claim(validClaim)]);
+
+  assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+  assert.equal(supabase.rows('winner_claims').length, 1);
+});
+
+test('a claim that fails to save hands the prize back', async () => {
+  supabase.failNext('winner_claims', 'insert');
+
+  const failed = await claim(validClaim);
+  assert.equal(failed.statusCode, 500);
+  const [winner] = supabase.rows('winners');
+  assert.equal(winner.claimed, false);
+  assert.equal(winner.claimed_at, null);
+  assert.equal(winner.status, 'notified');
+
+  assert.equal((await claim(validClaim)).statusCode, 201);
+});
+
+test('a wrong email, forfeited prize or bad token is refused', async () => {
+  assert.equal((await claim({ ...validClaim, email: 'bob@example.com' })).statusCode, 403);
+  assert.equal((await claim(validClaim, 'not-a-token')).statusCode, 401);
+
+  supabase.rows('winners')[0].status = 'forfeited';
+  assert.equal((await claim(validClaim)).statusCode, 410);
+  assert.equal(supabase.rows('winner_claims').length, 0);
+});
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+  normalizeCurrency,
+  roundMoney,
+  getMoneySetAmount,
+  getOrderShopTotal,
+  getPromoCurrency,
+  convertOrderAmounts,
+  getEntryAmountUsd
+} = require('../src/utils/currencyUtils');
+const {
+  StaticExchangeRateProvider,
+  HttpExchangeRateProvider,
+  convertAmount,
+  isMissingExchangeRate
+} = require('../src/services/exchangeRateProviders');
+
+process.env.FRAUD_SCORING_ENABLED = 'false';
+const supabase = useFakeSupabase();
+const { awardOrderEntries } = require('../src/services/purchaseEntryService');
+
+const rates = new StaticExchangeRateProvider();
+
+// Stub rate API: answers with the queued responses, then the last one again
+let server;
+let url;
+let responses;
+let rateRequests = 0;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    rateRequests++;
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    res.writeHead(next.status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(next.body || {}));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/latest`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  delete process.env.EXCHANGE_RATES;
+  delete process.env.DEFAULT_PROMO_CURRENCY;
+  rateRequests = 0;
+  responses = [{ status: 200, body: { rates: { EUR: 0.9, GBP: 0.8 } } }];
+  supabase.seed('entries', []);
+});
+
+const promo = (id, extra = {}) => ({ id, store_id: 'store-1', entries_per_dollar: 1, max_entries_per_email: 1000, ...extra });
+
+const orderData = (totalPrice, currency) => ({
+  shopifyOrderId: '1001',
+  shopifyOrderNumber: 1001,
+  customerEmail: 'ann@example.com',
+  customerName: 'Ann',
+  totalPrice,
+  totalTax: 0,
+  totalShipping: 0,
+  currency,
+  lineItems: []
+});
+
+test('currency codes are normalized and anything else is refused', () => {
+  assert.equal(normalizeCurrency(' eur '), 'EUR');
+  assert.equal(normalizeCurrency('EURO'), null);
+  assert.equal(normalizeCurrency(null), null);
+
+  assert.equal(getPromoCurrency({ currency: 'cad' }), 'CAD');
+  assert.equal(getPromoCurrency({}), 'USD');
+  process.env.DEFAULT_PROMO_CURRENCY = 'gbp';
+  assert.equal(getPromoCurrency({ currency: 'not-a-code' }), 'GBP');
+});
+
+test('money is rounded to the nearest cent', () => {
+  assert.equal(roundMoney(19.999), 20);
+  assert.equal(roundMoney(0.1 + 0.2), 0.3);
+  assert.equal(roundMoney(1.004), 1);
+});
+
+test('order totals are read from the shop money, falling back to the legacy fields', () => {
+  const set = { shop_money: { amount: '92.00', currency_code: 'eur' }, presentment_money: { amount: '100.50', currency_code: 'USD' } };
+
+  assert.deepEqual(getMoneySetAmount(set), { amount: 92, currency: 'EUR' });
+  assert.deepEqual(getMoneySetAmount(set, 'presentment_money'), { amount: 100.5, currency: 'USD' });
+  assert.equal(getMoneySetAmount({ shop_money: {} }), null);
+
+  assert.deepEqual(getOrderShopTotal({ total_price_set: set, total_price: '1.00', currency: 'USD' }), { amount: 92, currency: 'EUR' });
+  assert.deepEqual(getOrderShopTotal({ total_price: '45.10', currency: 'cad' }), { amount: 45.1, currency: 'CAD' });
+  assert.deepEqual(getOrderShopTotal({}), { amount: 0, currency: 'USD' });
+});
+
+test('static rates convert through the US dollar and round the result', async () => {
+  assert.deepEqual(await convertAmount(rates, 92, 'EUR', 'USD'), { amount: 100, rate: 1 / 0.92 });
+  assert.equal((await convertAmount(rates, 1000, 'JPY', 'usd')).amount, 6.69);
+  assert.equal((await convertAmount(rates, 100, 'EUR', 'GBP')).amount, 85.87);
+  assert.deepEqual(await convertAmount(rates, 10, null, undefined), { amount: 10, rate: 1 });
+});
+
+test('an unknown currency is a non-retryable missing rate unless EXCHANGE_RATES adds it', async () => {
+  const error = await convertAmount(rates, 10, 'XYZ', 'USD').catch(err => err);
+  assert.equal(isMissingExchangeRate(error), true);
+  assert.equal(error.retryable, false);
+
+  process.env.EXCHANGE_RATES = '{"XYZ": 4, "EUR": 0.5}';
+  assert.equal((await convertAmount(rates, 10, 'XYZ', 'USD')).amount, 2.5);
+  assert.equal((await convertAmount(rates, 10, 'USD', 'EUR')).amount, 5);
+
+  process.env.EXCHANGE_RATES = 'not json';
+  assert.equal((await convertAmount(rates, 10, 'USD', 'EUR')).amount, 9.2);
+});
+
+test('order amounts are converted line by line and left alone when no conversion is needed', () => {
+  const order = { ...orderData(30, 'EUR'), totalTax: 3.33, lineItems: [{ id: 1, price: 9.99, quantity: 3, discount: 1 }] };
+
+  const converted = convertOrderAmounts(order, 1.1, 'USD');
+  assert.deepEqual(
+    [converted.currency, converted.totalPrice, converted.totalTax, converted.totalShipping],
+    ['USD', 33, 3.66, 0]
+  );
+  assert.deepEqual(converted.lineItems, [{ id: 1, price: 10.99, quantity: 3, discount: 1.1 }]);
+  assert.equal(order.totalPrice, 30);
+
+  assert.equal(convertOrderAmounts(order, 1, 'EUR'), order);
+});
+
+test('revenue uses the stored USD amount, or order_total for entries from before conversion', () => {
+  assert.equal(getEntryAmountUsd({ order_total: 92, metadata: { amountUsd: 100 } }), 100);
+  assert.equal(getEntryAmountUsd({ order_total: 92, metadata: { amountUsd: 0 } }), 0);
+  assert.equal(getEntryAmountUsd({ order_total: '45.5', metadata: {} }), 45.5);
+  assert.equal(getEntryAmountUsd({ metadata: null }), 0);
+});
+
+test('live rates are cached and fall back to the last good response, then the static table', async () => {
+  const cached = new HttpExchangeRateProvider({ url });
+  assert.equal(await cached.getRate('USD', 'EUR'), 0.9);
+  assert.equal(await cached.getRate('EUR', 'GBP'), 0.8 / 0.9);
+  assert.equal(rateRequests, 1);
+
+  responses = [{ status: 200, body: { rates: { EUR: 0.95 } } }, { status: 500 }];
+  const uncached = new HttpExchangeRateProvider({ url, cacheMinutes: 0 });
+  assert.equal(await uncached.getRate('USD', 'EUR'), 0.95);
+  assert.equal(await uncached.getRate('USD', 'EUR'), 0.95);
+  assert.equal(await uncached.getRate('USD', 'JPY'), 149.5);
+  assert.equal(rateRequests, 4);
+
+  assert.throws(() => new HttpExchangeRateProvider({ url: '' }), /EXCHANGE_RATE_API_URL is required/);
+});
+
+test('an order in the shop currency earns entries in the promo currency', async () => {
+  const warnings = [];
+  const created = await awardOrderEntries({
+    client: supabase,
+    store: { id: 'store-1' },
+    orderData: orderData(50, 'EUR'),
+    promos: [promo('promo-usd'), promo('promo-eur', { currency: 'EUR' }), promo('promo-gbp', { currency: 'GBP' })],
+    warnings
+  });
+
+  assert.deepEqual(created.map(entry => [entry.promo_id, entry.entry_count, entry.order_total]), [
+    ['promo-usd', 54, 54.35],
+    ['promo-eur', 50, 50],
+    ['promo-gbp', 42, 42.93]
+  ]);
+  const { metadata } = created[0];
+  assert.deepEqual(
+    [metadata.currency, metadata.originalAmount, metadata.originalCurrency, metadata.amountUsd],
+    ['USD', 50, 'EUR', 54.35]
+  );
+  assert.deepEqual(warnings, []);
+});
+
+test('an order in a currency without a rate earns nothing and is flagged', async () => {
+  const warnings = [];
+  const created = await awardOrderEntries({
+    client: supabase,
+    store: { id: 'store-1' },
+    orderData: orderData(50, 'XYZ'),
+    promos: [promo('promo-usd')],
+    warnings
+  });
+
+  assert.deepEqual(created, []);
+  assert.deepEqual(warnings, [{ promoId: 'promo-usd', message: 'No exchange rate for XYZ → USD' }]);
+  assert.equal(supabase.rows('entries').length, 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeEmail, hashCanonicalEmail } = require('../src/utils/emailUtils');
+
+test.afterEach(() => {
+  delete process.env.EMAIL_CANONICALIZATION_RULES;
+});
+
+test('Gmail ignores dots and plus tags, and googlemail.com is gmail.com', () => {
+  for (const alias of ['John.Smith@gmail.com', ' johnsmith+promo@GMAIL.com ', 'j.o.h.n.smith+a+b@googlemail.com']) {
+    assert.equal(canonicalizeEmail(alias), 'johnsmith@gmail.com');
+  }
+});
+
+test('other providers drop plus tags but keep dots', () => {
+  assert.equal(canonicalizeEmail('Jane.Doe+shop@outlook.com'), 'jane.doe@outlook.com');
+  assert.equal(canonicalizeEmail('jane.doe+x@me.com'), 'jane.doe@icloud.com');
+  assert.equal(canonicalizeEmail('jane+x@protonmail.com'), 'jane@proton.me');
+});
+
+test('unknown domains are only lowercased and trimmed', () => {
+  assert.equal(canonicalizeEmail('  Jane.Doe+shop@Example.COM '), 'jane.doe+shop@example.com');
+});
+
+test('a tag-only local part keeps its address', () => {
+  assert.equal(canonicalizeEmail('+tag@gmail.com'), '+tag@gmail.com');
+  assert.equal(canonicalizeEmail('not-an-email'), 'not-an-email');
+  assert.equal(canonicalizeEmail(null), '');
+});
+
+test('EMAIL_CANONICALIZATION_RULES adds, overrides and removes rules', () => {
+  process.env.EMAIL_CANONICALIZATION_RULES = JSON.stringify({
+    'Example.com': { tagSeparator: '-' },
+    'gmail.com': null
+  });
+
+  assert.equal(canonicalizeEmail('jane-shop@example.com'), 'jane@example.com');
+  assert.equal(canonicalizeEmail('John.Smith+x@gmail.com'), 'john.smith+x@gmail.com');
+  assert.equal(canonicalizeEmail('john.smith+x@googlemail.com'), 'johnsmith@gmail.com');
+});
+
+test('invalid EMAIL_CANONICALIZATION_RULES fall back to the defaults', (t) => {
+  t.mock.method(console, 'error', () => {});
+  process.env.EMAIL_CANONICALIZATION_RULES = '{not json';
+
+  assert.equal(canonicalizeEmail('John.Smith@gmail.com'), 'johnsmith@gmail.com');
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('aliases of one mailbox share a hash', () => {
+  assert.equal(hashCanonicalEmail('John.Smith+a@gmail.com'), hashCanonicalEmail('johnsmith@googlemail.com'));
+  assert.notEqual(hashCanonicalEmail('jane@example.com'), hashCanonicalEmail('jane+a@example.com'));
+  assert.match(hashCanonicalEmail('jane@example.com'), /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { useFakeSupabase, createHttpPair, recordEmails } = require('./helpers/fakeSupabase');
+
+process.env.LINK_TOKEN_SECRET = 'test-link-secret';
+process.env.FRAUD_SCORING_ENABLED = 'false';
+const supabase = useFakeSupabase();
+const sent = recordEmails();
+const { createManualEntry, getEntryConfirmation, confirmEntry } = require('../src/controllers/entryController');
+const { registerEntryJobs } = require('../src/services/entryJobs');
+const { createConfirmationToken } = require('../src/utils/confirmationUtils');
+
+const PROMO_ID = 'promo-1';
+
+const enter = async (email = 'ann@example.com') => {
+  const { req, res } = createHttpPair({ body: { promoId: PROMO_ID, email }, ip: '203.0.113.7' });
+  await createManualEntry(req, res);
+  return res;
+};
+
+const tokenFor = (entry, expiresAt = new Date(entry.confirmation_expires_at)) => createConfirmationToken(entry.id, expiresAt);
+
+const confirm = async (token, handler = confirmEntry) => {
+  const { req, res } = createHttpPair({ params: { token } });
+  await handler(req, res);
+  return res;
+};
+
+// Runs the expiry planner as the scheduler would at `now`
+let expirePending;
+registerEntryJobs({ registerPlanner: (name, planner) => { expirePending = (now) => planner(null, now); } }, supabase);
+
+const entry = () => supabase.rows('entries')[0];
+
+test.beforeEach(() => {
+  sent.length = 0;
+  supabase.seed('stores', [{ id: 'store-1', store_name: 'Test Store' }]);
+  supabase.seed('promos', [{
+    id: PROMO_ID,
+    store_id: 'store-1',
+    title: 'Spring Giveaway',
+    status: 'active',
+    max_entries_per_email: 1,
+    require_email_confirmation: true,
+    confirmation_window_hours: 24
+  }]);
+  supabase.seed('entries', []);
+  supabase.seed('waitlist', []);
+  supabase.seed('email_suppressions', []);
+});
+
+test('an entry to a double opt-in promo waits for confirmation', async () => {
+  const res = await enter();
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.data.status, 'pending');
+  assert.equal(entry().status, 'pending');
+  const hoursToConfirm = (Date.parse(entry().confirmation_expires_at) - Date.now()) / 3600000;
+  assert.ok(hoursToConfirm > 23.9 && hoursToConfirm <= 24, `${hoursToConfirm} hours to confirm`);
+  assert.deepEqual(sent.map(email => email.to), ['ann@example.com']);
+  assert.equal(supabase.rows('waitlist').length, 0);
+});
+
+test('entering again while pending resends the confirmation instead of failing', async () => {
+  await enter();
+  const again = await enter('Ann@Example.com');
+
+  assert.equal(again.statusCode, 200);
+  assert.equal(again.body.data.entryId, entry().id);
+  assert.equal(supabase.rows('entries').length, 1);
+  assert.equal(sent.length, 2);
+});
+
+test('the confirmation link activates the entry once', async () => {
+  await enter();
+  const token = tokenFor(entry());
+
+  const preview = await confirm(token, getEntryConfirmation);
+  assert.equal(preview.body.data.status, 'pending');
+  assert.equal(preview.body.data.promoTitle, 'Spring Giveaway');
+  assert.notEqual(preview.body.data.maskedEmail, 'ann@example.com');
+
+  const res = await confirm(token);
+  assert.equal(res.statusCode, 200);
+  assert.equal(entry().status, 'active');
+  assert.ok(entry().confirmed_at);
+  assert.deepEqual(supabase.rows('waitlist').map(row => row.email), ['ann@example.com']);
+
+  const again = await confirm(token);
+  assert.equal(again.statusCode, 200);
+  assert.equal(again.body.message, 'Entry already confirmed');
+  assert.equal(supabase.rows('waitlist').length, 1);
+});
+
+test('an entry past its confirmation window cannot be confirmed', async () => {
+  await enter();
+  const token = tokenFor(entry());
+  entry().confirmation_expires_at = new Date(Date.now() - 1000).toISOString();
+
+  const res = await confirm(token);
+  assert.equal(res.statusCode, 410);
+  assert.equal(entry().status, 'pending');
+});
+
+test('expired, forged and closed-promo links are refused', async () => {
+  await enter();
+
+  const expired = jwt.sign(
+    { entryId: entry().id, purpose: 'entry_confirmation', exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.LINK_TOKEN_SECRET
+  );
+  assert.equal((await confirm(expired)).statusCode, 410);
+  assert.equal((await confirm('not-a-token')).statusCode, 401);
+
+  supabase.rows('promos')[0].status = 'drawn';
+  const closed = await confirm(tokenFor(entry()));
+  assert.equal(closed.statusCode, 410);
+  assert.equal(closed.body.message, 'This promo is no longer accepting entries');
+});
+
+test('unconfirmed entries expire and stop counting towards the entry limit', async () => {
+  await enter();
+  const token = tokenFor(entry());
+
+  await expirePending(new Date(Date.now() + 23 * 3600000));
+  assert.equal(entry().status, 'pending');
+
+  await expirePending(new Date(Date.now() + 25 * 3600000));
+  assert.equal(entry().status, 'expired');
+  assert.equal((await confirm(token)).statusCode, 410);
+
+  const again = await enter();
+  assert.equal(again.statusCode, 201);
+  assert.equal(supabase.rows('entries').length, 2);
+});
+
+test('promos without double opt-in count the entry straight away', async () => {
+  supabase.rows('promos')[0].require_email_confirmation = false;
+
+  const res = await enter();
+  assert.equal(res.body.data.status, 'active');
+  assert.equal(entry().confirmation_expires_at, null);
+  assert.deepEqual(supabase.rows('waitlist').map(row => row.email), ['ann@example.com']);
+});
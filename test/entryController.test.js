@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, createHttpPair, recordEmails } = require('./helpers/fakeSupabase');
+
+const supabase = useFakeSupabase();
+recordEmails();
+const { createManualEntry } = require('../src/controllers/entryController');
+
+const PROMO_ID = 'promo-1';
+
+const enter = async (body, ip = '203.0.113.7', headers = {}) => {
+  const { req, res } = createHttpPair({ body: { promoId: PROMO_ID, ...body }, ip, headers });
+  await createManualEntry(req, res);
+  return res;
+};
+
+test.beforeEach(() => {
+  supabase.seed('stores', [{ id: 'store-1', store_name: 'Test Store', shopify_domain: 'test.myshopify.com' }]);
+  supabase.seed('promos', [{
+    id: PROMO_ID,
+    store_id: 'store-1',
+    title: 'Spring Giveaway',
+    status: 'active',
+    max_entries_per_email: 1,
+    max_entries_per_ip: 2
+  }]);
+  supabase.seed('entries', []);
+});
+
+test('a manual entry keeps a plain source', async () => {
+  const res = await enter({ email: 'ann@example.com', source: 'instagram' });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(supabase.rows('entries')[0].source, 'instagram');
+});
+
+test('bonus, referral and purchase sources are refused', async () => {
+  for (const source of ['bonus_x', 'BONUS_follow', 'bonus_referral', 'purchase', 'admin_manual', { like: 'bonus_%' }, '']) {
+    const res = await enter({ email: 'ann@example.com', source });
+    assert.equal(res.statusCode, 400, `source ${JSON.stringify(source)} was accepted`);
+    assert.equal(res.body.message, 'Invalid entry source');
+  }
+  assert.equal(supabase.rows('entries').length, 0);
+});
+
+test('a spoofed bonus source cannot get past the per-email limit', async () => {
+  assert.equal((await enter({ email: 'ann@example.com' })).statusCode, 201);
+
+  const spoofed = await enter({ email: 'ann@example.com', source: 'bonus_x' });
+  assert.equal(spoofed.statusCode, 400);
+
+  const again = await enter({ email: 'ann@example.com', source: 'direct' });
+  assert.equal(again.statusCode, 400);
+  assert.match(again.body.message, /Maximum entries per email/);
+  assert.equal(supabase.rows('entries').length, 1);
+});
+
+test('a spoofed bonus source cannot get past the per-IP limit', async () => {
+  assert.equal((await enter({ email: 'ann@example.com' })).statusCode, 201);
+  assert.equal((await enter({ email: 'bob@example.com' })).statusCode, 201);
+
+  const spoofed = await enter({ email: 'cat@example.com', source: 'bonus_share_link' });
+  assert.equal(spoofed.statusCode, 400);
+
+  const again = await enter({ email: 'cat@example.com' });
+  assert.equal(again.statusCode, 400);
+  assert.match(again.body.message, /Maximum entries per IP/);
+
+  assert.equal((await enter({ email: 'cat@example.com' }, '198.51.100.1')).statusCode, 201);
+});
+
+test('a forged X-Forwarded-For does not get past the per-IP limit', async () => {
+  assert.equal((await enter({ email: 'ann@example.com' })).statusCode, 201);
+  assert.equal((await enter({ email: 'bob@example.com' })).statusCode, 201);
+
+  const forged = await enter({ email: 'cat@example.com' }, '203.0.113.7', { 'x-forwarded-for': '192.0.2.44' });
+  assert.equal(forged.statusCode, 400);
+  assert.match(forged.body.message, /Maximum entries per IP/);
+  assert.equal(supabase.rows('entries').every(entry => entry.metadata.ip_address === '203.0.113.7'), true);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeEntryRules,
+  getPromoEntryRules,
+  matchesProductRule,
+  calculateOrderEntries,
+  getEntriesForNetAmount
+} = require('../src/utils/entryRulesUtils');
+
+const rulesPromo = (rules, extra = {}) => ({ entries_per_dollar: 1, entry_rules: normalizeEntryRules(rules).rules, ...extra });
+
+const order = (lineItems, extra = {}) => ({
+  totalPrice: 0,
+  totalShipping: 0,
+  totalTax: 0,
+  taxesIncluded: false,
+  lineItems,
+  ...extra
+});
+
+const mixedOrder = order([
+  { id: 1, title: 'Tee', sku: 'tee-01', price: 20, quantity: 2 },
+  { id: 2, title: 'Mug', productId: 777, price: 15, quantity: 1, discount: 5 },
+  { id: 3, title: 'Gift card', price: 25, quantity: 1, giftCard: true },
+  { id: 4, title: 'Sticker', price: 9.99, quantity: 1 }
+], { totalShipping: 5, totalTax: 3 });
+
+const mixedRules = {
+  excludeGiftCards: true,
+  excludeShipping: true,
+  productRules: [
+    { type: 'per_unit', skus: ['TEE-01'], entriesPerUnit: 5 },
+    { type: 'multiplier', productIds: ['777'], multiplier: 2 },
+    { type: 'multiplier', collectionId: '4242', productIds: ['777'], multiplier: 3 }
+  ]
+};
+
+test('without rules an order earns its total times entries_per_dollar, rounded down', () => {
+  assert.equal(calculateOrderEntries({ entries_per_dollar: 2 }, order([], { totalPrice: 10.75 })).entries, 21);
+
+  const { entries, calculation } = calculateOrderEntries({}, order([], { totalPrice: 42.5 }));
+  assert.equal(entries, 42);
+  assert.deepEqual(calculation, { method: 'flat', entriesPerDollar: 1, qualifyingAmount: 42.5, entries: 42 });
+});
+
+test('per-unit, multiplier and excluded lines each earn by their own rule', () => {
+  const { entries, calculation } = calculateOrderEntries(rulesPromo(mixedRules), mixedOrder);
+
+  // 2 tees x 5 + (mug 10 x 3 + sticker 9.99 + tax 3) dollar entries
+  assert.equal(entries, 52);
+  assert.equal(calculation.unitEntries, 10);
+  assert.equal(calculation.dollarEntries, 42.99);
+  assert.equal(calculation.qualifyingAmount, 62.99);
+  assert.deepEqual(calculation.excluded, { giftCards: 25, shipping: 5, tax: 0 });
+  assert.deepEqual(calculation.lines.map(line => [line.title, line.entries, line.rule || line.excluded || null]), [
+    ['Tee', 10, '5 per unit of TEE-01'],
+    ['Mug', 30, '3x on collection 4242'],
+    ['Gift card', 0, 'gift_card'],
+    ['Sticker', 9.99, null]
+  ]);
+});
+
+test('an order below the minimum after exclusions earns nothing', () => {
+  const { entries, calculation } = calculateOrderEntries(rulesPromo({ ...mixedRules, minimumOrderAmount: 63 }), mixedOrder);
+
+  assert.equal(entries, 0);
+  assert.equal(calculation.belowMinimum, true);
+  assert.equal(calculation.qualifyingAmount, 62.99);
+  assert.equal(calculateOrderEntries(rulesPromo({ ...mixedRules, minimumOrderAmount: 62.99 }), mixedOrder).entries, 52);
+});
+
+test('excluded tax is taken out of tax-inclusive prices and left out of tax-exclusive ones', () => {
+  const taxRules = rulesPromo({ excludeTax: true });
+  const inclusive = calculateOrderEntries(taxRules, order([{ price: 22, quantity: 1 }], { totalTax: 2, taxesIncluded: true }));
+  const exclusive = calculateOrderEntries(taxRules, order([{ price: 20, quantity: 1 }], { totalTax: 2 }));
+
+  assert.deepEqual([inclusive.entries, inclusive.calculation.qualifyingAmount], [20, 20]);
+  assert.deepEqual([exclusive.entries, exclusive.calculation.qualifyingAmount], [20, 20]);
+  assert.equal(calculateOrderEntries(rulesPromo({}), order([{ price: 20, quantity: 1 }], { totalTax: 2, totalShipping: 4 })).entries, 26);
+});
+
+test('floating point error in line amounts does not cost an entry', () => {
+  const promo = rulesPromo({}, { entries_per_dollar: 100 });
+
+  assert.equal(calculateOrderEntries(promo, order([{ price: 1.15, quantity: 1 }])).entries, 115);
+  assert.equal(calculateOrderEntries(promo, order([{ price: 0.1, quantity: 3 }])).entries, 30);
+});
+
+test('product rules match SKUs case-insensitively and product IDs as strings', () => {
+  const rule = normalizeEntryRules({ productRules: [{ type: 'multiplier', skus: [' tee-01 '], productIds: [777], multiplier: 2 }] }).rules.productRules[0];
+
+  assert.equal(matchesProductRule(rule, { sku: 'Tee-01' }), true);
+  assert.equal(matchesProductRule(rule, { productId: 777 }), true);
+  assert.equal(matchesProductRule(rule, { sku: 'TEE-02', productId: 778 }), false);
+  assert.equal(matchesProductRule(rule, {}), false);
+});
+
+test('rules are normalized, and anything malformed is rejected with the rule it came from', () => {
+  assert.deepEqual(normalizeEntryRules(null), { rules: null, error: null });
+  assert.deepEqual(normalizeEntryRules({ minimumOrderAmount: '49.999', excludeTax: 'yes', productRules: [{ type: 'per_unit', skus: 'tee-01', entriesPerUnit: '5' }] }), {
+    rules: {
+      minimumOrderAmount: 50,
+      excludeGiftCards: false,
+      excludeShipping: false,
+      excludeTax: false,
+      productRules: [{ type: 'per_unit', skus: ['TEE-01'], productIds: [], collectionId: null, entriesPerUnit: 5 }]
+    },
+    error: null
+  });
+
+  const error = (rules) => normalizeEntryRules(rules).error;
+  assert.equal(error([]), 'Entry rules must be an object');
+  assert.match(error({ minimumOrderAmount: -1 }), /minimumOrderAmount/);
+  assert.match(error({ productRules: Array(51).fill({ type: 'per_unit', skus: ['A'], entriesPerUnit: 1 }) }), /at most 50 rules/);
+  assert.match(error({ productRules: [{ type: 'bonus', skus: ['A'] }] }), /^Product rule 1: type/);
+  assert.match(error({ productRules: [{ type: 'per_unit', entriesPerUnit: 1 }] }), /skus, productIds or collectionId is required/);
+  assert.match(error({ productRules: [{ type: 'multiplier', skus: ['A'], multiplier: 2 }, { type: 'per_unit', skus: ['B'], entriesPerUnit: 0 }] }), /^Product rule 2: entriesPerUnit/);
+  assert.match(error({ productRules: [{ type: 'multiplier', skus: ['A'], multiplier: 101 }] }), /multiplier must be/);
+});
+
+test('only an object entry_rules column switches a promo to rules', () => {
+  assert.equal(getPromoEntryRules({ entry_rules: null }), null);
+  assert.equal(getPromoEntryRules({ entry_rules: [] }), null);
+  assert.deepEqual(getPromoEntryRules({ entry_rules: { productRules: [] } }), { productRules: [] });
+});
+
+test('refunds shrink rule-based entries in proportion and recompute flat ones', () => {
+  const { calculation } = calculateOrderEntries(rulesPromo(mixedRules), mixedOrder);
+
+  assert.equal(getEntriesForNetAmount(calculation, 100, 50, 1), 26);
+  assert.equal(getEntriesForNetAmount(calculation, 0, 0, 1), 0);
+  assert.equal(getEntriesForNetAmount({ method: 'flat' }, 100, 60.5, 2), 121);
+  assert.equal(getEntriesForNetAmount(undefined, 100, 60.5, 1), 60);
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+const { getFraudStatusForScore, isDisposableEmail, isDrawEligible } = require('../src/utils/fraudUtils');
+
+const supabase = useFakeSupabase();
+const { assessEntry, rescoreCustomerEntries, listReviewQueue, reviewEntry } = require('../src/services/fraudService');
+
+const REVIEWER = 'admin-1';
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const entry = (id, extra = {}) => ({
+  id,
+  promo_id: 'promo-1',
+  store_id: 'store-1',
+  customer_email: `${id}@example.com`,
+  hashed_email: `hash-${id}`,
+  entry_count: 1,
+  status: 'active',
+  source: 'direct',
+  metadata: { ip_address: '203.0.113.7', user_agent: 'Mozilla/5.0' },
+  created_at: minutesAgo(1),
+  ...extra
+});
+
+const order = (id, orderTotal, extra = {}) => entry(id, {
+  customer_email: 'buyer@example.com',
+  hashed_email: 'hash-buyer',
+  source: 'purchase',
+  order_id: `order-${id}`,
+  order_total: orderTotal,
+  metadata: {},
+  ...extra
+});
+
+const assess = async (row) => {
+  supabase.rows('entries').push(row);
+  return assessEntry({ client: supabase, entry: row });
+};
+
+const codes = (result) => result.signals.map(s => s.code);
+
+test.beforeEach(() => {
+  delete process.env.FRAUD_SCORING_ENABLED;
+  delete process.env.FRAUD_FLAG_SCORE;
+  delete process.env.FRAUD_QUARANTINE_SCORE;
+  delete process.env.FRAUD_DISPOSABLE_DOMAINS;
+  supabase.seed('entries', []);
+  supabase.seed('winners', []);
+  supabase.seed('fraud_reviews', []);
+});
+
+test('scores at the flag and quarantine thresholds move the entry up a status', () => {
+  assert.equal(getFraudStatusForScore(29), 'clear');
+  assert.equal(getFraudStatusForScore(30), 'flagged');
+  assert.equal(getFraudStatusForScore(59), 'flagged');
+  assert.equal(getFraudStatusForScore(60), 'quarantined');
+
+  process.env.FRAUD_FLAG_SCORE = '50';
+  process.env.FRAUD_QUARANTINE_SCORE = 'not-a-number';
+  assert.equal(getFraudStatusForScore(35), 'clear');
+  assert.equal(getFraudStatusForScore(60), 'quarantined');
+
+  assert.equal(isDrawEligible({ fraud_status: 'flagged' }), true);
+  assert.equal(isDrawEligible({ fraud_status: null }), true);
+  assert.equal(isDrawEligible({ fraud_status: 'quarantined' }), false);
+  assert.equal(isDrawEligible({ fraud_status: 'rejected' }), false);
+});
+
+test('disposable inboxes are recognised, including domains added through the environment', () => {
+  assert.equal(isDisposableEmail('Someone@Mailinator.com '), true);
+  assert.equal(isDisposableEmail('someone@example.com'), false);
+
+  process.env.FRAUD_DISPOSABLE_DOMAINS = 'burner.test, example.org';
+  assert.equal(isDisposableEmail('someone@example.org'), true);
+});
+
+test('a clean entry is stored as clear with no signals', async () => {
+  const result = await assess(entry('ann'));
+
+  assert.deepEqual(result, { score: 0, status: 'clear', signals: [] });
+  const [row] = supabase.rows('entries');
+  assert.equal(row.fraud_status, 'clear');
+  assert.equal(row.fraud_score, 0);
+  assert.ok(row.fraud_checked_at);
+});
+
+test('a disposable email alone is flagged and an alias on top quarantines', async () => {
+  const flagged = await assess(entry('burner', { customer_email: 'burner@mailinator.com' }));
+  assert.deepEqual([flagged.score, flagged.status], [50, 'flagged']);
+
+  supabase.seed('entries', [entry('ann', { customer_email: 'ann@example.com', hashed_email: 'hash-ann' })]);
+  const quarantined = await assess(entry('alias', { customer_email: 'ann+promo@mailinator.com', hashed_email: 'hash-ann' }));
+  assert.deepEqual(codes(quarantined), ['disposable_email', 'email_alias']);
+  assert.deepEqual([quarantined.score, quarantined.status], [85, 'quarantined']);
+});
+
+test('more entries from one IP than the limit within the window is a signal', async () => {
+  supabase.seed('entries', [
+    ...[1, 2, 3, 4].map(n => entry(`recent-${n}`)),
+    entry('old', { created_at: minutesAgo(90) })
+  ]);
+
+  const atLimit = await assess(entry('fifth'));
+  assert.deepEqual(atLimit.signals, []);
+
+  const overLimit = await assess(entry('sixth'));
+  assert.deepEqual(codes(overLimit), ['ip_velocity']);
+  assert.deepEqual([overLimit.score, overLimit.status], [35, 'flagged']);
+});
+
+test('purchase entries are scored on small orders and refund history', async () => {
+  supabase.seed('entries', [
+    order('a', 4.99),
+    order('b', 2),
+    order('c', 50, { status: 'voided', created_at: minutesAgo(2 * 24 * 60) }),
+    order('d', 20, { metadata: { refunds: { r1: 20 } } })
+  ]);
+
+  const result = await assess(order('e', 5));
+
+  assert.deepEqual(codes(result), ['small_orders', 'refund_history']);
+  assert.deepEqual([result.score, result.status], [65, 'quarantined']);
+});
+
+test('a rescore keeps the reviewer\'s decision', async () => {
+  supabase.seed('entries', [
+    order('a', 1, { fraud_status: 'approved' }),
+    order('b', 1),
+    order('c', 1, { status: 'voided', metadata: { refunds: { r1: 1 } } }),
+    order('d', 1, { metadata: { refunds: { r1: 1 } } })
+  ]);
+
+  const rescored = await rescoreCustomerEntries({ client: supabase, storeId: 'store-1', hashedEmail: 'hash-buyer' });
+
+  assert.equal(rescored, 3);
+  const status = (id) => supabase.rows('entries').find(e => e.id === id).fraud_status;
+  assert.equal(status('a'), 'approved');
+  assert.equal(status('b'), 'quarantined');
+  assert.equal(status('c'), undefined);
+});
+
+test('scoring can be switched off and never blocks an entry when it fails', async () => {
+  process.env.FRAUD_SCORING_ENABLED = 'false';
+  assert.equal(await assess(entry('off')), null);
+
+  delete process.env.FRAUD_SCORING_ENABLED;
+  supabase.failNext('entries', 'select');
+  assert.equal(await assess(entry('failing')), null);
+});
+
+test('the review queue lists flagged and quarantined entries, highest score first', async () => {
+  supabase.seed('promos', [{ id: 'promo-1', title: 'Spring Giveaway' }]);
+  supabase.seed('entries', [
+    entry('clear', { fraud_status: 'clear', fraud_score: 0 }),
+    entry('flagged', { fraud_status: 'flagged', fraud_score: 35 }),
+    entry('quarantined', { fraud_status: 'quarantined', fraud_score: 85 }),
+    entry('other-store', { fraud_status: 'flagged', fraud_score: 50, store_id: 'store-2' })
+  ]);
+
+  const queue = await listReviewQueue({ client: supabase, storeIds: ['store-1'] });
+
+  assert.deepEqual(queue.map(e => e.id), ['quarantined', 'flagged']);
+  assert.equal(queue[0].promos.title, 'Spring Giveaway');
+});
+
+test('rejecting an entry forfeits its unclaimed winners, including ones with no status yet', async () => {
+  supabase.seed('entries', [entry('ann', { fraud_status: 'flagged', fraud_score: 35 })]);
+  supabase.seed('winners', [
+    { id: 'winner-1', entry_id: 'ann', promo_id: 'promo-1', claimed: false, status: null },
+    { id: 'winner-2', entry_id: 'ann', promo_id: 'promo-1', claimed: true, status: 'claimed' },
+    { id: 'winner-3', entry_id: 'ann', promo_id: 'promo-1', claimed: false, status: 'forfeited' }
+  ]);
+
+  const result = await reviewEntry({ client: supabase, entryId: 'ann', decision: 'reject', note: 'Same household', reviewedBy: REVIEWER });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.forfeitedWinnerIds, ['winner-1']);
+  assert.equal(supabase.rows('winners')[0].forfeit_reason, 'ineligible');
+  assert.equal(supabase.rows('winners')[1].status, 'claimed');
+
+  const [review] = supabase.rows('fraud_reviews');
+  assert.deepEqual(
+    [review.decision, review.previous_status, review.fraud_score, review.note, review.reviewed_by],
+    ['rejected', 'flagged', 35, 'Same household', REVIEWER]
+  );
+});
+
+test('reviews outside the reviewer\'s stores or with an unknown decision are refused', async () => {
+  supabase.seed('entries', [entry('ann', { fraud_status: 'flagged' })]);
+
+  const review = (options) => reviewEntry({ client: supabase, entryId: 'ann', reviewedBy: REVIEWER, ...options });
+
+  assert.equal((await review({ decision: 'ban' })).status, 400);
+  assert.equal((await review({ decision: 'approve', storeIds: ['store-2'] })).status, 404);
+  assert.equal((await review({ decision: 'approve', entryId: 'missing' })).status, 404);
+  assert.equal(supabase.rows('entries')[0].fraud_status, 'flagged');
+  assert.equal(supabase.rows('fraud_reviews').length, 0);
+});
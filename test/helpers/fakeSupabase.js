@@ -0,0 +1,534 @@
+/**
+ * In-memory stand-in for the Supabase client, for service and controller tests
+ *
+ * Supports the query builder calls the app makes: select (with embedded
+ * relations such as `promos(title)` or `stores!inner(user_id)`), insert,
+ * update, upsert and delete, the usual filters including PostgREST `or()`
+ * strings, order / limit / range, count and single / maybeSingle, plus
+ * auth.admin.getUserById over a `users` table. NULLs behave as in Postgres:
+ * `eq`, `neq`, `lt`... never match a NULL column.
+ *
+ * useFakeSupabase() swaps it in for src/config/supabase.js, so call it before
+ * requiring anything that imports the client.
+ */
+
+const path = require('path');
+
+const SUPABASE_CONFIG_PATH = path.resolve(__dirname, '../../src/config/supabase.js');
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// entries -> entry, promos -> promo
+const singular = (table) => (table.endsWith('ies') ? `${table.slice(0, -3)}y` : table.replace(/s$/, ''));
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ */
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    }
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+};
+
+const unquote = (value) => (value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value);
+
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+const compare = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const likeToRegExp = (pattern, flags) => {
+  const source = String(pattern)
+    .split('%')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '.'))
+    .join('.*');
+  return new RegExp(`^${source}$`, flags);
+};
+
+const containsValue = (actual, expected) => {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(item => actual.some(value => containsValue(value, item)));
+  }
+  if (expected && typeof expected === 'object') {
+    return Boolean(actual) && typeof actual === 'object'
+      && Object.entries(expected).every(([key, value]) => containsValue(actual[key], value));
+  }
+  return String(actual) === String(expected);
+};
+
+// Each operator returns true, false, or null (SQL unknown) for a NULL column
+const OPERATORS = {
+  eq: (actual, value) => (actual == null ? null : String(actual) === String(value)),
+  neq: (actual, value) => (actual == null ? null : String(actual) !== String(value)),
+  gt: (actual, value) => (actual == null ? null : compare(actual, value) > 0),
+  gte: (actual, value) => (actual == null ? null : compare(actual, value) >= 0),
+  lt: (actual, value) => (actual == null ? null : compare(actual, value) < 0),
+  lte: (actual, value) => (actual == null ? null : compare(actual, value) <= 0),
+  like: (actual, value) => (actual == null ? null : likeToRegExp(value).test(String(actual))),
+  ilike: (actual, value) => (actual == null ? null : likeToRegExp(value, 'i').test(String(actual))),
+  in: (actual, values) => (actual == null ? null : values.map(String).includes(String(actual))),
+  is: (actual, value) => {
+    if (value === null || value === 'null') {
+      return actual == null;
+    }
+    return actual === (value === true || value === 'true');
+  },
+  contains: (actual, value) => (actual == null ? null : containsValue(actual, value))
+};
+
+const readPath = (row, column) => column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+
+// JSON paths: payload->key reads a JSON value, payload->>key reads it as text
+const readColumn = (row, column) => {
+  const [path, ...keys] = column.split(/->>?/);
+  if (keys.length === 0) {
+    return readPath(row, column);
+  }
+  const value = keys.reduce((json, key) => (json == null ? undefined : json[key]), readPath(row, path));
+  return column.includes('->>') && value != null && typeof value !== 'string' ? JSON.stringify(value) : value;
+};
+
+const condition = (column, operator, value, negate = false) => (row) => {
+  const result = OPERATORS[operator](readColumn(row, column), value);
+  return result === null ? null : negate ? !result : result;
+};
+
+/**
+ * Parse a PostgREST logic string, e.g. "status.is.null,and(status.eq.running,locked_at.lt.x)"
+ */
+const parseLogic = (text, combine = 'or') => {
+  const terms = splitTopLevel(text).map(term => {
+    const nested = term.match(/^(and|or)\((.*)\)$/);
+    if (nested) {
+      return parseLogic(nested[2], nested[1]);
+    }
+
+    const [column, ...rest] = term.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+    const operator = rest.shift();
+    const raw = rest.join('.');
+    const value = operator === 'in'
+      ? splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote)
+      : unquote(raw);
+    if (!OPERATORS[operator]) {
+      throw new Error(`fakeSupabase: unsupported operator "${operator}" in "${term}"`);
+    }
+    return condition(column, operator, value, negate);
+  });
+
+  return (row) => (combine === 'or'
+    ? terms.some(term => term(row) === true)
+    : terms.every(term => term(row) === true));
+};
+
+/**
+ * Parse a select list into the embedded relations it asks for
+ */
+const parseEmbeds = (columns = '*') => {
+  return splitTopLevel(columns.replace(/\s+/g, ' ')).flatMap(part => {
+    const match = part.match(/^(?:(\w+):)?(\w+)(!inner)?\((.*)\)$/s);
+    if (!match) {
+      return [];
+    }
+    return [{ alias: match[1] || match[2], table: match[2], inner: Boolean(match[3]), embeds: parseEmbeds(match[4]) }];
+  });
+};
+
+const createFakeSupabase = ({ tables = {}, unique = {} } = {}) => {
+  const db = {
+    tables: {},
+    unique: { ...unique },
+    failures: [],
+    nextId: 1
+  };
+
+  const rowsOf = (table) => {
+    if (!db.tables[table]) {
+      db.tables[table] = [];
+    }
+    return db.tables[table];
+  };
+
+  const embed = (table, row, embeds) => {
+    const result = clone(row);
+    for (const relation of embeds) {
+      const foreignKey = `${singular(relation.table)}_id`;
+      if (foreignKey in row) {
+        const related = rowsOf(relation.table).find(candidate => String(candidate.id) === String(row[foreignKey]));
+        result[relation.alias] = related ? embed(relation.table, related, relation.embeds) : null;
+      } else {
+        const backKey = `${singular(table)}_id`;
+        result[relation.alias] = rowsOf(relation.table)
+          .filter(candidate => String(candidate[backKey]) === String(row.id))
+          .map(candidate => embed(relation.table, candidate, relation.embeds));
+      }
+    }
+    return result;
+  };
+
+  const conflictsWith = (table, row, ignore) => {
+    return (db.unique[table] || []).some(columns => rowsOf(table).some(existing => (
+      existing !== ignore && columns.every(column => row[column] != null && String(existing[column]) === String(row[column]))
+    )));
+  };
+
+  const takeFailure = (table, operation) => {
+    const index = db.failures.findIndex(failure => failure.table === table && failure.operation === operation);
+    return index === -1 ? null : db.failures.splice(index, 1)[0].error;
+  };
+
+  const withDefaults = (table, row) => ({
+    id: `${singular(table)}-${db.nextId++}`,
+    created_at: new Date().toISOString(),
+    ...clone(row)
+  });
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.operation = 'select';
+      this.predicates = [];
+      this.orders = [];
+      this.embeds = [];
+      this.returning = false;
+      this.countMode = null;
+      this.head = false;
+      this.singleMode = null;
+      this.window = null;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+      if (this.operation === 'select') {
+        this.countMode = count;
+        this.head = head;
+      } else {
+        this.returning = true;
+      }
+      this.embeds = parseEmbeds(columns);
+      return this;
+    }
+
+    insert(rows) {
+      this.operation = 'insert';
+      this.payload = rows;
+      return this;
+    }
+
+    upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      this.operation = 'upsert';
+      this.payload = rows;
+      this.conflictColumns = onConflict.split(',').map(column => column.trim());
+      this.ignoreDuplicates = ignoreDuplicates;
+      return this;
+    }
+
+    update(patch) {
+      this.operation = 'update';
+      this.payload = patch;
+      return this;
+    }
+
+    delete({ count = null } = {}) {
+      this.operation = 'delete';
+      this.countMode = count;
+      return this;
+    }
+
+    where(predicate) {
+      this.predicates.push(predicate);
+      return this;
+    }
+
+    eq(column, value) { return this.where(condition(column, 'eq', value)); }
+    neq(column, value) { return this.where(condition(column, 'neq', value)); }
+    gt(column, value) { return this.where(condition(column, 'gt', value)); }
+    gte(column, value) { return this.where(condition(column, 'gte', value)); }
+    lt(column, value) { return this.where(condition(column, 'lt', value)); }
+    lte(column, value) { return this.where(condition(column, 'lte', value)); }
+    like(column, value) { return this.where(condition(column, 'like', value)); }
+    ilike(column, value) { return this.where(condition(column, 'ilike', value)); }
+    in(column, values) { return this.where(condition(column, 'in', values)); }
+    is(column, value) { return this.where(condition(column, 'is', value)); }
+    contains(column, value) { return this.where(condition(column, 'contains', value)); }
+    or(text) { return this.where(parseLogic(text)); }
+
+    not(column, operator, value) {
+      const values = operator === 'in' && typeof value === 'string'
+        ? splitTopLevel(value.replace(/^\(|\)$/g, '')).map(unquote)
+        : value;
+      return this.where(condition(column, operator, values, true));
+    }
+
+    filter(column, operator, value) {
+      return operator.startsWith('not.')
+        ? this.not(column, operator.slice(4), value)
+        : this.where(condition(column, operator, value));
+    }
+
+    match(values) {
+      Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+      return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.orders.push({ column, ascending });
+      return this;
+    }
+
+    limit(count) {
+      this.window = { from: 0, to: count - 1 };
+      return this;
+    }
+
+    range(from, to) {
+      this.window = { from, to };
+      return this;
+    }
+
+    single() {
+      this.singleMode = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.singleMode = 'maybe';
+      return this;
+    }
+
+    matches(row) {
+      const view = this.embeds.length > 0 ? embed(this.table, row, this.embeds) : row;
+      const innerMissing = this.embeds.some(relation => relation.inner && (
+        Array.isArray(view[relation.alias]) ? view[relation.alias].length === 0 : !view[relation.alias]
+      ));
+      return !innerMissing && this.predicates.every(predicate => predicate(view) === true);
+    }
+
+    run() {
+      const failure = takeFailure(this.table, this.operation);
+      if (failure) {
+        return { data: null, error: failure, count: null };
+      }
+
+      const table = rowsOf(this.table);
+      let rows;
+      let count = null;
+
+      if (this.operation === 'insert') {
+        const incoming = (Array.isArray(this.payload) ? this.payload : [this.payload]).map(row => withDefaults(this.table, row));
+        for (let i = 0; i < incoming.length; i++) {
+          if (conflictsWith(this.table, incoming[i]) || incoming.slice(0, i).some(row => (db.unique[this.table] || []).some(columns => (
+            columns.every(column => row[column] != null && String(row[column]) === String(incoming[i][column]))
+          )))) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` }, count: null };
+          }
+        }
+        table.push(...incoming);
+        rows = incoming;
+      } else if (this.operation === 'upsert') {
+        rows = [];
+        for (const row of Array.isArray(this.payload) ? this.payload : [this.payload]) {
+          const existing = table.find(candidate => this.conflictColumns.every(column => String(candidate[column]) === String(row[column])));
+          if (!existing) {
+            const inserted = withDefaults(this.table, row);
+            table.push(inserted);
+            rows.push(inserted);
+          } else if (!this.ignoreDuplicates) {
+            Object.assign(existing, clone(row));
+            rows.push(existing);
+          }
+        }
+      } else {
+        rows = table.filter(row => this.matches(row));
+
+        if (this.operation === 'update') {
+          rows.forEach(row => Object.assign(row, clone(this.payload)));
+        } else if (this.operation === 'delete') {
+          db.tables[this.table] = table.filter(row => !rows.includes(row));
+        }
+      }
+
+      if (this.countMode) {
+        count = rows.length;
+      }
+
+      if (this.operation !== 'select' && !this.returning) {
+        return { data: null, error: null, count };
+      }
+
+      for (const { column, ascending } of [...this.orders].reverse()) {
+        rows = [...rows].sort((a, b) => {
+          if (a[column] == null || b[column] == null) {
+            return (a[column] == null) - (b[column] == null);
+          }
+          return ascending ? compare(a[column], b[column]) : compare(b[column], a[column]);
+        });
+      }
+      if (this.window) {
+        rows = rows.slice(this.window.from, this.window.to + 1);
+      }
+
+      let data = this.head ? null : rows.map(row => embed(this.table, row, this.embeds));
+
+      if (this.singleMode && !this.head) {
+        if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+          return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` }, count };
+        }
+        data = data[0] || null;
+      }
+
+      return { data, error: null, count };
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+  }
+
+  const client = {
+    from: (table) => new Query(table),
+
+    // Auth users are read from the `users` table
+    auth: {
+      admin: {
+        getUserById: async (id) => {
+          const user = rowsOf('users').find(row => row.id === id);
+          return user
+            ? { data: { user: clone(user) }, error: null }
+            : { data: { user: null }, error: { message: 'User not found', status: 404 } };
+        }
+      }
+    },
+
+    /**
+     * Replace a table's rows
+     */
+    seed(table, rows) {
+      db.tables[table] = rows.map(row => withDefaults(table, row));
+      return db.tables[table];
+    },
+
+    /**
+     * Current rows of a table (live objects)
+     */
+    rows(table) {
+      return rowsOf(table);
+    },
+
+    /**
+     * Make the next matching operation on a table fail with the given error
+     */
+    failNext(table, operation, error = { message: `${operation} on ${table} failed` }) {
+      db.failures.push({ table, operation, error });
+    },
+
+    /**
+     * Declare a unique constraint, e.g. unique('winners', ['promo_id', 'slot'])
+     */
+    unique(table, columns) {
+      db.unique[table] = [...(db.unique[table] || []), columns];
+    }
+  };
+
+  Object.entries(tables).forEach(([table, rows]) => client.seed(table, rows));
+  return client;
+};
+
+/**
+ * Install a fake client in place of src/config/supabase.js
+ * Modules that build their own service-role client (supabaseAdmin) get the
+ * same fake from createClient.
+ * @returns {Object} - The fake client
+ */
+const useFakeSupabase = (options) => {
+  const supabase = createFakeSupabase(options);
+  require.cache[SUPABASE_CONFIG_PATH] = {
+    id: SUPABASE_CONFIG_PATH,
+    filename: SUPABASE_CONFIG_PATH,
+    loaded: true,
+    exports: { supabase, testConnection: async () => {} }
+  };
+  require('@supabase/supabase-js').createClient = () => supabase;
+  return supabase;
+};
+
+/**
+ * Minimal Express request/response pair for calling a controller directly
+ */
+const createHttpPair = (request = {}) => {
+  const req = { body: {}, params: {}, query: {}, headers: {}, ip: '127.0.0.1', ...request };
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    setHeader() {
+      return this;
+    }
+  };
+  return { req, res };
+};
+
+/**
+ * Record outgoing emails instead of sending them
+ * @returns {Array} - { to, subject, html } per email, in send order
+ */
+const recordEmails = () => {
+  const emailService = require('../../src/services/emailService');
+  const sent = [];
+  emailService.sendEmail = async (to, subject, html) => {
+    sent.push({ to, subject, html });
+    return { success: true, messageId: `message-${sent.length}` };
+  };
+  return sent;
+};
+
+module.exports = {
+  createFakeSupabase,
+  useFakeSupabase,
+  createHttpPair,
+  recordEmails
+};
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+
+process.env.FRAUD_SCORING_ENABLED = 'false';
+process.env.BACKFILL_PAGE_SIZE = '2';
+process.env.SHOPIFY_MAX_RETRIES = '0';
+const supabase = useFakeSupabase();
+const { Scheduler } = require('../src/services/scheduler');
+const { MemoryJobStore } = require('../src/services/jobStores');
+const { startOrderBackfill, importOrder, registerOrderBackfillJobs } = require('../src/services/orderBackfillService');
+
+const SHOP = 'shop.myshopify.com';
+
+// Stub Admin API: /orders.json pages through `orders` by since_id, or answers `failWith`
+let server;
+let orders;
+let failWith;
+let pageRequests;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const query = new URL(req.url, 'http://stub').searchParams;
+    pageRequests.push(query.get('since_id'));
+
+    if (failWith) {
+      res.writeHead(failWith, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ errors: 'Unavailable' }));
+      return;
+    }
+
+    const page = orders
+      .filter(order => order.id > Number(query.get('since_id')))
+      .slice(0, Number(query.get('limit')));
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ orders: page }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SHOPIFY_API_HOST = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const order = (id, extra = {}) => ({
+  id,
+  order_number: id,
+  email: `buyer${id}@example.com`,
+  total_price: '10.00',
+  currency: 'USD',
+  financial_status: 'paid',
+  created_at: '2026-03-02T10:00:00Z',
+  line_items: [],
+  ...extra
+});
+
+const promo = () => supabase.rows('promos')[0];
+const backfill = () => supabase.rows('order_backfills')[0];
+const purchaseEntries = () => supabase.rows('entries').filter(entry => entry.source === 'purchase');
+
+// A scheduler on an in-memory job store, as the app runs the backfill jobs
+let scheduler;
+
+const start = () => startOrderBackfill({ client: supabase, promo: promo(), requestedBy: 'user-1' });
+
+const runTicks = async (ticks) => {
+  for (let i = 0; i < ticks; i++) {
+    await scheduler.tick();
+  }
+};
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  orders = [101, 102, 103, 104, 105].map(id => order(id));
+  orders[3].cancelled_at = '2026-03-03T10:00:00Z';
+  failWith = null;
+  pageRequests = [];
+
+  scheduler = new Scheduler({ name: 'Test', store: new MemoryJobStore() });
+  registerOrderBackfillJobs(scheduler, supabase);
+
+  supabase.seed('stores', [{ id: 'store-1', shopify_domain: SHOP, shopify_access_token: 'shpat_test' }]);
+  supabase.seed('promos', [{
+    id: 'promo-1',
+    store_id: 'store-1',
+    status: 'active',
+    enable_purchase_entries: true,
+    entries_per_dollar: 1,
+    max_entries_per_email: 1000,
+    start_date: '2026-03-01T00:00:00Z',
+    end_date: '2999-01-01T00:00:00Z'
+  }]);
+  supabase.seed('shopify_shops', [{ id: 'shop-1', store_id: 'store-1', shop_domain: SHOP }]);
+  // Order 102 was delivered by the webhook
+  supabase.seed('purchases', [{ id: 'purchase-102', shopify_shop_id: 'shop-1', shopify_order_id: '102' }]);
+  supabase.seed('entries', []);
+  supabase.seed('entry_adjustments', []);
+  supabase.seed('winners', []);
+  supabase.seed('order_backfills', []);
+});
+
+test('a backfill covers the promo window and only one runs at a time', async () => {
+  const result = await start();
+
+  assert.equal(result.success, true);
+  assert.equal(result.backfill.status, 'queued');
+  assert.equal(result.backfill.created_at_min, '2026-03-01T00:00:00.000Z');
+  assert.equal(result.backfill.created_at_max, null);
+  assert.equal((await start()).status, 409);
+
+  promo().enable_purchase_entries = false;
+  assert.equal((await start()).status, 400);
+});
+
+test('bad windows and disconnected stores are refused', async () => {
+  const refuse = async (options) => (await startOrderBackfill({ client: supabase, promo: promo(), ...options })).message;
+
+  assert.equal(await refuse({ createdAtMin: 'yesterday' }), 'Invalid date: yesterday');
+  assert.equal(await refuse({ createdAtMin: '2026-03-05', createdAtMax: '2026-03-04' }), 'The start of the window must be before its end');
+
+  supabase.rows('stores')[0].shopify_access_token = null;
+  assert.equal(await refuse({}), 'Connect your Shopify store to import orders');
+  assert.equal(supabase.rows('order_backfills').length, 0);
+});
+
+test('pages are imported oldest first, skipping delivered and cancelled orders', async () => {
+  await start();
+  await runTicks(5);
+
+  assert.deepEqual(pageRequests, ['0', '102', '104']);
+  assert.equal(backfill().status, 'completed');
+  assert.equal(backfill().cursor, '105');
+  assert.deepEqual(
+    [backfill().orders_scanned, backfill().orders_imported, backfill().orders_skipped, backfill().entries_created],
+    [5, 3, 2, 3]
+  );
+  assert.deepEqual(purchaseEntries().map(entry => entry.order_id), ['101', '103', '105']);
+  assert.deepEqual(supabase.rows('purchases').map(purchase => purchase.shopify_order_id).sort(), ['101', '102', '103', '105']);
+});
+
+test('a second backfill over the same window imports nothing twice', async () => {
+  await start();
+  await runTicks(5);
+
+  const again = await start();
+  await runTicks(5);
+
+  const second = supabase.rows('order_backfills').find(row => row.id === again.backfill.id);
+  assert.equal(second.status, 'completed');
+  assert.deepEqual([second.orders_imported, second.orders_skipped, second.entries_created], [0, 5, 0]);
+  assert.equal(purchaseEntries().length, 3);
+});
+
+test('a page job that runs again after the cursor moved is skipped', async () => {
+  await start();
+  await runTicks(1);
+
+  const handler = scheduler.handlers.get('backfill_orders');
+  const replay = await handler({ backfillId: backfill().id, cursor: null });
+
+  assert.deepEqual(replay, { skipped: true, reason: 'Page already imported' });
+  assert.deepEqual(pageRequests, ['0']);
+  assert.equal(backfill().orders_scanned, 2);
+});
+
+test('importing an order the webhook already awarded adds no entries', async () => {
+  const store = supabase.rows('stores')[0];
+
+  assert.equal(await importOrder(supabase, store, promo(), order(201)), 1);
+  assert.equal(await importOrder(supabase, store, promo(), order(201)), 0);
+  assert.equal(purchaseEntries().length, 1);
+});
+
+test('refunds on an imported order are applied to its entries', async () => {
+  const store = supabase.rows('stores')[0];
+  const refunded = order(202, {
+    total_price: '40.00',
+    refunds: [{ id: 9, transactions: [{ kind: 'refund', status: 'success', amount: '15.00' }] }]
+  });
+
+  await importOrder(supabase, store, promo(), refunded);
+
+  const [entry] = purchaseEntries();
+  assert.equal(entry.entry_count, 25);
+  assert.equal(supabase.rows('entry_adjustments')[0].reason, 'refund');
+});
+
+test('failed pages are retried under a new job key and the backfill gives up after five in a row', async () => {
+  await start();
+  failWith = 401;
+  await runTicks(3);
+
+  assert.equal(backfill().status, 'running');
+  assert.equal(backfill().consecutive_failures, 3);
+  assert.match(backfill().last_error, /^Failed to fetch orders/);
+  assert.deepEqual([...scheduler.store.jobs.keys()].slice(-1), [`backfill_orders:${backfill().id}:start:2`]);
+
+  failWith = null;
+  await runTicks(1);
+  assert.equal(backfill().consecutive_failures, 0);
+  assert.equal(backfill().cursor, '102');
+
+  failWith = 401;
+  await runTicks(6);
+  assert.equal(backfill().status, 'failed');
+  assert.equal(backfill().consecutive_failures, 5);
+  assert.equal(pageRequests.length, 9);
+});
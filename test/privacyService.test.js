@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+const { hashCanonicalEmail } = require('../src/utils/emailUtils');
+
+const supabase = useFakeSupabase();
+const {
+  collectEntrantData,
+  eraseEntrant,
+  exportCustomerData,
+  isEmailSuppressed,
+  unsubscribeEntrant,
+  createAccessLink,
+  redeemAccessLink
+} = require('../src/services/privacyService');
+
+// One Gmail mailbox entered in two stores under two spellings, plus another entrant
+const MANUAL_EMAIL = 'john.smith@gmail.com';
+const ORDER_EMAIL = 'John.Smith+shop@Gmail.com';
+
+const entry = (id, storeId, email, extra = {}) => ({
+  id,
+  store_id: storeId,
+  promo_id: `promo-${storeId}`,
+  customer_email: email,
+  hashed_email: hashCanonicalEmail(email),
+  entry_count: 1,
+  status: 'active',
+  consent_brand: true,
+  consent_rafl: true,
+  ...extra
+});
+
+test.beforeEach(() => {
+  supabase.seed('stores', [
+    { id: 'store-1', store_name: 'One', shopify_domain: 'shop-one.myshopify.com' },
+    { id: 'store-2', store_name: 'Two', shopify_domain: 'shop-two.myshopify.com' }
+  ]);
+  supabase.seed('shopify_shops', [{ id: 'shop-2', store_id: 'store-2' }]);
+  supabase.seed('promos', [
+    { id: 'promo-store-1', store_id: 'store-1', title: 'One Promo' },
+    { id: 'promo-store-2', store_id: 'store-2', title: 'Two Promo' }
+  ]);
+  supabase.seed('entries', [
+    entry('entry-manual', 'store-1', MANUAL_EMAIL, { source: 'direct' }),
+    entry('entry-order', 'store-2', ORDER_EMAIL, { source: 'purchase', order_id: '1001' }),
+    entry('entry-other', 'store-1', 'jane@example.com')
+  ]);
+  supabase.seed('consent_logs', [
+    { entry_id: 'entry-manual', ip_address: '203.0.113.7', user_agent: 'Firefox' },
+    { entry_id: 'entry-other', ip_address: '198.51.100.1', user_agent: 'Safari' }
+  ]);
+  supabase.seed('purchases', [
+    { id: 'purchase-1', shopify_shop_id: 'shop-2', shopify_order_id: '1001', customer_email: ORDER_EMAIL }
+  ]);
+  supabase.seed('winners', [
+    { id: 'winner-1', store_id: 'store-2', entry_id: 'entry-order', customer_email: ORDER_EMAIL, customer_name: 'John Smith' }
+  ]);
+  supabase.seed('winner_claims', [
+    { id: 'claim-1', store_id: 'store-2', winner_id: 'winner-1', email: ORDER_EMAIL, full_name: 'John Smith', phone: '555-0100' }
+  ]);
+  supabase.seed('waitlist', [{ email: MANUAL_EMAIL }, { email: 'jane@example.com' }]);
+  supabase.seed('email_suppressions', []);
+  supabase.seed('privacy_requests', []);
+  supabase.seed('referral_codes', []);
+  supabase.seed('bonus_action_completions', []);
+});
+
+test('an entrant export finds every alias of the address in every store', async () => {
+  const data = await collectEntrantData('JohnSmith@gmail.com');
+
+  assert.deepEqual(data.entries.map(e => e.id).sort(), ['entry-manual', 'entry-order']);
+  assert.deepEqual(data.purchases.map(p => p.id), ['purchase-1']);
+  assert.deepEqual(data.winners.map(w => w.id), ['winner-1']);
+  assert.deepEqual(data.winnerClaims.map(c => c.id), ['claim-1']);
+  assert.equal(data.consentLogs.length, 1);
+  assert.deepEqual(data.waitlist.map(w => w.email), [MANUAL_EMAIL]);
+  assert.deepEqual(data.promos.map(p => p.title).sort(), ['One Promo', 'Two Promo']);
+});
+
+test('an entrant erasure redacts every alias and leaves other entrants alone', async () => {
+  const { recordsAffected } = await eraseEntrant('JohnSmith@gmail.com');
+
+  assert.equal(recordsAffected.entries, 2);
+  assert.equal(recordsAffected.purchases, 1);
+  assert.equal(recordsAffected.winners, 1);
+  assert.equal(recordsAffected.winnerClaims, 1);
+  assert.equal(recordsAffected.waitlist, 1);
+
+  const [manual, order, other] = supabase.rows('entries');
+  for (const redacted of [manual, order]) {
+    assert.match(redacted.customer_email, /@redacted\.invalid$/);
+    assert.equal(redacted.status, 'redacted');
+  }
+  assert.equal(other.customer_email, 'jane@example.com');
+  assert.equal(supabase.rows('consent_logs').find(log => log.entry_id === 'entry-other').ip_address, '198.51.100.1');
+  assert.equal(supabase.rows('winner_claims')[0].phone, null);
+  assert.deepEqual(supabase.rows('waitlist').map(w => w.email), ['jane@example.com']);
+  assert.equal(await isEmailSuppressed('JohnSmith@gmail.com'), true);
+});
+
+test('a Shopify data request stays within the requesting store', async () => {
+  const { recordsAffected, request } = await exportCustomerData({
+    shopDomain: 'shop-two.myshopify.com',
+    customer: { email: 'johnsmith@googlemail.com' },
+    orderIds: [1001]
+  });
+
+  assert.equal(recordsAffected.entries, 1);
+  assert.equal(recordsAffected.purchases, 1);
+  assert.deepEqual(request.export_data.entries.map(e => e.id), ['entry-order']);
+});
+
+test('an unsubscribe covers every alias of the mailbox', async () => {
+  await unsubscribeEntrant('John.Smith+news@gmail.com');
+
+  assert.equal(await isEmailSuppressed('johnsmith@googlemail.com'), true);
+  assert.equal(await isEmailSuppressed('jane@example.com'), false);
+  assert.deepEqual(
+    supabase.rows('entries').map(e => [e.id, e.consent_rafl]),
+    [['entry-manual', false], ['entry-order', false], ['entry-other', true]]
+  );
+});
+
+test('an access link is redeemed once, under any alias of its address', async () => {
+  supabase.seed('privacy_links', []);
+  const link = await createAccessLink('John.Smith@gmail.com', { expiresAt: new Date(Date.now() + 60000) });
+
+  assert.equal(await redeemAccessLink(link.id, 'johnsmith@gmail.com'), true);
+  assert.equal(await redeemAccessLink(link.id, 'johnsmith@gmail.com'), false);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+const { hashCanonicalEmail } = require('../src/utils/emailUtils');
+
+const supabase = useFakeSupabase();
+const { getWebhookProcessor } = require('../src/services/webhookProcessors');
+
+const SHOP = 'gone.myshopify.com';
+const OTHER_SHOP = 'kept.myshopify.com';
+const EMAIL = 'ann@example.com';
+
+const perStore = (build) => ['store-1', 'store-2'].map((storeId, index) => build(storeId, index + 1));
+
+test.beforeEach(() => {
+  supabase.seed('stores', [
+    { id: 'store-1', store_name: 'Gone', shopify_domain: SHOP, shopify_access_token: 'shpat_gone' },
+    { id: 'store-2', store_name: 'Kept', shopify_domain: OTHER_SHOP, shopify_access_token: 'shpat_kept' }
+  ]);
+  supabase.seed('shopify_shops', perStore((storeId, n) => ({ id: `shop-${n}`, store_id: storeId })));
+  supabase.seed('entries', [
+    ...perStore((storeId, n) => ({
+      id: `entry-${n}`,
+      store_id: storeId,
+      customer_email: EMAIL,
+      hashed_email: hashCanonicalEmail(EMAIL),
+      order_id: `100${n}`,
+      status: 'active',
+      entry_count: 1
+    })),
+    { id: 'entry-3', store_id: 'store-1', customer_email: 'bob@example.com', hashed_email: hashCanonicalEmail('bob@example.com'), status: 'active', entry_count: 1 }
+  ]);
+  supabase.seed('consent_logs', perStore((storeId, n) => ({ entry_id: `entry-${n}`, ip_address: '203.0.113.7' })));
+  supabase.seed('purchases', perStore((storeId, n) => ({ id: `purchase-${n}`, shopify_shop_id: `shop-${n}`, shopify_order_id: `100${n}`, customer_email: EMAIL })));
+  supabase.seed('winners', perStore((storeId, n) => ({ id: `winner-${n}`, store_id: storeId, entry_id: `entry-${n}`, customer_email: EMAIL, customer_name: 'Ann' })));
+  supabase.seed('winner_claims', perStore((storeId, n) => ({ id: `claim-${n}`, store_id: storeId, winner_id: `winner-${n}`, email: EMAIL, full_name: 'Ann', phone: '555-0100' })));
+  supabase.seed('entry_adjustments', perStore(storeId => ({ store_id: storeId, entry_id: 'entry-1' })));
+  supabase.seed('bonus_action_completions', perStore(storeId => ({ store_id: storeId, customer_email: EMAIL })));
+  supabase.seed('referrals', perStore(storeId => ({ store_id: storeId, referred_email: EMAIL })));
+  supabase.seed('referral_codes', perStore((storeId, n) => ({ store_id: storeId, code: `ANN${n}`, customer_email: EMAIL })));
+  supabase.seed('fraud_reviews', perStore((storeId, n) => ({ store_id: storeId, entry_id: `entry-${n}`, note: 'Same card as Ann' })));
+  supabase.seed('order_backfills', perStore(storeId => ({ store_id: storeId, status: 'completed', last_error: null })));
+  supabase.seed('reconciliation_runs', perStore((storeId, n) => ({ store_id: storeId, issues: [{ orderId: `100${n}` }] })));
+  supabase.seed('privacy_links', [{ email_hash: hashCanonicalEmail(EMAIL) }, { email_hash: hashCanonicalEmail('bob@example.com') }, { email_hash: hashCanonicalEmail('cat@example.com') }]);
+  supabase.seed('privacy_requests', perStore(storeId => ({
+    store_id: storeId,
+    request_type: 'customers/data_request',
+    customer_email_hash: hashCanonicalEmail(EMAIL),
+    export_data: { entries: [{ customer_email: EMAIL }] }
+  })));
+  supabase.seed('webhook_events', [
+    { id: 'event-1', shop_domain: SHOP, topic: 'orders/create', payload: { id: 1001, email: EMAIL }, raw_body: '{"id":1001}' },
+    { id: 'event-2', shop_domain: SHOP, topic: 'refunds/create', payload: { id: 55, order_id: 1001 }, raw_body: '{"id":55}' },
+    { id: 'event-3', shop_domain: SHOP, topic: 'orders/create', payload: { id: 1009, email: 'bob@example.com' }, raw_body: '{"id":1009}' },
+    { id: 'event-4', shop_domain: OTHER_SHOP, topic: 'orders/create', payload: { id: 1002, email: EMAIL }, raw_body: '{"id":1002}' },
+    { id: 'event-5', shop_domain: SHOP, topic: 'shop/redact', payload: { shop_domain: SHOP }, raw_body: '{}' }
+  ]);
+  supabase.seed('webhook_dead_letters', [
+    { event_id: 'event-1', shop_domain: SHOP, last_error: 'Failed for ann@example.com' },
+    { event_id: 'event-4', shop_domain: OTHER_SHOP, last_error: 'Timed out' }
+  ]);
+});
+
+const rowsOfStore = (table, storeId) => supabase.rows(table).filter(row => row.store_id === storeId);
+
+test('customers/redact anonymizes the customer in the requesting store only', async () => {
+  const result = await getWebhookProcessor('customers/redact')({
+    shop_domain: SHOP,
+    customer: { email: 'Ann@Example.com' },
+    orders_to_redact: [1001]
+  }, { shopDomain: SHOP });
+
+  assert.equal(result.status, 200);
+  const { recordsAffected } = result.data;
+  assert.equal(recordsAffected.entries, 1);
+  assert.equal(recordsAffected.purchases, 1);
+  assert.equal(recordsAffected.winners, 1);
+  assert.equal(recordsAffected.winnerClaims, 1);
+  assert.equal(recordsAffected.webhookEvents, 2);
+
+  const [gone, kept, other] = supabase.rows('entries');
+  assert.match(gone.customer_email, /@redacted\.invalid$/);
+  assert.equal(kept.customer_email, EMAIL);
+  assert.equal(other.customer_email, 'bob@example.com');
+  assert.match(supabase.rows('purchases')[0].customer_email, /@redacted\.invalid$/);
+  assert.equal(supabase.rows('purchases')[1].customer_email, EMAIL);
+  assert.equal(supabase.rows('winner_claims')[0].phone, null);
+  assert.equal(supabase.rows('winner_claims')[1].phone, '555-0100');
+
+  assert.deepEqual(
+    supabase.rows('webhook_events').map(event => [event.id, event.raw_body === null]),
+    [['event-1', true], ['event-2', true], ['event-3', false], ['event-4', false], ['event-5', false]]
+  );
+  assert.equal(rowsOfStore('privacy_requests', 'store-1')[0].export_data, null);
+  assert.notEqual(rowsOfStore('privacy_requests', 'store-2')[0].export_data, null);
+});
+
+test('customers/redact without a customer is refused', async () => {
+  const result = await getWebhookProcessor('customers/redact')({ shop_domain: SHOP }, { shopDomain: SHOP });
+
+  assert.equal(result.status, 400);
+  assert.equal(supabase.rows('entries')[0].customer_email, EMAIL);
+});
+
+test('shop/redact purges every per-store table and leaves other shops alone', async () => {
+  const result = await getWebhookProcessor('shop/redact')({ shop_domain: SHOP }, { shopDomain: SHOP });
+
+  assert.equal(result.status, 200);
+  const { recordsAffected } = result.data;
+
+  for (const table of [
+    'winner_claims', 'winners', 'entry_adjustments', 'bonus_action_completions', 'referrals', 'referral_codes',
+    'fraud_reviews', 'order_backfills', 'reconciliation_runs', 'entries'
+  ]) {
+    assert.equal(rowsOfStore(table, 'store-1').length, 0, `${table} kept rows of the redacted store`);
+    assert.ok(rowsOfStore(table, 'store-2').length > 0, `${table} lost rows of another store`);
+  }
+  assert.equal(recordsAffected.entries, 2);
+  assert.equal(recordsAffected.fraudReviews, 1);
+  assert.equal(recordsAffected.orderBackfills, 1);
+  assert.equal(recordsAffected.reconciliationRuns, 1);
+
+  assert.deepEqual(supabase.rows('consent_logs').map(log => log.entry_id), ['entry-2']);
+  assert.deepEqual(supabase.rows('purchases').map(p => p.id), ['purchase-2']);
+  assert.deepEqual(supabase.rows('shopify_shops').map(s => s.id), ['shop-2']);
+
+  // Links go for the shop's entrants only
+  assert.equal(recordsAffected.privacyLinks, 2);
+  assert.deepEqual(supabase.rows('privacy_links').map(link => link.email_hash), [hashCanonicalEmail('cat@example.com')]);
+
+  assert.equal(recordsAffected.webhookEvents, 3);
+  assert.deepEqual(
+    supabase.rows('webhook_events').filter(event => event.raw_body !== null).map(event => event.id),
+    ['event-4', 'event-5']
+  );
+  assert.equal(recordsAffected.webhookDeadLetters, 1);
+  assert.deepEqual(supabase.rows('webhook_dead_letters').map(letter => letter.shop_domain), [OTHER_SHOP]);
+
+  assert.equal(rowsOfStore('privacy_requests', 'store-1')[0].export_data, null);
+  const [store, otherStore] = supabase.rows('stores');
+  assert.equal(store.shopify_access_token, null);
+  assert.ok(store.data_redacted_at);
+  assert.equal(otherStore.shopify_access_token, 'shpat_kept');
+});
+
+test('shop/redact for an unknown shop is logged and touches no store', async () => {
+  const result = await getWebhookProcessor('shop/redact')({ shop_domain: 'never-installed.myshopify.com' }, {});
+
+  assert.equal(result.status, 200);
+  assert.equal(result.data.recordsAffected.webhookEvents, 0);
+  assert.equal(supabase.rows('entries').length, 3);
+  assert.equal(supabase.rows('privacy_requests').at(-1).request_type, 'shop/redact');
+});
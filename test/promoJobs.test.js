@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, recordEmails } = require('./helpers/fakeSupabase');
+
+process.env.LINK_TOKEN_SECRET = 'test-link-secret';
+const supabase = useFakeSupabase();
+const sent = recordEmails();
+const { registerPromoJobs } = require('../src/services/promoJobs');
+const { forfeitWinner, drawAlternate } = require('../src/services/forfeitService');
+
+// Collects what registerPromoJobs registers, and what the planners schedule
+const planners = {};
+const handlers = {};
+registerPromoJobs({
+  registerPlanner: (name, planner) => { planners[name] = planner; },
+  registerHandler: (type, handler) => { handlers[type] = handler; }
+}, supabase);
+
+const plan = async (name, now = new Date()) => {
+  const jobs = [];
+  await planners[name]({ schedule: async job => jobs.push(job) }, now);
+  return jobs;
+};
+
+const PAST = '2026-01-01T00:00:00.000Z';
+const FUTURE = '2999-01-01T00:00:00.000Z';
+
+const winner = (id, extra = {}) => ({
+  id,
+  promo_id: 'promo-1',
+  store_id: 'store-1',
+  entry_id: 'entry-a',
+  customer_email: 'a@example.com',
+  prize_description: 'Bike',
+  prize_amount: 500,
+  claimed: false,
+  status: 'pending',
+  claim_deadline: PAST,
+  ...extra
+});
+
+const expire = (winnerId = 'winner-1', claimDeadline = PAST) => handlers.expire_winner({ winnerId, claimDeadline });
+
+test.beforeEach(() => {
+  delete process.env.AUTO_REDRAW_EXPIRED_WINNERS;
+  sent.length = 0;
+  supabase.seed('users', [{ id: 'user-1', email: 'owner@example.com' }]);
+  supabase.seed('stores', [{ id: 'store-1', user_id: 'user-1', store_name: 'Test Store' }]);
+  supabase.seed('promos', [{ id: 'promo-1', store_id: 'store-1', title: 'Giveaway', status: 'closed' }]);
+  supabase.seed('entries', ['a', 'b'].map(name => ({
+    id: `entry-${name}`,
+    promo_id: 'promo-1',
+    store_id: 'store-1',
+    customer_email: `${name}@example.com`,
+    entry_count: 1,
+    status: 'active'
+  })));
+  supabase.seed('winners', [winner('winner-1')]);
+  supabase.seed('draw_commitments', []);
+});
+
+test('the planner schedules unclaimed winners past their deadline, NULL status included', async () => {
+  supabase.seed('winners', [
+    winner('pending'),
+    winner('no-status', { status: null }),
+    winner('forfeited', { status: 'forfeited' }),
+    winner('claimed', { claimed: true }),
+    winner('not-due', { claim_deadline: FUTURE }),
+    winner('no-deadline', { claim_deadline: null })
+  ]);
+
+  const jobs = await plan('claim-expiries');
+
+  assert.deepEqual(jobs.map(job => job.payload.winnerId), ['pending', 'no-status']);
+  assert.equal(jobs[0].type, 'expire_winner');
+  assert.equal(jobs[0].key, `expire_winner:pending:${PAST}`);
+});
+
+test('an expired winner is forfeited and the merchant told to draw an alternate', async () => {
+  const result = await expire();
+
+  assert.deepEqual(result, { forfeited: true, alternateId: null });
+  const [forfeited] = supabase.rows('winners');
+  assert.equal(forfeited.status, 'forfeited');
+  assert.equal(forfeited.forfeit_reason, 'expired');
+  assert.equal(forfeited.forfeited_by, null);
+  assert.equal(supabase.rows('winners').length, 1);
+  assert.deepEqual(sent.map(email => email.to), ['owner@example.com']);
+  assert.match(sent[0].html, /draw an alternate winner from the dashboard/);
+});
+
+test('with auto redraw on, an alternate is drawn from the rest of the pool and linked both ways', async () => {
+  process.env.AUTO_REDRAW_EXPIRED_WINNERS = 'true';
+
+  const result = await expire();
+
+  assert.equal(result.forfeited, true);
+  const [original, alternate] = supabase.rows('winners');
+  assert.equal(alternate.id, result.alternateId);
+  assert.equal(alternate.entry_id, 'entry-b');
+  assert.equal(alternate.alternate_for_winner_id, original.id);
+  assert.equal(alternate.prize_description, 'Bike');
+  assert.equal(original.replaced_by_winner_id, alternate.id);
+  assert.ok(sent.some(email => email.to === 'b@example.com'));
+
+  // A retry of the job draws nothing more
+  assert.deepEqual(await expire(), { forfeited: true, alternateId: null });
+  assert.equal(supabase.rows('winners').length, 2);
+});
+
+test('stale, claimed and missing winners are skipped', async () => {
+  assert.equal((await expire('winner-1', FUTURE)).reason, 'Claim deadline changed');
+  assert.equal((await expire('nobody')).reason, 'Winner not found');
+
+  supabase.rows('winners')[0].claimed = true;
+  assert.equal((await expire()).reason, 'Prize has been claimed');
+  assert.equal(supabase.rows('winners')[0].status, 'pending');
+});
+
+test('forfeiting checks the reason and refuses claimed or forfeited winners', async () => {
+  const [row] = supabase.rows('winners');
+
+  assert.equal((await forfeitWinner({ client: supabase, winner: row, reason: 'bored' })).status, 400);
+  assert.equal((await forfeitWinner({ client: supabase, winner: { ...row, claimed: true }, reason: 'declined' })).status, 409);
+
+  // Claimed since it was loaded
+  row.claimed = true;
+  assert.equal((await forfeitWinner({ client: supabase, winner: { ...row, claimed: false }, reason: 'declined' })).status, 409);
+  row.claimed = false;
+
+  const result = await forfeitWinner({ client: supabase, winner: row, reason: 'declined', note: 'Said no', userId: 'user-1' });
+  assert.equal(result.success, true);
+  assert.equal(result.winner.forfeited_by, 'user-1');
+  assert.equal((await forfeitWinner({ client: supabase, winner: result.winner, reason: 'declined' })).status, 409);
+});
+
+test('an alternate is only drawn once, and only for a forfeited winner', async () => {
+  const [promo] = supabase.rows('promos');
+  const [row] = supabase.rows('winners');
+
+  assert.equal((await drawAlternate({ client: supabase, winner: row, promo, userId: 'user-1' })).status, 409);
+
+  const { winner: forfeited } = await forfeitWinner({ client: supabase, winner: row, reason: 'ineligible' });
+  const redraw = await drawAlternate({ client: supabase, winner: forfeited, promo, userId: 'user-1' });
+  assert.equal(redraw.success, true);
+  assert.equal(redraw.alternate.alternate_for_winner_id, 'winner-1');
+
+  const [reloaded] = supabase.rows('winners');
+  assert.equal((await drawAlternate({ client: supabase, winner: reloaded, promo, userId: 'user-1' })).status, 409);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, recordEmails } = require('./helpers/fakeSupabase');
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+const supabase = useFakeSupabase();
+const sent = recordEmails();
+const { adjustOrderEntries, collectRefunds, isOrderCancelled } = require('../src/services/purchaseEntryService');
+
+const ORDER_ID = '1001';
+
+const adjust = (options) => adjustOrderEntries({ client: supabase, storeId: 'store-1', orderId: 1001, topic: 'refunds/create', ...options });
+
+const refund = (id, amount, extra = {}) => ({
+  id,
+  transactions: [{ kind: 'refund', status: 'success', amount: String(amount) }],
+  ...extra
+});
+
+const entry = () => supabase.rows('entries')[0];
+
+test.beforeEach(() => {
+  sent.length = 0;
+  supabase.seed('promos', [{ id: 'promo-1', store_id: 'store-1', entries_per_dollar: 1 }]);
+  supabase.seed('entries', [{
+    id: 'entry-1',
+    promo_id: 'promo-1',
+    store_id: 'store-1',
+    customer_email: 'ann@example.com',
+    hashed_email: 'hash-ann',
+    order_id: ORDER_ID,
+    order_total: 100,
+    entry_count: 100,
+    source: 'purchase',
+    status: 'active',
+    metadata: {}
+  }]);
+  supabase.seed('entry_adjustments', []);
+  supabase.seed('winners', []);
+});
+
+test('refund amounts count only successful refund transactions', () => {
+  assert.deepEqual(collectRefunds([
+    refund('r1', 30),
+    { id: 'r2', transactions: [{ kind: 'refund', status: 'failure', amount: '50' }, { kind: 'sale', status: 'success', amount: '10' }] },
+    { id: 'r3', transactions: [{ kind: 'refund', status: 'success', amount_set: { shop_money: { amount: '12.50', currency_code: 'CAD' } } }] },
+    null
+  ]), { r1: 30, r2: 0, r3: 12.5 });
+
+  assert.equal(isOrderCancelled({ cancelled_at: '2026-01-01T00:00:00Z' }), true);
+  assert.equal(isOrderCancelled({ financial_status: 'voided' }), true);
+  assert.equal(isOrderCancelled({ financial_status: 'partially_refunded' }), false);
+});
+
+test('a partial refund reduces the entries to what the amount still paid earns', async () => {
+  const adjustments = await adjust({ refunds: collectRefunds([refund('r1', 30.5)]) });
+
+  assert.deepEqual(adjustments, [{ entryId: 'entry-1', action: 'reduced', previousEntryCount: 100, newEntryCount: 69 }]);
+  assert.equal(entry().entry_count, 69);
+  assert.equal(entry().status, 'active');
+  assert.deepEqual(entry().metadata.refunds, { r1: 30.5 });
+  assert.equal(entry().metadata.awardedEntryCount, 100);
+
+  const [audit] = supabase.rows('entry_adjustments');
+  assert.equal(audit.reason, 'refund');
+  assert.equal(audit.previous_entry_count, 100);
+  assert.equal(audit.new_entry_count, 69);
+});
+
+test('the same refund seen through a second webhook is counted once', async () => {
+  await adjust({ refunds: collectRefunds([refund('r1', 30)]) });
+  const again = await adjust({ refunds: collectRefunds([refund('r1', 30)]), topic: 'orders/updated' });
+
+  assert.deepEqual(again, []);
+  assert.equal(entry().entry_count, 70);
+
+  await adjust({ refunds: collectRefunds([refund('r2', 20)]), topic: 'orders/updated' });
+  assert.equal(entry().entry_count, 50);
+  assert.equal(supabase.rows('entry_adjustments').length, 2);
+});
+
+test('refunds in the shop currency are converted at the rate the entry was awarded at', async () => {
+  entry().metadata = { exchangeRate: 0.5 };
+
+  await adjust({ refunds: { r1: 40 } });
+  assert.equal(entry().entry_count, 80);
+});
+
+test('a full refund voids the entry, keeping its count for the audit, and forfeits an unclaimed winner', async () => {
+  supabase.seed('winners', [{ id: 'winner-1', entry_id: 'entry-1', promo_id: 'promo-1', claimed: false, status: 'notified' }]);
+
+  const [adjustment] = await adjust({ refunds: { r1: 100 } });
+
+  assert.equal(adjustment.action, 'voided');
+  assert.equal(entry().status, 'voided');
+  assert.equal(entry().entry_count, 100);
+  const [winner] = supabase.rows('winners');
+  assert.equal(winner.status, 'forfeited');
+  assert.equal(winner.forfeit_reason, 'ineligible');
+  assert.match(winner.forfeit_note, /order 1001 refunded/);
+
+  // Voided entries are left alone afterwards
+  assert.deepEqual(await adjust({ refunds: { r2: 5 } }), []);
+});
+
+test('a cancellation voids the entry and a claimed winner is flagged to admins instead', async () => {
+  supabase.seed('winners', [{ id: 'winner-1', entry_id: 'entry-1', promo_id: 'promo-1', claimed: true, status: 'claimed' }]);
+
+  const [adjustment] = await adjust({ cancelled: true, topic: 'orders/cancelled' });
+
+  assert.equal(adjustment.action, 'voided');
+  assert.equal(supabase.rows('entry_adjustments')[0].reason, 'cancellation');
+  assert.equal(supabase.rows('winners')[0].status, 'claimed');
+  assert.deepEqual(sent.map(email => email.to), [['admin@example.com']]);
+  assert.match(sent[0].subject, /Claimed Prize Order Refunded/);
+});
+
+test('entries never grow back past what the order earned', async () => {
+  entry().entry_count = 40;
+  entry().metadata = { awardedEntryCount: 40 };
+
+  assert.deepEqual(await adjust({ refunds: { r1: 10 } }), []);
+  assert.equal(entry().entry_count, 40);
+  assert.deepEqual(entry().metadata.refunds, { r1: 10 });
+});
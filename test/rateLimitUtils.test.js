@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { getTrustProxySetting, getClientIp, getRateLimitRule } = require('../src/utils/rateLimitUtils');
+
+// App answering with the client IP it sees, behind `trust proxy` from TRUST_PROXY
+const startApp = async () => {
+  const app = express();
+  app.set('trust proxy', getTrustProxySetting());
+  app.get('/ip', (req, res) => res.json({ ip: getClientIp(req) }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+const clientIp = async (server, forwardedFor) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/ip`, {
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+  });
+  return (await response.json()).ip;
+};
+
+test.afterEach(() => {
+  delete process.env.TRUST_PROXY;
+  delete process.env.RATE_LIMIT_ENTRY_IP;
+});
+
+test('TRUST_PROXY is a hop count or an address list', () => {
+  assert.equal(getTrustProxySetting(), 1);
+  process.env.TRUST_PROXY = '0';
+  assert.equal(getTrustProxySetting(), 0);
+  process.env.TRUST_PROXY = ' loopback, 10.0.0.0/8 ';
+  assert.equal(getTrustProxySetting(), 'loopback, 10.0.0.0/8');
+});
+
+test('behind one proxy, only the address the proxy appended is used', async () => {
+  const server = await startApp();
+  try {
+    // The client sent "198.51.100.1"; the proxy appended the address it saw
+    assert.equal(await clientIp(server, '198.51.100.1, 203.0.113.7'), '203.0.113.7');
+    assert.equal(await clientIp(server, `${Math.random()}, 203.0.113.7`), '203.0.113.7');
+  } finally {
+    server.close();
+  }
+});
+
+test('without a proxy the header is ignored', async () => {
+  process.env.TRUST_PROXY = '0';
+  const server = await startApp();
+  try {
+    assert.equal(await clientIp(server, '198.51.100.1'), '127.0.0.1');
+    assert.equal(await clientIp(server), '127.0.0.1');
+  } finally {
+    server.close();
+  }
+});
+
+test('rules can be overridden or turned off', () => {
+  assert.deepEqual(
+    { limit: getRateLimitRule('entry_ip').limit, windowSeconds: getRateLimitRule('entry_ip').windowSeconds },
+    { limit: 10, windowSeconds: 900 }
+  );
+
+  process.env.RATE_LIMIT_ENTRY_IP = '20/600';
+  assert.equal(getRateLimitRule('entry_ip').limit, 20);
+  assert.equal(getRateLimitRule('entry_ip').windowSeconds, 600);
+
+  process.env.RATE_LIMIT_ENTRY_IP = 'off';
+  assert.equal(getRateLimitRule('entry_ip'), null);
+});
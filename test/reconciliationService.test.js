@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+
+process.env.FRAUD_SCORING_ENABLED = 'false';
+process.env.SHOPIFY_MAX_RETRIES = '0';
+process.env.RECONCILIATION_HOUR_UTC = '3';
+const supabase = useFakeSupabase();
+const { Scheduler } = require('../src/services/scheduler');
+const { MemoryJobStore } = require('../src/services/jobStores');
+const { reconcilePromo, queueReconciliation, registerReconciliationJobs } = require('../src/services/reconciliationService');
+
+const SHOP = 'shop.myshopify.com';
+const PAGE_SIZE = 3;
+
+// Stub Admin API: /orders.json in pages of PAGE_SIZE linked by page_info, /orders/{id}.json from
+// `lookups` ('unavailable' answers 503, a missing order 404)
+let server;
+let orders;
+let lookups;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    const single = url.pathname.match(/\/orders\/(\d+)\.json$/);
+    const respond = (status, body, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (single) {
+      const order = lookups[single[1]];
+      if (order === 'unavailable') {
+        return respond(503, { errors: 'Unavailable' });
+      }
+      return order ? respond(200, { order }) : respond(404, { errors: 'Not Found' });
+    }
+
+    const offset = Number(url.searchParams.get('page_info') || 0);
+    const next = offset + PAGE_SIZE < orders.length
+      ? { link: `<http://stub/admin/api/2024-01/orders.json?limit=250&page_info=${offset + PAGE_SIZE}>; rel="next"` }
+      : {};
+    respond(200, { orders: orders.slice(offset, offset + PAGE_SIZE) }, next);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SHOPIFY_API_HOST = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const order = (id, totalPrice, extra = {}) => ({
+  id,
+  order_number: id,
+  email: `buyer${id}@example.com`,
+  total_price: String(totalPrice),
+  currency: 'USD',
+  created_at: '2026-03-02T10:00:00Z',
+  line_items: [],
+  ...extra
+});
+
+const refund = (id, amount) => ({ id, transactions: [{ kind: 'refund', status: 'success', amount: String(amount) }] });
+
+const purchase = (orderId, totalAmount) => ({
+  id: `purchase-${orderId}`,
+  shopify_shop_id: 'shop-1',
+  shopify_order_id: String(orderId),
+  total_amount: totalAmount,
+  currency: 'USD'
+});
+
+const entry = (orderId, entryCount, extra = {}) => ({
+  id: `entry-${orderId}`,
+  promo_id: 'promo-1',
+  store_id: 'store-1',
+  customer_email: `buyer${orderId}@example.com`,
+  hashed_email: `hash-${orderId}`,
+  order_id: String(orderId),
+  order_total: entryCount,
+  entry_count: entryCount,
+  source: 'purchase',
+  status: 'active',
+  metadata: { awardedEntryCount: entryCount },
+  ...extra
+});
+
+const store = () => supabase.rows('stores')[0];
+const promo = () => supabase.rows('promos')[0];
+const entryFor = (orderId) => supabase.rows('entries').find(e => e.order_id === String(orderId));
+const reconcile = (autoRepair = false) => reconcilePromo({ client: supabase, promo: promo(), store: store(), autoRepair });
+const summarize = (issues) => issues.map(issue => [issue.orderId, issue.type, issue.details.field || null]);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  orders = [
+    order(101, 10),
+    order(102, 20),
+    order(103, 15, { cancelled_at: '2026-03-03T10:00:00Z' }),
+    order(104, 30),
+    order(105, 10, { refunds: [refund(7, 5)] }),
+    order(106, 12, { cancelled_at: '2026-03-03T10:00:00Z' })
+  ];
+  lookups = {
+    901: order(901, 8, { cancelled_at: '2026-03-04T10:00:00Z', created_at: '2026-02-20T10:00:00Z' }),
+    902: order(902, 9, { created_at: '2026-02-20T10:00:00Z' })
+  };
+
+  supabase.seed('stores', [{ id: 'store-1', shopify_domain: SHOP, shopify_access_token: 'shpat_test' }]);
+  supabase.seed('promos', [{
+    id: 'promo-1',
+    store_id: 'store-1',
+    status: 'active',
+    enable_purchase_entries: true,
+    entries_per_dollar: 1,
+    max_entries_per_email: 1000,
+    start_date: '2026-03-01T00:00:00Z',
+    end_date: '2026-03-31T00:00:00Z'
+  }]);
+  supabase.seed('shopify_shops', [{ id: 'shop-1', store_id: 'store-1', shop_domain: SHOP }]);
+  supabase.seed('purchases', [purchase(101, 10), purchase(104, 25), purchase(105, 10), purchase(106, 12), purchase(900, 7)]);
+  supabase.seed('entries', [
+    entry(101, 10),
+    entry(104, 25),
+    entry(105, 10, { metadata: { awardedEntryCount: 10, refunds: {} } }),
+    entry(106, 12),
+    entry(900, 7),
+    entry(901, 8),
+    entry(902, 9),
+    entry(903, 4, { status: 'voided' })
+  ]);
+  supabase.seed('entry_adjustments', []);
+  supabase.seed('winners', []);
+  supabase.seed('reconciliation_runs', []);
+});
+
+test('each kind of drift is reported against the order it belongs to', async () => {
+  const result = await reconcile();
+
+  assert.equal(result.ordersChecked, 6);
+  assert.deepEqual(result.counts, { missing_order: 1, amount_mismatch: 4, orphan_entry: 1 });
+  assert.deepEqual(summarize(result.issues), [
+    ['102', 'missing_order', null],
+    ['104', 'amount_mismatch', 'purchase_total'],
+    ['105', 'amount_mismatch', 'refunds'],
+    ['106', 'amount_mismatch', 'cancelled'],
+    ['900', 'orphan_entry', null],
+    ['901', 'amount_mismatch', 'cancelled']
+  ]);
+  assert.deepEqual(result.issues[1].details, { field: 'purchase_total', expected: 30, recorded: 25, currency: 'USD' });
+  assert.deepEqual(result.issues[2].details.refundIds, ['7']);
+  assert.equal(result.issues[4].entryId, 'entry-900');
+  assert.equal(result.repaired, 0);
+});
+
+test('reporting without auto-repair changes nothing', async () => {
+  const before = structuredClone([supabase.rows('purchases'), supabase.rows('entries')]);
+
+  await reconcile();
+
+  assert.deepEqual([supabase.rows('purchases'), supabase.rows('entries')], before);
+});
+
+test('differences under a cent and purchases from before amounts were stored are not drift', async () => {
+  orders = [order(101, 10.004), order(104, 30)];
+  supabase.seed('purchases', [purchase(101, 10), purchase(104, null)]);
+  supabase.seed('entries', [entry(101, 10), entry(104, 30)]);
+
+  const result = await reconcile();
+
+  assert.deepEqual(result.issues, []);
+});
+
+test('auto-repair fixes every issue and a second run finds none', async () => {
+  const result = await reconcile(true);
+
+  assert.equal(result.repaired, 6);
+  assert.ok(result.issues.every(issue => issue.repaired));
+  assert.equal(entryFor(102).entry_count, 20);
+  assert.equal(supabase.rows('purchases').find(p => p.shopify_order_id === '104').total_amount, 30);
+  assert.equal(entryFor(105).entry_count, 5);
+  assert.deepEqual([entryFor(106).status, entryFor(900).status, entryFor(901).status], ['voided', 'voided', 'voided']);
+  assert.equal(entryFor(902).status, 'active');
+
+  const again = await reconcile(true);
+  assert.deepEqual(again.issues, []);
+  assert.equal(supabase.rows('entries').filter(e => e.order_id === '102').length, 1);
+});
+
+test('an order lookup that fails for another reason is not called an orphan', async () => {
+  lookups[900] = 'unavailable';
+
+  const result = await reconcile();
+
+  assert.equal(result.counts.orphan_entry, 0);
+  assert.equal(result.issues.some(issue => issue.orderId === '900'), false);
+});
+
+test('a queued run is reconciled by the scheduler and records its counts and issues', async () => {
+  const scheduler = new Scheduler({ name: 'Test', store: new MemoryJobStore() });
+  registerReconciliationJobs(scheduler, supabase);
+
+  const queued = await queueReconciliation({ client: supabase, promo: promo(), requestedBy: 'user-1', autoRepair: false });
+  assert.equal(queued.success, true);
+  assert.equal((await queueReconciliation({ client: supabase, promo: promo() })).status, 409);
+
+  await scheduler.tick();
+
+  const [run] = supabase.rows('reconciliation_runs');
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(
+    [run.orders_checked, run.missing_orders, run.amount_mismatches, run.orphan_entries, run.issues_repaired],
+    [6, 1, 4, 1, 0]
+  );
+  assert.equal(run.issues.length, 6);
+  assert.equal(entryFor(106).status, 'active');
+});
+
+test('a run for a disconnected store fails with the reason', async () => {
+  const scheduler = new Scheduler({ name: 'Test', store: new MemoryJobStore() });
+  registerReconciliationJobs(scheduler, supabase);
+  store().shopify_access_token = null;
+
+  await queueReconciliation({ client: supabase, promo: promo() });
+  await scheduler.tick();
+
+  const [run] = supabase.rows('reconciliation_runs');
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'Shopify store is not connected');
+});
+
+test('the nightly run is planned once a day, from RECONCILIATION_HOUR_UTC', async () => {
+  const scheduled = [];
+  const planners = {};
+  registerReconciliationJobs({
+    registerHandler: () => {},
+    registerPlanner: (name, planner) => { planners[name] = planner; }
+  }, supabase);
+  const sched = { schedule: async (job) => { scheduled.push(job.key); } };
+
+  await planners['nightly-reconciliation'](sched, new Date('2026-03-10T02:59:00Z'));
+  assert.deepEqual(scheduled, []);
+
+  await planners['nightly-reconciliation'](sched, new Date('2026-03-10T03:00:00Z'));
+  await planners['nightly-reconciliation'](sched, new Date('2026-03-10T23:00:00Z'));
+  assert.deepEqual(scheduled, ['reconcile_promo:promo-1:2026-03-10', 'reconcile_promo:promo-1:2026-03-10']);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+const { hashCanonicalEmail } = require('../src/utils/emailUtils');
+const { REFERRAL_ENTRY_SOURCE } = require('../src/utils/referralUtils');
+
+process.env.FRAUD_SCORING_ENABLED = 'false';
+const supabase = useFakeSupabase();
+const { recordReferral, attributeOrderReferral } = require('../src/services/referralService');
+
+const REFERRER = 'ann@example.com';
+const promo = { id: 'promo-1', store_id: 'store-1', referral_reward_entries: 3, max_referral_rewards: 2 };
+
+const entry = (id, email, extra = {}) => ({
+  id,
+  promo_id: promo.id,
+  store_id: promo.store_id,
+  customer_email: email,
+  hashed_email: hashCanonicalEmail(email),
+  entry_count: 1,
+  status: 'active',
+  source: 'direct',
+  consent_brand: true,
+  consent_rafl: false,
+  ...extra
+});
+
+const friend = (n) => entry(`friend-${n}`, `friend${n}@example.com`);
+
+const refer = (referredEntry, { code = 'ANNCODE1', promoRow = promo, attributedVia = 'manual_entry' } = {}) => (
+  recordReferral({ client: supabase, promo: promoRow, code, referredEntry, attributedVia })
+);
+
+const rewardEntries = () => supabase.rows('entries').filter(e => e.source === REFERRAL_ENTRY_SOURCE);
+const rewardsGranted = () => supabase.rows('referral_codes')[0].rewards_granted;
+
+test.beforeEach(() => {
+  supabase.seed('entries', [entry('entry-ann', REFERRER)]);
+  supabase.seed('referral_codes', [{
+    id: 'code-1',
+    promo_id: promo.id,
+    store_id: promo.store_id,
+    code: 'ANNCODE1',
+    hashed_email: hashCanonicalEmail(REFERRER),
+    customer_email: REFERRER,
+    rewards_granted: 0
+  }]);
+  supabase.seed('referrals', []);
+  supabase.unique('referrals', ['promo_id', 'referred_hashed_email']);
+});
+
+test('a referral rewards the referrer with bonus entries', async () => {
+  const result = await refer(friend(1), { code: 'ann-code1' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.referral.reward_entry_count, 3);
+  assert.equal(result.referral.referrer_hashed_email, hashCanonicalEmail(REFERRER));
+  assert.equal(result.rewardEntry.customer_email, REFERRER);
+  assert.equal(result.rewardEntry.entry_count, 3);
+  assert.equal(result.rewardEntry.consent_rafl, false);
+  assert.equal(supabase.rows('referrals')[0].reward_entry_id, result.rewardEntry.id);
+  assert.equal(rewardsGranted(), 1);
+});
+
+test('unknown codes, self-referrals and promos without referrals are refused', async () => {
+  assert.equal((await refer(friend(1), { code: 'NOPE1234' })).status, 404);
+  assert.equal((await refer(entry('entry-alias', 'Ann@Example.com'))).status, 400);
+  assert.equal((await refer(friend(1), { promoRow: { ...promo, referral_reward_entries: 0 } })).status, 400);
+  assert.equal(supabase.rows('referrals').length, 0);
+});
+
+test('a friend is only referred once per promo and the second claim is given back', async () => {
+  assert.equal((await refer(friend(1))).success, true);
+
+  const again = await refer({ ...friend(1), id: 'friend-1-again' });
+  assert.equal(again.status, 409);
+  assert.equal(rewardEntries().length, 1);
+  assert.equal(rewardsGranted(), 1);
+});
+
+test('concurrent referrals never reward more than max_referral_rewards', async () => {
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => refer(friend(n))));
+
+  assert.equal(results.every(result => result.success), true);
+  assert.equal(results.filter(result => result.rewardEntry).length, 2);
+  assert.equal(supabase.rows('referrals').length, 5);
+  assert.equal(supabase.rows('referrals').filter(r => r.reward_entry_count > 0).length, 2);
+  assert.equal(rewardEntries().length, 2);
+  assert.equal(rewardsGranted(), 2);
+});
+
+test('a reward entry that fails to save gives its slot back', async () => {
+  supabase.failNext('entries', 'insert');
+  const failed = await refer(friend(1));
+
+  assert.equal(failed.success, true);
+  assert.equal(failed.rewardEntry, null);
+  assert.equal(supabase.rows('referrals')[0].reward_entry_count, 0);
+  assert.equal(rewardsGranted(), 0);
+
+  assert.ok((await refer(friend(2))).rewardEntry);
+  assert.ok((await refer(friend(3))).rewardEntry);
+  assert.equal((await refer(friend(4))).rewardEntry, null);
+});
+
+test('codes from before the counter start from their rewarded referrals', async () => {
+  supabase.seed('referral_codes', [{ ...supabase.rows('referral_codes')[0], rewards_granted: null }]);
+  supabase.seed('referrals', [
+    { referral_code_id: 'code-1', referred_hashed_email: 'old-1', reward_entry_count: 3 },
+    { referral_code_id: 'code-1', referred_hashed_email: 'old-2', reward_entry_count: 0 }
+  ]);
+
+  assert.ok((await refer(friend(1))).rewardEntry);
+  assert.equal(rewardsGranted(), 2);
+  assert.equal((await refer(friend(2))).rewardEntry, null);
+});
+
+test('referrers without a counted entry are attributed but not rewarded', async () => {
+  supabase.seed('entries', [entry('entry-ann', REFERRER, { status: 'voided' })]);
+
+  const result = await refer(friend(1));
+  assert.equal(result.success, true);
+  assert.equal(result.rewardEntry, null);
+  assert.equal(rewardsGranted(), 0);
+});
+
+test('an order is attributed to the first of its codes that is a referral code', async () => {
+  const order = entry('order-entry', 'buyer@example.com', { source: 'purchase', order_id: '1001' });
+
+  const result = await attributeOrderReferral({ client: supabase, promo, codes: ['SUMMER10', 'ANNCODE1'], entry: order });
+
+  assert.equal(result.success, true);
+  assert.equal(result.referral.attributed_via, 'order');
+  assert.equal(result.referral.order_id, '1001');
+  assert.equal(await attributeOrderReferral({ client: supabase, promo, codes: ['SUMMER10'], entry: friend(9) }), null);
+});
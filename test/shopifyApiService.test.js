@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  callShopifyAPI,
+  ShopifyApiError,
+  parseLinkHeader,
+  getOrders,
+  iterateOrders,
+  callShopifyGraphQL,
+  iterateGraphQLConnection,
+  exportOrdersBulk,
+  waitForBulkOperation
+} = require('../src/services/shopifyApiService');
+
+const TOKEN = 'shpat_test';
+
+// Stub Admin API: each shop (Host header) answers with its queued responses, then 200
+let server;
+const scripts = new Map();
+const requests = [];
+
+const respondWith = (shop, ...responses) => {
+  scripts.set(shop, responses);
+};
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({
+        shop: req.headers.host,
+        method: req.method,
+        url: req.url,
+        token: req.headers['x-shopify-access-token'],
+        body: body ? JSON.parse(body) : null
+      });
+
+      const next = (scripts.get(req.headers.host) || []).shift() || { status: 200, body: { shop: { name: req.headers.host } } };
+      res.writeHead(next.status, { 'content-type': 'application/json', ...next.headers });
+      res.end(JSON.stringify(next.body || {}));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SHOPIFY_API_HOST = `http://127.0.0.1:${server.address().port}`;
+  process.env.SHOPIFY_RETRY_BASE_MS = '20';
+  process.env.SHOPIFY_MAX_RETRIES = '3';
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const requestsTo = (shop) => requests.filter(request => request.shop === shop);
+
+test('sends the call to the stub with the shop as host', async () => {
+  const shop = 'plain.myshopify.com';
+  const response = await callShopifyAPI(shop, TOKEN, '/shop.json');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.data.shop.name, shop);
+  assert.deepEqual(requestsTo(shop).map(r => [r.method, r.url, r.token]), [['GET', '/admin/api/2024-01/shop.json', TOKEN]]);
+});
+
+test('a 429 waits for Retry-After, then retries', async () => {
+  const shop = 'throttled.myshopify.com';
+  respondWith(shop, { status: 429, headers: { 'retry-after': '0.3' }, body: { errors: 'Exceeded 2 calls per second' } });
+
+  const started = Date.now();
+  const response = await callShopifyAPI(shop, TOKEN, '/shop.json');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(requestsTo(shop).length, 2);
+  assert.ok(Date.now() - started >= 280, `retried after ${Date.now() - started}ms`);
+});
+
+test('a 429 is retried for POST too', async () => {
+  const shop = 'throttled-post.myshopify.com';
+  respondWith(shop, { status: 429, headers: { 'retry-after': '0.05' } });
+
+  const response = await callShopifyAPI(shop, TOKEN, '/webhooks.json', 'POST', { webhook: {} });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(requestsTo(shop).length, 2);
+});
+
+test('server errors are retried with backoff for idempotent calls', async () => {
+  const shop = 'flaky.myshopify.com';
+  respondWith(shop, { status: 503 }, { status: 502 });
+
+  const response = await callShopifyAPI(shop, TOKEN, '/orders.json');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(requestsTo(shop).length, 3);
+});
+
+test('server errors are not retried for POST', async () => {
+  const shop = 'flaky-post.myshopify.com';
+  respondWith(shop, { status: 503, body: { errors: 'Unavailable' } });
+
+  await assert.rejects(
+    callShopifyAPI(shop, TOKEN, '/webhooks.json', 'POST', { webhook: {} }),
+    error => error instanceof ShopifyApiError && error.code === 'SERVER_ERROR' && error.statusCode === 503
+  );
+  assert.equal(requestsTo(shop).length, 1);
+});
+
+test('client errors fail straight away', async () => {
+  const shop = 'missing.myshopify.com';
+  respondWith(shop, { status: 404, body: { errors: 'Not Found' } });
+
+  await assert.rejects(
+    callShopifyAPI(shop, TOKEN, '/orders/1.json'),
+    error => error.code === 'CLIENT_ERROR' && error.statusCode === 404 && error.retryable === false
+  );
+  assert.equal(requestsTo(shop).length, 1);
+});
+
+test('gives up after SHOPIFY_MAX_RETRIES retries', async () => {
+  const shop = 'down.myshopify.com';
+  respondWith(shop, ...Array.from({ length: 10 }, () => ({ status: 500 })));
+
+  await assert.rejects(
+    callShopifyAPI(shop, TOKEN, '/shop.json'),
+    error => error.code === 'SERVER_ERROR' && error.statusCode === 500
+  );
+  assert.equal(requestsTo(shop).length, 4);
+});
+
+const pageLink = (shop, pageInfo, rel = 'next') => `<https://${shop}/admin/api/2024-01/orders.json?limit=250&page_info=${pageInfo}>; rel="${rel}"`;
+
+test('Link headers give the next and previous page cursors', () => {
+  const shop = 'links.myshopify.com';
+
+  assert.deepEqual(
+    parseLinkHeader(`${pageLink(shop, 'prev123', 'previous')}, ${pageLink(shop, 'next456')}`),
+    { next: 'next456', previous: 'prev123' }
+  );
+  assert.deepEqual(parseLinkHeader(undefined), { next: null, previous: null });
+});
+
+test('iterating orders follows the cursors and sends the filters only with the first page', async () => {
+  const shop = 'paged.myshopify.com';
+  respondWith(shop,
+    { status: 200, headers: { link: pageLink(shop, 'page2') }, body: { orders: [{ id: 1 }, { id: 2 }] } },
+    { status: 200, headers: { link: pageLink(shop, 'page3') }, body: { orders: [{ id: 3 }] } },
+    { status: 200, body: { orders: [{ id: 4 }] } }
+  );
+
+  const ids = [];
+  for await (const order of iterateOrders(shop, TOKEN, { created_at_min: '2026-03-01T00:00:00Z', fields: 'id' })) {
+    ids.push(order.id);
+  }
+
+  assert.deepEqual(ids, [1, 2, 3, 4]);
+  const [first, second, third] = requestsTo(shop).map(r => new URL(r.url, 'http://stub').searchParams);
+  assert.deepEqual(Object.fromEntries(first), { status: 'any', created_at_min: '2026-03-01T00:00:00Z', fields: 'id', limit: '250' });
+  assert.deepEqual(Object.fromEntries(second), { limit: '250', page_info: 'page2', fields: 'id' });
+  assert.equal(third.get('page_info'), 'page3');
+});
+
+test('a page of orders reports its cursors, and a cursor request drops the filters', async () => {
+  const shop = 'one-page.myshopify.com';
+  respondWith(shop, { status: 200, headers: { link: pageLink(shop, 'page2') }, body: { orders: [{ id: 1 }] } });
+
+  const page = await getOrders(shop, TOKEN, { limit: 1, since_id: '0' });
+  assert.deepEqual([page.count, page.pageInfo], [1, { next: 'page2', previous: null }]);
+
+  await getOrders(shop, TOKEN, { limit: 1, page_info: 'page2', since_id: '0', created_at_min: '2026-03-01' });
+  assert.equal(requestsTo(shop)[1].url, '/admin/api/2024-01/orders.json?limit=1&page_info=page2');
+});
+
+test('SHOPIFY_API_VERSION and the apiVersion option pick the version, invalid ones fall back', async (t) => {
+  const shop = 'versions.myshopify.com';
+  t.mock.method(console, 'warn', () => {});
+
+  try {
+    process.env.SHOPIFY_API_VERSION = '2025-04';
+    await callShopifyAPI(shop, TOKEN, '/shop.json');
+    await callShopifyAPI(shop, TOKEN, '/shop.json', 'GET', null, { apiVersion: 'unstable' });
+    process.env.SHOPIFY_API_VERSION = '2025-05';
+    await callShopifyAPI(shop, TOKEN, '/shop.json');
+  } finally {
+    delete process.env.SHOPIFY_API_VERSION;
+  }
+
+  assert.deepEqual(requestsTo(shop).map(r => r.url), [
+    '/admin/api/2025-04/shop.json',
+    '/admin/api/unstable/shop.json',
+    '/admin/api/2024-01/shop.json'
+  ]);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('GraphQL queries are posted with their variables and return data and extensions', async () => {
+  const shop = 'graphql.myshopify.com';
+  const extensions = { cost: { requestedQueryCost: 2, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 998, restoreRate: 50 } } };
+  respondWith(shop, { status: 200, body: { data: { shop: { name: 'Test' } }, extensions } });
+
+  const result = await callShopifyGraphQL(shop, TOKEN, 'query shop($id: ID) { shop { name } }', { id: 1 });
+
+  assert.deepEqual(result, { data: { shop: { name: 'Test' } }, extensions });
+  const [request] = requestsTo(shop);
+  assert.deepEqual([request.method, request.url], ['POST', '/admin/api/2024-01/graphql.json']);
+  assert.deepEqual(request.body.variables, { id: 1 });
+});
+
+test('GraphQL errors reject, and throttled calls are retried even for mutations', async () => {
+  const shop = 'graphql-errors.myshopify.com';
+  const throttled = { status: 200, body: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] } };
+  respondWith(shop,
+    { status: 200, body: { errors: [{ message: 'Field \'nope\' doesn\'t exist' }] } },
+    throttled,
+    { status: 200, body: { data: { tagsAdd: { userErrors: [] } } } }
+  );
+
+  await assert.rejects(
+    callShopifyGraphQL(shop, TOKEN, '{ shop { nope } }'),
+    error => error instanceof ShopifyApiError && error.code === 'GRAPHQL_ERROR' && error.error[0].message.includes('nope')
+  );
+
+  const result = await callShopifyGraphQL(shop, TOKEN, 'mutation { tagsAdd(id: "1", tags: ["x"]) { userErrors { message } } }');
+  assert.deepEqual(result.data, { tagsAdd: { userErrors: [] } });
+  assert.equal(requestsTo(shop).length, 3);
+});
+
+test('a GraphQL connection is followed through its end cursors', async () => {
+  const shop = 'graphql-pages.myshopify.com';
+  const page = (ids, endCursor) => ({
+    status: 200,
+    body: { data: { shop: { orders: {
+      edges: ids.map(id => ({ node: { id } })),
+      pageInfo: { hasNextPage: Boolean(endCursor), endCursor }
+    } } } }
+  });
+  respondWith(shop, page([1, 2], 'c2'), page([3], null));
+
+  const ids = [];
+  const query = 'query orders($cursor: String, $first: Int) { shop { orders(first: $first, after: $cursor) { edges { node { id } } pageInfo { hasNextPage endCursor } } } }';
+  for await (const node of iterateGraphQLConnection(shop, TOKEN, query, { first: 2 }, 'shop.orders')) {
+    ids.push(node.id);
+  }
+
+  assert.deepEqual(ids, [1, 2, 3]);
+  assert.deepEqual(requestsTo(shop).map(r => r.body.variables), [{ first: 2, cursor: null }, { first: 2, cursor: 'c2' }]);
+});
+
+test('a bulk order export is started with the date filters and polled until it finishes', async () => {
+  const shop = 'bulk.myshopify.com';
+  const operation = (status, extra = {}) => ({ status: 200, body: { data: { node: { id: 'gid://shopify/BulkOperation/1', status, ...extra } } } });
+  respondWith(shop,
+    { status: 200, body: { data: { bulkOperationRunQuery: { bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' }, userErrors: [] } } } },
+    operation('RUNNING'),
+    operation('COMPLETED', { url: 'https://storage.example.com/bulk.jsonl', objectCount: '12' })
+  );
+
+  const started = await exportOrdersBulk(shop, TOKEN, { createdAtMin: '2026-03-01', createdAtMax: '2026-03-31T23:59:59Z' });
+  assert.deepEqual(started, { success: true, operation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' } });
+  assert.match(requestsTo(shop)[0].body.query, /^\s*mutation bulkOperationRunQuery/);
+  assert.match(
+    requestsTo(shop)[0].body.variables.query,
+    /orders\(query: "created_at:>='2026-03-01T00:00:00.000Z' created_at:<='2026-03-31T23:59:59.000Z'"\)/
+  );
+
+  const finished = await waitForBulkOperation(shop, TOKEN, started.operation.id, { intervalMs: 10 });
+  assert.equal(finished.success, true);
+  assert.equal(finished.operation.url, 'https://storage.example.com/bulk.jsonl');
+  assert.equal(requestsTo(shop).length, 3);
+});
+
+test('bulk exports report user errors and failed operations', async () => {
+  const shop = 'bulk-errors.myshopify.com';
+  respondWith(shop,
+    { status: 200, body: { data: { bulkOperationRunQuery: { bulkOperation: null, userErrors: [{ message: 'A bulk query operation for this app and shop is already in progress' }] } } } },
+    { status: 200, body: { data: { node: { id: 'gid://shopify/BulkOperation/2', status: 'FAILED', errorCode: 'ACCESS_DENIED' } } } }
+  );
+
+  assert.deepEqual(await exportOrdersBulk(shop, TOKEN), {
+    success: false,
+    error: 'A bulk query operation for this app and shop is already in progress'
+  });
+
+  const failed = await waitForBulkOperation(shop, TOKEN, 'gid://shopify/BulkOperation/2', { intervalMs: 10 });
+  assert.deepEqual([failed.success, failed.error], [false, 'Bulk operation failed (ACCESS_DENIED)']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShopifyRateLimiter } = require('../src/services/shopifyRateLimiter');
+
+const SHOP = 'limiter-test.myshopify.com';
+
+test('calls below the bucket size do not wait', async () => {
+  const limiter = new ShopifyRateLimiter({ bucketSize: 40, headroom: 2 });
+
+  for (let i = 0; i < 38; i++) {
+    assert.equal(await limiter.acquire(SHOP), 0);
+  }
+});
+
+test('a full bucket waits for it to drain', async () => {
+  const limiter = new ShopifyRateLimiter({ headroom: 2 });
+
+  // Plus bucket: 400 calls, draining 20 per second
+  limiter.update(SHOP, { 'x-shopify-shop-api-call-limit': '399/400' });
+  const bucket = limiter.getBucket(SHOP);
+  assert.equal(bucket.max, 400);
+  assert.equal(bucket.used, 399);
+
+  const started = Date.now();
+  const waited = await limiter.acquire(SHOP);
+  assert.ok(waited >= 90 && waited <= 150, `waited ${waited}ms`);
+  assert.ok(Date.now() - started >= 90);
+});
+
+test('malformed call-limit headers are ignored', () => {
+  const limiter = new ShopifyRateLimiter();
+
+  limiter.update(SHOP, { 'x-shopify-shop-api-call-limit': 'soon' });
+  limiter.update(SHOP, {});
+  assert.equal(limiter.getBucket(SHOP).used, 0);
+  assert.equal(limiter.getBucket(SHOP).max, 40);
+});
+
+test('a pause holds every call to the shop, and only that shop', async () => {
+  const limiter = new ShopifyRateLimiter();
+  limiter.pause(SHOP, 150);
+
+  assert.equal(await limiter.acquire('other-shop.myshopify.com'), 0);
+
+  const started = Date.now();
+  await limiter.acquire(SHOP);
+  assert.ok(Date.now() - started >= 140);
+});
+
+test('GraphQL calls wait until the last query cost has been restored', async () => {
+  const limiter = new ShopifyRateLimiter();
+
+  assert.equal(await limiter.acquireGraphQL(SHOP), 0);
+
+  limiter.updateGraphQL(SHOP, {
+    requestedQueryCost: 100,
+    actualQueryCost: 40,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 1000 }
+  });
+
+  const waited = await limiter.acquireGraphQL(SHOP);
+  assert.ok(waited >= 90 && waited <= 150, `waited ${waited}ms`);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useFakeSupabase, createHttpPair } = require('./helpers/fakeSupabase');
+
+useFakeSupabase();
+const { verifyShopifyWebhook, getWebhookSecrets } = require('../src/middleware/shopifyWebhook');
+
+const BODY = JSON.stringify({ id: 820982911946154500, total_price: '19.99' });
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+
+const deliver = ({ body = BODY, secret = 'current-secret', headers = {}, rawBody = body } = {}) => {
+  const { req, res } = createHttpPair({
+    method: 'POST',
+    originalUrl: '/api/webhooks/orders/create',
+    rawBody,
+    headers: {
+      'x-shopify-hmac-sha256': sign(body, secret),
+      'x-shopify-shop-domain': 'test-shop.myshopify.com',
+      'x-shopify-topic': 'orders/create',
+      'x-shopify-webhook-id': 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043',
+      'x-shopify-triggered-at': new Date().toISOString(),
+      ...headers
+    }
+  });
+  let passed = false;
+  verifyShopifyWebhook(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+test.beforeEach(() => {
+  process.env.NODE_ENV = 'test';
+  process.env.SHOPIFY_WEBHOOK_SECRET = 'current-secret';
+  delete process.env.SHOPIFY_WEBHOOK_SECRETS;
+  delete process.env.SHOPIFY_WEBHOOK_STRICT;
+  delete process.env.SHOPIFY_WEBHOOK_REPLAY_WINDOW_SECONDS;
+});
+
+test('a correctly signed webhook passes', () => {
+  const { req, passed } = deliver();
+
+  assert.equal(passed, true);
+  assert.deepEqual(
+    { ...req.shopifyWebhook, triggeredAt: undefined },
+    {
+      topic: 'orders/create',
+      shopDomain: 'test-shop.myshopify.com',
+      webhookId: 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043',
+      triggeredAt: undefined,
+      verified: true
+    }
+  );
+});
+
+test('a wrong signature or a changed body is rejected', () => {
+  for (const attempt of [
+    deliver({ secret: 'someone-elses-secret' }),
+    deliver({ rawBody: BODY.replace('19.99', '1999.00') }),
+    deliver({ headers: { 'x-shopify-hmac-sha256': 'c2hvcnQ=' } }),
+    deliver({ headers: { 'x-shopify-hmac-sha256': undefined } })
+  ]) {
+    assert.equal(attempt.passed, false);
+    assert.equal(attempt.res.statusCode, 401);
+    assert.equal(attempt.req.shopifyWebhook.verified, false);
+  }
+});
+
+test('a missing raw body is rejected rather than re-serialized', () => {
+  const { res, passed } = deliver({ rawBody: null });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.message, /Raw body unavailable/);
+});
+
+test('both secrets are accepted while one is rotated out', () => {
+  process.env.SHOPIFY_WEBHOOK_SECRETS = ' new-secret , current-secret';
+  assert.deepEqual(getWebhookSecrets(), ['new-secret', 'current-secret']);
+
+  assert.equal(deliver({ secret: 'new-secret' }).passed, true);
+  assert.equal(deliver({ secret: 'current-secret' }).passed, true);
+
+  // Rotation done: only the new secret is configured
+  process.env.SHOPIFY_WEBHOOK_SECRET = 'new-secret';
+  delete process.env.SHOPIFY_WEBHOOK_SECRETS;
+  assert.equal(deliver({ secret: 'new-secret' }).passed, true);
+  assert.equal(deliver({ secret: 'current-secret' }).res.statusCode, 401);
+});
+
+test('no configured secret rejects everything', () => {
+  delete process.env.SHOPIFY_WEBHOOK_SECRET;
+  const { res, passed } = deliver();
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('malformed headers are turned away', () => {
+  assert.equal(deliver({ headers: { 'x-shopify-shop-domain': 'evil.example.com' } }).res.statusCode, 400);
+  assert.equal(deliver({ headers: { 'x-shopify-topic': 'app/uninstalled-ish' } }).res.statusCode, 400);
+  assert.equal(deliver({ headers: { 'x-shopify-triggered-at': 'yesterday-ish' } }).res.statusCode, 400);
+});
+
+test('stale deliveries are dropped by the freshness window', () => {
+  process.env.SHOPIFY_WEBHOOK_REPLAY_WINDOW_SECONDS = '60';
+  const stale = deliver({ headers: { 'x-shopify-triggered-at': new Date(Date.now() - 120 * 1000).toISOString() } });
+
+  assert.equal(stale.passed, false);
+  assert.equal(stale.res.statusCode, 400);
+});
+
+test('non-strict mode lets failures through marked unverified, except in production', () => {
+  process.env.SHOPIFY_WEBHOOK_STRICT = 'false';
+  const lenient = deliver({ secret: 'wrong' });
+  assert.equal(lenient.passed, true);
+  assert.equal(lenient.req.shopifyWebhook.verified, false);
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(deliver({ secret: 'wrong' }).passed, false);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, createHttpPair } = require('./helpers/fakeSupabase');
+
+process.env.WEBHOOK_QUEUE_STORE = 'memory';
+const supabase = useFakeSupabase();
+const { WEBHOOK_PROCESSORS } = require('../src/services/webhookProcessors');
+const { recordWebhookEvent, processWebhookEvent } = require('../src/services/webhookEventService');
+const { webhookQueue } = require('../src/services/webhookQueue');
+const { handleOrderCreate } = require('../src/controllers/webhookController');
+const { replayWebhookEvent } = require('../src/controllers/webhookEventController');
+
+// A topic whose processor each test scripts
+const TOPIC = 'test/topic';
+let processorCalls;
+let processorResult;
+WEBHOOK_PROCESSORS[TOPIC] = async (payload) => {
+  processorCalls.push(payload);
+  await new Promise(resolve => setImmediate(resolve));
+  if (processorResult instanceof Error) {
+    throw processorResult;
+  }
+  return processorResult;
+};
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+
+const storedEvent = (extra = {}) => supabase.seed('webhook_events', [{
+  id: 'event-1',
+  webhook_id: 'wh-1',
+  topic: TOPIC,
+  shop_domain: 'shop.myshopify.com',
+  payload: { id: 1 },
+  status: 'received',
+  attempts: 0,
+  ...extra
+}])[0];
+
+supabase.unique('webhook_events', ['webhook_id']);
+
+test.beforeEach(() => {
+  processorCalls = [];
+  processorResult = { success: true, status: 200, message: 'ok', data: { entries: 1 } };
+  supabase.seed('webhook_events', []);
+  supabase.seed('webhook_dead_letters', []);
+  webhookQueue.store.jobs.clear();
+});
+
+test('a redelivered webhook ID finds the stored event instead of storing it again', async () => {
+  const delivery = {
+    webhookId: 'wh-1',
+    topic: 'orders/create',
+    shopDomain: 'shop.myshopify.com',
+    rawBody: '{"id":1}',
+    payload: { id: 1 },
+    headers: { 'x-shopify-webhook-id': 'wh-1', 'x-shopify-hmac-sha256': 'secret-ish', 'x-shopify-api-version': '2024-01' }
+  };
+
+  const first = await recordWebhookEvent(delivery);
+  const second = await recordWebhookEvent(delivery);
+
+  assert.equal(first.duplicate, false);
+  assert.equal(second.duplicate, true);
+  assert.equal(second.event.id, first.event.id);
+  assert.equal(supabase.rows('webhook_events').length, 1);
+  assert.deepEqual(first.event.headers, { 'x-shopify-webhook-id': 'wh-1', 'x-shopify-api-version': '2024-01' });
+
+  // Without an ID there is nothing to deduplicate on
+  await recordWebhookEvent({ ...delivery, webhookId: null });
+  await recordWebhookEvent({ ...delivery, webhookId: null });
+  assert.equal(supabase.rows('webhook_events').length, 3);
+});
+
+test('the webhook route queues a delivery once and acknowledges the redelivery', async () => {
+  const deliver = async () => {
+    const { req, res } = createHttpPair({
+      body: { id: 1001 },
+      rawBody: '{"id":1001}',
+      headers: { 'x-shopify-webhook-id': 'wh-9', 'x-shopify-shop-domain': 'shop.myshopify.com' },
+      shopifyWebhook: { topic: 'orders/create' }
+    });
+    await handleOrderCreate(req, res);
+    return res;
+  };
+
+  const first = await deliver();
+  const second = await deliver();
+
+  assert.equal(first.body.queued, true);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.eventId, first.body.eventId);
+  assert.deepEqual([...webhookQueue.store.jobs.keys()], [`process_webhook_event:${first.body.eventId}`]);
+});
+
+test('processing records the outcome on the event', async () => {
+  const event = storedEvent();
+
+  const result = await processWebhookEvent(event);
+
+  assert.equal(result.success, true);
+  const [row] = supabase.rows('webhook_events');
+  assert.equal(row.status, 'processed');
+  assert.equal(row.attempts, 1);
+  assert.deepEqual(row.result, { entries: 1 });
+  assert.ok(row.processed_at);
+});
+
+test('failures and thrown errors leave the event failed with the error', async () => {
+  processorResult = { success: false, status: 400, message: 'Invalid order' };
+  await processWebhookEvent(storedEvent());
+  assert.deepEqual([supabase.rows('webhook_events')[0].status, supabase.rows('webhook_events')[0].last_error], ['failed', 'Invalid order']);
+
+  processorResult = new Error('Database unavailable');
+  const thrown = await processWebhookEvent(storedEvent());
+  assert.equal(thrown.status, 500);
+  assert.equal(supabase.rows('webhook_events')[0].last_error, 'Database unavailable');
+
+  const unsupported = await processWebhookEvent(storedEvent({ topic: 'products/create' }));
+  assert.equal(unsupported.status, 400);
+  assert.equal(supabase.rows('webhook_events')[0].status, 'failed');
+});
+
+test('of two concurrent runs of an event only one processes it', async () => {
+  const event = storedEvent();
+
+  const results = await Promise.all([processWebhookEvent(event), processWebhookEvent({ ...event })]);
+
+  assert.equal(results.filter(result => result.skipped).length, 1);
+  assert.equal(processorCalls.length, 1);
+  assert.equal(supabase.rows('webhook_events')[0].attempts, 1);
+});
+
+test('an event being processed is left alone until its claim goes stale', async () => {
+  const fresh = storedEvent({ status: 'processing', attempts: 1, processing_started_at: new Date().toISOString() });
+  assert.equal((await processWebhookEvent(fresh)).skipped, true);
+
+  const stale = storedEvent({ status: 'processing', attempts: 1, processing_started_at: '2026-01-01T00:00:00.000Z' });
+  const result = await processWebhookEvent(stale);
+  assert.equal(result.success, true);
+  assert.equal(result.skipped, undefined);
+  assert.equal(supabase.rows('webhook_events')[0].attempts, 2);
+});
+
+test('an admin replay runs a failed event again and resolves its dead letters', async () => {
+  storedEvent({ status: 'dead_lettered', attempts: 3, last_error: 'Timed out' });
+  supabase.seed('webhook_dead_letters', [{ event_id: 'event-1', shop_domain: 'shop.myshopify.com', resolved_at: null }]);
+
+  const { req, res } = createHttpPair({ params: { eventId: 'event-1' }, user: ADMIN });
+  await replayWebhookEvent(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  const [event] = supabase.rows('webhook_events');
+  assert.equal(event.status, 'processed');
+  assert.equal(event.replayed_by, ADMIN.id);
+  const [deadLetter] = supabase.rows('webhook_dead_letters');
+  assert.equal(deadLetter.resolution, 'replayed');
+  assert.equal(deadLetter.resolved_by, ADMIN.id);
+});
+
+test('a processed event is only replayed when forced', async () => {
+  storedEvent({ status: 'processed', attempts: 1 });
+
+  const replay = async (body) => {
+    const { req, res } = createHttpPair({ params: { eventId: 'event-1' }, body, user: ADMIN });
+    await replayWebhookEvent(req, res);
+    return res;
+  };
+
+  assert.equal((await replay({})).statusCode, 409);
+  assert.equal(processorCalls.length, 0);
+  assert.equal((await replay({ force: true })).statusCode, 200);
+  assert.equal(processorCalls.length, 1);
+
+  const { req, res } = createHttpPair({ params: { eventId: 'event-1' }, user: { id: 'user-1', role: 'merchant' } });
+  await replayWebhookEvent(req, res);
+  assert.equal(res.statusCode, 403);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, createHttpPair } = require('./helpers/fakeSupabase');
+
+process.env.WEBHOOK_QUEUE_STORE = 'memory';
+process.env.WEBHOOK_RETRY_BASE_MS = '1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+const supabase = useFakeSupabase();
+const { WEBHOOK_PROCESSORS } = require('../src/services/webhookProcessors');
+const { webhookQueue, enqueueWebhookEvent } = require('../src/services/webhookQueue');
+const { requeueDeadLetter } = require('../src/controllers/webhookEventController');
+
+// A topic whose processor each test scripts: results are used in order, the last one repeats
+const TOPIC = 'test/topic';
+let results;
+let calls;
+WEBHOOK_PROCESSORS[TOPIC] = async () => {
+  calls++;
+  const result = results.length > 1 ? results.shift() : results[0];
+  if (result instanceof Error) {
+    throw result;
+  }
+  return result;
+};
+
+const OK = { success: true, status: 200, message: 'ok' };
+const ADMIN = { id: 'admin-1', role: 'admin' };
+
+const event = () => supabase.rows('webhook_events')[0];
+const job = (key = 'process_webhook_event:event-1') => webhookQueue.store.jobs.get(key);
+
+// Tick until the queue has nothing left to run, waiting out the retry backoff
+const drain = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await webhookQueue.tick();
+  }
+};
+
+// The recovery planner runs at most once a minute, so each run is planned ten minutes after the last
+let recoveryTime = Date.now();
+const nextRecovery = () => new Date(recoveryTime += 10 * 60 * 1000);
+const secondsBefore = (time, seconds) => new Date(time.getTime() - seconds * 1000).toISOString();
+
+const recover = async (now) => {
+  const { planner } = webhookQueue.planners.find(p => p.name === 'webhook-recovery');
+  await planner(webhookQueue, now);
+};
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  calls = 0;
+  results = [OK];
+  supabase.seed('webhook_events', [{
+    id: 'event-1',
+    webhook_id: 'wh-1',
+    topic: TOPIC,
+    shop_domain: 'shop.myshopify.com',
+    payload: { id: 1 },
+    status: 'received',
+    attempts: 0,
+    received_at: new Date().toISOString()
+  }]);
+  supabase.seed('webhook_dead_letters', []);
+  webhookQueue.store.jobs.clear();
+});
+
+test('a queued event is processed by the worker', async () => {
+  await enqueueWebhookEvent(event());
+  await drain();
+
+  assert.equal(calls, 1);
+  assert.equal(event().status, 'processed');
+  assert.equal(job().status, 'completed');
+});
+
+test('a failing event is retried with backoff until it goes through', async () => {
+  results = [new Error('Database unavailable'), { success: false, status: 500, message: 'Timed out' }, OK];
+
+  await enqueueWebhookEvent(event());
+  await drain();
+
+  assert.equal(calls, 3);
+  assert.equal(job().attempts, 3);
+  assert.equal(event().status, 'processed');
+  assert.equal(supabase.rows('webhook_dead_letters').length, 0);
+});
+
+test('an event still failing after WEBHOOK_MAX_ATTEMPTS is dead-lettered', async () => {
+  results = [{ success: false, status: 500, message: 'Timed out' }];
+
+  await enqueueWebhookEvent(event());
+  await drain();
+
+  assert.equal(calls, 3);
+  assert.equal(job().status, 'failed');
+  assert.equal(event().status, 'dead_lettered');
+  const [deadLetter] = supabase.rows('webhook_dead_letters');
+  assert.equal(deadLetter.event_id, 'event-1');
+  assert.equal(deadLetter.attempts, 3);
+  assert.equal(deadLetter.last_error, 'Timed out');
+  assert.equal(deadLetter.shop_domain, 'shop.myshopify.com');
+});
+
+test('an invalid payload is dead-lettered without retries', async () => {
+  results = [{ success: false, status: 400, message: 'Invalid order' }];
+
+  await enqueueWebhookEvent(event());
+  await drain();
+
+  assert.equal(calls, 1);
+  assert.equal(supabase.rows('webhook_dead_letters').length, 1);
+});
+
+test('a requeued dead letter gets a fresh set of attempts', async () => {
+  results = [{ success: false, status: 500, message: 'Timed out' }];
+  await enqueueWebhookEvent(event());
+  await drain();
+
+  results = [OK];
+  const [deadLetter] = supabase.rows('webhook_dead_letters');
+  const { req, res } = createHttpPair({ params: { deadLetterId: deadLetter.id }, user: ADMIN });
+  await requeueDeadLetter(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(deadLetter.resolution, 'requeued');
+  await drain();
+  assert.equal(event().status, 'processed');
+  assert.equal(job(`process_webhook_event:event-1:requeue-${deadLetter.id}`).status, 'completed');
+
+  const again = createHttpPair({ params: { deadLetterId: deadLetter.id }, user: ADMIN });
+  await requeueDeadLetter(again.req, again.res);
+  assert.equal(again.res.statusCode, 409);
+});
+
+test('recovery queues events stored but never enqueued, once they are a minute old', async () => {
+  let now = nextRecovery();
+  event().received_at = secondsBefore(now, 30);
+  await recover(now);
+  assert.equal(webhookQueue.store.jobs.size, 0);
+
+  now = nextRecovery();
+  event().received_at = secondsBefore(now, 90);
+  await recover(now);
+  await recover(nextRecovery());
+  assert.deepEqual([...webhookQueue.store.jobs.keys()], ['process_webhook_event:event-1']);
+
+  await drain();
+  assert.equal(event().status, 'processed');
+});
+
+test('recovery takes over events abandoned mid-processing', async () => {
+  let now = nextRecovery();
+  Object.assign(event(), { status: 'processing', attempts: 1, processing_started_at: secondsBefore(now, 5 * 60) });
+  await recover(now);
+  assert.equal(webhookQueue.store.jobs.size, 0);
+
+  now = nextRecovery();
+  const abandonedAt = event().processing_started_at = secondsBefore(now, 11 * 60);
+  await recover(now);
+  assert.deepEqual([...webhookQueue.store.jobs.keys()], [`process_webhook_event:event-1:recovered:${abandonedAt}`]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RANDOM_BITS,
+  buildCumulativeWeights,
+  findTicketOwner,
+  uniformInt,
+  createWeightedSampler
+} = require('../src/utils/weightedSampler');
+const { createSeededRandomSource } = require('../src/utils/drawUtils');
+
+const RANDOM_RANGE = 2 ** RANDOM_BITS;
+
+// Random source replaying fixed values
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++];
+};
+
+test('buildCumulativeWeights sums weights and rejects invalid ones', () => {
+  assert.deepEqual(buildCumulativeWeights([{ weight: 2 }, { weight: 0 }, { weight: 3.9 }]), {
+    cumulative: [2, 2, 5],
+    total: 5
+  });
+
+  assert.throws(() => buildCumulativeWeights([{ weight: 1 }, { weight: -1 }]), /Negative weight at index 1/);
+  assert.throws(() => buildCumulativeWeights([{ weight: RANDOM_RANGE }]), /exceeds the supported range/);
+});
+
+test('every ticket belongs to exactly one item, in proportion to its weight', () => {
+  const weights = [3, 0, 1, 5, 0, 2];
+  const { cumulative, total } = buildCumulativeWeights(weights, weight => weight);
+  const owned = new Array(weights.length).fill(0);
+
+  for (let ticket = 0; ticket < total; ticket++) {
+    owned[findTicketOwner(cumulative, ticket)]++;
+  }
+
+  assert.deepEqual(owned, weights);
+});
+
+test('first and last tickets map to the edge items', () => {
+  const sampler = createWeightedSampler([{ id: 'a', weight: 0 }, { id: 'b', weight: 4 }, { id: 'c', weight: 1 }, { id: 'd', weight: 0 }]);
+
+  assert.equal(sampler.ownerOf(0).item.id, 'b');
+  assert.equal(sampler.ownerOf(3).item.id, 'b');
+  assert.equal(sampler.ownerOf(sampler.total - 1).item.id, 'c');
+});
+
+test('uniformInt rejects values from the incomplete last block', () => {
+  const bound = 3;
+  const limit = RANDOM_RANGE - (RANDOM_RANGE % bound);
+
+  // limit and above would favour the low values; they are drawn again
+  assert.deepEqual(uniformInt(bound, sequence(limit, RANDOM_RANGE - 1, 7)), { value: 1, attempts: 3 });
+  assert.deepEqual(uniformInt(bound, sequence(limit - 1)), { value: (limit - 1) % bound, attempts: 1 });
+});
+
+test('uniformInt rejects invalid bounds', () => {
+  for (const bound of [0, -1, 1.5, RANDOM_RANGE + 1]) {
+    assert.throws(() => uniformInt(bound, () => 0), /Invalid bound/);
+  }
+  assert.deepEqual(uniformInt(1, () => 12345), { value: 0, attempts: 1 });
+});
+
+test('sampling an empty distribution throws', () => {
+  const sampler = createWeightedSampler([{ weight: 0 }, { weight: 0 }]);
+  assert.equal(sampler.total, 0);
+  assert.throws(() => sampler.sample(), /empty weight distribution/);
+});
+
+test('a seeded random source replays the same draws', () => {
+  const items = Array.from({ length: 50 }, (_, index) => ({ id: index, weight: index % 7 }));
+  const drawAll = (seed) => Array.from({ length: 20 }, (_, round) => (
+    createWeightedSampler(items).sample(createSeededRandomSource(seed, 'snapshot-hash', round))
+  ));
+
+  const first = drawAll('a'.repeat(64));
+  assert.deepEqual(drawAll('a'.repeat(64)), first);
+  assert.notDeepEqual(drawAll('b'.repeat(64)).map(pick => pick.ticket), first.map(pick => pick.ticket));
+  for (const pick of first) {
+    assert.ok(pick.item.weight > 0, `zero-weight item ${pick.item.id} was drawn`);
+  }
+});
+
+test('samples follow the weights without bias', () => {
+  const items = [{ id: 'a', weight: 1 }, { id: 'b', weight: 2 }, { id: 'c', weight: 7 }];
+  const sampler = createWeightedSampler(items);
+  const draws = 30000;
+  const counts = { a: 0, b: 0, c: 0 };
+
+  for (let i = 0; i < draws; i++) {
+    counts[sampler.sample().item.id]++;
+  }
+
+  // Each tolerance is several standard deviations wide
+  for (const item of items) {
+    const expected = item.weight / sampler.total;
+    assert.ok(
+      Math.abs(counts[item.id] / draws - expected) < 0.02,
+      `${item.id} drawn ${counts[item.id]} times, expected about ${Math.round(expected * draws)}`
+    );
+  }
+});
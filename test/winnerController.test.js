@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSupabase, createHttpPair, recordEmails } = require('./helpers/fakeSupabase');
+
+process.env.LINK_TOKEN_SECRET = 'test-link-secret';
+const supabase = useFakeSupabase();
+recordEmails();
+const { drawPrizeTiers, verifyWinnerDraw } = require('../src/controllers/winnerController');
+
+const MERCHANT = { id: 'user-1', role: 'merchant' };
+
+const draw = async (promoId = 'promo-1') => {
+  const { req, res } = createHttpPair({ body: { promoId }, user: MERCHANT });
+  await drawPrizeTiers(req, res);
+  return res;
+};
+
+const verify = async (winnerId) => {
+  const { req, res } = createHttpPair({ params: { winnerId }, user: MERCHANT });
+  await verifyWinnerDraw(req, res);
+  return res;
+};
+
+test.beforeEach(() => {
+  supabase.seed('stores', [{ id: 'store-1', user_id: MERCHANT.id, store_name: 'Test Store' }]);
+  supabase.seed('promos', [{
+    id: 'promo-1',
+    store_id: 'store-1',
+    title: 'Tiered Giveaway',
+    status: 'closed',
+    prize_tiers: [
+      { name: 'Grand Prize', quantity: 1, description: 'Bike', value: 500 },
+      { name: 'Runner Up', quantity: 2, description: 'Helmet', value: 50 }
+    ]
+  }]);
+  supabase.seed('entries', ['a', 'b', 'c', 'd', 'e'].map(name => ({
+    promo_id: 'promo-1',
+    store_id: 'store-1',
+    customer_email: `${name}@example.com`,
+    entry_count: 1,
+    status: 'active'
+  })));
+  supabase.seed('winners', []);
+  supabase.seed('draw_commitments', []);
+});
+
+test('fills every tier once', async () => {
+  const res = await draw();
+
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(res.body.data.tiers.map(tier => tier.winners.length), [1, 2]);
+  assert.equal(supabase.rows('winners').length, 3);
+  assert.ok(supabase.rows('promos')[0].tiers_drawn_at);
+});
+
+test('a second draw is refused', async () => {
+  assert.equal((await draw()).statusCode, 201);
+
+  const second = await draw();
+  assert.equal(second.statusCode, 409);
+  assert.equal(supabase.rows('winners').length, 3);
+});
+
+test('of two concurrent draws only one fills the tiers', async () => {
+  const results = await Promise.all([draw(), draw()]);
+
+  assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+  assert.equal(supabase.rows('winners').length, 3);
+  assert.equal(supabase.rows('draw_commitments').length, 1);
+});
+
+test('a failed draw releases the claim', async () => {
+  const entries = supabase.rows('entries').splice(0);
+
+  const failed = await draw();
+  assert.equal(failed.statusCode, 400);
+  assert.equal(supabase.rows('promos')[0].tiers_drawn_at, null);
+
+  supabase.rows('entries').push(...entries);
+  assert.equal((await draw()).statusCode, 201);
+});
+
+test('every tier winner replays from the revealed seed', async () => {
+  assert.equal((await draw()).statusCode, 201);
+
+  const winners = supabase.rows('winners');
+  assert.deepEqual(winners.map(winner => winner.draw_round), [0, 1, 2]);
+
+  for (const winner of winners) {
+    const res = await verify(winner.id);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.verified, true, JSON.stringify(res.body.data.checks));
+    assert.equal(res.body.data.replay.entryId, winner.entry_id);
+  }
+
+  const [commitment] = supabase.rows('draw_commitments');
+  assert.ok(commitment.revealed_at);
+  assert.equal(commitment.seed, winners[0].draw_seed);
+});
+
+test('a tampered seed, snapshot or commitment time fails verification', async () => {
+  assert.equal((await draw()).statusCode, 201);
+  const [winner] = supabase.rows('winners');
+  const [commitment] = supabase.rows('draw_commitments');
+  const check = async (name) => {
+    const { verified, checks } = (await verify(winner.id)).body.data;
+    return [verified, checks[name]];
+  };
+
+  const seed = winner.draw_seed;
+  winner.draw_seed = `${seed.slice(0, -1)}${seed.endsWith('0') ? '1' : '0'}`;
+  assert.deepEqual(await check('seedMatchesCommitment'), [false, false]);
+  winner.draw_seed = seed;
+
+  const snapshot = commitment.entry_snapshot;
+  commitment.entry_snapshot = snapshot.slice(1);
+  assert.deepEqual(await check('snapshotMatches'), [false, false]);
+  commitment.entry_snapshot = snapshot;
+
+  const committedAt = commitment.committed_at;
+  commitment.committed_at = new Date(Date.parse(winner.drawn_at) + 1000).toISOString();
+  assert.deepEqual(await check('committedBeforeDraw'), [false, false]);
+  commitment.committed_at = committedAt;
+
+  const entryId = winner.entry_id;
+  winner.entry_id = supabase.rows('winners')[1].entry_id;
+  assert.deepEqual(await check('winnerMatches'), [false, false]);
+  winner.entry_id = entryId;
+
+  assert.equal((await verify(winner.id)).body.data.verified, true);
+});
+
+test('winners without a commitment cannot be verified', async () => {
+  supabase.seed('winners', [
+    { id: 'legacy', promo_id: 'promo-1', entry_id: 'entry-1', drawn_at: new Date().toISOString() },
+    { id: 'orphan', promo_id: 'promo-1', entry_id: 'entry-1', draw_seed: 'ab'.repeat(32), draw_commitment_id: 'gone' }
+  ]);
+
+  assert.equal((await verify('legacy')).statusCode, 400);
+  assert.equal((await verify('orphan')).statusCode, 404);
+  assert.equal((await verify('nobody')).statusCode, 404);
+});